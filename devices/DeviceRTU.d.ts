@@ -1,39 +1,176 @@
 /// <reference types="node" />
 /// <reference types="node" />
 /// <reference types="node" />
-import { Device, BasicPort, BasicType } from "vrack2-core";
-import TCPProvider from "../../vrack2-net/devices/classes/TCPProvider";
+import { Device, BasicPort, BasicType, BasicAction } from "vrack2-core";
+import { ModbusResponse, ModbusArea } from "./classes/ModbusRTU";
+import { ModbusStats } from "./classes/ModbusStats";
+import { ModbusDataType, ModbusTypeOptions, ModbusValue } from "./classes/ModbusTypes";
+import { ReadBlock } from "./classes/ReadPlanner";
+import { ModbusProvider } from "./classes/ModbusProvider";
+import { ModbusFramer, ModbusRTUFramer } from "./classes/ModbusFramer";
+/**
+ * Параметры задачи очереди
+ *
+ * @property {number} [priority] - Приоритет, задачи с большим приоритетом выполняются раньше (по умолчанию 0)
+ * @property {number} [timeout] - Время в мс, за которое задача должна начать выполняться,
+ *   иначе она отклоняется с ошибкой `V2MODBUS_QUEUE_TIMEOUT`. По умолчанию опция `queueTimeout`, 0 - без ограничения
+ * @property {string} [key] - Ключ задачи. Новая задача с тем же ключом заменяет ожидающую,
+ *   а промис замененной задачи завершается результатом новой
+ */
+export interface QueueTaskOptions {
+    priority?: number;
+    timeout?: number;
+    key?: string;
+}
+/**
+ * Параметры записи с проверкой
+ *
+ * @property {number} [tolerance] - Допустимое отклонение прочитанного регистра от записанного (по умолчанию 0)
+ * @property {number} [mask] - Сравнивать только биты маски регистра (по умолчанию 0xFFFF)
+ * @property {number} [retries] - Количество повторов записи, по умолчанию опция `verifyRetries`
+ * @property {number} [delay] - Пауза в мс между записью и чтением, по умолчанию опция `verifyDelay`
+ */
+export interface WriteVerifyOptions {
+    tolerance?: number;
+    mask?: number;
+    retries?: number;
+    delay?: number;
+}
+/**
+ * Группа опроса
+ *
+ * @property {number|string} interval - Интервал опроса группы в мс:
+ *   - `0` - при каждой передаче управления
+ *   - `'online'` - один раз после выхода устройства в онлайн
+ * @property {Function} method - Метод опроса группы, должен вернуть Promise
+ */
+export interface PollGroup {
+    interval: number | 'online';
+    method: () => Promise<unknown>;
+}
+/**
+ * Состояние связи с устройством
+ *
+ * - `online` - последний опрос успешен
+ * - `degraded` - опросы завершаются ошибкой, но их меньше `offlineFailures` подряд
+ * - `offline` - нет связи с устройством
+ */
+export type DeviceState = 'online' | 'degraded' | 'offline';
+/**
+ * Опубликованное значение выхода
+ *
+ * @property {unknown} value - Значение
+ * @property {number} time - Время публикации значения
+ * @property {string} quality - `good` - значение актуально, `stale` - устройство оффлайн, значение устарело
+ */
+export interface PublishedValue {
+    value: unknown;
+    time: number;
+    quality: 'good' | 'stale';
+}
+/**
+ * Настройки публикации значения выхода (опция `publishing`)
+ *
+ * @property {number} [deadband] - Абсолютная зона нечувствительности: изменение меньше или равное не отправляется
+ * @property {number} [deadbandPercent] - Относительная зона нечувствительности в % от последнего отправленного значения
+ * @property {Array<number>} [thresholds] - Пороги: переход значения через порог отправляется сразу, без учета зоны и `minInterval`
+ * @property {number} [hysteresis] - Гистерезис порогов: порог считается пройденным вниз, когда значение меньше `порог - hysteresis`
+ * @property {number} [minInterval] - Минимальный интервал между отправками в мс, изменение внутри интервала
+ *   отправляется по его окончании
+ * @property {number} [maxInterval] - Максимальный интервал между отправками в мс, по его истечении
+ *   последнее значение отправляется повторно, даже если оно не изменилось
+ */
+export interface PublishSettings {
+    deadband?: number;
+    deadbandPercent?: number;
+    thresholds?: number[];
+    hysteresis?: number;
+    minInterval?: number;
+    maxInterval?: number;
+}
+/**
+ * Состояние публикации выхода
+ */
+interface PublishState {
+    value: unknown;
+    pending: boolean;
+    level?: number;
+    initial?: PublishedValue;
+}
+/**
+ * Задача очереди
+ */
+interface QueueTask {
+    resolve: (value: any) => void;
+    reject: (value: any) => void;
+    method: () => any;
+    priority: number;
+    key?: string;
+    timer?: NodeJS.Timeout;
+    running?: boolean;
+}
 export default class DeviceRTU extends Device {
+    /**
+     * Коды функций, которые можно отправлять широковещательно
+    */
+    static readonly BROADCAST_CODES: number[];
+    /**
+     * Имена выходов DeviceRTU, которые наследники не могут занимать своими портами
+    */
+    static readonly RESERVED_PORTS: string[];
+    /**
+     * Фреймеры Modbus по значению опции `framing`
+    */
+    static readonly FRAMERS: {
+        [framing: string]: ModbusRTUFramer;
+    };
     inputs(): {
         [key: string]: BasicPort;
     };
+    outputs(): {
+        [key: string]: BasicPort;
+    };
+    actions(): {
+        [key: string]: BasicAction;
+    };
     checkOptions(): {
         [key: string]: BasicType;
     };
     shares: any;
     /**
-     * Класс провайдера из vrack2-net
+     * Класс провайдера из vrack2-net (TCPProvider) или любой другой,
+     * реализующий {@link ModbusProvider}
      *
     */
-    Provider: TCPProvider;
+    Provider: ModbusProvider;
     /**
      * Очередь
      *
     */
-    queue: Map<number, {
-        resolve: (value: any) => void;
-        reject: (value: any) => void;
-        method: () => any;
-    }>;
+    queue: Map<number, QueueTask>;
     queueIndex: number;
     offlineTimer: NodeJS.Timeout | number;
+    /**
+     * Количество неудачных опросов подряд
+    */
+    protected failures: number;
+    /**
+     * Сколько передач управления еще пропустить (экспоненциальная задержка для устройства оффлайн)
+    */
+    protected skipTurns: number;
+    /**
+     * Статистика обмена, доступна в shares.stats
+     *
+     * Хранится отдельно, потому что наследники переопределяют shares целиком
+    */
+    protected stats: ModbusStats;
     /**
      * Обработчик входа провайдера
      *
      * При получении провайдера - мы получаем контроль
      *
     */
-    inputBus(provider: TCPProvider): Promise<void>;
+    inputBus(provider: ModbusProvider): Promise<void>;
     /**
      * Выполняется перед запуском update
     */
@@ -42,16 +179,161 @@ export default class DeviceRTU extends Device {
      * Выполняется после завершение update
     */
     private oGate;
+    /**
+     * Учитывает неудачный опрос
+     *
+     * Пока неудачных опросов подряд меньше `offlineFailures` - устройство в состоянии `degraded`,
+     * дальше - `offline`. Устройство оффлайн пропускает 1, 2, 4 ... (не более `backoffMax`)
+     * передач управления, что бы не занимать шину таймаутами
+    */
+    protected failure(): void;
+    /**
+     * Изменяет состояние связи с устройством
+     *
+     * При переходе в оффлайн отправляется событие в выход `offline` и все опубликованные
+     * значения помечаются устаревшими. При выходе из оффлайна - событие в выход `online`,
+     * значения, которые не изменились за время оффлайна, снова помечаются актуальными
+     *
+     * Наследник может не объявлять выходы `online` и `offline` (переопределить `outputs()` без
+     * `super.outputs()`) - тогда события не отправляются
+    */
+    protected setState(state: DeviceState): void;
+    /**
+     * Отправляет значение в выход и сохраняет его со временем и качеством в `shares.published`
+     *
+     * Используйте вместо `this.ports.output[port].push(value)` для значений, полученных из устройства
+     *
+     * @param {string} port - Имя выхода
+     * @param {unknown} value - Значение
+    */
+    publish(port: string, value: unknown): void;
+    /**
+     * Состояние публикации выходов, значения которых передаются через {@link offer}
+    */
+    protected publishState: Map<string, PublishState>;
+    /**
+     * Предлагает значение для отправки в выход
+     *
+     * Значение отправляется (см. {@link publish}), если оно изменилось с учетом настроек
+     * публикации выхода (см. {@link PublishSettings}). Без настроек отправляется любое изменение.
+     * Вызывайте при каждом опросе - повторная отправка по `maxInterval` и отложенная
+     * по `minInterval` выполняются после опроса
+     *
+     * @param {string} port - Имя выхода
+     * @param {unknown} value - Значение
+     * @param {boolean} force - Отправить без проверок (например для опции eachGate)
+    */
+    offer(port: string, value: unknown, force?: boolean): void;
+    /**
+     * Задает начальное значение выхода (например значение в shares до первого опроса)
+     *
+     * Значение не отправляется - первое значение из {@link offer} сравнивается с ним,
+     * как с последним отправленным. Без начального значения первое значение отправляется всегда
+     *
+     * @param {string} port - Имя выхода
+     * @param {unknown} value - Начальное значение
+    */
+    offerInitial(port: string, value: unknown): void;
+    /**
+     * Настройки публикации выхода из опции `publishing` (настройки "*" дополняются настройками выхода)
+     *
+     * Наследник может переопределить метод, что бы задать свои значения по умолчанию
+    */
+    publishSettings(port: string): PublishSettings;
+    /**
+     * Отправляет отложенные изменения (`minInterval`) и повторяет значения без изменений (`maxInterval`)
+     *
+     * Выполняется после каждого успешного опроса
+    */
+    protected flushPublishing(): void;
+    protected publishOffered(port: string, state: PublishState): void;
+    /**
+     * Проверяет, выходит ли изменение значения за зону нечувствительности
+    */
+    protected isSignificant(old: unknown, value: unknown, settings: PublishSettings): boolean;
+    /**
+     * Обновляет количество пройденных порогов с учетом гистерезиса
+     *
+     * Возвращает true, если значение перешло через порог
+    */
+    protected updateLevel(state: PublishState, value: unknown, settings: PublishSettings): boolean;
+    /**
+     * Изменяет качество опубликованных значений
+     *
+     * При включенной опции `qualityPorts` измененные значения повторно отправляются в выходы
+    */
+    protected markQuality(quality: PublishedValue['quality']): void;
+    /**
+     * Возвращает статистику обмена, создавая ее при первом обращении
+    */
+    protected getStats(): ModbusStats;
+    /**
+     * Отправляет статистику в выход stats, если он включен опцией statsPort
+    */
+    protected pushStats(): void;
+    actionStatsReset(): Promise<{
+        result: string;
+    }>;
+    /**
+     * Время последнего успешного опроса групп
+    */
+    protected pollLast: Map<string, number>;
     /**
      * Основной метод для переопределния
+     *
+     * По умолчанию выполняет группы опроса из {@link pollGroups}, время которых подошло
     */
     update(): Promise<void>;
+    /**
+     * Группы опроса устройства
+     *
+     * Переопределите метод, что бы опрашивать разные данные с разной частотой.
+     * Интервал группы можно изменить опцией `pollIntervals`
+     *
+     * @example
+     * pollGroups() {
+     *   return {
+     *     status: { interval: 0, method: () => this.getStatus() },
+     *     settings: { interval: 60000, method: () => this.getSettings() },
+     *     info: { interval: 'online', method: () => this.getInfo() }
+     *   }
+     * }
+    */
+    pollGroups(): {
+        [name: string]: PollGroup;
+    };
+    /**
+     * Выполняет группы опроса, время которых подошло
+     *
+     * Между группами выполняется очередь. Время последнего успешного опроса
+     * каждой группы сохраняется в `shares.groups`. Ошибка группы прерывает опрос
+     * и пробрасывается выше - группа будет повторена при следующей передаче управления
+    */
+    runPollGroups(): Promise<void>;
+    /**
+     * Опросить группу при следующей передаче управления, не дожидаясь ее интервала
+     *
+     * @example
+     * // После записи настройки обновить группу настроек
+     * this.pollNow('settings')
+    */
+    pollNow(name: string): void;
+    /**
+     * Проверяет, подошло ли время опроса группы
+    */
+    protected isGroupDue(name: string, interval: number | 'online'): boolean;
     /**
      * Добавление в очередь задачи которая будет выполнена
      * как только появится возможно при наличии контроля
      *
      * Используется в экшенах
      *
+     * Задача отклоняется сразу, если очередь заполнена (опция `queueMax`) или
+     * устройство в состоянии `offline` (если включена опция `queueRejectOffline`). Пока состояние
+     * не известно (до первого успешного опроса или `offlineFailures` неудачных) задачи принимаются
+     *
+     * @param {Function} method - Метод задачи, должен вернуть Promise
+     * @param {QueueTaskOptions} options - Приоритет, время ожидания и ключ задачи
      * @example
      * sync actionSetDown(data) {
      * if (data.value > 2) data.value = 2;
@@ -59,14 +341,24 @@ export default class DeviceRTU extends Device {
      *   await this.actionAddQueue(async () => {
      *     // Код изменения...
      *     this.render();
-     *    });
+     *    }, { key: 'down' }); // Повторное нажатие заменит еще не выполненную запись
      * }
      */
-    actionAddQueue(method: () => any): Promise<unknown>;
+    actionAddQueue(method: () => any, options?: QueueTaskOptions): Promise<unknown>;
     /**
      * Проверка наличия заданий и выполнения их если они имеются
+     *
+     * Задачи выполняются по убыванию приоритета, при равном приоритете - в порядке добавления
      */
     runQueue(): Promise<void>;
+    /**
+     * Возвращает индекс ожидающей (еще не выполняемой) задачи с ключом
+    */
+    protected findQueueTask(key?: string): number | undefined;
+    /**
+     * Обновляет размер очереди в shares
+    */
+    protected updateQueueDepth(): void;
     /**
      * Выполняет упрощённый Modbus RTU-запрос через встроенный провайдер.
      *
@@ -82,12 +374,261 @@ export default class DeviceRTU extends Device {
      *   - Для 0x05/0x06: один элемент (число или булево).
      *   - Для 0x0F/0x10: массив значений (битов или 16-битных регистров).
      * @returns {Promise<{ data: Buffer; }>} Объект с полезной нагрузкой ответа (`data` — буфер без заголовков Modbus).
-     * @throws {Error} Если провайдер не подключён или запрос завершился неудачей.
+     * @throws {Error} Если провайдер не подключён, запрос завершился неудачей или устройство ответило исключением.
      */
-    simpleRequest(cmd: number, addr: number, quantity: number, writeData?: number[]): Promise<import("./classes/ModbusRTU").ModbusResponse>;
-    request(buffer: Buffer, maxRetries?: number): Promise<import("./classes/ModbusRTU").ModbusResponse>;
+    simpleRequest(cmd: number, addr: number, quantity: number, writeData?: number[]): Promise<ModbusResponse>;
+    /**
+     * Отправляет широковещательный запрос записи (адрес 0)
+     *
+     * На широковещательные запросы устройства не отвечают, поэтому ответ не ожидается.
+     * Промис завершается после отправки и паузы `turnaroundDelay`, которая
+     * нужна устройствам для выполнения команды перед следующим запросом.
+     *
+     * Допускаются только функции записи 0x05, 0x06, 0x0F, 0x10
+     *
+     * @param {number} cmd - Код функции записи
+     * @param {number} addr - Начальный адрес
+     * @param {number} quantity - Значение (0x05/0x06) или количество (0x0F/0x10)
+     * @param {Array<number>} [writeData] - Данные для 0x0F/0x10
+     * @example
+     * // Сброс счетчиков всех устройств линии
+     * await this.broadcast(0x06, 0x0100, 1)
+    */
+    broadcast(cmd: number, addr: number, quantity: number, writeData?: number[]): Promise<void>;
+    /**
+     * Отправляет готовый пакет без ожидания ответа и выдерживает паузу `turnaroundDelay`
+     *
+     * Ответ провайдера по таймауту в этом случае является нормальным завершением
+    */
+    sendBroadcast(buffer: Buffer): Promise<void>;
+    /**
+     * Проверяет, что ошибка провайдера - таймаут ожидания ответа
+     *
+     * Если провайдер не определяет таймаут сам (см. {@link ModbusProvider.isTimeout}),
+     * таймаутом считается ошибка, имя (`name`), код (`code`) или `vShort` которой
+     * содержит `timeout` или `ETIMEDOUT`. Остальные ошибки - например, нет соединения - таймаутом не являются
+     *
+     * @param {unknown} err - Ошибка провайдера
+    */
+    protected isProviderTimeout(err: unknown): boolean;
+    /**
+     * Формирует запрос для адреса устройства с учетом опции `framing`
+     *
+     * Параметры совпадают с {@link simpleRequest}
+     *
+     * @param {number} slaveId - Адрес устройства, по умолчанию опция `address`
+    */
+    makeRequest(cmd: number, addr: number, quantity: number, writeData?: number[], slaveId?: number): Buffer;
+    /**
+     * Фреймер Modbus, выбранный опцией `framing`
+    */
+    modbusFramer(): ModbusRTUFramer;
+    /**
+     * Фреймеры устройства по имени
+     *
+     * Наследник может добавить фреймеры служебных протоколов производителя,
+     * которые работают на той же линии (см. {@link frameRequest}):
+     *
+     * @example
+     * framers() {
+     *   return { ...super.framers(), service: new ServiceFramer() }
+     * }
+    */
+    framers(): {
+        [name: string]: ModbusFramer;
+    };
+    /**
+     * Фреймеры, полученные из {@link framers} при первом обращении
+    */
+    protected framerList?: {
+        [name: string]: ModbusFramer;
+    };
+    /**
+     * Возвращает фреймер по имени
+    */
+    getFramer(name: string): ModbusFramer;
+    /**
+     * Отправляет запрос фреймером `name` и возвращает разобранный ответ
+     *
+     * Обмен выполняется так же как для Modbus запросов: с повторами и учетом в статистике.
+     * Исключения Modbus не обрабатываются - это задача фреймера
+     *
+     * @param {string} name - Имя фреймера (см. {@link framers})
+     * @param {unknown} request - Запрос, который формирует фреймер
+     * @param {number} maxRetries - Количество попыток
+    */
+    frameRequest<Response = unknown>(name: string, request: unknown, maxRetries?: number): Promise<Response>;
+    /**
+     * Отправляет запрос фреймером `name` без ожидания ответа (см. {@link sendBroadcast})
+    */
+    frameBroadcast(name: string, request: unknown): Promise<void>;
+    /**
+     * Читает типизированное значение из holding (0x03) или input (0x04) регистров
+     *
+     * Количество регистров определяется типом данных
+     *
+     * @param {number} cmd - Код функции 0x03 или 0x04
+     * @param {number} addr - Адрес первого регистра значения
+     * @param {ModbusDataType} type - Тип данных (int16, uint32, float32, string ...)
+     * @param {ModbusTypeOptions} options - Порядок байт (`order`) и длина для string/bits
+     * @example
+     * const power = await this.readTyped(0x04, 0x0C, 'float32', { order: 'CDAB' })
+    */
+    readTyped(cmd: number, addr: number, type: ModbusDataType, options?: ModbusTypeOptions): Promise<ModbusValue>;
+    /**
+     * Записывает типизированное значение в holding регистры командой 0x10
+     *
+     * @param {number} addr - Адрес первого регистра значения
+     * @param {ModbusDataType} type - Тип данных
+     * @param {ModbusValue} value - Значение
+     * @param {ModbusTypeOptions} options - Порядок байт (`order`) и длина для string/bits
+     * @example
+     * await this.writeTyped(0x20, 'uint32', 100000, { order: 'CDAB' })
+    */
+    writeTyped(addr: number, type: ModbusDataType, value: ModbusValue, options?: ModbusTypeOptions): Promise<ModbusResponse>;
+    /**
+     * Записывает значения и проверяет их обратным чтением
+     *
+     * После записи 0x05/0x0F значения читаются функцией 0x01, после 0x06/0x10 - функцией 0x03.
+     * Если прочитанные значения не совпали с записанными (с учетом `tolerance` и `mask`),
+     * запись повторяется. Если после всех повторов значения не совпали -
+     * выбрасывается ошибка `V2MODBUS_WRITE_VERIFY_FAILED`
+     *
+     * Возвращает значения, которые устройство фактически приняло (результат чтения)
+     *
+     * @param {number} cmd - Код функции записи 0x05, 0x06, 0x0F, 0x10
+     * @param {number} addr - Начальный адрес
+     * @param {Array<number>} values - Записываемые значения (для 0x05/0x06 - один элемент)
+     * @param {WriteVerifyOptions} options - Допуск, маска и количество повторов
+     * @example
+     * // Устройство округляет значение до 5
+     * const [accepted] = await this.writeVerify(0x06, 0x30, [352], { tolerance: 5 })
+    */
+    writeVerify(cmd: number, addr: number, values: number[], options?: WriteVerifyOptions): Promise<number[]>;
+    /**
+     * Планирует чтение адресов области минимальным количеством запросов
+     * с учетом опций `readMaxGap` и `forbidden`
+     *
+     * @see ReadPlanner.plan
+    */
+    planRead(area: ModbusArea, addresses: Array<number>): Array<ReadBlock>;
+    /**
+     * Читает набор адресов области объединяя соседние адреса в общие запросы
+     *
+     * Возвращает значения по адресам: для регистров - беззнаковое 16-битное число,
+     * для coil/di - 0 или 1
+     *
+     * @param {ModbusArea} area - Область данных (coil, di, holding, input)
+     * @param {Array<number>} addresses - Нужные адреса
+     * @param {boolean} queue - Выполнять очередь перед каждым запросом
+     * @example
+     * const values = await this.readAddresses('holding', [0x00, 0x03, 0x30, 0x31, 0x32])
+     * const up = values.get(0x30)
+    */
+    readAddresses(area: ModbusArea, addresses: Array<number>, queue?: boolean): Promise<Map<number, number>>;
+    /**
+     * Отправляет готовый пакет и возвращает разобранный ответ
+     *
+     * Пакет должен быть сформирован в соответствии с опцией `framing`.
+     * Для Modbus TCP дополнительно проверяется совпадение идентификатора транзакции
+     *
+     * Если устройство ответило исключением ACKNOWLEDGE (0x05), завершение ожидается
+     * {@link waitAcknowledged} с проверкой `complete`. Для остальных исключений решение
+     * о повторе принимает {@link exceptionPolicy}. Если повтор не нужен - выбрасывается ошибка
+     * исключения (см. {@link ModbusException}) с адресом устройства, кодом функции и адресом
+     *
+     * @param {Buffer} buffer - Пакет запроса
+     * @param {number} maxRetries - Количество попыток
+     * @param {Function} [complete] - Проверка завершения запроса после ACKNOWLEDGE
+    */
+    request(buffer: Buffer, maxRetries?: number, complete?: () => Promise<boolean>): Promise<ModbusResponse>;
+    /**
+     * Ожидает завершения запроса, на который устройство ответило ACKNOWLEDGE (0x05)
+     *
+     * Устройство приняло запрос и выполняет его долго, поэтому запрос записи повторно
+     * не отправляется. Каждые `ackInterval` мс вызывается проверка завершения `complete`,
+     * пока она не вернет true. Без проверки завершения:
+     *  - запрос чтения (0x01 - 0x04) повторяется каждые `ackInterval` мс, пока устройство
+     *    не ответит без исключения - повтор чтения безопасен
+     *  - для остальных запросов сразу выбрасывается ошибка исключения ACKNOWLEDGE
+     *
+     * Если за `ackTimeout` мс запрос не завершился - выбрасывается ошибка исключения ACKNOWLEDGE.
+     * После завершения по проверке `complete` возвращается ответ ACKNOWLEDGE
+     *
+     * @param {Buffer} buffer - Пакет запроса
+     * @param {ModbusResponse} ack - Ответ ACKNOWLEDGE
+     * @param {number} maxRetries - Количество попыток
+     * @param {Function} [complete] - Проверка завершения запроса
+    */
+    protected waitAcknowledged(buffer: Buffer, ack: ModbusResponse, maxRetries: number, complete?: () => Promise<boolean>): Promise<ModbusResponse>;
+    /**
+     * Формирует ошибку исключения из ответа устройства
+    */
+    protected makeException(buffer: Buffer, resp: ModbusResponse): any;
+    /**
+     * Политика обработки исключения в ответе устройства
+     *
+     * Возвращает задержку в мс перед повторной отправкой того же запроса
+     * или -1, если нужно выбросить ошибку исключения.
+     *
+     * По умолчанию:
+     *  - SLAVE DEVICE BUSY (0x06) - устройство не начало выполнять запрос, повтор
+     *    через `busyDelay` мс, не более `busyRetries` раз
+     *  - Остальные исключения выбрасываются сразу
+     *
+     * ACKNOWLEDGE (0x05) сюда не передается - запрос уже принят устройством, см. {@link waitAcknowledged}
+     *
+     * Метод можно переопределить для устройств с особым поведением
+     *
+     * @param {number} exceptionCode - Код исключения
+     * @param {number} count - Сколько раз это исключение получено на запрос (начиная с 1)
+    */
+    exceptionPolicy(exceptionCode: number, count: number): number;
+    /**
+     * Отправляет пакет и разбирает ответ без обработки исключений
+     *
+     * Ответ проверяется на соответствие запросу (см. {@link ModbusRTUFramer.validate}):
+     * ответ другого устройства, на другую функцию, с неверным количеством данных
+     * или неверным эхом записи считается ошибкой
+     *
+     * @param {Buffer} buffer - Пакет запроса
+     * @param {number} maxRetries - Количество попыток
+    */
+    protected transfer(buffer: Buffer, maxRetries: number): Promise<ModbusResponse>;
+    /**
+     * Отправляет пакет через провайдер, разбирает и проверяет ответ фреймером
+     *
+     * Ошибка разбора учитывается в статистике как ошибка CRC, ошибка проверки - как неверный ответ
+    */
+    protected exchange<Response>(framer: ModbusFramer<unknown, Response>, buffer: Buffer, maxRetries: number): Promise<Response>;
+    /**
+     * Отправляет пакет через провайдер и возвращает полученный пакет ответа
+     *
+     * Ошибка провайдера (нет ответа) учитывается в статистике как таймаут. Если `timeoutError`
+     * возвращает ошибку для принятых данных - выбрасывается она и учитывается как неверный ответ
+    */
+    protected send(buffer: Buffer, maxRetries: number, check: (data: Buffer) => boolean, timeoutError?: (data: Buffer) => Error | undefined): Promise<Buffer>;
+    /**
+     * Разбирает пакет ответа, ошибка разбора учитывается в статистике как ошибка CRC
+    */
+    protected parse<T>(parser: () => T): T;
+    /**
+     * Возвращает кадр запроса [slave][func][данные...] без обрамления и контрольной суммы
+    */
+    protected requestFrame(buffer: Buffer): Buffer;
+    /**
+     * Проверяет, что пакет запроса широковещательный (адрес 0)
+     *
+     * В Modbus TCP адрес 0 (unit id) - обычный адрес устройства за шлюзом, такие запросы ждут ответ
+    */
+    protected isBroadcast(buffer: Buffer): boolean;
+    /**
+     * Возвращает начальный адрес из пакета запроса (если он есть у функции)
+    */
+    protected requestAddress(buffer: Buffer): number | undefined;
     /**
      * Возвращет следующий индекс очереди
     */
     protected getQueueIndex(): number;
 }
+export {};
@@ -11,6 +11,20 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
 Object.defineProperty(exports, "__esModule", { value: true });
 const vrack2_core_1 = require("vrack2-core");
 const ModbusRTU_1 = require("./classes/ModbusRTU");
+const ModbusException_1 = require("./classes/ModbusException");
+const ModbusStats_1 = require("./classes/ModbusStats");
+const ModbusTypes_1 = require("./classes/ModbusTypes");
+const ReadPlanner_1 = require("./classes/ReadPlanner");
+const ModbusFramer_1 = require("./classes/ModbusFramer");
+vrack2_core_1.ErrorManager.register('DeviceRTU', 'P3WX9LCE7', 'V2MODBUS_FRAMING_UNKNOWN', 'Unknown Modbus framing, expected rtu, tcp or ascii');
+vrack2_core_1.ErrorManager.register('DeviceRTU', 'Q9KB4TZWH', 'V2MODBUS_BROADCAST_FUNCTION_INVALID', 'Only write functions 0x05, 0x06, 0x0F, 0x10 can be broadcast');
+vrack2_core_1.ErrorManager.register('DeviceRTU', 'L7EJ2NRXC', 'V2MODBUS_BROADCAST_NO_RESPONSE', 'Request to address 0 has no response, use broadcast instead');
+vrack2_core_1.ErrorManager.register('DeviceRTU', 'H2VRM8UKT', 'V2MODBUS_QUEUE_TIMEOUT', 'Queue task was not executed before its deadline');
+vrack2_core_1.ErrorManager.register('DeviceRTU', 'Y5CFA1ZQD', 'V2MODBUS_QUEUE_FULL', 'Queue is full');
+vrack2_core_1.ErrorManager.register('DeviceRTU', 'E0NTK6WLS', 'V2MODBUS_DEVICE_OFFLINE', 'Device is offline, queue task rejected');
+vrack2_core_1.ErrorManager.register('DeviceRTU', 'U3GPD7SNB', 'V2MODBUS_WRITE_VERIFY_FAILED', 'Value read back after write does not match the written value');
+vrack2_core_1.ErrorManager.register('DeviceRTU', 'A6ZJX4CEQ', 'V2MODBUS_WRITE_FUNCTION_INVALID', 'Write function must be 0x05, 0x06, 0x0F or 0x10');
+vrack2_core_1.ErrorManager.register('DeviceRTU', 'G4MSH9PVJ', 'V2MODBUS_FRAMER_UNKNOWN', 'Framer with this name is not registered by the device');
 class DeviceRTU extends vrack2_core_1.Device {
     constructor() {
         super(...arguments);
@@ -25,17 +39,67 @@ class DeviceRTU extends vrack2_core_1.Device {
         this.queue = new Map();
         this.queueIndex = 1;
         this.offlineTimer = 0;
+        /**
+         * Количество неудачных опросов подряд
+        */
+        this.failures = 0;
+        /**
+         * Сколько передач управления еще пропустить (экспоненциальная задержка для устройства оффлайн)
+        */
+        this.skipTurns = 0;
+        /**
+         * Состояние публикации выходов, значения которых передаются через {@link offer}
+        */
+        this.publishState = new Map();
+        /**
+         * Время последнего успешного опроса групп
+        */
+        this.pollLast = new Map();
     }
     inputs() {
         return {
             bus: vrack2_core_1.Port.return().description('Порт для получения класса TCPProvider vrack2-net.ConverterClient')
         };
     }
+    outputs() {
+        return Object.assign({ online: vrack2_core_1.Port.standart().description('Время перехода устройства в онлайн'), offline: vrack2_core_1.Port.standart().description('Время перехода устройства в оффлайн') }, (this.options.statsPort ? {
+            stats: vrack2_core_1.Port.standart().description('Статистика обмена после каждого опроса')
+        } : {}));
+    }
+    actions() {
+        return {
+            'stats.reset': vrack2_core_1.Action.global().requirements({}).description('Сброс статистики обмена'),
+        };
+    }
     checkOptions() {
         return {
             address: vrack2_core_1.Rule.number().integer().default(1).min(0).max(254).description('Адрес устройства').example(0),
             timeout: vrack2_core_1.Rule.number().integer().default(700).min(0).description('Таймаут запроса в мс').example(0),
-            offTimeout: vrack2_core_1.Rule.number().integer().min(0).default(30000).description('Таймаут неприхода провайдера после которого считается что устройство оффлайн')
+            offTimeout: vrack2_core_1.Rule.number().integer().min(0).default(30000).description('Таймаут неприхода провайдера после которого считается что устройство оффлайн'),
+            offlineFailures: vrack2_core_1.Rule.number().integer().min(1).default(3).description('Количество неудачных опросов подряд, после которого устройство считается оффлайн'),
+            backoffMax: vrack2_core_1.Rule.number().integer().min(0).default(32).description('Максимальное количество пропускаемых передач управления для устройства оффлайн (0 - не пропускать)'),
+            qualityPorts: vrack2_core_1.Rule.boolean().default(false).description('Отправлять в выходы значения вида { value, time, quality }, при переходе в оффлайн повторно отправлять их с quality: stale'),
+            publishing: vrack2_core_1.Rule.object().default({}).description('Настройки публикации по имени выхода ("*" - для всех выходов): { "ai1": { "deadband": 0.5, "minInterval": 1000, "maxInterval": 60000 } }'),
+            framing: vrack2_core_1.Rule.string().default('rtu').description('Тип кадра Modbus: rtu - Modbus RTU (CRC16), tcp - Modbus TCP (MBAP заголовок), ascii - Modbus ASCII (LRC)').example('tcp'),
+            readMaxGap: vrack2_core_1.Rule.number().integer().min(0).default(0).description('Максимальное количество лишних адресов, которые можно прочитать ради объединения запросов'),
+            forbidden: vrack2_core_1.Rule.array().content(vrack2_core_1.Rule.object().fields({
+                area: vrack2_core_1.Rule.string().description('Область: coil, di, holding, input. Если не указана - диапазон запрещен во всех областях'),
+                start: vrack2_core_1.Rule.number().integer().min(0).max(0xFFFF).description('Первый запрещенный адрес'),
+                end: vrack2_core_1.Rule.number().integer().min(0).max(0xFFFF).description('Последний запрещенный адрес'),
+            })).default([]).description('Диапазоны адресов, которые нельзя читать (при объединении запросов)'),
+            turnaroundDelay: vrack2_core_1.Rule.number().integer().min(0).default(100).description('Пауза в мс после широковещательного запроса, перед следующим запросом'),
+            pollIntervals: vrack2_core_1.Rule.object().default({}).description('Переопределение интервалов групп опроса в мс: { "settings": 300000 }'),
+            queueMax: vrack2_core_1.Rule.number().integer().min(1).default(100).description('Максимальное количество задач в очереди'),
+            queueTimeout: vrack2_core_1.Rule.number().integer().min(0).default(30000).description('Время в мс, за которое задача очереди должна начать выполняться (0 - без ограничения)'),
+            queueRejectOffline: vrack2_core_1.Rule.boolean().default(false).description('Сразу отклонять новые задачи очереди, пока устройство в состоянии offline'),
+            verifyRetries: vrack2_core_1.Rule.number().integer().min(0).default(2).description('Количество повторов записи, если прочитанное значение не совпало с записанным (writeVerify)'),
+            verifyDelay: vrack2_core_1.Rule.number().integer().min(0).default(0).description('Пауза в мс между записью и проверочным чтением (writeVerify)'),
+            statsWindow: vrack2_core_1.Rule.number().integer().min(1).default(100).description('Количество последних запросов для расчета времени ответа'),
+            statsPort: vrack2_core_1.Rule.boolean().default(false).description('Отправлять статистику обмена в выход stats после каждого опроса'),
+            busyRetries: vrack2_core_1.Rule.number().integer().min(0).default(3).description('Количество повторов запроса при исключении SLAVE DEVICE BUSY (0x06)'),
+            busyDelay: vrack2_core_1.Rule.number().integer().min(0).default(200).description('Задержка в мс перед повтором запроса при исключении SLAVE DEVICE BUSY (0x06)'),
+            ackInterval: vrack2_core_1.Rule.number().integer().min(1).default(500).description('Интервал в мс проверки завершения запроса после исключения ACKNOWLEDGE (0x05)'),
+            ackTimeout: vrack2_core_1.Rule.number().integer().min(0).default(10000).description('Максимальное время в мс ожидания завершения после исключения ACKNOWLEDGE (0x05)')
         };
     }
     /**
@@ -49,18 +113,26 @@ class DeviceRTU extends vrack2_core_1.Device {
             if (this.shares.process)
                 return; // Такого по хорошему быть не должно
             this.Provider = provider;
+            if (this.skipTurns > 0) { // Устройство оффлайн - не занимаем шину
+                this.skipTurns--;
+                return;
+            }
             this.Provider.canRequest();
             this.iGate();
             try {
                 yield this.runQueue();
                 yield this.update();
-                this.shares.online = true;
             }
             catch (err) {
-                this.shares.online = false;
+                this.failure();
                 this.error('Update device error', err);
+                this.shares.process = false;
+                this.pushStats();
+                this.render();
                 throw err;
             }
+            this.failures = 0;
+            this.setState('online');
             this.oGate();
         });
     }
@@ -70,7 +142,9 @@ class DeviceRTU extends vrack2_core_1.Device {
     iGate() {
         if (this.offlineTimer)
             clearTimeout(this.offlineTimer); // Очищаем таймер оффлайна
-        this.shares.progress = true;
+        this.shares.stats = this.getStats().data;
+        this.updateQueueDepth();
+        this.shares.process = true;
         this.render();
     }
     /**
@@ -79,24 +153,311 @@ class DeviceRTU extends vrack2_core_1.Device {
     oGate() {
         this.offlineTimer = setTimeout(() => {
             this.offlineTimer = 0;
-            this.shares.online = false;
+            this.setState('offline');
         }, this.options.offTimeout);
-        this.shares.progress = false;
+        this.shares.process = false;
+        this.flushPublishing();
+        this.pushStats();
+        this.render();
+    }
+    /**
+     * Учитывает неудачный опрос
+     *
+     * Пока неудачных опросов подряд меньше `offlineFailures` - устройство в состоянии `degraded`,
+     * дальше - `offline`. Устройство оффлайн пропускает 1, 2, 4 ... (не более `backoffMax`)
+     * передач управления, что бы не занимать шину таймаутами
+    */
+    failure() {
+        this.failures++;
+        const over = this.failures - this.options.offlineFailures;
+        if (over < 0) {
+            if (this.shares.state === 'online' || this.shares.state === 'degraded')
+                this.setState('degraded');
+            return;
+        }
+        this.setState('offline');
+        if (this.options.backoffMax)
+            this.skipTurns = Math.min(2 ** over, this.options.backoffMax);
+    }
+    /**
+     * Изменяет состояние связи с устройством
+     *
+     * При переходе в оффлайн отправляется событие в выход `offline` и все опубликованные
+     * значения помечаются устаревшими. При выходе из оффлайна - событие в выход `online`,
+     * значения, которые не изменились за время оффлайна, снова помечаются актуальными
+     *
+     * Наследник может не объявлять выходы `online` и `offline` (переопределить `outputs()` без
+     * `super.outputs()`) - тогда события не отправляются
+    */
+    setState(state) {
+        var _a, _b, _c;
+        const prev = (_a = this.shares.state) !== null && _a !== void 0 ? _a : 'offline';
+        this.shares.state = state;
+        this.shares.online = state !== 'offline';
+        if (prev === state)
+            return;
+        this.shares.stateTime = Date.now();
+        if (state === 'offline') {
+            this.markQuality('stale');
+            (_b = this.ports.output.offline) === null || _b === void 0 ? void 0 : _b.push(this.shares.stateTime);
+        }
+        else if (prev === 'offline') {
+            this.markQuality('good');
+            (_c = this.ports.output.online) === null || _c === void 0 ? void 0 : _c.push(this.shares.stateTime);
+        }
         this.render();
     }
+    /**
+     * Отправляет значение в выход и сохраняет его со временем и качеством в `shares.published`
+     *
+     * Используйте вместо `this.ports.output[port].push(value)` для значений, полученных из устройства
+     *
+     * @param {string} port - Имя выхода
+     * @param {unknown} value - Значение
+    */
+    publish(port, value) {
+        const item = { value, time: Date.now(), quality: 'good' };
+        if (!this.shares.published)
+            this.shares.published = {};
+        this.shares.published[port] = item;
+        this.ports.output[port].push(this.options.qualityPorts ? Object.assign({}, item) : value);
+    }
+    /**
+     * Предлагает значение для отправки в выход
+     *
+     * Значение отправляется (см. {@link publish}), если оно изменилось с учетом настроек
+     * публикации выхода (см. {@link PublishSettings}). Без настроек отправляется любое изменение.
+     * Вызывайте при каждом опросе - повторная отправка по `maxInterval` и отложенная
+     * по `minInterval` выполняются после опроса
+     *
+     * @param {string} port - Имя выхода
+     * @param {unknown} value - Значение
+     * @param {boolean} force - Отправить без проверок (например для опции eachGate)
+    */
+    offer(port, value, force = false) {
+        var _a, _b, _c;
+        const settings = this.publishSettings(port);
+        const state = (_a = this.publishState.get(port)) !== null && _a !== void 0 ? _a : { value, pending: false };
+        this.publishState.set(port, state);
+        state.value = value;
+        const crossed = this.updateLevel(state, value, settings);
+        const last = (_c = (_b = this.shares.published) === null || _b === void 0 ? void 0 : _b[port]) !== null && _c !== void 0 ? _c : state.initial;
+        if (!last || force || crossed)
+            return this.publishOffered(port, state);
+        if (!this.isSignificant(last.value, value, settings)) {
+            state.pending = false;
+            return;
+        }
+        if (settings.minInterval && Date.now() - last.time < settings.minInterval) {
+            state.pending = true;
+            return;
+        }
+        this.publishOffered(port, state);
+    }
+    /**
+     * Задает начальное значение выхода (например значение в shares до первого опроса)
+     *
+     * Значение не отправляется - первое значение из {@link offer} сравнивается с ним,
+     * как с последним отправленным. Без начального значения первое значение отправляется всегда
+     *
+     * @param {string} port - Имя выхода
+     * @param {unknown} value - Начальное значение
+    */
+    offerInitial(port, value) {
+        this.publishState.set(port, { value, pending: false, initial: { value, time: 0, quality: 'good' } });
+    }
+    /**
+     * Настройки публикации выхода из опции `publishing` (настройки "*" дополняются настройками выхода)
+     *
+     * Наследник может переопределить метод, что бы задать свои значения по умолчанию
+    */
+    publishSettings(port) {
+        var _a;
+        const publishing = (_a = this.options.publishing) !== null && _a !== void 0 ? _a : {};
+        return Object.assign(Object.assign({}, publishing['*']), publishing[port]);
+    }
+    /**
+     * Отправляет отложенные изменения (`minInterval`) и повторяет значения без изменений (`maxInterval`)
+     *
+     * Выполняется после каждого успешного опроса
+    */
+    flushPublishing() {
+        var _a, _b, _c;
+        const now = Date.now();
+        for (const [port, state] of this.publishState) {
+            const last = (_b = (_a = this.shares.published) === null || _a === void 0 ? void 0 : _a[port]) !== null && _b !== void 0 ? _b : state.initial;
+            if (!last)
+                continue;
+            const settings = this.publishSettings(port);
+            const elapsed = now - last.time;
+            if ((state.pending && elapsed >= ((_c = settings.minInterval) !== null && _c !== void 0 ? _c : 0)) ||
+                (settings.maxInterval && elapsed >= settings.maxInterval))
+                this.publishOffered(port, state);
+        }
+    }
+    publishOffered(port, state) {
+        state.pending = false;
+        this.publish(port, state.value);
+    }
+    /**
+     * Проверяет, выходит ли изменение значения за зону нечувствительности
+    */
+    isSignificant(old, value, settings) {
+        var _a;
+        if (typeof old !== 'number' || typeof value !== 'number')
+            return JSON.stringify(old) !== JSON.stringify(value);
+        const delta = Math.abs(value - old);
+        if (delta <= ((_a = settings.deadband) !== null && _a !== void 0 ? _a : 0))
+            return false;
+        if (settings.deadbandPercent && delta <= Math.abs(old) * settings.deadbandPercent / 100)
+            return false;
+        return true;
+    }
+    /**
+     * Обновляет количество пройденных порогов с учетом гистерезиса
+     *
+     * Возвращает true, если значение перешло через порог
+    */
+    updateLevel(state, value, settings) {
+        var _a, _b;
+        if (!((_a = settings.thresholds) === null || _a === void 0 ? void 0 : _a.length) || typeof value !== 'number')
+            return false;
+        const thresholds = [...settings.thresholds].sort((a, b) => a - b);
+        const hysteresis = (_b = settings.hysteresis) !== null && _b !== void 0 ? _b : 0;
+        const prev = state.level;
+        let level = prev !== null && prev !== void 0 ? prev : thresholds.filter(threshold => value >= threshold).length;
+        while (level < thresholds.length && value >= thresholds[level])
+            level++;
+        while (level > 0 && value < thresholds[level - 1] - hysteresis)
+            level--;
+        state.level = level;
+        return prev !== undefined && prev !== level;
+    }
+    /**
+     * Изменяет качество опубликованных значений
+     *
+     * При включенной опции `qualityPorts` измененные значения повторно отправляются в выходы
+    */
+    markQuality(quality) {
+        var _a;
+        const values = (_a = this.shares.published) !== null && _a !== void 0 ? _a : {};
+        for (const port of Object.keys(values)) {
+            if (values[port].quality === quality)
+                continue;
+            values[port].quality = quality;
+            if (this.options.qualityPorts)
+                this.ports.output[port].push(Object.assign({}, values[port]));
+        }
+    }
+    /**
+     * Возвращает статистику обмена, создавая ее при первом обращении
+    */
+    getStats() {
+        if (!this.stats)
+            this.stats = new ModbusStats_1.ModbusStats(this.options.statsWindow);
+        return this.stats;
+    }
+    /**
+     * Отправляет статистику в выход stats, если он включен опцией statsPort
+    */
+    pushStats() {
+        var _a;
+        if (this.options.statsPort)
+            (_a = this.ports.output.stats) === null || _a === void 0 ? void 0 : _a.push(Object.assign({}, this.getStats().data));
+    }
+    actionStatsReset() {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.getStats().reset();
+            this.render();
+            return { result: 'success' };
+        });
+    }
     /**
      * Основной метод для переопределния
+     *
+     * По умолчанию выполняет группы опроса из {@link pollGroups}, время которых подошло
     */
     update() {
         return __awaiter(this, void 0, void 0, function* () {
+            yield this.runPollGroups();
+        });
+    }
+    /**
+     * Группы опроса устройства
+     *
+     * Переопределите метод, что бы опрашивать разные данные с разной частотой.
+     * Интервал группы можно изменить опцией `pollIntervals`
+     *
+     * @example
+     * pollGroups() {
+     *   return {
+     *     status: { interval: 0, method: () => this.getStatus() },
+     *     settings: { interval: 60000, method: () => this.getSettings() },
+     *     info: { interval: 'online', method: () => this.getInfo() }
+     *   }
+     * }
+    */
+    pollGroups() {
+        return {};
+    }
+    /**
+     * Выполняет группы опроса, время которых подошло
+     *
+     * Между группами выполняется очередь. Время последнего успешного опроса
+     * каждой группы сохраняется в `shares.groups`. Ошибка группы прерывает опрос
+     * и пробрасывается выше - группа будет повторена при следующей передаче управления
+    */
+    runPollGroups() {
+        var _a, _b;
+        return __awaiter(this, void 0, void 0, function* () {
+            const groups = this.pollGroups();
+            const intervals = (_a = this.options.pollIntervals) !== null && _a !== void 0 ? _a : {};
+            if (!this.shares.groups)
+                this.shares.groups = {};
+            for (const name of Object.keys(groups)) {
+                const interval = (_b = intervals[name]) !== null && _b !== void 0 ? _b : groups[name].interval;
+                if (!this.isGroupDue(name, interval))
+                    continue;
+                yield this.runQueue();
+                yield groups[name].method();
+                this.pollLast.set(name, Date.now());
+                this.shares.groups[name] = this.pollLast.get(name);
+            }
         });
     }
+    /**
+     * Опросить группу при следующей передаче управления, не дожидаясь ее интервала
+     *
+     * @example
+     * // После записи настройки обновить группу настроек
+     * this.pollNow('settings')
+    */
+    pollNow(name) {
+        this.pollLast.delete(name);
+    }
+    /**
+     * Проверяет, подошло ли время опроса группы
+    */
+    isGroupDue(name, interval) {
+        const last = this.pollLast.get(name);
+        if (last === undefined)
+            return true;
+        if (interval === 'online')
+            return !this.shares.online;
+        return Date.now() - last >= interval;
+    }
     /**
      * Добавление в очередь задачи которая будет выполнена
      * как только появится возможно при наличии контроля
      *
      * Используется в экшенах
      *
+     * Задача отклоняется сразу, если очередь заполнена (опция `queueMax`) или
+     * устройство в состоянии `offline` (если включена опция `queueRejectOffline`). Пока состояние
+     * не известно (до первого успешного опроса или `offlineFailures` неудачных) задачи принимаются
+     *
+     * @param {Function} method - Метод задачи, должен вернуть Promise
+     * @param {QueueTaskOptions} options - Приоритет, время ожидания и ключ задачи
      * @example
      * sync actionSetDown(data) {
      * if (data.value > 2) data.value = 2;
@@ -104,26 +465,61 @@ class DeviceRTU extends vrack2_core_1.Device {
      *   await this.actionAddQueue(async () => {
      *     // Код изменения...
      *     this.render();
-     *    });
+     *    }, { key: 'down' }); // Повторное нажатие заменит еще не выполненную запись
      * }
      */
-    actionAddQueue(method) {
+    actionAddQueue(method, options = {}) {
         return new Promise((resolve, reject) => {
-            this.queue.set(this.getQueueIndex(), { resolve, reject, method });
+            var _a, _b;
+            if (this.options.queueRejectOffline && this.shares.state === 'offline') {
+                return reject(vrack2_core_1.ErrorManager.make('V2MODBUS_DEVICE_OFFLINE'));
+            }
+            const task = { resolve, reject, method, priority: (_a = options.priority) !== null && _a !== void 0 ? _a : 0, key: options.key };
+            const replaced = this.findQueueTask(options.key);
+            if (replaced !== undefined) {
+                const old = this.queue.get(replaced);
+                clearTimeout(old.timer);
+                this.queue.delete(replaced);
+                task.priority = Math.max(task.priority, old.priority);
+                task.resolve = (value) => { old.resolve(value); resolve(value); };
+                task.reject = (err) => { old.reject(err); reject(err); };
+            }
+            else if (this.queue.size >= this.options.queueMax) {
+                return reject(vrack2_core_1.ErrorManager.make('V2MODBUS_QUEUE_FULL', { size: this.queue.size }));
+            }
+            const index = this.getQueueIndex();
+            const timeout = (_b = options.timeout) !== null && _b !== void 0 ? _b : this.options.queueTimeout;
+            if (timeout)
+                task.timer = setTimeout(() => {
+                    this.queue.delete(index);
+                    this.updateQueueDepth();
+                    task.reject(vrack2_core_1.ErrorManager.make('V2MODBUS_QUEUE_TIMEOUT', { timeout, key: task.key }));
+                }, timeout);
+            this.queue.set(index, task);
+            this.updateQueueDepth();
         });
     }
     /**
      * Проверка наличия заданий и выполнения их если они имеются
+     *
+     * Задачи выполняются по убыванию приоритета, при равном приоритете - в порядке добавления
      */
     runQueue() {
         return __awaiter(this, void 0, void 0, function* () {
             if (!this.queue.size)
                 return;
-            const keys = [...this.queue.keys()]; // Создаем новый список - это важно
+            // Создаем новый список - это важно
+            const keys = [...this.queue.keys()].sort((a, b) => {
+                const pa = this.queue.get(a).priority;
+                const pb = this.queue.get(b).priority;
+                return (pb - pa) || (a - b);
+            });
             for (const key of keys) {
                 const value = this.queue.get(key);
                 if (value === undefined)
-                    continue;
+                    continue; // Задача заменена или истекла
+                clearTimeout(value.timer);
+                value.running = true;
                 try {
                     value.resolve(yield value.method());
                 }
@@ -131,9 +527,27 @@ class DeviceRTU extends vrack2_core_1.Device {
                     value.reject(err);
                 }
                 this.queue.delete(key);
+                this.updateQueueDepth();
             }
         });
     }
+    /**
+     * Возвращает индекс ожидающей (еще не выполняемой) задачи с ключом
+    */
+    findQueueTask(key) {
+        if (key === undefined)
+            return undefined;
+        for (const [index, task] of this.queue)
+            if (task.key === key && !task.running)
+                return index;
+        return undefined;
+    }
+    /**
+     * Обновляет размер очереди в shares
+    */
+    updateQueueDepth() {
+        this.shares.queue = this.queue.size;
+    }
     /**
      * Выполняет упрощённый Modbus RTU-запрос через встроенный провайдер.
      *
@@ -149,20 +563,487 @@ class DeviceRTU extends vrack2_core_1.Device {
      *   - Для 0x05/0x06: один элемент (число или булево).
      *   - Для 0x0F/0x10: массив значений (битов или 16-битных регистров).
      * @returns {Promise<{ data: Buffer; }>} Объект с полезной нагрузкой ответа (`data` — буфер без заголовков Modbus).
-     * @throws {Error} Если провайдер не подключён или запрос завершился неудачей.
+     * @throws {Error} Если провайдер не подключён, запрос завершился неудачей или устройство ответило исключением.
      */
     simpleRequest(cmd, addr, quantity, writeData) {
-        const req = ModbusRTU_1.ModbusRTU.makeRequest(this.options.address, cmd, addr, quantity, writeData);
+        const req = this.makeRequest(cmd, addr, quantity, writeData);
         return this.request(req);
     }
-    request(buffer, maxRetries = 3) {
+    /**
+     * Отправляет широковещательный запрос записи (адрес 0)
+     *
+     * На широковещательные запросы устройства не отвечают, поэтому ответ не ожидается.
+     * Промис завершается после отправки и паузы `turnaroundDelay`, которая
+     * нужна устройствам для выполнения команды перед следующим запросом.
+     *
+     * Допускаются только функции записи 0x05, 0x06, 0x0F, 0x10
+     *
+     * @param {number} cmd - Код функции записи
+     * @param {number} addr - Начальный адрес
+     * @param {number} quantity - Значение (0x05/0x06) или количество (0x0F/0x10)
+     * @param {Array<number>} [writeData] - Данные для 0x0F/0x10
+     * @example
+     * // Сброс счетчиков всех устройств линии
+     * await this.broadcast(0x06, 0x0100, 1)
+    */
+    broadcast(cmd, addr, quantity, writeData) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!DeviceRTU.BROADCAST_CODES.includes(cmd))
+                throw vrack2_core_1.ErrorManager.make('V2MODBUS_BROADCAST_FUNCTION_INVALID', { cmd });
+            yield this.sendBroadcast(this.makeRequest(cmd, addr, quantity, writeData, 0));
+        });
+    }
+    /**
+     * Отправляет готовый пакет без ожидания ответа и выдерживает паузу `turnaroundDelay`
+     *
+     * Ответ провайдера по таймауту в этом случае является нормальным завершением
+    */
+    sendBroadcast(buffer) {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.Provider.setPkgCheck(() => false);
+            this.getStats().broadcast();
+            try {
+                yield this.Provider.autoRequest(buffer, this.options.turnaroundDelay, 1);
+            }
+            catch (err) {
+                // Ответа на широковещательный запрос нет - таймаут ожидаем, остальные ошибки пробрасываются
+                if (!this.isProviderTimeout(err))
+                    throw err;
+            }
+        });
+    }
+    /**
+     * Проверяет, что ошибка провайдера - таймаут ожидания ответа
+     *
+     * Если провайдер не определяет таймаут сам (см. {@link ModbusProvider.isTimeout}),
+     * таймаутом считается ошибка, имя (`name`), код (`code`) или `vShort` которой
+     * содержит `timeout` или `ETIMEDOUT`. Остальные ошибки - например, нет соединения - таймаутом не являются
+     *
+     * @param {unknown} err - Ошибка провайдера
+    */
+    isProviderTimeout(err) {
+        if (this.Provider.isTimeout)
+            return this.Provider.isTimeout(err);
+        const { name, code, vShort } = (err !== null && err !== void 0 ? err : {});
+        return [name, code, vShort].some(id => typeof id === 'string' && /time[_-]?out|timedout/i.test(id));
+    }
+    /**
+     * Формирует запрос для адреса устройства с учетом опции `framing`
+     *
+     * Параметры совпадают с {@link simpleRequest}
+     *
+     * @param {number} slaveId - Адрес устройства, по умолчанию опция `address`
+    */
+    makeRequest(cmd, addr, quantity, writeData, slaveId = this.options.address) {
+        return this.modbusFramer().encode({ slaveId, functionCode: cmd, address: addr, quantity, writeData });
+    }
+    /**
+     * Фреймер Modbus, выбранный опцией `framing`
+    */
+    modbusFramer() {
+        const framer = DeviceRTU.FRAMERS[this.options.framing];
+        if (!framer)
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_FRAMING_UNKNOWN', { framing: this.options.framing });
+        return framer;
+    }
+    /**
+     * Фреймеры устройства по имени
+     *
+     * Наследник может добавить фреймеры служебных протоколов производителя,
+     * которые работают на той же линии (см. {@link frameRequest}):
+     *
+     * @example
+     * framers() {
+     *   return { ...super.framers(), service: new ServiceFramer() }
+     * }
+    */
+    framers() {
+        return { modbus: this.modbusFramer() };
+    }
+    /**
+     * Возвращает фреймер по имени
+    */
+    getFramer(name) {
+        if (!this.framerList)
+            this.framerList = this.framers();
+        const framer = this.framerList[name];
+        if (!framer)
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_FRAMER_UNKNOWN', { framer: name });
+        return framer;
+    }
+    /**
+     * Отправляет запрос фреймером `name` и возвращает разобранный ответ
+     *
+     * Обмен выполняется так же как для Modbus запросов: с повторами и учетом в статистике.
+     * Исключения Modbus не обрабатываются - это задача фреймера
+     *
+     * @param {string} name - Имя фреймера (см. {@link framers})
+     * @param {unknown} request - Запрос, который формирует фреймер
+     * @param {number} maxRetries - Количество попыток
+    */
+    frameRequest(name, request, maxRetries = 3) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const framer = this.getFramer(name);
+            const stats = this.getStats();
+            const start = Date.now();
+            stats.request();
+            const resp = yield this.exchange(framer, framer.encode(request), maxRetries);
+            stats.success(Date.now() - start);
+            return resp;
+        });
+    }
+    /**
+     * Отправляет запрос фреймером `name` без ожидания ответа (см. {@link sendBroadcast})
+    */
+    frameBroadcast(name, request) {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.sendBroadcast(this.getFramer(name).encode(request));
+        });
+    }
+    /**
+     * Читает типизированное значение из holding (0x03) или input (0x04) регистров
+     *
+     * Количество регистров определяется типом данных
+     *
+     * @param {number} cmd - Код функции 0x03 или 0x04
+     * @param {number} addr - Адрес первого регистра значения
+     * @param {ModbusDataType} type - Тип данных (int16, uint32, float32, string ...)
+     * @param {ModbusTypeOptions} options - Порядок байт (`order`) и длина для string/bits
+     * @example
+     * const power = await this.readTyped(0x04, 0x0C, 'float32', { order: 'CDAB' })
+    */
+    readTyped(cmd, addr, type, options = {}) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const resp = yield this.simpleRequest(cmd, addr, ModbusTypes_1.ModbusTypes.registerCount(type, options));
+            return ModbusTypes_1.ModbusTypes.decode(resp.data, type, options);
+        });
+    }
+    /**
+     * Записывает типизированное значение в holding регистры командой 0x10
+     *
+     * @param {number} addr - Адрес первого регистра значения
+     * @param {ModbusDataType} type - Тип данных
+     * @param {ModbusValue} value - Значение
+     * @param {ModbusTypeOptions} options - Порядок байт (`order`) и длина для string/bits
+     * @example
+     * await this.writeTyped(0x20, 'uint32', 100000, { order: 'CDAB' })
+    */
+    writeTyped(addr, type, value, options = {}) {
+        const registers = ModbusTypes_1.ModbusTypes.encode(value, type, options);
+        return this.simpleRequest(0x10, addr, registers.length, registers);
+    }
+    /**
+     * Записывает значения и проверяет их обратным чтением
+     *
+     * После записи 0x05/0x0F значения читаются функцией 0x01, после 0x06/0x10 - функцией 0x03.
+     * Если прочитанные значения не совпали с записанными (с учетом `tolerance` и `mask`),
+     * запись повторяется. Если после всех повторов значения не совпали -
+     * выбрасывается ошибка `V2MODBUS_WRITE_VERIFY_FAILED`
+     *
+     * Возвращает значения, которые устройство фактически приняло (результат чтения)
+     *
+     * @param {number} cmd - Код функции записи 0x05, 0x06, 0x0F, 0x10
+     * @param {number} addr - Начальный адрес
+     * @param {Array<number>} values - Записываемые значения (для 0x05/0x06 - один элемент)
+     * @param {WriteVerifyOptions} options - Допуск, маска и количество повторов
+     * @example
+     * // Устройство округляет значение до 5
+     * const [accepted] = await this.writeVerify(0x06, 0x30, [352], { tolerance: 5 })
+    */
+    writeVerify(cmd, addr, values, options = {}) {
+        var _a, _b, _c, _d;
+        return __awaiter(this, void 0, void 0, function* () {
+            if (![0x05, 0x06, 0x0F, 0x10].includes(cmd))
+                throw vrack2_core_1.ErrorManager.make('V2MODBUS_WRITE_FUNCTION_INVALID', { cmd });
+            const isBits = (cmd === 0x05 || cmd === 0x0F);
+            const single = (cmd === 0x05 || cmd === 0x06);
+            const quantity = single ? 1 : values.length;
+            const mask = (_a = options.mask) !== null && _a !== void 0 ? _a : 0xFFFF;
+            const tolerance = (_b = options.tolerance) !== null && _b !== void 0 ? _b : 0;
+            const retries = (_c = options.retries) !== null && _c !== void 0 ? _c : this.options.verifyRetries;
+            const delay = (_d = options.delay) !== null && _d !== void 0 ? _d : this.options.verifyDelay;
+            const expected = values.slice(0, quantity).map(value => isBits ? (value ? 1 : 0) : value & 0xFFFF);
+            const area = isBits ? 'coil' : 'holding';
+            let actual = [];
+            const verify = () => __awaiter(this, void 0, void 0, function* () {
+                const resp = yield this.simpleRequest(ModbusRTU_1.ModbusRTU.AREA_READ_CODES[area], addr, quantity);
+                const read = ReadPlanner_1.ReadPlanner.split({ area, address: addr, quantity }, resp.data);
+                actual = expected.map((value, i) => { var _a; return (_a = read.get(addr + i)) !== null && _a !== void 0 ? _a : 0; });
+                return expected.every((value, i) => {
+                    if (isBits)
+                        return value === actual[i];
+                    return Math.abs((value & mask) - (actual[i] & mask)) <= tolerance;
+                });
+            });
+            for (let attempt = 0; attempt <= retries; attempt++) {
+                // После ACKNOWLEDGE запись завершена, когда значения читаются обратно
+                const write = single ? this.makeRequest(cmd, addr, expected[0]) : this.makeRequest(cmd, addr, quantity, expected);
+                yield this.request(write, 3, verify);
+                if (delay)
+                    yield new Promise((resolve) => setTimeout(resolve, delay));
+                if (yield verify())
+                    return actual;
+            }
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_WRITE_VERIFY_FAILED', { cmd, address: addr, expected, actual });
+        });
+    }
+    /**
+     * Планирует чтение адресов области минимальным количеством запросов
+     * с учетом опций `readMaxGap` и `forbidden`
+     *
+     * @see ReadPlanner.plan
+    */
+    planRead(area, addresses) {
+        return ReadPlanner_1.ReadPlanner.plan(area, addresses, {
+            maxGap: this.options.readMaxGap,
+            forbidden: this.options.forbidden
+        });
+    }
+    /**
+     * Читает набор адресов области объединяя соседние адреса в общие запросы
+     *
+     * Возвращает значения по адресам: для регистров - беззнаковое 16-битное число,
+     * для coil/di - 0 или 1
+     *
+     * @param {ModbusArea} area - Область данных (coil, di, holding, input)
+     * @param {Array<number>} addresses - Нужные адреса
+     * @param {boolean} queue - Выполнять очередь перед каждым запросом
+     * @example
+     * const values = await this.readAddresses('holding', [0x00, 0x03, 0x30, 0x31, 0x32])
+     * const up = values.get(0x30)
+    */
+    readAddresses(area, addresses, queue = false) {
         return __awaiter(this, void 0, void 0, function* () {
-            this.Provider.setPkgCheck(ModbusRTU_1.ModbusRTU.isCompletePacket);
-            yield this.Provider.autoRequest(buffer, this.options.timeout, maxRetries);
-            const resp = this.Provider.getBuffer();
-            return ModbusRTU_1.ModbusRTU.parseResponse(resp);
+            const result = new Map();
+            for (const block of this.planRead(area, addresses)) {
+                if (queue)
+                    yield this.runQueue();
+                const resp = yield this.simpleRequest(ModbusRTU_1.ModbusRTU.AREA_READ_CODES[area], block.address, block.quantity);
+                ReadPlanner_1.ReadPlanner.split(block, resp.data, result);
+            }
+            return result;
+        });
+    }
+    /**
+     * Отправляет готовый пакет и возвращает разобранный ответ
+     *
+     * Пакет должен быть сформирован в соответствии с опцией `framing`.
+     * Для Modbus TCP дополнительно проверяется совпадение идентификатора транзакции
+     *
+     * Если устройство ответило исключением ACKNOWLEDGE (0x05), завершение ожидается
+     * {@link waitAcknowledged} с проверкой `complete`. Для остальных исключений решение
+     * о повторе принимает {@link exceptionPolicy}. Если повтор не нужен - выбрасывается ошибка
+     * исключения (см. {@link ModbusException}) с адресом устройства, кодом функции и адресом
+     *
+     * @param {Buffer} buffer - Пакет запроса
+     * @param {number} maxRetries - Количество попыток
+     * @param {Function} [complete] - Проверка завершения запроса после ACKNOWLEDGE
+    */
+    request(buffer, maxRetries = 3, complete) {
+        var _a;
+        return __awaiter(this, void 0, void 0, function* () {
+            const counts = new Map(); // Количество полученных исключений по коду
+            for (;;) {
+                const resp = yield this.transfer(buffer, maxRetries);
+                if (resp.exceptionCode === undefined)
+                    return resp;
+                this.getStats().exception(resp.exceptionCode);
+                if (resp.exceptionCode === ModbusRTU_1.ModbusRTU.EXCEPTION_CODES.ACKNOWLEDGE) {
+                    return this.waitAcknowledged(buffer, resp, maxRetries, complete);
+                }
+                const count = ((_a = counts.get(resp.exceptionCode)) !== null && _a !== void 0 ? _a : 0) + 1;
+                counts.set(resp.exceptionCode, count);
+                const delay = this.exceptionPolicy(resp.exceptionCode, count);
+                if (delay < 0)
+                    throw this.makeException(buffer, resp);
+                this.getStats().retry();
+                yield new Promise((resolve) => setTimeout(resolve, delay));
+            }
         });
     }
+    /**
+     * Ожидает завершения запроса, на который устройство ответило ACKNOWLEDGE (0x05)
+     *
+     * Устройство приняло запрос и выполняет его долго, поэтому запрос записи повторно
+     * не отправляется. Каждые `ackInterval` мс вызывается проверка завершения `complete`,
+     * пока она не вернет true. Без проверки завершения:
+     *  - запрос чтения (0x01 - 0x04) повторяется каждые `ackInterval` мс, пока устройство
+     *    не ответит без исключения - повтор чтения безопасен
+     *  - для остальных запросов сразу выбрасывается ошибка исключения ACKNOWLEDGE
+     *
+     * Если за `ackTimeout` мс запрос не завершился - выбрасывается ошибка исключения ACKNOWLEDGE.
+     * После завершения по проверке `complete` возвращается ответ ACKNOWLEDGE
+     *
+     * @param {Buffer} buffer - Пакет запроса
+     * @param {ModbusResponse} ack - Ответ ACKNOWLEDGE
+     * @param {number} maxRetries - Количество попыток
+     * @param {Function} [complete] - Проверка завершения запроса
+    */
+    waitAcknowledged(buffer, ack, maxRetries, complete) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const isRead = Object.values(ModbusRTU_1.ModbusRTU.AREA_READ_CODES).includes(ack.functionCode);
+            if (!complete && !isRead)
+                throw this.makeException(buffer, ack);
+            const start = Date.now();
+            while (Date.now() - start + this.options.ackInterval <= this.options.ackTimeout) {
+                yield new Promise((resolve) => setTimeout(resolve, this.options.ackInterval));
+                if (complete) {
+                    if (yield complete())
+                        return ack;
+                    continue;
+                }
+                this.getStats().retry();
+                const resp = yield this.transfer(buffer, maxRetries);
+                if (resp.exceptionCode === undefined)
+                    return resp;
+                this.getStats().exception(resp.exceptionCode);
+                if (resp.exceptionCode !== ModbusRTU_1.ModbusRTU.EXCEPTION_CODES.ACKNOWLEDGE)
+                    throw this.makeException(buffer, resp);
+            }
+            throw this.makeException(buffer, ack);
+        });
+    }
+    /**
+     * Формирует ошибку исключения из ответа устройства
+    */
+    makeException(buffer, resp) {
+        return ModbusException_1.ModbusException.make(resp.exceptionCode, {
+            slaveId: resp.slaveId,
+            functionCode: resp.functionCode,
+            address: this.requestAddress(buffer)
+        });
+    }
+    /**
+     * Политика обработки исключения в ответе устройства
+     *
+     * Возвращает задержку в мс перед повторной отправкой того же запроса
+     * или -1, если нужно выбросить ошибку исключения.
+     *
+     * По умолчанию:
+     *  - SLAVE DEVICE BUSY (0x06) - устройство не начало выполнять запрос, повтор
+     *    через `busyDelay` мс, не более `busyRetries` раз
+     *  - Остальные исключения выбрасываются сразу
+     *
+     * ACKNOWLEDGE (0x05) сюда не передается - запрос уже принят устройством, см. {@link waitAcknowledged}
+     *
+     * Метод можно переопределить для устройств с особым поведением
+     *
+     * @param {number} exceptionCode - Код исключения
+     * @param {number} count - Сколько раз это исключение получено на запрос (начиная с 1)
+    */
+    exceptionPolicy(exceptionCode, count) {
+        const EX = ModbusRTU_1.ModbusRTU.EXCEPTION_CODES;
+        switch (exceptionCode) {
+            case EX.SLAVE_DEVICE_BUSY:
+                return (count <= this.options.busyRetries) ? this.options.busyDelay : -1;
+            default:
+                return -1;
+        }
+    }
+    /**
+     * Отправляет пакет и разбирает ответ без обработки исключений
+     *
+     * Ответ проверяется на соответствие запросу (см. {@link ModbusRTUFramer.validate}):
+     * ответ другого устройства, на другую функцию, с неверным количеством данных
+     * или неверным эхом записи считается ошибкой
+     *
+     * @param {Buffer} buffer - Пакет запроса
+     * @param {number} maxRetries - Количество попыток
+    */
+    transfer(buffer, maxRetries) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (this.isBroadcast(buffer))
+                throw vrack2_core_1.ErrorManager.make('V2MODBUS_BROADCAST_NO_RESPONSE');
+            const stats = this.getStats();
+            const start = Date.now();
+            stats.request();
+            const resp = yield this.exchange(this.modbusFramer(), buffer, maxRetries);
+            if (resp.exceptionCode === undefined)
+                stats.success(Date.now() - start);
+            return resp;
+        });
+    }
+    /**
+     * Отправляет пакет через провайдер, разбирает и проверяет ответ фреймером
+     *
+     * Ошибка разбора учитывается в статистике как ошибка CRC, ошибка проверки - как неверный ответ
+    */
+    exchange(framer, buffer, maxRetries) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const raw = yield this.send(buffer, maxRetries, (data) => framer.isComplete(data, buffer), framer.timeoutError && ((data) => { var _a; return (_a = framer.timeoutError) === null || _a === void 0 ? void 0 : _a.call(framer, data, buffer); }));
+            const resp = this.parse(() => framer.decode(raw, buffer));
+            if (!framer.validate)
+                return resp;
+            try {
+                framer.validate(resp, buffer);
+            }
+            catch (err) {
+                this.getStats().invalid();
+                throw err;
+            }
+            return resp;
+        });
+    }
+    /**
+     * Отправляет пакет через провайдер и возвращает полученный пакет ответа
+     *
+     * Ошибка провайдера (нет ответа) учитывается в статистике как таймаут. Если `timeoutError`
+     * возвращает ошибку для принятых данных - выбрасывается она и учитывается как неверный ответ
+    */
+    send(buffer, maxRetries, check, timeoutError) {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.Provider.setPkgCheck(check);
+            try {
+                yield this.Provider.autoRequest(buffer, this.options.timeout, maxRetries);
+            }
+            catch (err) {
+                const invalid = timeoutError === null || timeoutError === void 0 ? void 0 : timeoutError(this.Provider.getBuffer());
+                if (invalid) {
+                    this.getStats().invalid();
+                    throw invalid;
+                }
+                this.getStats().timeout();
+                throw err;
+            }
+            return this.Provider.getBuffer();
+        });
+    }
+    /**
+     * Разбирает пакет ответа, ошибка разбора учитывается в статистике как ошибка CRC
+    */
+    parse(parser) {
+        try {
+            return parser();
+        }
+        catch (err) {
+            this.getStats().crc();
+            throw err;
+        }
+    }
+    /**
+     * Возвращает кадр запроса [slave][func][данные...] без обрамления и контрольной суммы
+    */
+    requestFrame(buffer) {
+        return this.modbusFramer().frame(buffer);
+    }
+    /**
+     * Проверяет, что пакет запроса широковещательный (адрес 0)
+     *
+     * В Modbus TCP адрес 0 (unit id) - обычный адрес устройства за шлюзом, такие запросы ждут ответ
+    */
+    isBroadcast(buffer) {
+        if (this.options.framing === 'tcp')
+            return false;
+        const frame = this.requestFrame(buffer);
+        return frame.length > 0 && frame.readUInt8(0) === 0;
+    }
+    /**
+     * Возвращает начальный адрес из пакета запроса (если он есть у функции)
+    */
+    requestAddress(buffer) {
+        const frame = this.requestFrame(buffer);
+        return (frame.length >= 4) ? frame.readUInt16BE(2) : undefined;
+    }
     /**
      * Возвращет следующий индекс очереди
     */
@@ -171,3 +1052,19 @@ class DeviceRTU extends vrack2_core_1.Device {
     }
 }
 exports.default = DeviceRTU;
+/**
+ * Коды функций, которые можно отправлять широковещательно
+*/
+DeviceRTU.BROADCAST_CODES = [0x05, 0x06, 0x0F, 0x10];
+/**
+ * Имена выходов DeviceRTU, которые наследники не могут занимать своими портами
+*/
+DeviceRTU.RESERVED_PORTS = ['online', 'offline', 'stats'];
+/**
+ * Фреймеры Modbus по значению опции `framing`
+*/
+DeviceRTU.FRAMERS = {
+    rtu: new ModbusFramer_1.ModbusRTUFramer(),
+    tcp: new ModbusFramer_1.ModbusTCPFramer(),
+    ascii: new ModbusFramer_1.ModbusASCIIFramer()
+};
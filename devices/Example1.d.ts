@@ -1,7 +1,29 @@
 /// <reference types="node" />
 /// <reference types="node" />
 import { BasicAction } from "vrack2-core";
-import DeviceRTU from "./DeviceRTU";
+import DeviceRTU, { PollGroup } from "./DeviceRTU";
+import { ModbusFramer } from "./classes/ModbusFramer";
+/**
+ * Пакет служебного протокола датчика
+ *
+ * @property {number} speed - Байт скорости (0 - не менять)
+ * @property {number} address - Адрес MODBUS (0 - не менять)
+ */
+export interface SpecPackage {
+    speed: number;
+    address: number;
+}
+/**
+ * Фреймер служебного протокола датчика: FD FD FD [скорость] [адрес] [CRC_L CRC_H]
+ *
+ * Датчик подтверждает команду пакетом той же структуры
+*/
+export declare class SpecFramer implements ModbusFramer<SpecPackage, SpecPackage> {
+    static readonly PREAMBLE: Buffer;
+    encode(request: SpecPackage): Buffer;
+    isComplete(data: Buffer): boolean;
+    decode(data: Buffer): SpecPackage;
+}
 /**
  * Пример реального устройства - Датчика Дождя и Снега (Rain and Snow Sensor) версии 2.0.
  *
@@ -26,9 +48,16 @@ import DeviceRTU from "./DeviceRTU";
  *
  * Для управления датчиком используются очереди, что бы можно было оперативно реагировать на экшены
  *
- * @see makeSpecPkg
+ * Для него устройство регистрирует отдельный фреймер `spec` (см. {@link SpecFramer}),
+ * пакеты отправляются через DeviceRTU без изменения настроек провайдера для Modbus запросов
 */
 export default class Example1 extends DeviceRTU {
+    /**
+     * Диапазоны настроек (температура/10) из таблицы регистров датчика
+    */
+    static readonly SETTING_RANGES: {
+        [name: string]: [number, number];
+    };
     actions(): {
         [key: string]: BasicAction;
     };
@@ -41,6 +70,7 @@ export default class Example1 extends DeviceRTU {
         value: number;
     }): Promise<{
         result: string;
+        value: number;
     }>;
     /**
      * Установка нижней планки планки нагревателя
@@ -50,6 +80,7 @@ export default class Example1 extends DeviceRTU {
         value: number;
     }): Promise<{
         result: string;
+        value: number;
     }>;
     /**
      * Установка гистерезиса
@@ -59,32 +90,72 @@ export default class Example1 extends DeviceRTU {
         value: number;
     }): Promise<{
         result: string;
+        value: number;
     }>;
+    /**
+     * Проверяет, что значение настройки входит в диапазон датчика (см. {@link SETTING_RANGES}), иначе - ошибка
+    */
+    checkSetting(name: string, value: number): void;
     /**
      * Установка адреса своим отдельным протоколом
-     *
     */
     actionSetAddress(data: {
         value: number;
     }): Promise<{
         result: string;
+        value?: undefined;
+    } | {
+        result: string;
+        value: SpecPackage;
     }>;
     /**
      * Установка скорости отдельным протоколом
-     *
     */
     actionSetSpeed(data: {
         value: number;
     }): Promise<{
         result: string;
+        value?: undefined;
+    } | {
+        result: string;
+        value: SpecPackage;
     }>;
-    update(): Promise<void>;
+    /**
+     * Отправляет пакет служебного протокола через очередь и проверяет подтверждение датчика
+     *
+     * Нет ответа - ошибка провайдера, измененное поле в ответе должно совпасть с запрошенным
+    */
+    sendSpec(request: SpecPackage): Promise<SpecPackage>;
+    /**
+     * Фреймер служебного протокола добавляется к фреймеру Modbus
+    */
+    framers(): {
+        [name: string]: ModbusFramer;
+    };
+    /**
+     * Статус опрашивается при каждой передаче управления,
+     * настройки меняются редко - раз в минуту (интервал можно изменить опцией pollIntervals)
+    */
+    pollGroups(): {
+        [name: string]: PollGroup;
+    };
+    getStatus(): Promise<void>;
     getSettings(): Promise<void>;
+    /**
+     * Читает список регистров и записывает знаковые значения в obj по имени
+     *
+     * Соседние регистры читаются одним запросом (см. readAddresses)
+    */
     updateArray(regs: Array<{
         name: string;
         address: number;
     }>, command: number, obj: {
         [key: string]: any;
     }, queue?: boolean): Promise<void>;
+    /**
+     * Пакет служебного протокола установки скорости и адреса
+     *
+     * Пакет собирает {@link SpecFramer}, для отправки с проверкой ответа используйте {@link sendSpec}
+    */
     makeSpecPkg(nSpeed?: number, nAddress?: number): Buffer;
 }
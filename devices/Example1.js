@@ -12,10 +12,36 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
+exports.SpecFramer = void 0;
 const vrack2_core_1 = require("vrack2-core");
 const ModbusRTU_1 = require("./classes/ModbusRTU");
 // Наследуем класс для упращения работы с устройствами ModbusRTU
 const DeviceRTU_1 = __importDefault(require("./DeviceRTU"));
+vrack2_core_1.ErrorManager.register('Example1', 'KD3VQ8WRA', 'V2MODBUS_SPEC_PACKET_INVALID', 'Sensor service packet must be 7 bytes starting with FD FD FD');
+vrack2_core_1.ErrorManager.register('Example1', 'H7TQ2LX4P', 'V2MODBUS_SETTING_OUT_OF_RANGE', 'Setting value is outside the sensor range');
+vrack2_core_1.ErrorManager.register('Example1', 'ZP6CW1NYE', 'V2MODBUS_SPEC_NOT_CONFIRMED', 'Sensor confirmation does not match the requested speed or address');
+/**
+ * Фреймер служебного протокола датчика: FD FD FD [скорость] [адрес] [CRC_L CRC_H]
+ *
+ * Датчик подтверждает команду пакетом той же структуры
+*/
+class SpecFramer {
+    encode(request) {
+        return ModbusRTU_1.ModbusRTU.addCRC(Buffer.concat([SpecFramer.PREAMBLE, Buffer.from([request.speed, request.address])]));
+    }
+    isComplete(data) {
+        return data.length >= 7;
+    }
+    decode(data) {
+        if (data.length !== 7 || !data.subarray(0, 3).equals(SpecFramer.PREAMBLE))
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_SPEC_PACKET_INVALID', { packet: data.toString('hex') });
+        if (!ModbusRTU_1.ModbusRTU.verifyCRC(data))
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_CRC_CHECK_FAILED');
+        return { speed: data.readUInt8(3), address: data.readUInt8(4) };
+    }
+}
+exports.SpecFramer = SpecFramer;
+SpecFramer.PREAMBLE = Buffer.from([0xfd, 0xfd, 0xfd]);
 /**
  * Пример реального устройства - Датчика Дождя и Снега (Rain and Snow Sensor) версии 2.0.
  *
@@ -40,7 +66,8 @@ const DeviceRTU_1 = __importDefault(require("./DeviceRTU"));
  *
  * Для управления датчиком используются очереди, что бы можно было оперативно реагировать на экшены
  *
- * @see makeSpecPkg
+ * Для него устройство регистрирует отдельный фреймер `spec` (см. {@link SpecFramer}),
+ * пакеты отправляются через DeviceRTU без изменения настроек провайдера для Modbus запросов
 */
 class Example1 extends DeviceRTU_1.default {
     constructor() {
@@ -56,23 +83,18 @@ class Example1 extends DeviceRTU_1.default {
         };
     }
     actions() {
-        return {
-            'set.up': vrack2_core_1.Action.global().requirements({
-                value: vrack2_core_1.Rule.number().integer().default(350).min(0).max(700).description('Температура/10')
-            }).description('Верхний предел темп. подогрева'),
-            'set.down': vrack2_core_1.Action.global().requirements({
-                value: vrack2_core_1.Rule.number().integer().default(150).min(-30).max(700).description('Температура/10')
-            }).description('Нижний предел темп. подогрева/10'),
-            'set.gist': vrack2_core_1.Action.global().requirements({
-                value: vrack2_core_1.Rule.number().integer().default(50).min(0).max(700).description('Температура/10')
-            }).description('Гистерезис темп. подогрева'),
-            'set.address': vrack2_core_1.Action.global().requirements({
+        const range = Example1.SETTING_RANGES;
+        return Object.assign(Object.assign({}, super.actions()), { 'set.up': vrack2_core_1.Action.global().requirements({
+                value: vrack2_core_1.Rule.number().integer().default(350).min(range.up[0]).max(range.up[1]).description('Температура/10')
+            }).description('Верхний предел темп. подогрева'), 'set.down': vrack2_core_1.Action.global().requirements({
+                value: vrack2_core_1.Rule.number().integer().default(150).min(range.down[0]).max(range.down[1]).description('Температура/10')
+            }).description('Нижний предел темп. подогрева/10'), 'set.gist': vrack2_core_1.Action.global().requirements({
+                value: vrack2_core_1.Rule.number().integer().default(50).min(range.gist[0]).max(range.gist[1]).description('Температура/10')
+            }).description('Гистерезис темп. подогрева'), 'set.address': vrack2_core_1.Action.global().requirements({
                 value: vrack2_core_1.Rule.number().integer().default(1).min(0).max(254).description('Новый адрес')
-            }).description('Установка адреса (Широковещательный запрос)'),
-            'set.speed': vrack2_core_1.Action.global().requirements({
+            }).description('Установка адреса (Широковещательный запрос)'), 'set.speed': vrack2_core_1.Action.global().requirements({
                 value: vrack2_core_1.Rule.number().integer().default(3).min(1).max(5).description('Скорость 1-2400 2-4800 3-9600 ...')
-            }).description('Установка скорости (Широковещательный запрос)'),
-        };
+            }).description('Установка скорости (Широковещательный запрос)') });
     }
     /**
      * Установка нижней планки нагревателя
@@ -80,16 +102,15 @@ class Example1 extends DeviceRTU_1.default {
     */
     actionSetUp(data) {
         return __awaiter(this, void 0, void 0, function* () {
+            this.checkSetting('up', data.value);
             // Метод который мы передаем в actionAddQueue должен вернуть Promise!
             // Что бы мы дождались результата
-            yield this.actionAddQueue(() => {
-                if (data.value > 400)
-                    data.value = 400;
-                if (data.value < 0)
-                    data.value = 0;
-                return this.simpleRequest(0x06, 0x30, data.value);
-            });
-            return { result: 'success' };
+            const accepted = yield this.actionAddQueue(() => {
+                // Запись с проверкой - датчик может ограничить значение
+                return this.writeVerify(0x06, 0x30, [data.value]);
+            }, { key: 'up' }); // Новое значение заменяет еще не записанное
+            this.pollNow('settings');
+            return { result: 'success', value: accepted[0] };
         });
     }
     /**
@@ -98,15 +119,13 @@ class Example1 extends DeviceRTU_1.default {
     */
     actionSetDown(data) {
         return __awaiter(this, void 0, void 0, function* () {
-            yield this.actionAddQueue(() => {
-                if (data.value > 700)
-                    data.value = 400;
-                if (data.value < -300)
-                    data.value = -300;
+            this.checkSetting('down', data.value);
+            const accepted = yield this.actionAddQueue(() => {
                 const unsignedValue = data.value & 0xFFFF;
-                return this.simpleRequest(0x06, 0x31, unsignedValue);
-            });
-            return { result: 'success' };
+                return this.writeVerify(0x06, 0x31, [unsignedValue]);
+            }, { key: 'down' });
+            this.pollNow('settings');
+            return { result: 'success', value: (accepted[0] << 16) >> 16 };
         });
     }
     /**
@@ -115,62 +134,84 @@ class Example1 extends DeviceRTU_1.default {
     */
     actionSetGist(data) {
         return __awaiter(this, void 0, void 0, function* () {
-            yield this.actionAddQueue(() => {
-                if (data.value > 300)
-                    data.value = 300;
-                if (data.value < 0)
-                    data.value = 0;
-                return this.simpleRequest(0x06, 0x32, data.value);
-            });
-            return { result: 'success' };
+            this.checkSetting('gist', data.value);
+            const accepted = yield this.actionAddQueue(() => {
+                return this.writeVerify(0x06, 0x32, [data.value]);
+            }, { key: 'gist' });
+            this.pollNow('settings');
+            return { result: 'success', value: accepted[0] };
         });
     }
+    /**
+     * Проверяет, что значение настройки входит в диапазон датчика (см. {@link SETTING_RANGES}), иначе - ошибка
+    */
+    checkSetting(name, value) {
+        const [min, max] = Example1.SETTING_RANGES[name];
+        if (value < min || value > max)
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_SETTING_OUT_OF_RANGE', { name, value, min, max });
+    }
     /**
      * Установка адреса своим отдельным протоколом
-     *
     */
     actionSetAddress(data) {
         return __awaiter(this, void 0, void 0, function* () {
             if (this.Provider === undefined)
                 return { result: 'error' };
-            yield this.actionAddQueue(() => {
-                if (this.Provider === undefined)
-                    return;
-                this.Provider.setPkgCheck((data) => { return (data.length === 7); });
-                return this.Provider.autoRequest(this.makeSpecPkg(0, data.value), this.options.timeout, 1);
-            });
-            return { result: 'success' };
+            return { result: 'success', value: yield this.sendSpec({ speed: 0, address: data.value }) };
         });
     }
     /**
      * Установка скорости отдельным протоколом
-     *
     */
     actionSetSpeed(data) {
         return __awaiter(this, void 0, void 0, function* () {
             if (this.Provider === undefined)
                 return { result: 'error' };
-            yield this.actionAddQueue(() => {
-                if (this.Provider === undefined)
-                    return;
-                this.Provider.setPkgCheck((data) => { return (data.length === 7); });
-                return this.Provider.autoRequest(this.makeSpecPkg(data.value, 0), this.options.timeout, 1);
-            });
-            return { result: 'success' };
+            return { result: 'success', value: yield this.sendSpec({ speed: data.value, address: 0 }) };
         });
     }
-    update() {
+    /**
+     * Отправляет пакет служебного протокола через очередь и проверяет подтверждение датчика
+     *
+     * Нет ответа - ошибка провайдера, измененное поле в ответе должно совпасть с запрошенным
+    */
+    sendSpec(request) {
         return __awaiter(this, void 0, void 0, function* () {
-            yield this.getSettings();
+            const reply = yield this.actionAddQueue(() => this.frameRequest('spec', request));
+            if ((request.speed && reply.speed !== request.speed) || (request.address && reply.address !== request.address)) {
+                throw vrack2_core_1.ErrorManager.make('V2MODBUS_SPEC_NOT_CONFIRMED', { request, reply });
+            }
+            return reply;
         });
     }
-    getSettings() {
+    /**
+     * Фреймер служебного протокола добавляется к фреймеру Modbus
+    */
+    framers() {
+        return Object.assign(Object.assign({}, super.framers()), { spec: new SpecFramer() });
+    }
+    /**
+     * Статус опрашивается при каждой передаче управления,
+     * настройки меняются редко - раз в минуту (интервал можно изменить опцией pollIntervals)
+    */
+    pollGroups() {
+        return {
+            status: { interval: 0, method: () => this.getStatus() },
+            settings: { interval: 60000, method: () => this.getSettings() }
+        };
+    }
+    getStatus() {
         return __awaiter(this, void 0, void 0, function* () {
             yield this.updateArray([
                 { name: 'snow', address: 0x00 },
                 { name: 'interC', address: 0x03 },
                 { name: 'sense', address: 0x05 }, // Уровень ацп
             ], 0x03, this.shares);
+            this.render();
+        });
+    }
+    getSettings() {
+        return __awaiter(this, void 0, void 0, function* () {
             // Обновляет базовые флаги
             yield this.updateArray([
                 { name: 'up', address: 0x30 },
@@ -180,19 +221,37 @@ class Example1 extends DeviceRTU_1.default {
             this.render();
         });
     }
+    /**
+     * Читает список регистров и записывает знаковые значения в obj по имени
+     *
+     * Соседние регистры читаются одним запросом (см. readAddresses)
+    */
     updateArray(regs, command, obj, queue = true) {
         return __awaiter(this, void 0, void 0, function* () {
+            const area = (command === 0x04) ? 'input' : 'holding';
+            const values = yield this.readAddresses(area, regs.map(reg => reg.address), queue);
             for (const reg of regs) {
-                if (queue)
-                    yield this.runQueue();
-                const resp = yield this.simpleRequest(command, reg.address, 0x01);
-                obj[reg.name] = resp.data.readInt16BE();
+                const value = values.get(reg.address);
+                if (value !== undefined)
+                    obj[reg.name] = (value << 16) >> 16; // int16
             }
         });
     }
+    /**
+     * Пакет служебного протокола установки скорости и адреса
+     *
+     * Пакет собирает {@link SpecFramer}, для отправки с проверкой ответа используйте {@link sendSpec}
+    */
     makeSpecPkg(nSpeed = 0, nAddress = 0) {
-        let pkg = Buffer.from([0xfd, 0xfd, 0xfd, nSpeed, nAddress]);
-        return ModbusRTU_1.ModbusRTU.addCRC(pkg);
+        return new SpecFramer().encode({ speed: nSpeed, address: nAddress });
     }
 }
 exports.default = Example1;
+/**
+ * Диапазоны настроек (температура/10) из таблицы регистров датчика
+*/
+Example1.SETTING_RANGES = {
+    up: [0, 700],
+    down: [-300, 700],
+    gist: [0, 700]
+};
@@ -0,0 +1,131 @@
+/// <reference types="node" />
+/// <reference types="node" />
+/// <reference types="node" />
+import { Device, BasicType, BasicPort } from "vrack2-core";
+import { ModbusArea } from "./classes/ModbusRTU";
+import { ModbusSlave } from "./classes/ModbusSlave";
+import { ModbusValue } from "./classes/ModbusTypes";
+import { ProfileRegister } from "./classes/ModbusProfile";
+import net from 'net';
+/**
+ * Точка карты шлюза
+ *
+ * Поля совпадают с регистром профиля (см. {@link ProfileRegister}),
+ * `path` - путь к полю значения, если в порт приходит объект (например "ai.0")
+ */
+export interface GatewayPoint extends ProfileRegister {
+    path: string;
+}
+/**
+ * Шлюз Modbus TCP для SCADA
+ *
+ * Слушает локальный TCP порт как ведомое Modbus TCP устройство и отдает образ регистров,
+ * который заполняется из входных портов. Карта адресов и типы данных задаются опцией `map`.
+ * Запись SCADA в holding регистры и coils точек с доступом на запись отправляется в выходы `write<Name>`
+*/
+export default class ModbusGateway extends Device {
+    /**
+     * Коды функций записи
+    */
+    static readonly WRITE_CODES: number[];
+    description(): string;
+    checkOptions(): {
+        [key: string]: BasicType;
+    };
+    inputs(): {
+        [key: string]: BasicPort;
+    };
+    outputs(): {
+        [key: string]: BasicPort;
+    };
+    shares: any;
+    /**
+     * Образ регистров шлюза
+    */
+    slave: ModbusSlave;
+    /**
+     * TCP сервер шлюза
+    */
+    server?: net.Server;
+    /**
+     * Подключения SCADA
+    */
+    protected sockets: Set<net.Socket>;
+    /**
+     * Карта шлюза после проверки
+    */
+    protected map?: Array<GatewayPoint>;
+    /**
+     * Точки по области и адресу каждого их регистра
+    */
+    protected pointIndex: {
+        [key in ModbusArea]: Map<number, GatewayPoint>;
+    };
+    preProcess(): void;
+    process(): void;
+    /**
+     * Останавливает шлюз - закрывает TCP сервер и все подключения SCADA
+     *
+     * Вызывайте при остановке устройства. Повторный вызов {@link process} сначала закрывает прежний сервер
+    */
+    close(): Promise<void>;
+    /**
+     * Возвращает карту шлюза, проверяя ее при первом обращении
+     *
+     * Точки проверяются так же как регистры профиля (см. {@link ModbusProfile.validate})
+    */
+    getMap(): Array<GatewayPoint>;
+    /**
+     * Записывает значение из входного порта в образ регистров
+     *
+     * Значение вида `{ value, time, quality }` (опция qualityPorts устройств DeviceRTU) разворачивается,
+     * для объектов используется путь `path`. Нечисловые значения (кроме строк для string и массивов для bits) не меняют образ
+    */
+    setPoint(point: GatewayPoint, input: unknown): void;
+    /**
+     * Значение точки из образа регистров с учетом типа, масштаба и смещения
+    */
+    getPoint(point: GatewayPoint): ModbusValue;
+    /**
+     * Обработка нового подключения SCADA
+     *
+     * Байты накапливаются до получения полного пакета. При неверном MBAP заголовке соединение закрывается
+    */
+    onConnection(socket: net.Socket): void;
+    /**
+     * Обрабатывает Modbus TCP пакет запроса и возвращает пакет ответа или null, если отвечать не нужно
+     *
+     * Запрос на другой Unit ID (если задана опция unitId) получает исключение GATEWAY TARGET FAILED (0x0B).
+     * Запись в адреса, которые не отмечены в карте доступом на запись - исключение ILLEGAL DATA ADDRESS (0x02)
+    */
+    handleRequest(packet: Buffer): Buffer | null;
+    /**
+     * Выполняет кадр запроса на образе регистров и отправляет записанные значения в выходы
+     *
+     * Запись применяется целиком или не применяется совсем: сначала проверяются все затронутые точки
+     * (доступ, запись точки целиком, новое значение и его границы min/max), и только потом меняется образ
+    */
+    protected handleFrame(frame: Buffer): Buffer | null;
+    /**
+     * Проверяет значение, которое SCADA записывает в точку
+     *
+     * Значение должно декодироваться по типу точки (например BCD) и попадать в границы min/max
+    */
+    protected isValidWrite(point: GatewayPoint, raw: number[]): boolean;
+    /**
+     * Отправляет записанное SCADA значение точки в выход `write<Name>`
+    */
+    protected writePoint(point: GatewayPoint): void;
+    /**
+     * Имя выхода записи точки
+    */
+    protected writePort(point: GatewayPoint): string;
+    /**
+     * Количество адресов, которое занимает точка
+    */
+    protected getPointCount(point: GatewayPoint): number;
+    /**
+     * Извлекает значение из значения входного порта
+    */
+    protected unwrap(input: unknown, field: string): unknown;
+}
@@ -0,0 +1,343 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const vrack2_core_1 = require("vrack2-core");
+const ModbusRTU_1 = require("./classes/ModbusRTU");
+const ModbusTCP_1 = require("./classes/ModbusTCP");
+const ModbusSlave_1 = require("./classes/ModbusSlave");
+const ModbusTypes_1 = require("./classes/ModbusTypes");
+const ModbusProfile_1 = require("./classes/ModbusProfile");
+const ReadPlanner_1 = require("./classes/ReadPlanner");
+const net_1 = __importDefault(require("net"));
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+vrack2_core_1.ErrorManager.register('ModbusGateway', 'T5HNW2QZB', 'V2MODBUS_GATEWAY_MAP_OVERLAP', 'Gateway map points use the same address in one area');
+/**
+ * Шлюз Modbus TCP для SCADA
+ *
+ * Слушает локальный TCP порт как ведомое Modbus TCP устройство и отдает образ регистров,
+ * который заполняется из входных портов. Карта адресов и типы данных задаются опцией `map`.
+ * Запись SCADA в holding регистры и coils точек с доступом на запись отправляется в выходы `write<Name>`
+*/
+class ModbusGateway extends vrack2_core_1.Device {
+    constructor() {
+        super(...arguments);
+        this.shares = {
+            listen: false,
+            clients: 0,
+            requests: 0,
+            writes: 0,
+            exceptions: 0,
+            values: {} // Значения точек по имени
+        };
+        /**
+         * Подключения SCADA
+        */
+        this.sockets = new Set();
+        /**
+         * Точки по области и адресу каждого их регистра
+        */
+        this.pointIndex = {
+            coil: new Map(),
+            di: new Map(),
+            holding: new Map(),
+            input: new Map()
+        };
+    }
+    description() {
+        return fs_1.default.readFileSync(path_1.default.join(path_1.default.dirname(__dirname), 'docs', 'ModbusGateway.md')).toString('utf-8');
+    }
+    checkOptions() {
+        return {
+            host: vrack2_core_1.Rule.string().default('0.0.0.0').description('Адрес для прослушивания'),
+            port: vrack2_core_1.Rule.number().integer().default(5502).min(1).max(65535).description('TCP порт для прослушивания'),
+            unitId: vrack2_core_1.Rule.number().integer().default(0).min(0).max(255).description('Unit ID шлюза (0 - отвечать на любой Unit ID)'),
+            map: vrack2_core_1.Rule.array().content(vrack2_core_1.Rule.object().fields({
+                name: vrack2_core_1.Rule.string().description('Имя точки - имя входного порта (латиница и цифры)'),
+                area: vrack2_core_1.Rule.string().default('holding').description('Область: coil, di, holding, input'),
+                address: vrack2_core_1.Rule.number().integer().min(0).max(0xFFFF).description('Адрес первого регистра'),
+                type: vrack2_core_1.Rule.string().default('uint16').description('Тип данных: int16, uint16, int32, uint32, float32 ...'),
+                order: vrack2_core_1.Rule.string().default('ABCD').description('Порядок байт: ABCD, CDAB, BADC, DCBA'),
+                length: vrack2_core_1.Rule.number().integer().default(1).min(1).max(125).description('Количество регистров для string/bits'),
+                scale: vrack2_core_1.Rule.number().default(1).description('Множитель: значение в регистре = (значение - offset) / scale'),
+                offset: vrack2_core_1.Rule.number().default(0).description('Смещение значения'),
+                access: vrack2_core_1.Rule.string().default('r').description('Доступ SCADA: r - только чтение, rw - чтение и запись'),
+                min: vrack2_core_1.Rule.number().description('Минимальное значение записи SCADA'),
+                max: vrack2_core_1.Rule.number().description('Максимальное значение записи SCADA'),
+                path: vrack2_core_1.Rule.string().default('').description('Путь к полю значения, если в порт приходит объект (например "ai.0")'),
+            })).default([]).description('Карта адресов шлюза'),
+        };
+    }
+    inputs() {
+        const result = {};
+        for (const point of this.getMap()) {
+            result[point.name] = vrack2_core_1.Port.standart().description('Значение точки ' + point.area + ':' + point.address);
+        }
+        return result;
+    }
+    outputs() {
+        const result = {};
+        for (const point of this.getMap()) {
+            if (!ModbusProfile_1.ModbusProfile.isWritable(point))
+                continue;
+            result[this.writePort(point)] = vrack2_core_1.Port.standart().description('Значение, записанное SCADA в точку ' + point.name);
+        }
+        return result;
+    }
+    preProcess() {
+        this.slave = new ModbusSlave_1.ModbusSlave(this.options.unitId || 1);
+        for (const point of this.getMap()) {
+            const count = this.getPointCount(point);
+            for (let i = 0; i < count; i++) {
+                const other = this.pointIndex[point.area].get(point.address + i);
+                if (other)
+                    throw vrack2_core_1.ErrorManager.make('V2MODBUS_GATEWAY_MAP_OVERLAP', { area: point.area, address: point.address + i, points: [other.name, point.name] });
+                this.pointIndex[point.area].set(point.address + i, point);
+            }
+            this.slave.setValues(point.area, point.address, new Array(count).fill(0));
+            this.shares.values[point.name] = null;
+            // Обработчик входа точки
+            Object.assign(this, {
+                ['input' + point.name[0].toUpperCase() + point.name.slice(1)]: (value) => this.setPoint(point, value)
+            });
+        }
+    }
+    process() {
+        if (this.server)
+            this.close();
+        const server = net_1.default.createServer((socket) => this.onConnection(socket));
+        server.on('error', (err) => this.error('Gateway server error', err));
+        server.listen(this.options.port, this.options.host, () => {
+            this.shares.listen = true;
+            this.render();
+        });
+        this.server = server;
+    }
+    /**
+     * Останавливает шлюз - закрывает TCP сервер и все подключения SCADA
+     *
+     * Вызывайте при остановке устройства. Повторный вызов {@link process} сначала закрывает прежний сервер
+    */
+    close() {
+        const server = this.server;
+        this.server = undefined;
+        for (const socket of this.sockets)
+            socket.destroy();
+        this.shares.listen = false;
+        this.render();
+        if (!server)
+            return Promise.resolve();
+        return new Promise((resolve) => server.close(() => resolve()));
+    }
+    /**
+     * Возвращает карту шлюза, проверяя ее при первом обращении
+     *
+     * Точки проверяются так же как регистры профиля (см. {@link ModbusProfile.validate})
+    */
+    getMap() {
+        var _a;
+        if (this.map)
+            return this.map;
+        const map = (_a = this.options.map) !== null && _a !== void 0 ? _a : [];
+        const profile = ModbusProfile_1.ModbusProfile.validate({ name: 'map', registers: map }, 'ModbusGateway.map');
+        this.map = profile.registers.map((reg, index) => { var _a; return (Object.assign(Object.assign({}, reg), { path: ((_a = map[index].path) !== null && _a !== void 0 ? _a : '') })); });
+        return this.map;
+    }
+    /**
+     * Записывает значение из входного порта в образ регистров
+     *
+     * Значение вида `{ value, time, quality }` (опция qualityPorts устройств DeviceRTU) разворачивается,
+     * для объектов используется путь `path`. Нечисловые значения (кроме строк для string и массивов для bits) не меняют образ
+    */
+    setPoint(point, input) {
+        let value = this.unwrap(input, point.path);
+        if ((point.type === 'string' && typeof value === 'string') || (point.type === 'bits' && Array.isArray(value))) {
+            this.shares.values[point.name] = value;
+            this.slave.setValues(point.area, point.address, ModbusTypes_1.ModbusTypes.encode(value, point.type, point));
+            return;
+        }
+        if (typeof value === 'boolean')
+            value = value ? 1 : 0;
+        if (typeof value !== 'number' || !isFinite(value))
+            return;
+        this.shares.values[point.name] = value;
+        if (point.area === 'coil' || point.area === 'di') {
+            this.slave.setValues(point.area, point.address, [value ? 1 : 0]);
+            return;
+        }
+        let raw = (value - point.offset) / point.scale;
+        if (!point.type.startsWith('float'))
+            raw = Math.round(raw);
+        this.slave.setValues(point.area, point.address, ModbusTypes_1.ModbusTypes.encode(raw, point.type, point));
+    }
+    /**
+     * Значение точки из образа регистров с учетом типа, масштаба и смещения
+    */
+    getPoint(point) {
+        var _a;
+        return ReadPlanner_1.ReadPlanner.decodeItem(point, (_a = this.slave.getValues(point.area, point.address, this.getPointCount(point))) !== null && _a !== void 0 ? _a : []);
+    }
+    /**
+     * Обработка нового подключения SCADA
+     *
+     * Байты накапливаются до получения полного пакета. При неверном MBAP заголовке соединение закрывается
+    */
+    onConnection(socket) {
+        let buffer = Buffer.alloc(0);
+        this.sockets.add(socket);
+        this.shares.clients++;
+        this.render();
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            while (ModbusTCP_1.ModbusTCP.isCompletePacket(buffer)) {
+                const size = ModbusTCP_1.ModbusTCP.HEADER_SIZE + buffer.readUInt16BE(4);
+                if (buffer.readUInt16BE(2) !== 0 || size < ModbusTCP_1.ModbusTCP.HEADER_SIZE + 2) {
+                    socket.destroy();
+                    return;
+                }
+                const response = this.handleRequest(buffer.subarray(0, size));
+                buffer = buffer.subarray(size);
+                if (response)
+                    socket.write(response);
+            }
+        });
+        socket.on('error', (err) => this.error('Gateway socket error', err));
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            this.shares.clients--;
+            this.render();
+        });
+    }
+    /**
+     * Обрабатывает Modbus TCP пакет запроса и возвращает пакет ответа или null, если отвечать не нужно
+     *
+     * Запрос на другой Unit ID (если задана опция unitId) получает исключение GATEWAY TARGET FAILED (0x0B).
+     * Запись в адреса, которые не отмечены в карте доступом на запись - исключение ILLEGAL DATA ADDRESS (0x02)
+    */
+    handleRequest(packet) {
+        const transactionId = ModbusTCP_1.ModbusTCP.getTransactionId(packet);
+        const frame = Buffer.from(packet.subarray(ModbusTCP_1.ModbusTCP.HEADER_SIZE));
+        const unitId = frame.readUInt8(0);
+        const EX = ModbusRTU_1.ModbusRTU.EXCEPTION_CODES;
+        this.shares.requests++;
+        let response;
+        if (this.options.unitId && unitId !== this.options.unitId) {
+            response = this.slave.makeException(frame, EX.GATEWAY_TARGET_FAILED);
+        }
+        else {
+            frame.writeUInt8(this.slave.slaveId, 0);
+            response = this.handleFrame(frame);
+            if (response)
+                response.writeUInt8(unitId, 0);
+        }
+        if (response && (response.readUInt8(1) & 0x80))
+            this.shares.exceptions++;
+        this.render();
+        return response ? ModbusTCP_1.ModbusTCP.addMBAP(response, transactionId) : null;
+    }
+    /**
+     * Выполняет кадр запроса на образе регистров и отправляет записанные значения в выходы
+     *
+     * Запись применяется целиком или не применяется совсем: сначала проверяются все затронутые точки
+     * (доступ, запись точки целиком, новое значение и его границы min/max), и только потом меняется образ
+    */
+    handleFrame(frame) {
+        const functionCode = frame.readUInt8(1);
+        if (!ModbusGateway.WRITE_CODES.includes(functionCode))
+            return this.slave.handleFrame(frame);
+        let request;
+        try {
+            request = ModbusRTU_1.ModbusRTU.parseRequestFrame(frame);
+        }
+        catch (err) {
+            return this.slave.makeException(frame, ModbusRTU_1.ModbusRTU.EXCEPTION_CODES.ILLEGAL_DATA_VALUE);
+        }
+        const EX = ModbusRTU_1.ModbusRTU.EXCEPTION_CODES;
+        const area = (functionCode === 0x05 || functionCode === 0x0F) ? 'coil' : 'holding';
+        const points = new Set();
+        for (let i = 0; i < request.quantity; i++) {
+            const point = this.pointIndex[area].get(request.address + i);
+            if (!point || !ModbusProfile_1.ModbusProfile.isWritable(point))
+                return this.slave.makeException(frame, EX.ILLEGAL_DATA_ADDRESS);
+            points.add(point);
+        }
+        for (const point of points) {
+            // Запись части регистров точки дала бы значение из старых и новых регистров
+            const from = point.address - request.address;
+            const count = this.getPointCount(point);
+            if (from < 0 || from + count > request.quantity)
+                return this.slave.makeException(frame, EX.ILLEGAL_DATA_ADDRESS);
+            if (!this.isValidWrite(point, request.values.slice(from, from + count)))
+                return this.slave.makeException(frame, EX.ILLEGAL_DATA_VALUE);
+        }
+        const response = this.slave.handleFrame(frame);
+        if (!response || (response.readUInt8(1) & 0x80))
+            return response;
+        for (const point of points)
+            this.writePoint(point);
+        return response;
+    }
+    /**
+     * Проверяет значение, которое SCADA записывает в точку
+     *
+     * Значение должно декодироваться по типу точки (например BCD) и попадать в границы min/max
+    */
+    isValidWrite(point, raw) {
+        let value;
+        try {
+            value = ReadPlanner_1.ReadPlanner.decodeItem(point, raw);
+        }
+        catch (err) {
+            return false;
+        }
+        if (typeof value !== 'number')
+            return true;
+        return !((point.min !== undefined && value < point.min) || (point.max !== undefined && value > point.max));
+    }
+    /**
+     * Отправляет записанное SCADA значение точки в выход `write<Name>`
+    */
+    writePoint(point) {
+        const value = this.getPoint(point);
+        this.shares.values[point.name] = value;
+        this.shares.writes++;
+        this.ports.output[this.writePort(point)].push(value);
+    }
+    /**
+     * Имя выхода записи точки
+    */
+    writePort(point) {
+        return 'write' + point.name[0].toUpperCase() + point.name.slice(1);
+    }
+    /**
+     * Количество адресов, которое занимает точка
+    */
+    getPointCount(point) {
+        if (point.area === 'coil' || point.area === 'di')
+            return 1;
+        return ModbusTypes_1.ModbusTypes.registerCount(point.type, point);
+    }
+    /**
+     * Извлекает значение из значения входного порта
+    */
+    unwrap(input, field) {
+        let value = input;
+        if (field) {
+            for (const key of field.split('.')) {
+                if (typeof value !== 'object' || value === null)
+                    return undefined;
+                value = value[key];
+            }
+        }
+        if (typeof value === 'object' && value !== null && 'quality' in value && 'value' in value)
+            return value.value;
+        return value;
+    }
+}
+exports.default = ModbusGateway;
+/**
+ * Коды функций записи
+*/
+ModbusGateway.WRITE_CODES = [0x05, 0x06, 0x0F, 0x10];
@@ -0,0 +1,84 @@
+/// <reference types="node" />
+/// <reference types="node" />
+import { Device, BasicPort, BasicType, BasicAction } from "vrack2-core";
+import { ModbusRequest } from "./classes/ModbusRTU";
+import { ModbusStream, ModbusStreamFrame } from "./classes/ModbusStream";
+/**
+ * Запись журнала монитора
+ *
+ * - `request` - запрос мастера
+ * - `response` - ответ ведомого, содержит `latency` если запрос был виден
+ * - `exception` - ответ с исключением, содержит `exceptionCode`
+ * - `noresponse` - запрос, на который не пришел ответ до следующего запроса
+ * - `garbage` - байты, которые не удалось разобрать
+ */
+export interface MonitorRecord {
+    type: 'request' | 'response' | 'exception' | 'noresponse' | 'garbage';
+    time: number;
+    raw: string;
+    slaveId?: number;
+    functionCode?: number;
+    address?: number;
+    quantity?: number;
+    values?: number[];
+    data?: string;
+    exceptionCode?: number;
+    latency?: number;
+}
+/**
+ * Пассивный монитор Modbus RTU трафика
+ *
+ * Получает сырые байты линии во входящий порт, выделяет из них запросы и ответы,
+ * сопоставляет ответы с запросами и считает время ответа
+*/
+export default class ModbusMonitor extends Device {
+    description(): string;
+    checkOptions(): {
+        [key: string]: BasicType;
+    };
+    inputs(): {
+        [key: string]: BasicPort;
+    };
+    outputs(): {
+        [key: string]: BasicPort;
+    };
+    actions(): {
+        [key: string]: BasicAction;
+    };
+    shares: any;
+    /**
+     * Декодер потока
+    */
+    stream: ModbusStream;
+    /**
+     * Последний запрос и время его получения
+    */
+    lastRequest: {
+        request: ModbusRequest;
+        time: number;
+    } | null;
+    preProcess(): void;
+    /**
+     * Обработка очередного куска данных линии
+    */
+    inputData(data: Buffer): void;
+    /**
+     * Преобразует кадр декодера в записи журнала
+    */
+    processFrame(frame: ModbusStreamFrame): void;
+    /**
+     * Добавляет запись о запросе без ответа
+    */
+    addNoResponse(req: ModbusRequest, time: number): void;
+    /**
+     * Добавляет запись в журнал и отправляет в порт, если она проходит фильтры
+    */
+    addRecord(record: MonitorRecord): void;
+    /**
+     * Проверка записи по фильтрам опций
+    */
+    filter(record: MonitorRecord): boolean;
+    actionHistoryClear(): Promise<{
+        result: string;
+    }>;
+}
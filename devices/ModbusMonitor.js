@@ -0,0 +1,177 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const vrack2_core_1 = require("vrack2-core");
+const ModbusStream_1 = require("./classes/ModbusStream");
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+/**
+ * Пассивный монитор Modbus RTU трафика
+ *
+ * Получает сырые байты линии во входящий порт, выделяет из них запросы и ответы,
+ * сопоставляет ответы с запросами и считает время ответа
+*/
+class ModbusMonitor extends vrack2_core_1.Device {
+    constructor() {
+        super(...arguments);
+        this.shares = {
+            counters: {
+                requests: 0,
+                responses: 0,
+                exceptions: 0,
+                noresponse: 0,
+                garbage: 0
+            },
+            history: []
+        };
+        /**
+         * Последний запрос и время его получения
+        */
+        this.lastRequest = null;
+    }
+    description() {
+        return fs_1.default.readFileSync(path_1.default.join(path_1.default.dirname(__dirname), 'docs', 'ModbusMonitor.md')).toString('utf-8');
+    }
+    checkOptions() {
+        return {
+            history: vrack2_core_1.Rule.number().integer().default(100).min(1).max(10000).description('Количество последних записей в shares.history'),
+            silence: vrack2_core_1.Rule.number().integer().default(0).min(0).description('Пауза в мс, после которой незавершенный кадр считается мусором (0 - не учитывать)'),
+            slaveIds: vrack2_core_1.Rule.array().content(vrack2_core_1.Rule.number().integer().min(0).max(255)).default([]).description('Показывать только эти адреса устройств (пусто - все)'),
+            functionCodes: vrack2_core_1.Rule.array().content(vrack2_core_1.Rule.number().integer().min(1).max(127)).default([]).description('Показывать только эти коды функций (пусто - все)'),
+            garbage: vrack2_core_1.Rule.boolean().default(true).description('Показывать неразобранные байты')
+        };
+    }
+    inputs() {
+        return {
+            data: vrack2_core_1.Port.standart().description('Сырые байты линии (Buffer)')
+        };
+    }
+    outputs() {
+        return {
+            record: vrack2_core_1.Port.standart().description('Разобранная запись журнала')
+        };
+    }
+    actions() {
+        return {
+            'history.clear': vrack2_core_1.Action.global().requirements({}).description('Очистка журнала и счетчиков'),
+        };
+    }
+    preProcess() {
+        this.stream = new ModbusStream_1.ModbusStream({ silence: this.options.silence });
+    }
+    /**
+     * Обработка очередного куска данных линии
+    */
+    inputData(data) {
+        const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        for (const frame of this.stream.push(chunk))
+            this.processFrame(frame);
+        this.render();
+    }
+    /**
+     * Преобразует кадр декодера в записи журнала
+    */
+    processFrame(frame) {
+        const raw = frame.raw.toString('hex');
+        if (frame.type === 'garbage') {
+            this.shares.counters.garbage++;
+            this.addRecord({ type: 'garbage', time: frame.time, raw });
+            return;
+        }
+        if (frame.request) {
+            const req = frame.request;
+            if (this.lastRequest)
+                this.addNoResponse(this.lastRequest.request, this.lastRequest.time);
+            this.lastRequest = (req.slaveId === 0) ? null : { request: req, time: frame.time };
+            this.shares.counters.requests++;
+            this.addRecord({
+                type: 'request', time: frame.time, raw,
+                slaveId: req.slaveId, functionCode: req.functionCode,
+                address: req.address, quantity: req.quantity, values: req.values
+            });
+            return;
+        }
+        if (frame.response) {
+            const resp = frame.response;
+            const record = {
+                type: (resp.exceptionCode !== undefined) ? 'exception' : 'response',
+                time: frame.time, raw,
+                slaveId: resp.slaveId, functionCode: resp.functionCode
+            };
+            if (resp.exceptionCode !== undefined) {
+                record.exceptionCode = resp.exceptionCode;
+                this.shares.counters.exceptions++;
+            }
+            else {
+                record.data = resp.data.toString('hex');
+                this.shares.counters.responses++;
+            }
+            if (this.lastRequest &&
+                this.lastRequest.request.slaveId === resp.slaveId &&
+                this.lastRequest.request.functionCode === resp.functionCode) {
+                record.address = this.lastRequest.request.address;
+                record.quantity = this.lastRequest.request.quantity;
+                record.latency = frame.time - this.lastRequest.time;
+            }
+            this.lastRequest = null;
+            this.addRecord(record);
+        }
+    }
+    /**
+     * Добавляет запись о запросе без ответа
+    */
+    addNoResponse(req, time) {
+        this.shares.counters.noresponse++;
+        this.addRecord({
+            type: 'noresponse', time, raw: '',
+            slaveId: req.slaveId, functionCode: req.functionCode,
+            address: req.address, quantity: req.quantity
+        });
+    }
+    /**
+     * Добавляет запись в журнал и отправляет в порт, если она проходит фильтры
+    */
+    addRecord(record) {
+        if (!this.filter(record))
+            return;
+        this.shares.history.push(record);
+        if (this.shares.history.length > this.options.history)
+            this.shares.history.shift();
+        this.ports.output.record.push(record);
+    }
+    /**
+     * Проверка записи по фильтрам опций
+    */
+    filter(record) {
+        if (record.type === 'garbage')
+            return this.options.garbage;
+        const slaveIds = this.options.slaveIds;
+        const functionCodes = this.options.functionCodes;
+        if (slaveIds.length && !slaveIds.includes(record.slaveId))
+            return false;
+        if (functionCodes.length && !functionCodes.includes(record.functionCode))
+            return false;
+        return true;
+    }
+    actionHistoryClear() {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.shares.history = [];
+            for (const key of Object.keys(this.shares.counters))
+                this.shares.counters[key] = 0;
+            this.render();
+            return { result: 'success' };
+        });
+    }
+}
+exports.default = ModbusMonitor;
@@ -0,0 +1,83 @@
+/// <reference types="node" />
+/// <reference types="node" />
+import { BasicType, BasicPort, BasicAction } from "vrack2-core";
+import DeviceRTU from "./DeviceRTU";
+import { ModbusResponse } from "./classes/ModbusRTU";
+/**
+ * Найденное при сканировании устройство
+ *
+ * @property {number} address - Адрес устройства
+ * @property {number} latency - Время ответа на пробный запрос в мс
+ * @property {number} [exceptionCode] - Код исключения, если устройство ответило исключением
+ * @property {number} [serverId] - Идентификатор из ответа Report Slave ID (0x11)
+ * @property {boolean} [runIndicator] - Признак работы из ответа 0x11
+ * @property {string} [slaveData] - Данные ответа 0x11 (hex)
+ * @property {Object} [deviceId] - Объекты Read Device Identification (0x2B / 0x0E): 0 - производитель, 1 - код продукта, 2 - версия
+ */
+export interface ScanResult {
+    address: number;
+    latency: number;
+    exceptionCode?: number;
+    serverId?: number;
+    runIndicator?: boolean;
+    slaveData?: string;
+    deviceId?: {
+        [objectId: number]: string;
+    };
+}
+/**
+ * Сканер шины Modbus
+ *
+ * Получает провайдер так же как {@link DeviceRTU} и по экшену опрашивает диапазон адресов
+ * дешевым запросом чтения. Устройство считается найденным, если оно ответило
+ * корректным ответом или исключением. За одну передачу управления проверяется
+ * не больше `slice` адресов, что бы остальные устройства шины продолжали опрашиваться
+*/
+export default class ModbusScanner extends DeviceRTU {
+    description(): string;
+    checkOptions(): {
+        [key: string]: BasicType;
+    };
+    outputs(): {
+        [key: string]: BasicPort;
+    };
+    actions(): {
+        [key: string]: BasicAction;
+    };
+    shares: any;
+    actionScanStart(data: {
+        from?: number;
+        to?: number;
+    }): Promise<{
+        result: string;
+    }>;
+    actionScanStop(): Promise<{
+        result: string;
+    }>;
+    /**
+     * Проверяет очередную порцию адресов
+    */
+    update(): Promise<void>;
+    /**
+     * Проверяет один адрес
+     *
+     * Любой разобранный ответ (в том числе исключение) означает, что устройство есть
+    */
+    probe(address: number): Promise<void>;
+    /**
+     * Запрашивает идентификацию найденного устройства
+     *
+     * Функции 0x11 и 0x2B поддерживаются не всеми устройствами,
+     * исключение или отсутствие ответа просто пропускаются
+    */
+    identify(result: ScanResult): Promise<void>;
+    /**
+     * Отправляет запрос и возвращает ответ (в том числе с исключением) или null, если ответа нет
+     * или он не разобран
+    */
+    protected tryRequest(buffer: Buffer, maxRetries: number): Promise<ModbusResponse | null>;
+    /**
+     * Завершает сканирование
+    */
+    protected finish(): void;
+}
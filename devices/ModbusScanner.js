@@ -0,0 +1,166 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const vrack2_core_1 = require("vrack2-core");
+const DeviceRTU_1 = __importDefault(require("./DeviceRTU"));
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+/**
+ * Сканер шины Modbus
+ *
+ * Получает провайдер так же как {@link DeviceRTU} и по экшену опрашивает диапазон адресов
+ * дешевым запросом чтения. Устройство считается найденным, если оно ответило
+ * корректным ответом или исключением. За одну передачу управления проверяется
+ * не больше `slice` адресов, что бы остальные устройства шины продолжали опрашиваться
+*/
+class ModbusScanner extends DeviceRTU_1.default {
+    constructor() {
+        super(...arguments);
+        this.shares = {
+            online: false,
+            process: false,
+            scan: {
+                running: false,
+                from: 0,
+                to: 0,
+                current: 0,
+                progress: 0,
+                started: 0,
+                finished: 0
+            },
+            found: [],
+            timing: {} // Время ответа по адресу в мс, null - нет ответа
+        };
+    }
+    description() {
+        return fs_1.default.readFileSync(path_1.default.join(path_1.default.dirname(__dirname), 'docs', 'ModbusScanner.md')).toString('utf-8');
+    }
+    checkOptions() {
+        const parent = super.checkOptions();
+        return Object.assign(Object.assign({}, parent), { timeout: vrack2_core_1.Rule.number().integer().default(200).min(0).description('Таймаут пробного запроса в мс').example(0), from: vrack2_core_1.Rule.number().integer().default(1).min(1).max(247).description('Первый адрес сканирования по умолчанию'), to: vrack2_core_1.Rule.number().integer().default(247).min(1).max(247).description('Последний адрес сканирования по умолчанию'), slice: vrack2_core_1.Rule.number().integer().default(4).min(1).description('Количество адресов, проверяемых за одну передачу управления'), probeFunction: vrack2_core_1.Rule.number().integer().default(0x03).min(0x01).max(0x04).description('Функция пробного запроса (0x01-0x04)'), probeAddress: vrack2_core_1.Rule.number().integer().default(0).min(0).max(0xFFFF).description('Адрес пробного запроса'), probeRetries: vrack2_core_1.Rule.number().integer().default(1).min(1).description('Количество попыток пробного запроса'), identify: vrack2_core_1.Rule.boolean().default(true).description('Запрашивать у найденных устройств Report Slave ID (0x11) и Read Device Identification (0x2B)') });
+    }
+    outputs() {
+        return Object.assign(Object.assign({}, super.outputs()), { found: vrack2_core_1.Port.standart().description('Найденное устройство (ScanResult)'), done: vrack2_core_1.Port.standart().description('Сканирование завершено - список найденных устройств') });
+    }
+    actions() {
+        return Object.assign(Object.assign({}, super.actions()), { 'scan.start': vrack2_core_1.Action.global().requirements({
+                from: vrack2_core_1.Rule.number().integer().min(1).max(247).description('Первый адрес (по умолчанию опция from)'),
+                to: vrack2_core_1.Rule.number().integer().min(1).max(247).description('Последний адрес (по умолчанию опция to)')
+            }).description('Запуск сканирования'), 'scan.stop': vrack2_core_1.Action.global().requirements({}).description('Остановка сканирования') });
+    }
+    actionScanStart(data) {
+        var _a, _b;
+        return __awaiter(this, void 0, void 0, function* () {
+            const from = (_a = data.from) !== null && _a !== void 0 ? _a : this.options.from;
+            const to = (_b = data.to) !== null && _b !== void 0 ? _b : this.options.to;
+            if (from > to)
+                return { result: 'error' };
+            this.shares.scan = { running: true, from, to, current: from, progress: 0, started: Date.now(), finished: 0 };
+            this.shares.found = [];
+            this.shares.timing = {};
+            this.render();
+            return { result: 'success' };
+        });
+    }
+    actionScanStop() {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.shares.scan.running = false;
+            this.render();
+            return { result: 'success' };
+        });
+    }
+    /**
+     * Проверяет очередную порцию адресов
+    */
+    update() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const scan = this.shares.scan;
+            for (let i = 0; i < this.options.slice && scan.running; i++) {
+                yield this.probe(scan.current);
+                scan.progress = Math.round((scan.current - scan.from + 1) / (scan.to - scan.from + 1) * 100);
+                scan.current++;
+                if (scan.current > scan.to)
+                    this.finish();
+            }
+            this.render();
+        });
+    }
+    /**
+     * Проверяет один адрес
+     *
+     * Любой разобранный ответ (в том числе исключение) означает, что устройство есть
+    */
+    probe(address) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const start = Date.now();
+            const resp = yield this.tryRequest(this.makeRequest(this.options.probeFunction, this.options.probeAddress, 1, undefined, address), this.options.probeRetries);
+            if (!resp) {
+                this.shares.timing[address] = null;
+                return;
+            }
+            const result = { address, latency: Date.now() - start };
+            this.shares.timing[address] = result.latency;
+            if (resp.exceptionCode !== undefined)
+                result.exceptionCode = resp.exceptionCode;
+            if (this.options.identify)
+                yield this.identify(result);
+            this.shares.found.push(result);
+            this.ports.output.found.push(result);
+        });
+    }
+    /**
+     * Запрашивает идентификацию найденного устройства
+     *
+     * Функции 0x11 и 0x2B поддерживаются не всеми устройствами,
+     * исключение или отсутствие ответа просто пропускаются
+    */
+    identify(result) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const slave = yield this.tryRequest(this.makeRequest(0x11, 0, 0, undefined, result.address), 1);
+            if (slave && slave.exceptionCode === undefined) {
+                result.serverId = slave.serverId;
+                result.runIndicator = slave.runIndicator;
+                result.slaveData = slave.data.toString('hex');
+            }
+            // Базовая идентификация (1): производитель, код продукта, версия
+            const device = yield this.tryRequest(this.makeRequest(0x2B, 1, 0, undefined, result.address), 1);
+            if (device && device.deviceId)
+                result.deviceId = device.deviceId.objects;
+        });
+    }
+    /**
+     * Отправляет запрос и возвращает ответ (в том числе с исключением) или null, если ответа нет
+     * или он не разобран
+    */
+    tryRequest(buffer, maxRetries) {
+        return __awaiter(this, void 0, void 0, function* () {
+            try {
+                return yield this.transfer(buffer, maxRetries);
+            }
+            catch (err) {
+                return null;
+            }
+        });
+    }
+    /**
+     * Завершает сканирование
+    */
+    finish() {
+        const scan = this.shares.scan;
+        scan.running = false;
+        scan.finished = Date.now();
+        this.ports.output.done.push([...this.shares.found]);
+    }
+}
+exports.default = ModbusScanner;
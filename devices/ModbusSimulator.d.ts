@@ -0,0 +1,78 @@
+/// <reference types="node" />
+/// <reference types="node" />
+/// <reference types="node" />
+import { Device, BasicAction, BasicType } from "vrack2-core";
+import { ModbusArea } from "./classes/ModbusRTU";
+import { ModbusSlave } from "./classes/ModbusSlave";
+import net from 'net';
+/**
+ * Симулятор ведомого Modbus RTU устройства
+ *
+ * Слушает локальный TCP порт и отвечает на RTU запросы, как реальное устройство
+ * за преобразователем. Позволяет проверять наследников DeviceRTU без оборудования,
+ * подключив к нему vrack2-net.ConverterBus
+*/
+export default class ModbusSimulator extends Device {
+    description(): string;
+    checkOptions(): {
+        [key: string]: BasicType;
+    };
+    actions(): {
+        [key: string]: BasicAction;
+    };
+    shares: any;
+    /**
+     * Модель ведомого устройства
+    */
+    slave: ModbusSlave;
+    /**
+     * TCP сервер симулятора
+    */
+    server: net.Server;
+    preProcess(): void;
+    process(): void;
+    /**
+     * Обработка нового подключения
+     *
+     * Байты накапливаются до получения полного запроса. При ошибке CRC
+     * накопленный буфер сбрасывается
+    */
+    onConnection(socket: net.Socket): void;
+    /**
+     * Размер запроса в начале буфера по коду функции (см. {@link ModbusRTU.requestLength})
+     *
+     * Неизвестные функции считаются 8 байтными, что бы ответить ILLEGAL FUNCTION.
+     * 0 - для определения размера известной функции нужно больше данных
+    */
+    requestSize(buffer: Buffer): number;
+    /**
+     * Формирует ответ на запрос и отправляет его с учетом опции delay
+    */
+    answer(socket: net.Socket, request: Buffer): void;
+    actionSetValue(data: {
+        area: ModbusArea;
+        address: number;
+        value: number;
+    }): Promise<{
+        result: string;
+    }>;
+    actionSetValues(data: {
+        area: ModbusArea;
+        address: number;
+        values: number[];
+    }): Promise<{
+        result: string;
+    }>;
+    actionGetValues(data: {
+        area: ModbusArea;
+        address: number;
+        quantity: number;
+    }): Promise<{
+        result: string;
+        values: number[] | undefined;
+    }>;
+    /**
+     * Проверяет что все адреса диапазона есть в таблице области
+    */
+    protected checkAddress(area: ModbusArea, address: number, quantity: number): void;
+}
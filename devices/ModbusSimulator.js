@@ -0,0 +1,174 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const vrack2_core_1 = require("vrack2-core");
+const ModbusRTU_1 = require("./classes/ModbusRTU");
+const ModbusSlave_1 = require("./classes/ModbusSlave");
+const net_1 = __importDefault(require("net"));
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+vrack2_core_1.ErrorManager.register('ModbusSimulator', 'G3VJX7PL5', 'V2MODBUS_SIMULATOR_ADDRESS_UNKNOWN', 'Address is not present in the simulator table');
+/**
+ * Симулятор ведомого Modbus RTU устройства
+ *
+ * Слушает локальный TCP порт и отвечает на RTU запросы, как реальное устройство
+ * за преобразователем. Позволяет проверять наследников DeviceRTU без оборудования,
+ * подключив к нему vrack2-net.ConverterBus
+*/
+class ModbusSimulator extends vrack2_core_1.Device {
+    constructor() {
+        super(...arguments);
+        this.shares = {
+            listen: false,
+            clients: 0,
+            requests: 0,
+            exceptions: 0
+        };
+    }
+    description() {
+        return fs_1.default.readFileSync(path_1.default.join(path_1.default.dirname(__dirname), 'docs', 'ModbusSimulator.md')).toString('utf-8');
+    }
+    checkOptions() {
+        return {
+            host: vrack2_core_1.Rule.string().default('127.0.0.1').description('Адрес для прослушивания'),
+            port: vrack2_core_1.Rule.number().integer().default(5020).min(1).max(65535).description('TCP порт для прослушивания'),
+            slaveId: vrack2_core_1.Rule.number().integer().default(1).min(1).max(247).description('Адрес симулируемого устройства'),
+            delay: vrack2_core_1.Rule.number().integer().default(0).min(0).description('Задержка ответа в мс'),
+            tables: vrack2_core_1.Rule.object().default({}).description('Начальные значения таблиц: { "holding": { "0": [10, 20] }, "coil": { "0": 1 } }'),
+            file: vrack2_core_1.Rule.string().default('').description('JSON файл с начальными значениями таблиц (в формате опции tables)')
+        };
+    }
+    actions() {
+        return {
+            'set.value': vrack2_core_1.Action.global().requirements({
+                area: vrack2_core_1.Rule.string().default('holding').description('Область: coil, di, holding, input'),
+                address: vrack2_core_1.Rule.number().integer().min(0).max(0xFFFF).description('Адрес'),
+                value: vrack2_core_1.Rule.number().integer().description('Значение')
+            }).description('Изменение одного значения таблицы'),
+            'set.values': vrack2_core_1.Action.global().requirements({
+                area: vrack2_core_1.Rule.string().default('holding').description('Область: coil, di, holding, input'),
+                address: vrack2_core_1.Rule.number().integer().min(0).max(0xFFFF).description('Адрес первого значения'),
+                values: vrack2_core_1.Rule.array().content(vrack2_core_1.Rule.number().integer()).description('Значения')
+            }).description('Изменение нескольких последовательных значений таблицы'),
+            'get.values': vrack2_core_1.Action.global().requirements({
+                area: vrack2_core_1.Rule.string().default('holding').description('Область: coil, di, holding, input'),
+                address: vrack2_core_1.Rule.number().integer().min(0).max(0xFFFF).description('Адрес первого значения'),
+                quantity: vrack2_core_1.Rule.number().integer().default(1).min(1).max(2000).description('Количество значений')
+            }).description('Чтение значений таблицы'),
+        };
+    }
+    preProcess() {
+        this.slave = new ModbusSlave_1.ModbusSlave(this.options.slaveId);
+        if (this.options.file) {
+            const content = fs_1.default.readFileSync(path_1.default.resolve(this.options.file)).toString('utf-8');
+            this.slave.load(JSON.parse(content));
+        }
+        this.slave.load(this.options.tables);
+    }
+    process() {
+        this.server = net_1.default.createServer((socket) => this.onConnection(socket));
+        this.server.on('error', (err) => this.error('Simulator server error', err));
+        this.server.listen(this.options.port, this.options.host, () => {
+            this.shares.listen = true;
+            this.render();
+        });
+    }
+    /**
+     * Обработка нового подключения
+     *
+     * Байты накапливаются до получения полного запроса. При ошибке CRC
+     * накопленный буфер сбрасывается
+    */
+    onConnection(socket) {
+        let buffer = Buffer.alloc(0);
+        this.shares.clients++;
+        this.render();
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            while (buffer.length >= 4) { // Минимальный размер запроса (0x07, 0x11)
+                const size = this.requestSize(buffer);
+                if (!size || buffer.length < size)
+                    break;
+                const request = buffer.subarray(0, size);
+                buffer = buffer.subarray(size);
+                if (!ModbusRTU_1.ModbusRTU.verifyCRC(request)) {
+                    buffer = Buffer.alloc(0);
+                    break;
+                }
+                this.answer(socket, request);
+            }
+        });
+        socket.on('error', (err) => this.error('Simulator socket error', err));
+        socket.on('close', () => {
+            this.shares.clients--;
+            this.render();
+        });
+    }
+    /**
+     * Размер запроса в начале буфера по коду функции (см. {@link ModbusRTU.requestLength})
+     *
+     * Неизвестные функции считаются 8 байтными, что бы ответить ILLEGAL FUNCTION.
+     * 0 - для определения размера известной функции нужно больше данных
+    */
+    requestSize(buffer) {
+        const size = ModbusRTU_1.ModbusRTU.requestLength(buffer);
+        if (size)
+            return size;
+        const known = Object.values(ModbusRTU_1.ModbusRTU.FUNCTION_CODES).includes(buffer.readUInt8(1));
+        return known ? 0 : 8;
+    }
+    /**
+     * Формирует ответ на запрос и отправляет его с учетом опции delay
+    */
+    answer(socket, request) {
+        const response = this.slave.handleRTU(request);
+        this.shares.requests++;
+        if (response && (response.readUInt8(1) & 0x80))
+            this.shares.exceptions++;
+        this.render();
+        if (!response)
+            return;
+        setTimeout(() => { if (!socket.destroyed)
+            socket.write(response); }, this.options.delay);
+    }
+    actionSetValue(data) {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.checkAddress(data.area, data.address, 1);
+            this.slave.setValues(data.area, data.address, [data.value]);
+            return { result: 'success' };
+        });
+    }
+    actionSetValues(data) {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.checkAddress(data.area, data.address, data.values.length);
+            this.slave.setValues(data.area, data.address, data.values);
+            return { result: 'success' };
+        });
+    }
+    actionGetValues(data) {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.checkAddress(data.area, data.address, data.quantity);
+            return { result: 'success', values: this.slave.getValues(data.area, data.address, data.quantity) };
+        });
+    }
+    /**
+     * Проверяет что все адреса диапазона есть в таблице области
+    */
+    checkAddress(area, address, quantity) {
+        if (!(area in this.slave.tables) || !this.slave.getValues(area, address, quantity)) {
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_SIMULATOR_ADDRESS_UNKNOWN', { area, address, quantity });
+        }
+    }
+}
+exports.default = ModbusSimulator;
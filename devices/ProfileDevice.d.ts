@@ -0,0 +1,68 @@
+import { BasicType, BasicPort, BasicAction } from "vrack2-core";
+import DeviceRTU, { PollGroup } from "./DeviceRTU";
+import { ModbusValue } from "./classes/ModbusTypes";
+import { ModbusProfileData, ProfileRegister } from "./classes/ModbusProfile";
+/**
+ * Устройство, полностью описанное JSON профилем
+ *
+ * Профиль (см. {@link ModbusProfile}) задает регистры, группы опроса и настройки.
+ * Для каждого читаемого регистра создается выходной порт, для каждого
+ * записываемого - экшен `set.<name>` с проверкой min/max
+*/
+export default class ProfileDevice extends DeviceRTU {
+    description(): string;
+    checkOptions(): {
+        [key: string]: BasicType;
+    };
+    outputs(): {
+        [key: string]: BasicPort;
+    };
+    actions(): {
+        [key: string]: BasicAction;
+    };
+    shares: any;
+    /**
+     * Загруженный профиль
+    */
+    protected profile?: ModbusProfileData;
+    preProcess(): void;
+    /**
+     * Возвращает профиль, загружая и проверяя его при первом обращении
+    */
+    getProfile(): ModbusProfileData;
+    /**
+     * Группы опроса из профиля
+    */
+    pollGroups(): {
+        [name: string]: PollGroup;
+    };
+    /**
+     * Читает регистры группы (адреса каждой области объединяются в общие запросы)
+    */
+    readGroup(group: string): Promise<void>;
+    /**
+     * Сохраняет значение в shares и отправляет в порт при изменении
+     * (или всегда, если включена опция eachGate), см. {@link offer}
+    */
+    fillValue(reg: ProfileRegister, value: ModbusValue): void;
+    /**
+     * Обработчик экшена `set.<name>` - ставит запись в очередь
+     *
+     * Повторная запись того же регистра заменяет еще не выполненную.
+     * После записи группа регистра будет опрошена при следующей передаче управления
+    */
+    setRegister(reg: ProfileRegister, value: number): Promise<{
+        result: string;
+        value: unknown;
+    }>;
+    /**
+     * Записывает значение регистра
+     *
+     * Значение переводится в сырое (`(value - offset) / scale`) и записывается командой
+     * 0x05 для coil, 0x06 для одного регистра или 0x10 для нескольких.
+     * Если у регистра включено `verify` - запись выполняется с проверкой (см. {@link writeVerify})
+     *
+     * @returns Значение, которое принято устройством
+    */
+    writeRegister(reg: ProfileRegister, value: number): Promise<ModbusValue>;
+}
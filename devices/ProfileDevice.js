@@ -0,0 +1,187 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const vrack2_core_1 = require("vrack2-core");
+const DeviceRTU_1 = __importDefault(require("./DeviceRTU"));
+const ModbusTypes_1 = require("./classes/ModbusTypes");
+const ModbusProfile_1 = require("./classes/ModbusProfile");
+const ReadPlanner_1 = require("./classes/ReadPlanner");
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+/**
+ * Устройство, полностью описанное JSON профилем
+ *
+ * Профиль (см. {@link ModbusProfile}) задает регистры, группы опроса и настройки.
+ * Для каждого читаемого регистра создается выходной порт, для каждого
+ * записываемого - экшен `set.<name>` с проверкой min/max
+*/
+class ProfileDevice extends DeviceRTU_1.default {
+    constructor() {
+        super(...arguments);
+        this.shares = {
+            online: false,
+            process: false,
+            profile: '',
+            values: {},
+            units: {} // Единицы измерения по имени регистра
+        };
+    }
+    description() {
+        return fs_1.default.readFileSync(path_1.default.join(path_1.default.dirname(__dirname), 'docs', 'ProfileDevice.md')).toString('utf-8');
+    }
+    checkOptions() {
+        const parent = super.checkOptions();
+        return Object.assign(Object.assign({}, parent), { profile: vrack2_core_1.Rule.string().description('Имя профиля из каталога profiles или путь к JSON файлу профиля').example('RainSnowSensor'), eachGate: vrack2_core_1.Rule.boolean().default(false).description('Отправлять результат при каждом опросе (true) если false будет отправлять только изменения') });
+    }
+    outputs() {
+        const result = Object.assign({}, super.outputs());
+        for (const reg of this.getProfile().registers) {
+            if (!ModbusProfile_1.ModbusProfile.isReadable(reg))
+                continue;
+            const unit = reg.unit ? ` (${reg.unit})` : '';
+            result[reg.name] = vrack2_core_1.Port.standart().description((reg.description || reg.name) + unit);
+        }
+        return result;
+    }
+    actions() {
+        const result = Object.assign({}, super.actions());
+        for (const reg of this.getProfile().registers) {
+            if (!ModbusProfile_1.ModbusProfile.isWritable(reg))
+                continue;
+            let value = vrack2_core_1.Rule.number();
+            if (reg.area === 'coil')
+                value = value.integer().min(0).max(1);
+            if (reg.min !== undefined)
+                value = value.min(reg.min);
+            if (reg.max !== undefined)
+                value = value.max(reg.max);
+            const unit = reg.unit ? ` (${reg.unit})` : '';
+            result['set.' + reg.name] = vrack2_core_1.Action.global().requirements({
+                value: value.description('Значение' + unit)
+            }).description('Запись: ' + (reg.description || reg.name));
+        }
+        return result;
+    }
+    preProcess() {
+        const profile = this.getProfile();
+        this.shares.profile = profile.name;
+        profile.registers.forEach((reg, index) => {
+            if (!DeviceRTU_1.default.RESERVED_PORTS.includes(reg.name))
+                return;
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_PROFILE_INVALID', { profile: this.options.profile, field: `registers[${index}].name`, reason: `name "${reg.name}" is reserved` });
+        });
+        for (const reg of profile.registers) {
+            if (ModbusProfile_1.ModbusProfile.isReadable(reg)) {
+                this.shares.values[reg.name] = null;
+                this.shares.units[reg.name] = reg.unit;
+            }
+            if (!ModbusProfile_1.ModbusProfile.isWritable(reg))
+                continue;
+            // Обработчик экшена set.<name>
+            Object.assign(this, {
+                ['actionSet' + reg.name[0].toUpperCase() + reg.name.slice(1)]: (data) => this.setRegister(reg, data.value)
+            });
+        }
+    }
+    /**
+     * Возвращает профиль, загружая и проверяя его при первом обращении
+    */
+    getProfile() {
+        if (!this.profile)
+            this.profile = ModbusProfile_1.ModbusProfile.load(this.options.profile);
+        return this.profile;
+    }
+    /**
+     * Группы опроса из профиля
+    */
+    pollGroups() {
+        const result = {};
+        for (const [name, interval] of Object.entries(this.getProfile().groups)) {
+            result[name] = { interval, method: () => this.readGroup(name) };
+        }
+        return result;
+    }
+    /**
+     * Читает регистры группы (адреса каждой области объединяются в общие запросы)
+    */
+    readGroup(group) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const registers = this.getProfile().registers.filter(reg => reg.group === group && ModbusProfile_1.ModbusProfile.isReadable(reg));
+            const values = new Map();
+            for (const [area, addresses] of ReadPlanner_1.ReadPlanner.itemAddresses(registers)) {
+                values.set(area, yield this.readAddresses(area, addresses, true));
+            }
+            for (const reg of registers) {
+                this.fillValue(reg, ReadPlanner_1.ReadPlanner.itemValue(reg, values.get(reg.area)));
+            }
+            this.render();
+        });
+    }
+    /**
+     * Сохраняет значение в shares и отправляет в порт при изменении
+     * (или всегда, если включена опция eachGate), см. {@link offer}
+    */
+    fillValue(reg, value) {
+        this.shares.values[reg.name] = value;
+        this.offer(reg.name, value, this.options.eachGate);
+    }
+    /**
+     * Обработчик экшена `set.<name>` - ставит запись в очередь
+     *
+     * Повторная запись того же регистра заменяет еще не выполненную.
+     * После записи группа регистра будет опрошена при следующей передаче управления
+    */
+    setRegister(reg, value) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const accepted = yield this.actionAddQueue(() => this.writeRegister(reg, value), { key: reg.name });
+            if (ModbusProfile_1.ModbusProfile.isReadable(reg))
+                this.pollNow(reg.group);
+            return { result: 'success', value: accepted };
+        });
+    }
+    /**
+     * Записывает значение регистра
+     *
+     * Значение переводится в сырое (`(value - offset) / scale`) и записывается командой
+     * 0x05 для coil, 0x06 для одного регистра или 0x10 для нескольких.
+     * Если у регистра включено `verify` - запись выполняется с проверкой (см. {@link writeVerify})
+     *
+     * @returns Значение, которое принято устройством
+    */
+    writeRegister(reg, value) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (reg.area === 'coil') {
+                const bit = value ? 1 : 0;
+                if (reg.verify)
+                    return (yield this.writeVerify(0x05, reg.address, [bit]))[0];
+                yield this.simpleRequest(0x05, reg.address, bit);
+                return bit;
+            }
+            let raw = (value - reg.offset) / reg.scale;
+            if (!reg.type.startsWith('float'))
+                raw = Math.round(raw);
+            const registers = ModbusTypes_1.ModbusTypes.encode(raw, reg.type, reg);
+            const cmd = (registers.length === 1) ? 0x06 : 0x10;
+            let actual = registers;
+            if (reg.verify)
+                actual = yield this.writeVerify(cmd, reg.address, registers);
+            else if (cmd === 0x06)
+                yield this.simpleRequest(cmd, reg.address, registers[0]);
+            else
+                yield this.simpleRequest(cmd, reg.address, registers.length, registers);
+            return ReadPlanner_1.ReadPlanner.decodeItem(reg, actual);
+        });
+    }
+}
+exports.default = ProfileDevice;
@@ -0,0 +1,59 @@
+import { BasicType, BasicPort } from "vrack2-core";
+import DeviceRTU, { PublishSettings } from "./DeviceRTU";
+import { ModbusDataType, ModbusByteOrder } from "./classes/ModbusTypes";
+import { ReadItem } from "./classes/ReadPlanner";
+/**
+ * Настройки канала аналогового входа
+*/
+export interface AIChannel {
+    type: ModbusDataType;
+    order: ModbusByteOrder;
+    scale: number;
+    offset: number;
+    deadband: number;
+}
+/**
+ * Универсальное устройство аналоговых входов до 64 портов
+ *
+ * Читает подряд идущие input (0x04) или holding (0x03) регистры,
+ * для каждого канала задается тип данных, масштаб, смещение и зона нечувствительности
+*/
+export default class UniversalAI extends DeviceRTU {
+    /**
+     * Типы данных каналов - только числовые (string и bits не являются аналоговым значением)
+    */
+    static readonly CHANNEL_TYPES: ModbusDataType[];
+    description(): string;
+    checkOptions(): {
+        [key: string]: BasicType;
+    };
+    outputs(): {
+        [key: string]: BasicPort;
+    };
+    shares: any;
+    /**
+     * Каналы с адресами первых регистров (0 индекс = 1 порт)
+    */
+    items: Array<AIChannel & ReadItem>;
+    preProcess(): void;
+    update(): Promise<void>;
+    /**
+     * Читает регистры всех каналов (соседние регистры объединяются в общие запросы)
+    */
+    updateAI(): Promise<void>;
+    /**
+     * Обновляет значение канала и предлагает его для отправки в порт (см. {@link offer})
+     *
+     * Значение отправляется, если изменение больше зоны нечувствительности
+     * (или всегда, если включена опция eachGate)
+    */
+    fillAI(index: number, value: number): void;
+    /**
+     * Зона нечувствительности канала используется, если она не задана опцией publishing
+    */
+    publishSettings(port: string): PublishSettings;
+    /**
+     * Настройки канала с учетом значений по умолчанию
+    */
+    getChannel(index: number): AIChannel;
+}
@@ -0,0 +1,130 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const vrack2_core_1 = require("vrack2-core");
+const DeviceRTU_1 = __importDefault(require("./DeviceRTU"));
+const ModbusTypes_1 = require("./classes/ModbusTypes");
+const ReadPlanner_1 = require("./classes/ReadPlanner");
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+vrack2_core_1.ErrorManager.register('UniversalAI', 'M9RWT5EHK', 'V2MODBUS_AI_AREA_INVALID', 'Analog input area must be input or holding');
+vrack2_core_1.ErrorManager.register('UniversalAI', 'J3VXB7NQ2', 'V2MODBUS_AI_TYPE_INVALID', 'Analog input channel type must be a numeric data type');
+/**
+ * Универсальное устройство аналоговых входов до 64 портов
+ *
+ * Читает подряд идущие input (0x04) или holding (0x03) регистры,
+ * для каждого канала задается тип данных, масштаб, смещение и зона нечувствительности
+*/
+class UniversalAI extends DeviceRTU_1.default {
+    constructor() {
+        super(...arguments);
+        this.shares = {
+            online: false,
+            process: false,
+            ai: [] // Значения аналоговых входов (0 индекс = 1 порт)
+        };
+        /**
+         * Каналы с адресами первых регистров (0 индекс = 1 порт)
+        */
+        this.items = [];
+    }
+    description() {
+        return fs_1.default.readFileSync(path_1.default.join(path_1.default.dirname(__dirname), 'docs', 'UniversalAI.md')).toString('utf-8');
+    }
+    checkOptions() {
+        const parent = super.checkOptions();
+        return Object.assign(Object.assign({}, parent), { countAI: vrack2_core_1.Rule.number().integer().default(8).min(1).max(64).description('Количество аналоговых входов'), area: vrack2_core_1.Rule.string().default('input').description('Область регистров: input (0x04) или holding (0x03)'), start: vrack2_core_1.Rule.number().integer().default(0).min(0).max(0xFFFF).description('Адрес первого регистра'), channels: vrack2_core_1.Rule.array().content(vrack2_core_1.Rule.object().fields({
+                type: vrack2_core_1.Rule.string().default('uint16').description('Тип данных: int16, uint16, int32, uint32, float32 ...'),
+                order: vrack2_core_1.Rule.string().default('ABCD').description('Порядок байт: ABCD, CDAB, BADC, DCBA'),
+                scale: vrack2_core_1.Rule.number().default(1).description('Множитель значения'),
+                offset: vrack2_core_1.Rule.number().default(0).description('Смещение значения (после умножения)'),
+                deadband: vrack2_core_1.Rule.number().default(0).min(0).description('Зона нечувствительности - изменение меньше или равное не отправляется'),
+            })).default([]).description('Настройки каналов по порядку (ai1, ai2 ...), для остальных - uint16 без масштаба'), eachGate: vrack2_core_1.Rule.boolean().default(false).description('Отправлять результат при каждом опросе (true) если false будет отправлять только изменения') });
+    }
+    outputs() {
+        const parent = super.outputs();
+        return Object.assign(Object.assign({}, parent), { 'ai%d': vrack2_core_1.Port.standart().dynamic(this.options.countAI).description('Порт для получения значения аналогового входа') });
+    }
+    preProcess() {
+        if (this.options.area !== 'input' && this.options.area !== 'holding') {
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_AI_AREA_INVALID', { area: this.options.area });
+        }
+        let address = this.options.start;
+        for (let i = 0; i < this.options.countAI; i++) {
+            const channel = this.getChannel(i);
+            if (!UniversalAI.CHANNEL_TYPES.includes(channel.type))
+                throw vrack2_core_1.ErrorManager.make('V2MODBUS_AI_TYPE_INVALID', { port: 'ai' + (i + 1), type: channel.type });
+            const item = Object.assign(Object.assign({}, channel), { area: this.options.area, address });
+            this.items.push(item);
+            this.shares.ai.push(null);
+            address += ReadPlanner_1.ReadPlanner.itemCount(item);
+        }
+    }
+    update() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.updateAI();
+        });
+    }
+    /**
+     * Читает регистры всех каналов (соседние регистры объединяются в общие запросы)
+    */
+    updateAI() {
+        var _a;
+        return __awaiter(this, void 0, void 0, function* () {
+            const addresses = (_a = ReadPlanner_1.ReadPlanner.itemAddresses(this.items).get(this.options.area)) !== null && _a !== void 0 ? _a : [];
+            const values = yield this.readAddresses(this.options.area, addresses);
+            this.items.forEach((item, index) => this.fillAI(index, ReadPlanner_1.ReadPlanner.itemValue(item, values)));
+            this.render();
+        });
+    }
+    /**
+     * Обновляет значение канала и предлагает его для отправки в порт (см. {@link offer})
+     *
+     * Значение отправляется, если изменение больше зоны нечувствительности
+     * (или всегда, если включена опция eachGate)
+    */
+    fillAI(index, value) {
+        this.shares.ai[index] = value;
+        this.offer('ai' + (index + 1), value, this.options.eachGate);
+    }
+    /**
+     * Зона нечувствительности канала используется, если она не задана опцией publishing
+    */
+    publishSettings(port) {
+        const settings = super.publishSettings(port);
+        const match = /^ai(\d+)$/.exec(port);
+        if (!match)
+            return settings;
+        return Object.assign({ deadband: this.getChannel(parseInt(match[1]) - 1).deadband }, settings);
+    }
+    /**
+     * Настройки канала с учетом значений по умолчанию
+    */
+    getChannel(index) {
+        var _a, _b, _c, _d, _e, _f;
+        const channel = (_a = this.options.channels[index]) !== null && _a !== void 0 ? _a : {};
+        return {
+            type: (_b = channel.type) !== null && _b !== void 0 ? _b : 'uint16',
+            order: (_c = channel.order) !== null && _c !== void 0 ? _c : 'ABCD',
+            scale: (_d = channel.scale) !== null && _d !== void 0 ? _d : 1,
+            offset: (_e = channel.offset) !== null && _e !== void 0 ? _e : 0,
+            deadband: (_f = channel.deadband) !== null && _f !== void 0 ? _f : 0
+        };
+    }
+}
+exports.default = UniversalAI;
+/**
+ * Типы данных каналов - только числовые (string и bits не являются аналоговым значением)
+*/
+UniversalAI.CHANNEL_TYPES = ModbusTypes_1.ModbusTypes.DATA_TYPES.filter(type => type !== 'string' && type !== 'bits');
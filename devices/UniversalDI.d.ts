@@ -1,8 +1,10 @@
-import { BasicType, BasicPort } from "vrack2-core";
+import { BasicType, BasicPort, BasicAction } from "vrack2-core";
 import DeviceRTU from "./DeviceRTU";
 /**
- * Пример устройствоа для чтения дискретных входов READ_DISCRETE_INPUTS 0x02
- * Универсальное устроство до 64 входящих портов
+ * Пример устройствоа для чтения дискретных входов READ_DISCRETE_INPUTS 0x02 (или coils READ_COILS 0x01)
+ * Универсальное устроство до 2000 входящих портов
+ *
+ * Поддерживает инверсию каналов, подавление дребезга и счетчики импульсов
 */
 export default class UniversalDI extends DeviceRTU {
     description(): string;
@@ -12,7 +14,25 @@ export default class UniversalDI extends DeviceRTU {
     outputs(): {
         [key: string]: BasicPort;
     };
+    actions(): {
+        [key: string]: BasicAction;
+    };
     shares: any;
+    /**
+     * Индексы инвертируемых входов (с 0)
+    */
+    inverted: Set<number>;
+    /**
+     * Значение-кандидат каждого входа и количество опросов подряд, в которых оно получено
+    */
+    bounce: Array<{
+        value: number;
+        count: number;
+    }>;
+    /**
+     * Был ли выполнен первый опрос (первое значение принимается без подавления дребезга и без подсчета фронта)
+    */
+    polled: boolean;
     preProcess(): void;
     /**
      * Метод запускается внутри DeviceRTU после установок и проверок всех флагов
@@ -22,10 +42,12 @@ export default class UniversalDI extends DeviceRTU {
     */
     update(): Promise<void>;
     /**
-     * Обновляет состояния дискретных входов (DI) устройства через Modbus-команду READ_DISCRETE_INPUTS (0x02).
+     * Обновляет состояния дискретных входов (DI) устройства через Modbus-команду READ_DISCRETE_INPUTS (0x02)
+     * или READ_COILS (0x01) в зависимости от опции area.
      *
-     * Запрашивает {@link options.сountDI} битов, получает ответ в виде буфера байтов,
-     * и последовательно разбирает каждый байт на отдельные биты, начиная с DI1 (младший бит первого байта).
+     * Запрашивает {@link options.сountDI} битов начиная с адреса {@link options.start}, блоками
+     * не более {@link options.blockSize} битов. Каждый ответ последовательно разбирается
+     * на отдельные биты, начиная с младшего бита первого байта.
      *
      * Последний байт может содержать меньше 8 значимых битов — обрабатывается корректно.
      * После обновления вызывается {@link render} для отображения изменений.
@@ -37,12 +59,33 @@ export default class UniversalDI extends DeviceRTU {
      * Биты читаются от младшего (bit 0) к старшему (bit 7), что соответствует
      * стандартному представлению DI в Modbus: бит 0 → DI1, бит 1 → DI2, и т.д.
      *
-     * Обновление порта происходит только если значение изменилось,
-     * либо если включена опция options.eachGate.
+     * Каждый бит передается в {@link setDI} для инверсии, подавления дребезга и подсчета импульсов.
      *
      * @param {number} offset - Базовый индекс в массиве DI (в битах), с которого начинается запись.
      * @param {number} mask - Байт (0–255), содержащий 8 битовых значений.
      * @param {number} bitCount - Количество значимых битов в маске (1–8), используется для последнего неполного байта.
      */
     fillDI(offset: number, mask: number, bitCount?: number): void;
+    /**
+     * Обрабатывает прочитанное значение входа
+     *
+     * Значение инвертируется (опция invert) и принимается только после {@link options.debounce}
+     * одинаковых опросов подряд. При переходе 0 → 1 увеличивается счетчик импульсов.
+     *
+     * Значение отправляется в порт если оно изменилось, либо если включена опция options.eachGate
+     * (с учетом настроек публикации, см. {@link offer}).
+     *
+     * @param {number} index - Индекс входа (с 0)
+     * @param {number} raw - Прочитанное значение 0/1
+     */
+    setDI(index: number, raw: number): void;
+    /**
+     * Увеличивает счетчик импульсов входа
+     */
+    countPulse(index: number): void;
+    actionCounterReset(data: {
+        index: number;
+    }): Promise<{
+        result: string;
+    }>;
 }
@@ -14,11 +14,15 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
 Object.defineProperty(exports, "__esModule", { value: true });
 const vrack2_core_1 = require("vrack2-core");
 const DeviceRTU_1 = __importDefault(require("./DeviceRTU"));
+const ModbusRTU_1 = require("./classes/ModbusRTU");
 const fs_1 = __importDefault(require("fs"));
 const path_1 = __importDefault(require("path"));
+vrack2_core_1.ErrorManager.register('UniversalDI', 'QH4ZB7LWD', 'V2MODBUS_DI_AREA_INVALID', 'Discrete input area must be di or coil');
 /**
- * Пример устройствоа для чтения дискретных входов READ_DISCRETE_INPUTS 0x02
- * Универсальное устроство до 64 входящих портов
+ * Пример устройствоа для чтения дискретных входов READ_DISCRETE_INPUTS 0x02 (или coils READ_COILS 0x01)
+ * Универсальное устроство до 2000 входящих портов
+ *
+ * Поддерживает инверсию каналов, подавление дребезга и счетчики импульсов
 */
 class UniversalDI extends DeviceRTU_1.default {
     constructor() {
@@ -26,23 +30,52 @@ class UniversalDI extends DeviceRTU_1.default {
         this.shares = {
             online: false,
             process: false,
-            di: [] // Значение наших дискретных входов (0 индекс = 1 порт)
+            di: [],
+            counters: [] // Количество импульсов входов (0 индекс = 1 порт)
         };
+        /**
+         * Индексы инвертируемых входов (с 0)
+        */
+        this.inverted = new Set();
+        /**
+         * Значение-кандидат каждого входа и количество опросов подряд, в которых оно получено
+        */
+        this.bounce = [];
+        /**
+         * Был ли выполнен первый опрос (первое значение принимается без подавления дребезга и без подсчета фронта)
+        */
+        this.polled = false;
     }
     description() {
         return fs_1.default.readFileSync(path_1.default.join(path_1.default.dirname(__dirname), 'docs', 'UniversalDI.md')).toString('utf-8');
     }
     checkOptions() {
         const parent = super.checkOptions();
-        return Object.assign(Object.assign({}, parent), { сountDI: vrack2_core_1.Rule.number().integer().default(8).min(1).max(64).description('Количество входящих DI портов'), eachGate: vrack2_core_1.Rule.boolean().default(false).description('Отправлять результат при каждом опросе (true) если false будет отправлять только изменения') });
+        return Object.assign(Object.assign({}, parent), { сountDI: vrack2_core_1.Rule.number().integer().default(8).min(1).max(2000).description('Количество входящих DI портов'), area: vrack2_core_1.Rule.string().default('di').description('Область: di - READ_DISCRETE_INPUTS (0x02), coil - READ_COILS (0x01)'), start: vrack2_core_1.Rule.number().integer().default(0).min(0).max(0xFFFF).description('Адрес первого входа'), blockSize: vrack2_core_1.Rule.number().integer().default(2000).min(1).max(2000).description('Максимальное количество входов в одном запросе'), invert: vrack2_core_1.Rule.array().content(vrack2_core_1.Rule.number().integer().min(1).max(2000)).default([]).description('Номера инвертируемых входов (начиная с 1)'), debounce: vrack2_core_1.Rule.number().integer().default(1).min(1).description('Количество одинаковых опросов подряд, после которых новое значение входа принимается'), counters: vrack2_core_1.Rule.boolean().default(false).description('Считать импульсы (передние фронты) входов и отправлять их в порты count%d'), eachGate: vrack2_core_1.Rule.boolean().default(false).description('Отправлять результат при каждом опросе (true) если false будет отправлять только изменения') });
     }
     outputs() {
         const parent = super.outputs();
-        return Object.assign(Object.assign({}, parent), { 'di%d': vrack2_core_1.Port.standart().dynamic(this.options.сountDI).description('Порт для получения значения DI устройства') });
+        return Object.assign(Object.assign(Object.assign({}, parent), { 'di%d': vrack2_core_1.Port.standart().dynamic(this.options.сountDI).description('Порт для получения значения DI устройства') }), (this.options.counters ? {
+            'count%d': vrack2_core_1.Port.standart().dynamic(this.options.сountDI).description('Порт для получения количества импульсов входа')
+        } : {}));
+    }
+    actions() {
+        return Object.assign(Object.assign({}, super.actions()), { 'counter.reset': vrack2_core_1.Action.global().requirements({
+                index: vrack2_core_1.Rule.number().integer().min(0).max(2000).default(0).description('Номер входа (начиная с 1), 0 - все счетчики')
+            }).description('Сброс счетчиков импульсов') });
     }
     preProcess() {
-        for (let i = 1; i <= this.options.сountDI; i++)
+        if (this.options.area !== 'di' && this.options.area !== 'coil') {
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_DI_AREA_INVALID', { area: this.options.area });
+        }
+        for (let i = 1; i <= this.options.сountDI; i++) {
             this.shares.di.push(0);
+            this.shares.counters.push(0);
+            this.bounce.push({ value: 0, count: 0 });
+            this.offerInitial('di' + i, 0);
+        }
+        for (const index of this.options.invert)
+            this.inverted.add(index - 1);
     }
     /**
      * Метод запускается внутри DeviceRTU после установок и проверок всех флагов
@@ -56,25 +89,32 @@ class UniversalDI extends DeviceRTU_1.default {
         });
     }
     /**
-     * Обновляет состояния дискретных входов (DI) устройства через Modbus-команду READ_DISCRETE_INPUTS (0x02).
+     * Обновляет состояния дискретных входов (DI) устройства через Modbus-команду READ_DISCRETE_INPUTS (0x02)
+     * или READ_COILS (0x01) в зависимости от опции area.
      *
-     * Запрашивает {@link options.сountDI} битов, получает ответ в виде буфера байтов,
-     * и последовательно разбирает каждый байт на отдельные биты, начиная с DI1 (младший бит первого байта).
+     * Запрашивает {@link options.сountDI} битов начиная с адреса {@link options.start}, блоками
+     * не более {@link options.blockSize} битов. Каждый ответ последовательно разбирается
+     * на отдельные биты, начиная с младшего бита первого байта.
      *
      * Последний байт может содержать меньше 8 значимых битов — обрабатывается корректно.
      * После обновления вызывается {@link render} для отображения изменений.
      */
     updateDI() {
         return __awaiter(this, void 0, void 0, function* () {
-            // Команда READ_DISCRETE_INPUTS 0x02
-            const resp = yield this.simpleRequest(0x02, 0x00, this.options.сountDI);
-            const byteCount = Math.ceil(this.options.сountDI / 8);
-            for (let i = 0; i < byteCount; i++) {
-                const byteValue = resp.data.readUInt8(i);
-                const offset = i * 8;
-                const bitsInThisByte = Math.min(8, this.options.сountDI - offset);
-                this.fillDI(offset, byteValue, bitsInThisByte);
+            const cmd = ModbusRTU_1.ModbusRTU.AREA_READ_CODES[this.options.area];
+            for (let from = 0; from < this.options.сountDI; from += this.options.blockSize) {
+                const count = Math.min(this.options.blockSize, this.options.сountDI - from);
+                const resp = yield this.simpleRequest(cmd, this.options.start + from, count);
+                const byteCount = Math.ceil(count / 8);
+                for (let i = 0; i < byteCount; i++) {
+                    const byteValue = resp.data.readUInt8(i);
+                    const offset = i * 8;
+                    const bitsInThisByte = Math.min(8, count - offset);
+                    this.fillDI(from + offset, byteValue, bitsInThisByte);
+                }
             }
+            this.polled = true;
+            this.render();
         });
     }
     /**
@@ -83,21 +123,65 @@ class UniversalDI extends DeviceRTU_1.default {
      * Биты читаются от младшего (bit 0) к старшему (bit 7), что соответствует
      * стандартному представлению DI в Modbus: бит 0 → DI1, бит 1 → DI2, и т.д.
      *
-     * Обновление порта происходит только если значение изменилось,
-     * либо если включена опция options.eachGate.
+     * Каждый бит передается в {@link setDI} для инверсии, подавления дребезга и подсчета импульсов.
      *
      * @param {number} offset - Базовый индекс в массиве DI (в битах), с которого начинается запись.
      * @param {number} mask - Байт (0–255), содержащий 8 битовых значений.
      * @param {number} bitCount - Количество значимых битов в маске (1–8), используется для последнего неполного байта.
      */
     fillDI(offset, mask, bitCount = 8) {
-        for (let i = 0; i < bitCount; i++) {
-            const bit = (mask >> i) & 1; // Чтение бита
-            if (this.shares.di[offset + i] !== bit || this.options.eachGate) {
-                this.shares.di[offset + i] = bit;
-                this.ports.output['di' + (offset + i + 1)].push(bit);
-            }
+        for (let i = 0; i < bitCount; i++)
+            this.setDI(offset + i, (mask >> i) & 1);
+    }
+    /**
+     * Обрабатывает прочитанное значение входа
+     *
+     * Значение инвертируется (опция invert) и принимается только после {@link options.debounce}
+     * одинаковых опросов подряд. При переходе 0 → 1 увеличивается счетчик импульсов.
+     *
+     * Значение отправляется в порт если оно изменилось, либо если включена опция options.eachGate
+     * (с учетом настроек публикации, см. {@link offer}).
+     *
+     * @param {number} index - Индекс входа (с 0)
+     * @param {number} raw - Прочитанное значение 0/1
+     */
+    setDI(index, raw) {
+        const bit = this.inverted.has(index) ? raw ^ 1 : raw;
+        const bounce = this.bounce[index];
+        if (this.polled && bit !== this.shares.di[index]) {
+            bounce.count = (bounce.value === bit) ? bounce.count + 1 : 1;
+            bounce.value = bit;
+            if (bounce.count < this.options.debounce)
+                return;
         }
+        bounce.count = 0;
+        const changed = this.shares.di[index] !== bit;
+        this.shares.di[index] = bit;
+        this.offer('di' + (index + 1), bit, this.options.eachGate);
+        if (changed && bit && this.polled && this.options.counters)
+            this.countPulse(index);
+    }
+    /**
+     * Увеличивает счетчик импульсов входа
+     */
+    countPulse(index) {
+        this.shares.counters[index]++;
+        this.offer('count' + (index + 1), this.shares.counters[index]);
+    }
+    actionCounterReset(data) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (data.index > this.options.сountDI)
+                return { result: 'error' };
+            for (let i = 0; i < this.options.сountDI; i++) {
+                if (data.index && data.index !== i + 1)
+                    continue;
+                this.shares.counters[i] = 0;
+                if (this.options.counters)
+                    this.offer('count' + (i + 1), 0, true);
+            }
+            this.render();
+            return { result: 'success' };
+        });
     }
 }
 exports.default = UniversalDI;
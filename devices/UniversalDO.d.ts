@@ -0,0 +1,69 @@
+import { BasicType, BasicPort, BasicAction } from "vrack2-core";
+import DeviceRTU from "./DeviceRTU";
+/**
+ * Универсальное устройство дискретных выходов (coils) до 64 портов
+ *
+ * Значения выходов задаются входящими портами `do%d` или экшенами и записываются
+ * через очередь (0x0F одним запросом или 0x05 по одному). Состояние выходов
+ * читается функцией READ_COILS 0x01 при каждом опросе
+*/
+export default class UniversalDO extends DeviceRTU {
+    description(): string;
+    checkOptions(): {
+        [key: string]: BasicType;
+    };
+    inputs(): {
+        [key: string]: BasicPort;
+    };
+    outputs(): {
+        [key: string]: BasicPort;
+    };
+    actions(): {
+        [key: string]: BasicAction;
+    };
+    shares: any;
+    /**
+     * Значения, которые нужно записать (индекс выхода с 0 => значение)
+    */
+    pending: Map<number, number>;
+    preProcess(): void;
+    update(): Promise<void>;
+    /**
+     * Читает состояние выходов командой READ_COILS (0x01) начиная с адреса {@link options.start}
+    */
+    updateDO(): Promise<void>;
+    /**
+     * Обновляет состояние выхода в shares и отправляет его в порт при изменении
+     * (или всегда, если включена опция eachGate), см. {@link offer}
+    */
+    fillDO(index: number, value: number): void;
+    actionSetDo(data: {
+        index: number;
+        value: number;
+    }): Promise<{
+        result: string;
+    }>;
+    actionSetAll(data: {
+        values: number[];
+    }): Promise<{
+        result: string;
+    }>;
+    /**
+     * Запоминает новое значение выхода и ставит запись в очередь
+     *
+     * Все изменения, накопленные до выполнения очереди, записываются одной задачей
+    */
+    setDO(index: number, value: number): Promise<unknown>;
+    /**
+     * Записывает накопленные значения, которые отличаются от прочитанного состояния
+     *
+     * Значение удаляется из {@link pending} только после успешной записи - при ошибке
+     * оно будет записано следующей задачей вместе с новыми изменениями
+    */
+    writePending(): Promise<void>;
+    /**
+     * Удаляет записанное значение из {@link pending}, если за время записи для выхода
+     * не было задано новое значение
+    */
+    protected clearPending(index: number, value: number): void;
+}
@@ -0,0 +1,170 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const vrack2_core_1 = require("vrack2-core");
+const DeviceRTU_1 = __importDefault(require("./DeviceRTU"));
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+/**
+ * Универсальное устройство дискретных выходов (coils) до 64 портов
+ *
+ * Значения выходов задаются входящими портами `do%d` или экшенами и записываются
+ * через очередь (0x0F одним запросом или 0x05 по одному). Состояние выходов
+ * читается функцией READ_COILS 0x01 при каждом опросе
+*/
+class UniversalDO extends DeviceRTU_1.default {
+    constructor() {
+        super(...arguments);
+        this.shares = {
+            online: false,
+            process: false,
+            do: [] // Прочитанное состояние выходов (0 индекс = 1 выход)
+        };
+        /**
+         * Значения, которые нужно записать (индекс выхода с 0 => значение)
+        */
+        this.pending = new Map();
+    }
+    description() {
+        return fs_1.default.readFileSync(path_1.default.join(path_1.default.dirname(__dirname), 'docs', 'UniversalDO.md')).toString('utf-8');
+    }
+    checkOptions() {
+        const parent = super.checkOptions();
+        return Object.assign(Object.assign({}, parent), { countDO: vrack2_core_1.Rule.number().integer().default(8).min(1).max(64).description('Количество дискретных выходов'), start: vrack2_core_1.Rule.number().integer().default(0).min(0).max(0xFFFF).description('Адрес первого выхода (coil)'), multiple: vrack2_core_1.Rule.boolean().default(true).description('Записывать изменения одним запросом 0x0F (true) или по одному запросом 0x05 (false)'), eachGate: vrack2_core_1.Rule.boolean().default(false).description('Отправлять результат при каждом опросе (true) если false будет отправлять только изменения') });
+    }
+    inputs() {
+        const parent = super.inputs();
+        return Object.assign(Object.assign({}, parent), { 'do%d': vrack2_core_1.Port.standart().dynamic(this.options.countDO).description('Порт для установки значения выхода (0/1)') });
+    }
+    outputs() {
+        const parent = super.outputs();
+        return Object.assign(Object.assign({}, parent), { 'state%d': vrack2_core_1.Port.standart().dynamic(this.options.countDO).description('Порт для получения состояния выхода, прочитанного из устройства') });
+    }
+    actions() {
+        return Object.assign(Object.assign({}, super.actions()), { 'set.do': vrack2_core_1.Action.global().requirements({
+                index: vrack2_core_1.Rule.number().integer().min(1).max(64).description('Номер выхода (начиная с 1)'),
+                value: vrack2_core_1.Rule.number().integer().min(0).max(1).description('Значение')
+            }).description('Установка одного выхода'), 'set.all': vrack2_core_1.Action.global().requirements({
+                values: vrack2_core_1.Rule.array().content(vrack2_core_1.Rule.number().integer().min(0).max(1)).description('Значения выходов начиная с первого')
+            }).description('Установка нескольких выходов') });
+    }
+    preProcess() {
+        for (let i = 1; i <= this.options.countDO; i++) {
+            this.shares.do.push(0);
+            this.offerInitial('state' + i, 0);
+            // Обработчики динамических входов do1...doN
+            Object.assign(this, {
+                ['inputDo' + i]: (value) => {
+                    this.setDO(i - 1, value ? 1 : 0).catch((err) => this.error('Set DO error', err));
+                }
+            });
+        }
+    }
+    update() {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.updateDO();
+        });
+    }
+    /**
+     * Читает состояние выходов командой READ_COILS (0x01) начиная с адреса {@link options.start}
+    */
+    updateDO() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const resp = yield this.simpleRequest(0x01, this.options.start, this.options.countDO);
+            for (let i = 0; i < this.options.countDO; i++)
+                this.fillDO(i, (resp.data.readUInt8(i >> 3) >> (i & 7)) & 1);
+        });
+    }
+    /**
+     * Обновляет состояние выхода в shares и отправляет его в порт при изменении
+     * (или всегда, если включена опция eachGate), см. {@link offer}
+    */
+    fillDO(index, value) {
+        this.shares.do[index] = value;
+        this.offer('state' + (index + 1), value, this.options.eachGate);
+    }
+    actionSetDo(data) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (data.index > this.options.countDO)
+                return { result: 'error' };
+            yield this.setDO(data.index - 1, data.value);
+            return { result: 'success' };
+        });
+    }
+    actionSetAll(data) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const values = data.values.slice(0, this.options.countDO);
+            yield Promise.all(values.map((value, i) => this.setDO(i, value)));
+            return { result: 'success' };
+        });
+    }
+    /**
+     * Запоминает новое значение выхода и ставит запись в очередь
+     *
+     * Все изменения, накопленные до выполнения очереди, записываются одной задачей
+    */
+    setDO(index, value) {
+        this.pending.set(index, value);
+        return this.actionAddQueue(() => this.writePending(), { key: 'do' });
+    }
+    /**
+     * Записывает накопленные значения, которые отличаются от прочитанного состояния
+     *
+     * Значение удаляется из {@link pending} только после успешной записи - при ошибке
+     * оно будет записано следующей задачей вместе с новыми изменениями
+    */
+    writePending() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const changes = [...this.pending].filter(([index, value]) => {
+                if (this.shares.do[index] !== value)
+                    return true;
+                this.pending.delete(index);
+                return false;
+            });
+            if (!changes.length)
+                return;
+            if (!this.options.multiple) {
+                for (const [index, value] of changes) {
+                    yield this.simpleRequest(0x05, this.options.start + index, value);
+                    this.fillDO(index, value);
+                    this.clearPending(index, value);
+                }
+            }
+            else {
+                // Один запрос 0x0F от первого до последнего измененного выхода,
+                // неизмененные выходы внутри диапазона записываются текущими значениями
+                const indexes = changes.map(([index]) => index);
+                const from = Math.min(...indexes);
+                const to = Math.max(...indexes);
+                const values = this.shares.do.slice(from, to + 1);
+                for (const [index, value] of changes)
+                    values[index - from] = value;
+                yield this.simpleRequest(0x0F, this.options.start + from, values.length, values);
+                values.forEach((value, i) => this.fillDO(from + i, value));
+                for (const [index, value] of changes)
+                    this.clearPending(index, value);
+            }
+            this.render();
+        });
+    }
+    /**
+     * Удаляет записанное значение из {@link pending}, если за время записи для выхода
+     * не было задано новое значение
+    */
+    clearPending(index, value) {
+        if (this.pending.get(index) === value)
+            this.pending.delete(index);
+    }
+}
+exports.default = UniversalDO;
@@ -0,0 +1,47 @@
+import { BasicType, BasicPort } from "vrack2-core";
+import DeviceRTU from "./DeviceRTU";
+import { ModbusArea } from "./classes/ModbusRTU";
+import { ModbusDataType, ModbusByteOrder, ModbusValue } from "./classes/ModbusTypes";
+/**
+ * Описание одного регистра карты из опции `registers`
+*/
+export interface RegisterMapItem {
+    area: ModbusArea;
+    address: number;
+    type: ModbusDataType;
+    order: ModbusByteOrder;
+    length: number;
+    scale: number;
+    offset: number;
+    unit: string;
+    port: string;
+}
+/**
+ * Универсальное устройство для чтения карты регистров
+ *
+ * Карта регистров полностью задается опцией `registers`, для каждого регистра
+ * создается свой выходной порт
+*/
+export default class UniversalRegisters extends DeviceRTU {
+    description(): string;
+    checkOptions(): {
+        [key: string]: BasicType;
+    };
+    outputs(): {
+        [key: string]: BasicPort;
+    };
+    shares: any;
+    preProcess(): void;
+    /**
+     * Опрос всей карты регистров
+     *
+     * Адреса каждой области читаются объединенными запросами (см. {@link readAddresses}),
+     * между запросами выполняется очередь, что бы экшены не ждали весь опрос
+    */
+    update(): Promise<void>;
+    /**
+     * Сохраняет значение в shares и отправляет в порт при изменении
+     * (или всегда, если включена опция eachGate), см. {@link offer}
+    */
+    fillValue(reg: RegisterMapItem, value: ModbusValue): void;
+}
@@ -0,0 +1,107 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const vrack2_core_1 = require("vrack2-core");
+const DeviceRTU_1 = __importDefault(require("./DeviceRTU"));
+const ModbusRTU_1 = require("./classes/ModbusRTU");
+const ReadPlanner_1 = require("./classes/ReadPlanner");
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+vrack2_core_1.ErrorManager.register('UniversalRegisters', 'K2HQV6RZ0', 'V2MODBUS_REGISTER_AREA_UNKNOWN', 'Unknown register area, expected coil, di, holding or input');
+vrack2_core_1.ErrorManager.register('UniversalRegisters', 'T5NMC1XJ9', 'V2MODBUS_REGISTER_PORT_DUPLICATE', 'Register output port name is already used');
+vrack2_core_1.ErrorManager.register('UniversalRegisters', 'W8DLP3FQ6', 'V2MODBUS_REGISTER_PORT_RESERVED', 'Register output port name is reserved by DeviceRTU outputs');
+/**
+ * Универсальное устройство для чтения карты регистров
+ *
+ * Карта регистров полностью задается опцией `registers`, для каждого регистра
+ * создается свой выходной порт
+*/
+class UniversalRegisters extends DeviceRTU_1.default {
+    constructor() {
+        super(...arguments);
+        this.shares = {
+            online: false,
+            process: false,
+            values: {},
+            units: {} // Единицы измерения по имени порта
+        };
+    }
+    description() {
+        return fs_1.default.readFileSync(path_1.default.join(path_1.default.dirname(__dirname), 'docs', 'UniversalRegisters.md')).toString('utf-8');
+    }
+    checkOptions() {
+        const parent = super.checkOptions();
+        return Object.assign(Object.assign({}, parent), { registers: vrack2_core_1.Rule.array().content(vrack2_core_1.Rule.object().fields({
+                area: vrack2_core_1.Rule.string().default('holding').description('Область: coil, di, holding, input'),
+                address: vrack2_core_1.Rule.number().integer().min(0).max(0xFFFF).description('Адрес регистра'),
+                type: vrack2_core_1.Rule.string().default('uint16').description('Тип данных (для holding/input): int16, uint16, int32, uint32, float32, int64, uint64, float64, string, bcd16, bcd32, bits'),
+                order: vrack2_core_1.Rule.string().default('ABCD').description('Порядок байт: ABCD, CDAB, BADC, DCBA'),
+                length: vrack2_core_1.Rule.number().integer().default(1).min(1).max(125).description('Количество регистров для string и bits'),
+                scale: vrack2_core_1.Rule.number().default(1).description('Множитель значения'),
+                offset: vrack2_core_1.Rule.number().default(0).description('Смещение значения (после умножения)'),
+                unit: vrack2_core_1.Rule.string().default('').description('Единица измерения'),
+                port: vrack2_core_1.Rule.string().description('Имя выходного порта').example('temp'),
+            })).default([]).description('Карта регистров'), eachGate: vrack2_core_1.Rule.boolean().default(false).description('Отправлять результат при каждом опросе (true) если false будет отправлять только изменения') });
+    }
+    outputs() {
+        const parent = super.outputs();
+        const result = Object.assign({}, parent);
+        for (const reg of this.options.registers) {
+            const unit = reg.unit ? ` (${reg.unit})` : '';
+            result[reg.port] = vrack2_core_1.Port.standart().description(`Значение ${reg.area} 0x${reg.address.toString(16)}${unit}`);
+        }
+        return result;
+    }
+    preProcess() {
+        for (const reg of this.options.registers) {
+            if (!(reg.area in ModbusRTU_1.ModbusRTU.AREA_READ_CODES))
+                throw vrack2_core_1.ErrorManager.make('V2MODBUS_REGISTER_AREA_UNKNOWN', { area: reg.area, port: reg.port });
+            if (DeviceRTU_1.default.RESERVED_PORTS.includes(reg.port))
+                throw vrack2_core_1.ErrorManager.make('V2MODBUS_REGISTER_PORT_RESERVED', { port: reg.port });
+            if (reg.port in this.shares.values)
+                throw vrack2_core_1.ErrorManager.make('V2MODBUS_REGISTER_PORT_DUPLICATE', { port: reg.port });
+            ReadPlanner_1.ReadPlanner.itemCount(reg); // Проверка типа данных
+            this.shares.values[reg.port] = null;
+            this.shares.units[reg.port] = reg.unit;
+        }
+    }
+    /**
+     * Опрос всей карты регистров
+     *
+     * Адреса каждой области читаются объединенными запросами (см. {@link readAddresses}),
+     * между запросами выполняется очередь, что бы экшены не ждали весь опрос
+    */
+    update() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const registers = this.options.registers;
+            const values = new Map();
+            for (const [area, addresses] of ReadPlanner_1.ReadPlanner.itemAddresses(registers)) {
+                values.set(area, yield this.readAddresses(area, addresses, true));
+            }
+            for (const reg of registers) {
+                this.fillValue(reg, ReadPlanner_1.ReadPlanner.itemValue(reg, values.get(reg.area)));
+            }
+            this.render();
+        });
+    }
+    /**
+     * Сохраняет значение в shares и отправляет в порт при изменении
+     * (или всегда, если включена опция eachGate), см. {@link offer}
+    */
+    fillValue(reg, value) {
+        this.shares.values[reg.port] = value;
+        this.offer(reg.port, value, this.options.eachGate);
+    }
+}
+exports.default = UniversalRegisters;
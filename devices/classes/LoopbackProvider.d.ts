@@ -0,0 +1,99 @@
+/// <reference types="node" />
+/// <reference types="node" />
+import { ModbusProvider } from "./ModbusProvider";
+/**
+ * Ведомое устройство на линии провайдера
+ *
+ * Получает кадр запроса [slave][func][данные...] и возвращает кадр ответа
+ * без контрольной суммы или null, если отвечать не нужно. Реализуется {@link ModbusSlave}
+ */
+export interface LoopbackSlave {
+    handleFrame(frame: Buffer): Buffer | null;
+}
+/**
+ * Неисправность линии, применяется к очередному запросу
+ *
+ * - `timeout` - ответа нет
+ * - `crc` - ответ с неверной контрольной суммой (rtu - CRC, ascii - LRC, tcp - идентификатор транзакции)
+ * - `exception` - вместо ответа исключение с кодом `code`
+ * - `delay` - ответ приходит через `ms` мс (если `ms` не меньше таймаута запроса - ответа нет)
+ */
+export type LoopbackFault = {
+    type: 'timeout';
+} | {
+    type: 'crc';
+} | {
+    type: 'exception';
+    code: number;
+} | {
+    type: 'delay';
+    ms: number;
+};
+/**
+ * Провайдер, который отвечает из памяти от имени моделей ведомых устройств
+ *
+ * Реализует {@link ModbusProvider} и позволяет проверять устройства на базе DeviceRTU
+ * без оборудования: запросы передаются моделям ведомых устройств (например {@link ModbusSlave}),
+ * а неисправности линии задаются методом {@link inject}
+ *
+ * @example
+ * const slave = new ModbusSlave(1, { holding: { "0": [10, 20] } });
+ * const provider = new LoopbackProvider([slave]);
+ * provider.inject({ type: 'timeout' }); // Первый запрос останется без ответа
+ * await device.inputBus(provider);
+*/
+export declare class LoopbackProvider implements ModbusProvider {
+    slaves: LoopbackSlave[];
+    framing: 'rtu' | 'tcp' | 'ascii';
+    /**
+     * Все отправленные пакеты (включая повторы)
+    */
+    requests: Buffer[];
+    /**
+     * Неисправности для следующих запросов
+    */
+    protected faults: LoopbackFault[];
+    protected check: (data: Buffer) => boolean;
+    protected buffer: Buffer;
+    /**
+     * @param {Array<LoopbackSlave>} slaves - Ведомые устройства на линии
+     * @param {string} framing - Тип кадра: rtu, tcp или ascii
+    */
+    constructor(slaves: LoopbackSlave[], framing?: 'rtu' | 'tcp' | 'ascii');
+    /**
+     * Добавляет неисправность для следующих `count` запросов
+     *
+     * Неисправности применяются по очереди, каждая попытка запроса (в том числе повтор) забирает одну
+    */
+    inject(fault: LoopbackFault, count?: number): void;
+    /**
+     * Удаляет еще не примененные неисправности
+    */
+    clearFaults(): void;
+    canRequest(): void;
+    setPkgCheck(check: (data: Buffer) => boolean): void;
+    getBuffer(): Buffer;
+    isTimeout(err: unknown): boolean;
+    autoRequest(buffer: Buffer, timeout: number, retries?: number): Promise<void>;
+    /**
+     * Выполняет одну попытку запроса с учетом очередной неисправности
+     *
+     * Возвращает пакет ответа или null, если ответа нет (после ожидания таймаута)
+    */
+    protected exchange(buffer: Buffer, timeout: number): Promise<Buffer | null>;
+    /**
+     * Возвращает ответ первого ведомого, который ответил на кадр
+    */
+    protected answer(frame: Buffer): Buffer | null;
+    /**
+     * Извлекает кадр [slave][func][данные...] из пакета запроса, null - пакет поврежден
+    */
+    protected decode(buffer: Buffer): Buffer | null;
+    /**
+     * Формирует пакет ответа в обрамлении запроса
+     *
+     * @param {boolean} corrupt - Испортить контрольную сумму
+    */
+    protected encode(frame: Buffer, request: Buffer, corrupt: boolean): Buffer;
+    protected sleep(ms: number): Promise<unknown>;
+}
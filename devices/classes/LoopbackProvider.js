@@ -0,0 +1,168 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.LoopbackProvider = void 0;
+const vrack2_core_1 = require("vrack2-core");
+const ModbusRTU_1 = require("./ModbusRTU");
+const ModbusTCP_1 = require("./ModbusTCP");
+const ModbusASCII_1 = require("./ModbusASCII");
+vrack2_core_1.ErrorManager.register('LoopbackProvider', 'W6DKR1TJM', 'V2MODBUS_LOOPBACK_TIMEOUT', 'Loopback provider did not receive a complete response before timeout');
+/**
+ * Провайдер, который отвечает из памяти от имени моделей ведомых устройств
+ *
+ * Реализует {@link ModbusProvider} и позволяет проверять устройства на базе DeviceRTU
+ * без оборудования: запросы передаются моделям ведомых устройств (например {@link ModbusSlave}),
+ * а неисправности линии задаются методом {@link inject}
+ *
+ * @example
+ * const slave = new ModbusSlave(1, { holding: { "0": [10, 20] } });
+ * const provider = new LoopbackProvider([slave]);
+ * provider.inject({ type: 'timeout' }); // Первый запрос останется без ответа
+ * await device.inputBus(provider);
+*/
+class LoopbackProvider {
+    /**
+     * @param {Array<LoopbackSlave>} slaves - Ведомые устройства на линии
+     * @param {string} framing - Тип кадра: rtu, tcp или ascii
+    */
+    constructor(slaves, framing = 'rtu') {
+        this.slaves = slaves;
+        this.framing = framing;
+        /**
+         * Все отправленные пакеты (включая повторы)
+        */
+        this.requests = [];
+        /**
+         * Неисправности для следующих запросов
+        */
+        this.faults = [];
+        this.check = () => true;
+        this.buffer = Buffer.alloc(0);
+    }
+    /**
+     * Добавляет неисправность для следующих `count` запросов
+     *
+     * Неисправности применяются по очереди, каждая попытка запроса (в том числе повтор) забирает одну
+    */
+    inject(fault, count = 1) {
+        for (let i = 0; i < count; i++)
+            this.faults.push(fault);
+    }
+    /**
+     * Удаляет еще не примененные неисправности
+    */
+    clearFaults() {
+        this.faults = [];
+    }
+    canRequest() {
+        // Линия всегда свободна
+    }
+    setPkgCheck(check) {
+        this.check = check;
+    }
+    getBuffer() {
+        return this.buffer;
+    }
+    isTimeout(err) {
+        return (err === null || err === void 0 ? void 0 : err.vShort) === 'V2MODBUS_LOOPBACK_TIMEOUT';
+    }
+    autoRequest(buffer, timeout, retries = 1) {
+        return __awaiter(this, void 0, void 0, function* () {
+            for (let attempt = 0; attempt < Math.max(1, retries); attempt++) {
+                this.requests.push(buffer);
+                const response = yield this.exchange(buffer, timeout);
+                this.buffer = response !== null && response !== void 0 ? response : Buffer.alloc(0);
+                if (response && this.check(response))
+                    return;
+            }
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_LOOPBACK_TIMEOUT', { timeout, retries });
+        });
+    }
+    /**
+     * Выполняет одну попытку запроса с учетом очередной неисправности
+     *
+     * Возвращает пакет ответа или null, если ответа нет (после ожидания таймаута)
+    */
+    exchange(buffer, timeout) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const fault = this.faults.shift();
+            const frame = this.decode(buffer);
+            let response = frame ? this.answer(frame) : null;
+            if (frame && (fault === null || fault === void 0 ? void 0 : fault.type) === 'exception')
+                response = Buffer.from([frame[0], frame[1] | 0x80, fault.code]);
+            if (!response || (fault === null || fault === void 0 ? void 0 : fault.type) === 'timeout' || ((fault === null || fault === void 0 ? void 0 : fault.type) === 'delay' && fault.ms >= timeout)) {
+                yield this.sleep(timeout);
+                return null;
+            }
+            if ((fault === null || fault === void 0 ? void 0 : fault.type) === 'delay')
+                yield this.sleep(fault.ms);
+            return this.encode(response, buffer, (fault === null || fault === void 0 ? void 0 : fault.type) === 'crc');
+        });
+    }
+    /**
+     * Возвращает ответ первого ведомого, который ответил на кадр
+    */
+    answer(frame) {
+        for (const slave of this.slaves) {
+            const response = slave.handleFrame(frame);
+            if (response)
+                return response;
+        }
+        return null;
+    }
+    /**
+     * Извлекает кадр [slave][func][данные...] из пакета запроса, null - пакет поврежден
+    */
+    decode(buffer) {
+        switch (this.framing) {
+            case 'tcp':
+                return (buffer.length > ModbusTCP_1.ModbusTCP.HEADER_SIZE) ? buffer.subarray(ModbusTCP_1.ModbusTCP.HEADER_SIZE) : null;
+            case 'ascii': {
+                try {
+                    const frame = ModbusASCII_1.ModbusASCII.decode(buffer);
+                    return ModbusASCII_1.ModbusASCII.verifyLRC(frame) ? frame.subarray(0, -1) : null;
+                }
+                catch (err) {
+                    return null;
+                }
+            }
+            default:
+                return (buffer.length >= 4 && ModbusRTU_1.ModbusRTU.verifyCRC(buffer)) ? buffer.subarray(0, -2) : null;
+        }
+    }
+    /**
+     * Формирует пакет ответа в обрамлении запроса
+     *
+     * @param {boolean} corrupt - Испортить контрольную сумму
+    */
+    encode(frame, request, corrupt) {
+        switch (this.framing) {
+            case 'tcp': {
+                const transactionId = ModbusTCP_1.ModbusTCP.getTransactionId(request);
+                return ModbusTCP_1.ModbusTCP.addMBAP(frame, corrupt ? transactionId ^ 0xFFFF : transactionId);
+            }
+            case 'ascii': {
+                const lrc = ModbusASCII_1.ModbusASCII.calculateLRC(frame) ^ (corrupt ? 0xFF : 0);
+                return Buffer.from(':' + Buffer.concat([frame, Buffer.from([lrc])]).toString('hex').toUpperCase() + '\r\n', 'ascii');
+            }
+            default: {
+                const packet = ModbusRTU_1.ModbusRTU.addCRC(frame);
+                if (corrupt)
+                    packet[packet.length - 1] ^= 0xFF;
+                return packet;
+            }
+        }
+    }
+    sleep(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+}
+exports.LoopbackProvider = LoopbackProvider;
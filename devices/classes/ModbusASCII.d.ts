@@ -0,0 +1,73 @@
+/// <reference types="node" />
+/// <reference types="node" />
+import { ModbusResponse } from "./ModbusRTU";
+/**
+ * Статический класс для работы с протоколом Modbus ASCII.
+ *
+ * Кадр [slave][func][данные...] дополняется байтом LRC, переводится в
+ * шестнадцатеричные символы и обрамляется двоеточием и CRLF:
+ *
+ * `:` + HEX([slave][func][данные...][LRC]) + `\r\n`
+ *
+ * Формирование и разбор самого кадра выполняет {@link ModbusRTU}
+*/
+export declare class ModbusASCII {
+    /**
+     * Универсальный метод создания Modbus ASCII запроса
+     *
+     * Параметры совпадают с {@link ModbusRTU.makeRequest}
+     *
+     * @example
+     * const packet = ModbusASCII.makeRequest(1, 0x03, 0x0064, 3);
+     * // packet.toString(): ':01030064000395\r\n'
+     */
+    static makeRequest(slaveId: number, functionCode: number, address: number, quantity: number, writeData?: number[]): Buffer;
+    /**
+     * Преобразует бинарный кадр (без LRC) в ASCII пакет
+     *
+     * @example
+     * ModbusASCII.encode(Buffer.from([0x01, 0x03, 0x00, 0x00, 0x00, 0x02])).toString();
+     * // ':010300000002FA\r\n'
+     */
+    static encode(frame: Buffer): Buffer;
+    /**
+     * Преобразует ASCII пакет в бинарный кадр вместе с байтом LRC
+     *
+     * Проверяет только обрамление и символы, LRC не проверяется
+    */
+    static decode(buffer: Buffer): Buffer;
+    /**
+     * Вычисляет LRC (Longitudinal Redundancy Check) для бинарного кадра
+     *
+     * LRC - дополнение до двух суммы всех байт по модулю 256
+     *
+     * @example
+     * const lrc = ModbusASCII.calculateLRC(Buffer.from([0x01, 0x03, 0x00, 0x00, 0x00, 0x02])); // 0xFA
+     */
+    static calculateLRC(buffer: Buffer): number;
+    /**
+     * Проверяет LRC бинарного кадра (последний байт - LRC)
+     *
+     * @example
+     * ModbusASCII.verifyLRC(Buffer.from([0x01, 0x03, 0x00, 0x00, 0x00, 0x02, 0xFA])); // true
+     */
+    static verifyLRC(buffer: Buffer): boolean;
+    /**
+     * Парсит входящий Modbus ASCII пакет
+     *
+     * @example
+     * const response = Buffer.from(':0103020014E6\r\n', 'ascii');
+     * const parsed = ModbusASCII.parseResponse(response);
+     * // { slaveId: 1, functionCode: 3, byteCount: 2, data: <Buffer 00 14> }
+     */
+    static parseResponse(buffer: Buffer): ModbusResponse;
+    /**
+     * Проверяет что буфер содержит полный Modbus ASCII пакет
+     *
+     * Пакет считается полным, если начинается с `:` и заканчивается на CRLF
+     *
+     * @example
+     * ModbusASCII.isCompletePacket(Buffer.from(':0103020014E6\r\n', 'ascii')); // true
+     */
+    static isCompletePacket(buffer: Buffer): boolean;
+}
@@ -0,0 +1,109 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ModbusASCII = void 0;
+const vrack2_core_1 = require("vrack2-core");
+const ModbusRTU_1 = require("./ModbusRTU");
+vrack2_core_1.ErrorManager.register('ModbusASCII', 'D5KVQ1M8R', 'V2MODBUS_LRC_CHECK_FAILED', 'LRC check failed');
+vrack2_core_1.ErrorManager.register('ModbusASCII', 'W0GJ6TB3Z', 'V2MODBUS_ASCII_FRAME_INVALID', 'Invalid Modbus ASCII frame, expected ":" + hex + CRLF');
+/**
+ * Статический класс для работы с протоколом Modbus ASCII.
+ *
+ * Кадр [slave][func][данные...] дополняется байтом LRC, переводится в
+ * шестнадцатеричные символы и обрамляется двоеточием и CRLF:
+ *
+ * `:` + HEX([slave][func][данные...][LRC]) + `\r\n`
+ *
+ * Формирование и разбор самого кадра выполняет {@link ModbusRTU}
+*/
+class ModbusASCII {
+    /**
+     * Универсальный метод создания Modbus ASCII запроса
+     *
+     * Параметры совпадают с {@link ModbusRTU.makeRequest}
+     *
+     * @example
+     * const packet = ModbusASCII.makeRequest(1, 0x03, 0x0064, 3);
+     * // packet.toString(): ':01030064000395\r\n'
+     */
+    static makeRequest(slaveId, functionCode, address, quantity, writeData) {
+        return ModbusASCII.encode(ModbusRTU_1.ModbusRTU.makeFrame(slaveId, functionCode, address, quantity, writeData));
+    }
+    /**
+     * Преобразует бинарный кадр (без LRC) в ASCII пакет
+     *
+     * @example
+     * ModbusASCII.encode(Buffer.from([0x01, 0x03, 0x00, 0x00, 0x00, 0x02])).toString();
+     * // ':010300000002FA\r\n'
+     */
+    static encode(frame) {
+        const lrc = Buffer.from([ModbusASCII.calculateLRC(frame)]);
+        const hex = Buffer.concat([frame, lrc]).toString('hex').toUpperCase();
+        return Buffer.from(':' + hex + '\r\n', 'ascii');
+    }
+    /**
+     * Преобразует ASCII пакет в бинарный кадр вместе с байтом LRC
+     *
+     * Проверяет только обрамление и символы, LRC не проверяется
+    */
+    static decode(buffer) {
+        const text = buffer.toString('ascii');
+        if (!/^:([0-9A-Fa-f]{2})+\r\n$/.test(text))
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_ASCII_FRAME_INVALID');
+        return Buffer.from(text.slice(1, -2), 'hex');
+    }
+    /**
+     * Вычисляет LRC (Longitudinal Redundancy Check) для бинарного кадра
+     *
+     * LRC - дополнение до двух суммы всех байт по модулю 256
+     *
+     * @example
+     * const lrc = ModbusASCII.calculateLRC(Buffer.from([0x01, 0x03, 0x00, 0x00, 0x00, 0x02])); // 0xFA
+     */
+    static calculateLRC(buffer) {
+        let sum = 0;
+        for (let i = 0; i < buffer.length; i++)
+            sum = (sum + buffer[i]) & 0xFF;
+        return (-sum) & 0xFF;
+    }
+    /**
+     * Проверяет LRC бинарного кадра (последний байт - LRC)
+     *
+     * @example
+     * ModbusASCII.verifyLRC(Buffer.from([0x01, 0x03, 0x00, 0x00, 0x00, 0x02, 0xFA])); // true
+     */
+    static verifyLRC(buffer) {
+        if (buffer.length < 2)
+            return false;
+        return ModbusASCII.calculateLRC(buffer.subarray(0, -1)) === buffer[buffer.length - 1];
+    }
+    /**
+     * Парсит входящий Modbus ASCII пакет
+     *
+     * @example
+     * const response = Buffer.from(':0103020014E6\r\n', 'ascii');
+     * const parsed = ModbusASCII.parseResponse(response);
+     * // { slaveId: 1, functionCode: 3, byteCount: 2, data: <Buffer 00 14> }
+     */
+    static parseResponse(buffer) {
+        const frame = ModbusASCII.decode(buffer);
+        if (frame.length < 3)
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        if (!ModbusASCII.verifyLRC(frame))
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_LRC_CHECK_FAILED');
+        return ModbusRTU_1.ModbusRTU.parseFrame(frame.subarray(0, -1));
+    }
+    /**
+     * Проверяет что буфер содержит полный Modbus ASCII пакет
+     *
+     * Пакет считается полным, если начинается с `:` и заканчивается на CRLF
+     *
+     * @example
+     * ModbusASCII.isCompletePacket(Buffer.from(':0103020014E6\r\n', 'ascii')); // true
+     */
+    static isCompletePacket(buffer) {
+        if (buffer.length < 3 || buffer[0] !== 0x3A)
+            return false;
+        return buffer[buffer.length - 2] === 0x0D && buffer[buffer.length - 1] === 0x0A;
+    }
+}
+exports.ModbusASCII = ModbusASCII;
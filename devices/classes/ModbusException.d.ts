@@ -0,0 +1,31 @@
+/**
+ * Ошибки исключений Modbus
+ *
+ * Каждому коду исключения (0x01-0x0B) соответствует своя ошибка ErrorManager,
+ * что позволяет отличать, например, неверный адрес от занятости устройства
+ *
+ * @example
+ * throw ModbusException.make(0x02, { slaveId: 1, functionCode: 0x03, address: 0x100 })
+ * // V2MODBUS_EXCEPTION_ILLEGAL_DATA_ADDRESS
+*/
+export declare class ModbusException {
+    /**
+     * Короткие имена ошибок по коду исключения
+    */
+    static readonly ERRORS: {
+        [code: number]: string;
+    };
+    /**
+     * Возвращает короткое имя ошибки для кода исключения
+    */
+    static errorName(exceptionCode: number): string;
+    /**
+     * Создает ошибку для кода исключения
+     *
+     * @param {number} exceptionCode - Код исключения из ответа
+     * @param {Object} additional - Дополнительные данные (slaveId, functionCode, address...)
+    */
+    static make(exceptionCode: number, additional?: {
+        [key: string]: unknown;
+    }): any;
+}
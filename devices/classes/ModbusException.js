@@ -0,0 +1,59 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ModbusException = void 0;
+const vrack2_core_1 = require("vrack2-core");
+vrack2_core_1.ErrorManager.register('ModbusException', 'C14AN35RK', 'V2MODBUS_EXCEPTION_ILLEGAL_FUNCTION', 'Slave exception 0x01: illegal function');
+vrack2_core_1.ErrorManager.register('ModbusException', 'C75UEPXC0', 'V2MODBUS_EXCEPTION_ILLEGAL_DATA_ADDRESS', 'Slave exception 0x02: illegal data address');
+vrack2_core_1.ErrorManager.register('ModbusException', 'IWY0SQ3LT', 'V2MODBUS_EXCEPTION_ILLEGAL_DATA_VALUE', 'Slave exception 0x03: illegal data value');
+vrack2_core_1.ErrorManager.register('ModbusException', 'XI3P2YCAP', 'V2MODBUS_EXCEPTION_SLAVE_DEVICE_FAILURE', 'Slave exception 0x04: slave device failure');
+vrack2_core_1.ErrorManager.register('ModbusException', 'IMT8XPU92', 'V2MODBUS_EXCEPTION_ACKNOWLEDGE', 'Slave exception 0x05: acknowledge, request is still being processed');
+vrack2_core_1.ErrorManager.register('ModbusException', '14EU6KO0P', 'V2MODBUS_EXCEPTION_SLAVE_DEVICE_BUSY', 'Slave exception 0x06: slave device busy');
+vrack2_core_1.ErrorManager.register('ModbusException', 'CC5TE8FJY', 'V2MODBUS_EXCEPTION_NEGATIVE_ACKNOWLEDGE', 'Slave exception 0x07: negative acknowledge');
+vrack2_core_1.ErrorManager.register('ModbusException', 'XJHG2KMW1', 'V2MODBUS_EXCEPTION_MEMORY_PARITY_ERROR', 'Slave exception 0x08: memory parity error');
+vrack2_core_1.ErrorManager.register('ModbusException', '02PRJ7LHR', 'V2MODBUS_EXCEPTION_GATEWAY_PATH_UNAVAILABLE', 'Slave exception 0x0A: gateway path unavailable');
+vrack2_core_1.ErrorManager.register('ModbusException', '3TKLL4WU1', 'V2MODBUS_EXCEPTION_GATEWAY_TARGET_FAILED', 'Slave exception 0x0B: gateway target device failed to respond');
+vrack2_core_1.ErrorManager.register('ModbusException', 'OA8CVUPFQ', 'V2MODBUS_EXCEPTION_UNKNOWN', 'Slave responded with unknown exception code');
+/**
+ * Ошибки исключений Modbus
+ *
+ * Каждому коду исключения (0x01-0x0B) соответствует своя ошибка ErrorManager,
+ * что позволяет отличать, например, неверный адрес от занятости устройства
+ *
+ * @example
+ * throw ModbusException.make(0x02, { slaveId: 1, functionCode: 0x03, address: 0x100 })
+ * // V2MODBUS_EXCEPTION_ILLEGAL_DATA_ADDRESS
+*/
+class ModbusException {
+    /**
+     * Возвращает короткое имя ошибки для кода исключения
+    */
+    static errorName(exceptionCode) {
+        var _a;
+        return (_a = this.ERRORS[exceptionCode]) !== null && _a !== void 0 ? _a : 'V2MODBUS_EXCEPTION_UNKNOWN';
+    }
+    /**
+     * Создает ошибку для кода исключения
+     *
+     * @param {number} exceptionCode - Код исключения из ответа
+     * @param {Object} additional - Дополнительные данные (slaveId, functionCode, address...)
+    */
+    static make(exceptionCode, additional = {}) {
+        return vrack2_core_1.ErrorManager.make(this.errorName(exceptionCode), Object.assign({ exceptionCode }, additional));
+    }
+}
+exports.ModbusException = ModbusException;
+/**
+ * Короткие имена ошибок по коду исключения
+*/
+ModbusException.ERRORS = {
+    0x01: 'V2MODBUS_EXCEPTION_ILLEGAL_FUNCTION',
+    0x02: 'V2MODBUS_EXCEPTION_ILLEGAL_DATA_ADDRESS',
+    0x03: 'V2MODBUS_EXCEPTION_ILLEGAL_DATA_VALUE',
+    0x04: 'V2MODBUS_EXCEPTION_SLAVE_DEVICE_FAILURE',
+    0x05: 'V2MODBUS_EXCEPTION_ACKNOWLEDGE',
+    0x06: 'V2MODBUS_EXCEPTION_SLAVE_DEVICE_BUSY',
+    0x07: 'V2MODBUS_EXCEPTION_NEGATIVE_ACKNOWLEDGE',
+    0x08: 'V2MODBUS_EXCEPTION_MEMORY_PARITY_ERROR',
+    0x0A: 'V2MODBUS_EXCEPTION_GATEWAY_PATH_UNAVAILABLE',
+    0x0B: 'V2MODBUS_EXCEPTION_GATEWAY_TARGET_FAILED'
+};
@@ -0,0 +1,103 @@
+/// <reference types="node" />
+/// <reference types="node" />
+import { ModbusResponse } from "./ModbusRTU";
+import { ModbusTCPResponse } from "./ModbusTCP";
+/**
+ * Фреймер - описание протокола обмена для {@link DeviceRTU}
+ *
+ * Формирует пакет запроса, определяет, что ответ принят полностью, разбирает и проверяет его.
+ * Кроме Modbus, через фреймеры на той же линии можно отправлять служебные команды
+ * производителя (например смена адреса и скорости, см. Example1)
+ *
+ * @example
+ * const framer: ModbusFramer<{ address: number }, number> = {
+ *   encode: (request) => ModbusRTU.addCRC(Buffer.from([0xFD, request.address])),
+ *   isComplete: (data) => data.length >= 4,
+ *   decode: (data) => data.readUInt8(1)
+ * };
+ */
+export interface ModbusFramer<Request = unknown, Response = unknown> {
+    /**
+     * Формирует пакет запроса
+    */
+    encode(request: Request): Buffer;
+    /**
+     * Возвращает true, если буфер содержит полный пакет ответа на запрос `request`
+     *
+     * Передается провайдеру как проверка пакета, поэтому вызывается без контекста
+    */
+    isComplete(data: Buffer, request: Buffer): boolean;
+    /**
+     * Разбирает пакет ответа. Поврежденный пакет (контрольная сумма, формат) - ошибка
+    */
+    decode(data: Buffer, request: Buffer): Response;
+    /**
+     * Проверяет, что разобранный ответ соответствует запросу, иначе - ошибка
+    */
+    validate?(response: Response, request: Buffer): void;
+    /**
+     * Возвращает ошибку для данных, которые были приняты, но не стали полным ответом до таймаута
+     *
+     * Вызывается после таймаута провайдера. Если ошибки нет - запрос считается запросом без ответа
+    */
+    timeoutError?(data: Buffer, request: Buffer): Error | undefined;
+}
+/**
+ * Параметры Modbus запроса для {@link ModbusRTUFramer.encode}
+ *
+ * Поля совпадают с аргументами {@link ModbusRTU.makeRequest}
+ */
+export interface ModbusFrameRequest {
+    slaveId: number;
+    functionCode: number;
+    address: number;
+    quantity: number;
+    writeData?: number[];
+}
+/**
+ * Фреймер Modbus RTU (CRC16)
+ *
+ * Фреймер по умолчанию для {@link DeviceRTU}. Ответ проверяется на соответствие
+ * запросу (см. {@link ModbusRTU.validateResponse})
+*/
+export declare class ModbusRTUFramer implements ModbusFramer<ModbusFrameRequest, ModbusResponse> {
+    encode(request: ModbusFrameRequest): Buffer;
+    isComplete(data: Buffer): boolean;
+    decode(data: Buffer): ModbusResponse;
+    validate(response: ModbusResponse, request: Buffer): void;
+    /**
+     * Возвращает кадр запроса [slave][func][данные...] без обрамления и контрольной суммы
+    */
+    frame(request: Buffer): Buffer;
+}
+/**
+ * Фреймер Modbus TCP (MBAP заголовок)
+ *
+ * Ответом считается только пакет с идентификатором транзакции запроса. Пакеты с другим
+ * идентификатором (опоздавшие ответы на прошлые запросы) пропускаются, и ожидание продолжается.
+ * Если до таймаута пришли только такие пакеты - ошибка `V2MODBUS_TRANSACTION_MISMATCH`.
+ * Без пакета запроса (`request`) проверяется только, что пакет полный
+*/
+export declare class ModbusTCPFramer extends ModbusRTUFramer {
+    encode(request: ModbusFrameRequest): Buffer;
+    isComplete(data: Buffer, request?: Buffer): boolean;
+    decode(data: Buffer, request?: Buffer): ModbusTCPResponse;
+    timeoutError(data: Buffer, request: Buffer): Error | undefined;
+    /**
+     * Возвращает из принятых данных пакет с идентификатором транзакции запроса
+     *
+     * Полные пакеты с другим идентификатором пропускаются
+    */
+    findResponse(data: Buffer, request: Buffer): Buffer | undefined;
+    validate(response: ModbusResponse, request: Buffer): void;
+    frame(request: Buffer): Buffer;
+}
+/**
+ * Фреймер Modbus ASCII (LRC)
+*/
+export declare class ModbusASCIIFramer extends ModbusRTUFramer {
+    encode(request: ModbusFrameRequest): Buffer;
+    isComplete(data: Buffer): boolean;
+    decode(data: Buffer): ModbusResponse;
+    frame(request: Buffer): Buffer;
+}
@@ -0,0 +1,107 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ModbusASCIIFramer = exports.ModbusTCPFramer = exports.ModbusRTUFramer = void 0;
+const vrack2_core_1 = require("vrack2-core");
+const ModbusRTU_1 = require("./ModbusRTU");
+const ModbusTCP_1 = require("./ModbusTCP");
+const ModbusASCII_1 = require("./ModbusASCII");
+vrack2_core_1.ErrorManager.register('ModbusFramer', 'NF6Y2SUQ4', 'V2MODBUS_TRANSACTION_MISMATCH', 'Response transaction id does not match the request');
+/**
+ * Фреймер Modbus RTU (CRC16)
+ *
+ * Фреймер по умолчанию для {@link DeviceRTU}. Ответ проверяется на соответствие
+ * запросу (см. {@link ModbusRTU.validateResponse})
+*/
+class ModbusRTUFramer {
+    encode(request) {
+        return ModbusRTU_1.ModbusRTU.makeRequest(request.slaveId, request.functionCode, request.address, request.quantity, request.writeData);
+    }
+    isComplete(data) {
+        return ModbusRTU_1.ModbusRTU.isCompletePacket(data);
+    }
+    decode(data) {
+        return ModbusRTU_1.ModbusRTU.parseResponse(data);
+    }
+    validate(response, request) {
+        ModbusRTU_1.ModbusRTU.validateResponse(this.frame(request), response);
+    }
+    /**
+     * Возвращает кадр запроса [slave][func][данные...] без обрамления и контрольной суммы
+    */
+    frame(request) {
+        return request.subarray(0, -2);
+    }
+}
+exports.ModbusRTUFramer = ModbusRTUFramer;
+/**
+ * Фреймер Modbus TCP (MBAP заголовок)
+ *
+ * Ответом считается только пакет с идентификатором транзакции запроса. Пакеты с другим
+ * идентификатором (опоздавшие ответы на прошлые запросы) пропускаются, и ожидание продолжается.
+ * Если до таймаута пришли только такие пакеты - ошибка `V2MODBUS_TRANSACTION_MISMATCH`.
+ * Без пакета запроса (`request`) проверяется только, что пакет полный
+*/
+class ModbusTCPFramer extends ModbusRTUFramer {
+    encode(request) {
+        return ModbusTCP_1.ModbusTCP.makeRequest(request.slaveId, request.functionCode, request.address, request.quantity, request.writeData);
+    }
+    isComplete(data, request) {
+        if (!request)
+            return ModbusTCP_1.ModbusTCP.isCompletePacket(data);
+        return this.findResponse(data, request) !== undefined;
+    }
+    decode(data, request) {
+        return ModbusTCP_1.ModbusTCP.parseResponse((request && this.findResponse(data, request)) || data);
+    }
+    timeoutError(data, request) {
+        if (!ModbusTCP_1.ModbusTCP.isCompletePacket(data))
+            return undefined;
+        return vrack2_core_1.ErrorManager.make('V2MODBUS_TRANSACTION_MISMATCH', { request: ModbusTCP_1.ModbusTCP.getTransactionId(request), response: ModbusTCP_1.ModbusTCP.getTransactionId(data) });
+    }
+    /**
+     * Возвращает из принятых данных пакет с идентификатором транзакции запроса
+     *
+     * Полные пакеты с другим идентификатором пропускаются
+    */
+    findResponse(data, request) {
+        const transactionId = ModbusTCP_1.ModbusTCP.getTransactionId(request);
+        let offset = 0;
+        while (ModbusTCP_1.ModbusTCP.isCompletePacket(data.subarray(offset))) {
+            const end = offset + ModbusTCP_1.ModbusTCP.HEADER_SIZE + data.readUInt16BE(offset + 4);
+            if (data.readUInt16BE(offset) === transactionId)
+                return data.subarray(offset, end);
+            offset = end;
+        }
+        return undefined;
+    }
+    validate(response, request) {
+        const transactionId = ModbusTCP_1.ModbusTCP.getTransactionId(request);
+        const responseId = response.transactionId;
+        if (responseId !== transactionId) {
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_TRANSACTION_MISMATCH', { request: transactionId, response: responseId });
+        }
+        super.validate(response, request);
+    }
+    frame(request) {
+        return request.subarray(ModbusTCP_1.ModbusTCP.HEADER_SIZE);
+    }
+}
+exports.ModbusTCPFramer = ModbusTCPFramer;
+/**
+ * Фреймер Modbus ASCII (LRC)
+*/
+class ModbusASCIIFramer extends ModbusRTUFramer {
+    encode(request) {
+        return ModbusASCII_1.ModbusASCII.makeRequest(request.slaveId, request.functionCode, request.address, request.quantity, request.writeData);
+    }
+    isComplete(data) {
+        return ModbusASCII_1.ModbusASCII.isCompletePacket(data);
+    }
+    decode(data) {
+        return ModbusASCII_1.ModbusASCII.parseResponse(data);
+    }
+    frame(request) {
+        return ModbusASCII_1.ModbusASCII.decode(request).subarray(0, -1);
+    }
+}
+exports.ModbusASCIIFramer = ModbusASCIIFramer;
@@ -0,0 +1,92 @@
+import { ModbusArea } from "./ModbusRTU";
+import { ModbusDataType, ModbusByteOrder } from "./ModbusTypes";
+/**
+ * Доступ к регистру профиля
+ *
+ * - `r` - только чтение, создается выходной порт
+ * - `rw` - чтение и запись, создается выходной порт и экшен `set.<name>`
+ * - `w` - только запись, создается только экшен
+ */
+export type ProfileAccess = 'r' | 'rw' | 'w';
+/**
+ * Регистр профиля (после заполнения значений по умолчанию)
+ */
+export interface ProfileRegister {
+    name: string;
+    description: string;
+    area: ModbusArea;
+    address: number;
+    type: ModbusDataType;
+    order: ModbusByteOrder;
+    length: number;
+    scale: number;
+    offset: number;
+    unit: string;
+    access: ProfileAccess;
+    group: string;
+    min?: number;
+    max?: number;
+    verify: boolean;
+}
+/**
+ * Профиль устройства
+ *
+ * @property {string} name - Название профиля
+ * @property {string} description - Описание устройства
+ * @property {Object} groups - Группы опроса: имя => интервал в мс или `'online'`
+ * @property {Array<ProfileRegister>} registers - Регистры устройства
+ */
+export interface ModbusProfileData {
+    name: string;
+    description: string;
+    groups: {
+        [name: string]: number | 'online';
+    };
+    registers: Array<ProfileRegister>;
+}
+/**
+ * Статический класс для загрузки и проверки JSON профилей устройств
+ *
+ * Профили хранятся в каталоге `profiles` пакета. Профиль проверяется целиком при загрузке,
+ * ошибка `V2MODBUS_PROFILE_INVALID` содержит путь к неверному полю (`field`) и причину (`reason`)
+ *
+ * @example
+ * const profile = ModbusProfile.load('RainSnowSensor');
+ * profile.registers[0].group; // 'status'
+*/
+export declare class ModbusProfile {
+    /**
+     * Каталог профилей пакета
+    */
+    static readonly DIR: string;
+    /**
+     * Имя группы опроса, если в профиле группы не заданы
+    */
+    static readonly DEFAULT_GROUP = "default";
+    /**
+     * Загружает и проверяет профиль
+     *
+     * @param {string} name - Имя профиля из каталога `profiles` (без .json) или путь к файлу профиля
+    */
+    static load(name: string): ModbusProfileData;
+    /**
+     * Возвращает путь к файлу профиля
+    */
+    static resolve(name: string): string;
+    /**
+     * Проверяет профиль и заполняет значения по умолчанию
+     *
+     * @param {unknown} data - Содержимое файла профиля
+     * @param {string} profile - Имя профиля для сообщений об ошибках
+    */
+    static validate(data: unknown, profile?: string): ModbusProfileData;
+    /**
+     * Регистр доступен для чтения
+    */
+    static isReadable(reg: ProfileRegister): boolean;
+    /**
+     * Регистр доступен для записи
+    */
+    static isWritable(reg: ProfileRegister): boolean;
+    private static isObject;
+}
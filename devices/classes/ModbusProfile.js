@@ -0,0 +1,168 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ModbusProfile = void 0;
+const vrack2_core_1 = require("vrack2-core");
+const ModbusRTU_1 = require("./ModbusRTU");
+const ModbusTypes_1 = require("./ModbusTypes");
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+vrack2_core_1.ErrorManager.register('ModbusProfile', 'B8TLW3KQX', 'V2MODBUS_PROFILE_NOT_FOUND', 'Device profile file not found or is not valid JSON');
+vrack2_core_1.ErrorManager.register('ModbusProfile', 'F1RZE9HNC', 'V2MODBUS_PROFILE_INVALID', 'Device profile is invalid');
+/**
+ * Статический класс для загрузки и проверки JSON профилей устройств
+ *
+ * Профили хранятся в каталоге `profiles` пакета. Профиль проверяется целиком при загрузке,
+ * ошибка `V2MODBUS_PROFILE_INVALID` содержит путь к неверному полю (`field`) и причину (`reason`)
+ *
+ * @example
+ * const profile = ModbusProfile.load('RainSnowSensor');
+ * profile.registers[0].group; // 'status'
+*/
+class ModbusProfile {
+    /**
+     * Загружает и проверяет профиль
+     *
+     * @param {string} name - Имя профиля из каталога `profiles` (без .json) или путь к файлу профиля
+    */
+    static load(name) {
+        const file = this.resolve(name);
+        let data;
+        try {
+            data = JSON.parse(fs_1.default.readFileSync(file).toString('utf-8'));
+        }
+        catch (err) {
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_PROFILE_NOT_FOUND', { profile: name, file, reason: err.message });
+        }
+        return this.validate(data, name);
+    }
+    /**
+     * Возвращает путь к файлу профиля
+    */
+    static resolve(name) {
+        if (name.endsWith('.json') || name.includes('/') || name.includes(path_1.default.sep))
+            return path_1.default.resolve(name);
+        return path_1.default.join(this.DIR, name + '.json');
+    }
+    /**
+     * Проверяет профиль и заполняет значения по умолчанию
+     *
+     * @param {unknown} data - Содержимое файла профиля
+     * @param {string} profile - Имя профиля для сообщений об ошибках
+    */
+    static validate(data, profile = '') {
+        var _a, _b, _c;
+        const fail = (field, reason) => vrack2_core_1.ErrorManager.make('V2MODBUS_PROFILE_INVALID', { profile, field, reason });
+        if (!this.isObject(data))
+            throw fail('', 'profile must be an object');
+        const groups = {};
+        const rawGroups = (_a = data.groups) !== null && _a !== void 0 ? _a : { [this.DEFAULT_GROUP]: 0 };
+        if (!this.isObject(rawGroups))
+            throw fail('groups', 'must be an object');
+        for (const name of Object.keys(rawGroups)) {
+            const interval = rawGroups[name];
+            if (interval !== 'online' && !(Number.isInteger(interval) && interval >= 0)) {
+                throw fail(`groups.${name}`, 'interval must be a non-negative integer or "online"');
+            }
+            groups[name] = interval;
+        }
+        const groupNames = Object.keys(groups);
+        if (!groupNames.length)
+            throw fail('groups', 'at least one group is required');
+        if (!Array.isArray(data.registers) || !data.registers.length)
+            throw fail('registers', 'must be a non-empty array');
+        const registers = [];
+        const names = new Set();
+        data.registers.forEach((raw, index) => {
+            var _a, _b, _c, _d, _e, _f, _g, _h, _j, _k, _l;
+            const field = (name) => `registers[${index}].${name}`;
+            if (!this.isObject(raw))
+                throw fail(`registers[${index}]`, 'must be an object');
+            const reg = {
+                name: raw.name,
+                description: ((_a = raw.description) !== null && _a !== void 0 ? _a : ''),
+                area: ((_b = raw.area) !== null && _b !== void 0 ? _b : 'holding'),
+                address: raw.address,
+                type: ((_c = raw.type) !== null && _c !== void 0 ? _c : 'uint16'),
+                order: ((_d = raw.order) !== null && _d !== void 0 ? _d : 'ABCD'),
+                length: ((_e = raw.length) !== null && _e !== void 0 ? _e : 1),
+                scale: ((_f = raw.scale) !== null && _f !== void 0 ? _f : 1),
+                offset: ((_g = raw.offset) !== null && _g !== void 0 ? _g : 0),
+                unit: ((_h = raw.unit) !== null && _h !== void 0 ? _h : ''),
+                access: ((_j = raw.access) !== null && _j !== void 0 ? _j : 'r'),
+                group: ((_k = raw.group) !== null && _k !== void 0 ? _k : groupNames[0]),
+                min: raw.min,
+                max: raw.max,
+                verify: ((_l = raw.verify) !== null && _l !== void 0 ? _l : false)
+            };
+            if (typeof reg.name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9]*$/.test(reg.name))
+                throw fail(field('name'), 'must be a latin identifier (letters and digits)');
+            if (names.has(reg.name))
+                throw fail(field('name'), `duplicate name "${reg.name}"`);
+            names.add(reg.name);
+            if (!(reg.area in ModbusRTU_1.ModbusRTU.AREA_READ_CODES))
+                throw fail(field('area'), 'must be coil, di, holding or input');
+            if (!Number.isInteger(reg.address) || reg.address < 0 || reg.address > 0xFFFF)
+                throw fail(field('address'), 'must be an integer 0-65535');
+            if (!ModbusTypes_1.ModbusTypes.DATA_TYPES.includes(reg.type))
+                throw fail(field('type'), `unknown type "${reg.type}"`);
+            if (!ModbusTypes_1.ModbusTypes.BYTE_ORDERS.includes(reg.order))
+                throw fail(field('order'), `unknown byte order "${reg.order}"`);
+            if (!Number.isInteger(reg.length) || reg.length < 1 || reg.length > 125)
+                throw fail(field('length'), 'must be an integer 1-125');
+            if (typeof reg.scale !== 'number' || reg.scale === 0)
+                throw fail(field('scale'), 'must be a non-zero number');
+            if (typeof reg.offset !== 'number')
+                throw fail(field('offset'), 'must be a number');
+            if (!['r', 'rw', 'w'].includes(reg.access))
+                throw fail(field('access'), 'must be r, rw or w');
+            if (!(reg.group in groups))
+                throw fail(field('group'), `unknown group "${reg.group}"`);
+            if (reg.min !== undefined && typeof reg.min !== 'number')
+                throw fail(field('min'), 'must be a number');
+            if (reg.max !== undefined && typeof reg.max !== 'number')
+                throw fail(field('max'), 'must be a number');
+            if (reg.min !== undefined && reg.max !== undefined && reg.min > reg.max)
+                throw fail(field('min'), 'must not be greater than max');
+            if (reg.access !== 'r') {
+                if (reg.area !== 'coil' && reg.area !== 'holding')
+                    throw fail(field('access'), `area ${reg.area} is read only`);
+                if (reg.type === 'string' || reg.type === 'bits')
+                    throw fail(field('access'), `type ${reg.type} can not be written`);
+            }
+            registers.push(reg);
+        });
+        return {
+            name: ((_b = data.name) !== null && _b !== void 0 ? _b : profile),
+            description: ((_c = data.description) !== null && _c !== void 0 ? _c : ''),
+            groups,
+            registers
+        };
+    }
+    /**
+     * Регистр доступен для чтения
+    */
+    static isReadable(reg) {
+        return reg.access !== 'w';
+    }
+    /**
+     * Регистр доступен для записи
+    */
+    static isWritable(reg) {
+        return reg.access !== 'r';
+    }
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+}
+exports.ModbusProfile = ModbusProfile;
+/**
+ * Каталог профилей пакета
+*/
+ModbusProfile.DIR = path_1.default.join(path_1.default.dirname(path_1.default.dirname(__dirname)), 'profiles');
+/**
+ * Имя группы опроса, если в профиле группы не заданы
+*/
+ModbusProfile.DEFAULT_GROUP = 'default';
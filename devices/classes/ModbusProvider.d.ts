@@ -0,0 +1,37 @@
+/// <reference types="node" />
+/// <reference types="node" />
+/**
+ * Интерфейс провайдера, через который {@link DeviceRTU} обменивается с линией
+ *
+ * Реализуется `TCPProvider` из vrack2-net (vrack2-net.ConverterClient) и
+ * {@link LoopbackProvider} для проверки устройств без оборудования
+ */
+export interface ModbusProvider {
+    /**
+     * Вызывается устройством перед началом обмена при получении управления
+    */
+    canRequest(): void;
+    /**
+     * Устанавливает функцию проверки, что принятый буфер содержит полный пакет ответа
+    */
+    setPkgCheck(check: (data: Buffer) => boolean): void;
+    /**
+     * Отправляет пакет и ждет полный пакет ответа (см. setPkgCheck)
+     *
+     * Если полный пакет не получен за `timeout` мс ни в одной из `retries` попыток - промис отклоняется
+    */
+    autoRequest(buffer: Buffer, timeout: number, retries?: number): Promise<unknown>;
+    /**
+     * Возвращает принятый буфер ответа
+     *
+     * После ошибки `autoRequest` - данные, принятые в последней попытке
+    */
+    getBuffer(): Buffer;
+    /**
+     * Возвращает true, если ошибка `autoRequest` - таймаут ожидания ответа
+     *
+     * Необязательный метод. Без него устройство считает таймаутом ошибку, имя, код или `vShort`
+     * которой содержит `timeout` (например `TimeoutError`, `ETIMEDOUT`)
+    */
+    isTimeout?(err: unknown): boolean;
+}
@@ -4,11 +4,25 @@
  * Интерфейс для представления разобранного Modbus RTU ответа
  *
  * @property {number} slaveId - Идентификатор ведомого устройства (0-255)
- * @property {number} functionCode - Код функции Modbus (0x01-0x10)
+ * @property {number} functionCode - Код функции Modbus
  * @property {number} byteCount - Количество байт в поле данных
  * @property {Buffer} data - Буфер с полезными данными ответа
  * @property {number} [exceptionCode] - Код исключения (присутствует только в ответах с ошибкой)
  *
+ * Ответы дополнительных функций разбираются в отдельные поля:
+ *
+ * @property {number} [exceptionStatus] - Байт статуса (0x07)
+ * @property {number} [subFunction] - Подфункция (0x08)
+ * @property {number} [diagnosticData] - Данные подфункции (0x08)
+ * @property {number} [serverId] - Первый байт идентификатора устройства (0x11)
+ * @property {boolean} [runIndicator] - Устройство в работе, байт 0xFF после идентификатора (0x11)
+ * @property {number} [address] - Адрес регистра (0x16)
+ * @property {number} [andMask] - AND маска (0x16)
+ * @property {number} [orMask] - OR маска (0x16)
+ * @property {Array<number>} [values] - Прочитанные регистры (0x17) или значения очереди FIFO (0x18)
+ * @property {Array<ModbusFileRecord>} [fileRecords] - Файловые записи (0x14, 0x15)
+ * @property {ModbusDeviceId} [deviceId] - Идентификация устройства (0x2B/0x0E)
+ *
  * @example
  * // Успешный ответ на чтение holding registers
  * const successResponse: ModbusResponse = {
@@ -39,7 +53,96 @@ export interface ModbusResponse {
     byteCount: number;
     data: Buffer;
     exceptionCode?: number;
+    exceptionStatus?: number;
+    subFunction?: number;
+    diagnosticData?: number;
+    serverId?: number;
+    runIndicator?: boolean;
+    address?: number;
+    andMask?: number;
+    orMask?: number;
+    values?: number[];
+    fileRecords?: ModbusFileRecord[];
+    deviceId?: ModbusDeviceId;
+}
+/**
+ * Файловая запись функций 0x14/0x15
+ *
+ * В ответе на 0x14 номер файла и записи не передаются, поэтому
+ * поля `file` и `record` заполняются только для 0x15 и разобранных запросов
+ *
+ * @property {number} [file] - Номер файла
+ * @property {number} [record] - Номер записи
+ * @property {Array<number>} values - Значения регистров записи
+ */
+export interface ModbusFileRecord {
+    file?: number;
+    record?: number;
+    values: number[];
 }
+/**
+ * Ответ функции 0x2B/0x0E (Read Device Identification)
+ *
+ * @property {number} readDeviceIdCode - Код чтения из запроса (1-4)
+ * @property {number} conformity - Уровень соответствия устройства
+ * @property {boolean} moreFollows - Объекты не поместились в ответ, нужен повторный запрос с nextObjectId
+ * @property {number} nextObjectId - Идентификатор объекта для следующего запроса
+ * @property {Object} objects - Объекты по идентификатору (0x00 - производитель, 0x01 - код продукта, 0x02 - версия...)
+ */
+export interface ModbusDeviceId {
+    readDeviceIdCode: number;
+    conformity: number;
+    moreFollows: boolean;
+    nextObjectId: number;
+    objects: {
+        [objectId: number]: string;
+    };
+}
+/**
+ * Интерфейс для представления разобранного Modbus RTU запроса
+ *
+ * @property {number} slaveId - Адрес ведомого устройства (0 - широковещательный)
+ * @property {number} functionCode - Код функции Modbus
+ * @property {number} address - Начальный адрес
+ * @property {number} quantity - Количество элементов (для 0x05/0x06 всегда 1)
+ * @property {Array<number>} values - Записываемые значения (биты или регистры), для чтения пустой массив
+ * @property {Buffer} data - Данные запроса после кода функции
+ * @property {number} [writeAddress] - Адрес записи (0x17)
+ * @property {Array<ModbusFileRecord>} [fileRecords] - Подзапросы файловых записей (0x14, 0x15)
+ *
+ * Поля address/quantity/values для дополнительных функций заполняются так же,
+ * как параметры {@link ModbusRTU.makeRequest}
+ *
+ * @example
+ * // Запрос записи нескольких регистров
+ * const request: ModbusRequest = {
+ *   slaveId: 1,
+ *   functionCode: 0x10,
+ *   address: 0x0200,
+ *   quantity: 2,
+ *   values: [0x1234, 0x5678],
+ *   data: Buffer.from([0x02, 0x00, 0x00, 0x02, 0x04, 0x12, 0x34, 0x56, 0x78])
+ * };
+ */
+export interface ModbusRequest {
+    slaveId: number;
+    functionCode: number;
+    address: number;
+    quantity: number;
+    values: number[];
+    data: Buffer;
+    writeAddress?: number;
+    fileRecords?: ModbusFileRecord[];
+}
+/**
+ * Область данных Modbus устройства
+ *
+ * - `coil` - coils, чтение 0x01
+ * - `di` - discrete inputs, чтение 0x02
+ * - `holding` - holding registers, чтение 0x03
+ * - `input` - input registers, чтение 0x04
+ */
+export type ModbusArea = 'coil' | 'di' | 'holding' | 'input';
 /**
  * Cтатический класс для работы с протоколом Modbus RTU,
  * предоставляющий методы для создания, проверки и парсинга Modbus-пакетов.
@@ -58,11 +161,72 @@ export declare class ModbusRTU {
         WRITE_SINGLE_REGISTER: number;
         WRITE_MULTIPLE_COILS: number;
         WRITE_MULTIPLE_REGISTERS: number;
+        READ_EXCEPTION_STATUS: number;
+        DIAGNOSTICS: number;
+        REPORT_SLAVE_ID: number;
+        READ_FILE_RECORD: number;
+        WRITE_FILE_RECORD: number;
+        MASK_WRITE_REGISTER: number;
+        READ_WRITE_MULTIPLE_REGISTERS: number;
+        READ_FIFO_QUEUE: number;
+        READ_DEVICE_IDENTIFICATION: number;
+    };
+    /**
+     * MEI тип функции 0x2B для чтения идентификации устройства
+    */
+    static readonly MEI_READ_DEVICE_ID = 14;
+    /**
+     * Именованные коды исключений
+    */
+    static readonly EXCEPTION_CODES: {
+        ILLEGAL_FUNCTION: number;
+        ILLEGAL_DATA_ADDRESS: number;
+        ILLEGAL_DATA_VALUE: number;
+        SLAVE_DEVICE_FAILURE: number;
+        ACKNOWLEDGE: number;
+        SLAVE_DEVICE_BUSY: number;
+        NEGATIVE_ACKNOWLEDGE: number;
+        MEMORY_PARITY_ERROR: number;
+        GATEWAY_PATH_UNAVAILABLE: number;
+        GATEWAY_TARGET_FAILED: number;
+    };
+    /**
+     * Коды функций чтения для областей данных
+    */
+    static readonly AREA_READ_CODES: {
+        [key in ModbusArea]: number;
     };
     /**
      * Универсальный метод создания Modbus RTU запроса
+     *
+     * Для функций, которые не укладываются в схему адрес/количество,
+     * параметры используются так:
+     *
+     * | Функция | address | quantity | writeData |
+     * | :--- | :--- | :--- | :--- |
+     * | 0x07, 0x11 | - | - | - |
+     * | 0x08 | Подфункция | Данные | - |
+     * | 0x14 | Номер файла | Количество регистров | [номер записи] |
+     * | 0x15 | Номер файла | - | [номер записи, ...значения] |
+     * | 0x16 | Адрес | AND маска | [OR маска] |
+     * | 0x17 | Адрес чтения | Количество чтения | [адрес записи, ...значения] |
+     * | 0x18 | Адрес указателя FIFO | - | - |
+     * | 0x2B | Код чтения (1-4) | Идентификатор объекта | - |
+     *
+     * Для удобства используйте именованные методы `create...Request`
      */
     static makeRequest(slaveId: number, functionCode: number, address: number, quantity: number, writeData?: number[]): Buffer;
+    /**
+     * Создает кадр запроса без контрольной суммы: [slave][func][данные...]
+     *
+     * Общая часть для всех вариантов транспорта (RTU, TCP, ASCII) -
+     * они отличаются только обрамлением этого кадра
+     *
+     * @example
+     * const frame = ModbusRTU.makeFrame(1, 0x03, 0x0064, 3);
+     * // frame: <Buffer 01 03 00 64 00 03>
+     */
+    static makeFrame(slaveId: number, functionCode: number, address: number, quantity: number, writeData?: number[]): Buffer;
     /**
      * Создает запрос чтения coils (0x01)
      * @example
@@ -119,6 +283,96 @@ export declare class ModbusRTU {
      * // packet: <Buffer 01 10 02 00 00 03 06 12 34 56 78 9a bc 9e 29>
      */
     static createWriteMultipleRegistersRequest(slaveId: number, address: number, values: number[]): Buffer;
+    /**
+     * Создает запрос чтения статуса исключения (0x07)
+     * @example
+     * const packet = ModbusRTU.createReadExceptionStatusRequest(1);
+     * // packet: <Buffer 01 07 41 e2>
+     */
+    static createReadExceptionStatusRequest(slaveId: number): Buffer;
+    /**
+     * Создает диагностический запрос (0x08)
+     * @example
+     * // Подфункция 0x0000 - Return Query Data (эхо)
+     * const packet = ModbusRTU.createDiagnosticsRequest(1, 0x0000, 0x1234);
+     * // packet: <Buffer 01 08 00 00 12 34 ed 7c>
+     */
+    static createDiagnosticsRequest(slaveId: number, subFunction: number, data?: number): Buffer;
+    /**
+     * Создает запрос идентификатора устройства (0x11)
+     * @example
+     * const packet = ModbusRTU.createReportSlaveIdRequest(1);
+     * // packet: <Buffer 01 11 c0 2c>
+     */
+    static createReportSlaveIdRequest(slaveId: number): Buffer;
+    /**
+     * Создает запрос чтения файловых записей (0x14)
+     * @example
+     * const packet = ModbusRTU.createReadFileRecordRequest(1, [{ file: 4, record: 1, length: 2 }]);
+     * // packet: <Buffer 01 14 07 06 00 04 00 01 00 02 ...crc>
+     */
+    static createReadFileRecordRequest(slaveId: number, records: Array<{
+        file: number;
+        record: number;
+        length: number;
+    }>): Buffer;
+    /**
+     * Создает запрос записи файловых записей (0x15)
+     * @example
+     * const packet = ModbusRTU.createWriteFileRecordRequest(1, [{ file: 4, record: 7, values: [0x06AF, 0x04BE] }]);
+     * // packet: <Buffer 01 15 0b 06 00 04 00 07 00 02 06 af 04 be ...crc>
+     */
+    static createWriteFileRecordRequest(slaveId: number, records: Array<{
+        file: number;
+        record: number;
+        values: number[];
+    }>): Buffer;
+    /**
+     * Создает запрос записи регистра по маске (0x16)
+     *
+     * Результат = (текущее AND andMask) OR (orMask AND (NOT andMask))
+     * @example
+     * const packet = ModbusRTU.createMaskWriteRegisterRequest(1, 0x0004, 0x00F2, 0x0025);
+     * // packet: <Buffer 01 16 00 04 00 f2 00 25 ...crc>
+     */
+    static createMaskWriteRegisterRequest(slaveId: number, address: number, andMask: number, orMask: number): Buffer;
+    /**
+     * Создает запрос записи и чтения нескольких регистров (0x17)
+     *
+     * Запись выполняется до чтения
+     * @example
+     * const packet = ModbusRTU.createReadWriteMultipleRegistersRequest(1, 0x0003, 6, 0x000E, [0x00FF, 0x00FF, 0x00FF]);
+     * // packet: <Buffer 01 17 00 03 00 06 00 0e 00 03 06 00 ff 00 ff 00 ff ...crc>
+     */
+    static createReadWriteMultipleRegistersRequest(slaveId: number, readAddress: number, readQuantity: number, writeAddress: number, values: number[]): Buffer;
+    /**
+     * Создает запрос чтения очереди FIFO (0x18)
+     * @example
+     * const packet = ModbusRTU.createReadFifoQueueRequest(1, 0x04DE);
+     * // packet: <Buffer 01 18 04 de ...crc>
+     */
+    static createReadFifoQueueRequest(slaveId: number, address: number): Buffer;
+    /**
+     * Создает запрос чтения идентификации устройства (0x2B / MEI 0x0E)
+     *
+     * @param {number} readDeviceIdCode - 1 базовая, 2 обычная, 3 расширенная, 4 один объект
+     * @param {number} objectId - Идентификатор первого (или единственного) объекта
+     * @example
+     * const packet = ModbusRTU.createReadDeviceIdentificationRequest(1, 0x01, 0x00);
+     * // packet: <Buffer 01 2b 0e 01 00 ...crc>
+     */
+    static createReadDeviceIdentificationRequest(slaveId: number, readDeviceIdCode?: number, objectId?: number): Buffer;
+    /**
+     * Создает кадр запроса файловых записей 0x14/0x15 без контрольной суммы
+     *
+     * Для 0x14 в подзапросе указывается length, для 0x15 - values
+    */
+    static makeFileRecordFrame(slaveId: number, functionCode: number, records: Array<{
+        file: number;
+        record: number;
+        length?: number;
+        values?: number[];
+    }>): Buffer;
     /**
      * Вычисляет CRC16 для Modbus RTU пакета
      * @example
@@ -141,13 +395,109 @@ export declare class ModbusRTU {
    * // { slaveId: 1, functionCode: 3, byteCount: 4, data: <Buffer 00 0a 00 14> }
    */
     static parseResponse(buffer: Buffer): ModbusResponse;
+    /**
+     * Разбирает кадр ответа без контрольной суммы: [slave][func][данные...]
+     *
+     * Используется для разбора ответов любого транспорта (RTU, TCP, ASCII)
+     * после снятия обрамления и проверки контрольной суммы
+     *
+     * @example
+     * const frame = Buffer.from([0x01, 0x03, 0x04, 0x00, 0x0A, 0x00, 0x14]);
+     * const parsed = ModbusRTU.parseFrame(frame);
+     * // { slaveId: 1, functionCode: 3, byteCount: 4, data: <Buffer 00 0a 00 14> }
+     */
+    static parseFrame(frame: Buffer): ModbusResponse;
+    /**
+     * Разбирает данные файловых записей 0x14/0x15 (после байта количества данных)
+     *
+     * - Ответ 0x14: [длина][тип 6][значения...] для каждой записи
+     * - Запрос 0x14: [тип 6][файл][запись][длина] для каждой записи
+     * - Запрос и ответ 0x15: [тип 6][файл][запись][длина][значения...] для каждой записи
+     *
+     * @param {boolean} isRequest - Данные относятся к запросу
+     */
+    static parseFileRecords(functionCode: number, data: Buffer, isRequest: boolean): ModbusFileRecord[];
+    /**
+     * Разбирает кадр ответа 0x2B/0x0E без контрольной суммы
+     *
+     * Структура: [slave][2B][0E][code][conformity][moreFollows][nextObjectId][count]
+     * и далее для каждого объекта [id][length][value...]
+     */
+    static parseDeviceId(frame: Buffer): ModbusDeviceId;
+    /**
+     * Парсит Modbus RTU пакет запроса
+     * @example
+     * const request = ModbusRTU.makeRequest(1, 0x06, 0x0100, 0x1234);
+     * const parsed = ModbusRTU.parseRequest(request);
+     * // { slaveId: 1, functionCode: 6, address: 256, quantity: 1, values: [4660], data: <Buffer 01 00 12 34> }
+     */
+    static parseRequest(buffer: Buffer): ModbusRequest;
+    /**
+     * Разбирает кадр запроса без контрольной суммы: [slave][func][данные...]
+     *
+     * @example
+     * const frame = Buffer.from([0x01, 0x03, 0x00, 0x64, 0x00, 0x03]);
+     * const parsed = ModbusRTU.parseRequestFrame(frame);
+     * // { slaveId: 1, functionCode: 3, address: 100, quantity: 3, values: [], data: <Buffer 00 64 00 03> }
+     */
+    static parseRequestFrame(frame: Buffer): ModbusRequest;
+    /**
+     * Проверяет что разобранный ответ соответствует кадру запроса (без контрольной суммы)
+     *
+     * - Адрес устройства и код функции (без бита исключения) должны совпадать
+     * - Для чтения 0x01-0x04 и 0x17 количество байт должно соответствовать запрошенному количеству
+     * - Ответ на запись 0x05/0x06/0x0F/0x10/0x16 должен повторять адрес и значение/количество запроса
+     *
+     * Для ответа с исключением проверяются только адрес и код функции.
+     * При несовпадении выбрасывается ошибка
+     *
+     * @example
+     * const req = ModbusRTU.makeFrame(1, 0x03, 0x10, 2);
+     * ModbusRTU.validateResponse(req, ModbusRTU.parseResponse(incomingBuffer));
+     */
+    static validateResponse(request: Buffer, response: ModbusResponse): void;
     /**
      * Проверяет что буфер содержит полный Modbus RTU пакет
+     *
+     * Ответ с исключением [slave][func | 0x80][code][crc] имеет размер 5 байт
      * @example
      * const buffer = Buffer.from([0x01, 0x05, 0x00, 0x20, 0xFF, 0x00, 0x8C, 0x18]);
      * const isComplete = ModbusRTU.isCompletePacket(buffer); // true
      */
     static isCompletePacket(buffer: Buffer): boolean;
+    /**
+     * Проверяет что буфер содержит полный Modbus RTU запрос
+     * @example
+     * const buffer = Buffer.from([0x01, 0x03, 0x00, 0x00, 0x00, 0x02, 0xC4, 0x0B]);
+     * const isComplete = ModbusRTU.isCompleteRequest(buffer); // true
+     */
+    static isCompleteRequest(buffer: Buffer): boolean;
+    /**
+     * Возвращает ожидаемый размер Modbus RTU запроса по его началу
+     *
+     * Размер запросов 0x0F/0x10/0x17/0x14/0x15 определяется байтом количества данных,
+     * остальные запросы имеют фиксированный размер.
+     * Если данных для определения размера недостаточно или код функции
+     * неизвестен - возвращает 0
+     * @example
+     * ModbusRTU.requestLength(Buffer.from([0x01, 0x10, 0x02, 0x00, 0x00, 0x03, 0x06])); // 15
+     */
+    static requestLength(buffer: Buffer): number;
+    /**
+     * Возвращает ожидаемый размер Modbus RTU ответа по его началу
+     *
+     * Учитывает ответы с исключением (5 байт) и ответы чтения, размер которых
+     * определяется байтом количества данных. Если данных для определения размера
+     * недостаточно или код функции неизвестен - возвращает 0
+     *
+     * Размер ответа 0x2B/0x0E определяется перебором объектов. Пока объекты
+     * получены не полностью, возвращается минимальный размер с учетом
+     * уже полученных данных
+     * @example
+     * ModbusRTU.responseLength(Buffer.from([0x01, 0x03, 0x04])); // 9
+     * ModbusRTU.responseLength(Buffer.from([0x01, 0x83])); // 5
+     */
+    static responseLength(buffer: Buffer): number;
     /**
      * Вычисляет CRC для переданного Buffer,
      * добавляет 2 байта в конец возвращая новый Buffer
@@ -0,0 +1,84 @@
+/// <reference types="node" />
+/// <reference types="node" />
+import { ModbusArea } from "./ModbusRTU";
+/**
+ * Начальные значения таблиц ведомого устройства
+ *
+ * Для каждой области - объект "адрес: значение". Если значение - массив,
+ * то значения записываются в последовательные адреса начиная с указанного
+ *
+ * @example
+ * const tables: ModbusSlaveTables = {
+ *   holding: { "0": [10, 20, 30], "48": 350 },
+ *   coil: { "0": [1, 0, 1] }
+ * }
+ */
+export type ModbusSlaveTables = {
+    [key in ModbusArea]?: {
+        [address: string]: number | number[];
+    };
+};
+/**
+ * Модель ведомого Modbus устройства (slave)
+ *
+ * Хранит таблицы coil, di, holding и input и отвечает на кадры запросов.
+ * Адреса, которых нет в таблицах, считаются несуществующими - на них
+ * возвращается исключение ILLEGAL DATA ADDRESS (0x02)
+ *
+ * @example
+ * const slave = new ModbusSlave(1, { holding: { "0": [10, 20] } });
+ * const resp = slave.handleRTU(ModbusRTU.makeRequest(1, 0x03, 0, 2));
+ * // resp: <Buffer 01 03 04 00 0a 00 14 ...crc>
+*/
+export declare class ModbusSlave {
+    /**
+     * Коды функций, которые обрабатывает модель
+    */
+    static readonly SUPPORTED_CODES: number[];
+    /**
+     * Адрес ведомого устройства
+    */
+    slaveId: number;
+    /**
+     * Таблицы значений по областям
+    */
+    tables: {
+        [key in ModbusArea]: Map<number, number>;
+    };
+    constructor(slaveId?: number, tables?: ModbusSlaveTables);
+    /**
+     * Загружает значения в таблицы (существующие значения не очищаются)
+    */
+    load(tables: ModbusSlaveTables): void;
+    /**
+     * Устанавливает значения начиная с адреса
+     *
+     * Для coil/di значение приводится к 0/1, для регистров - к 16 битам
+    */
+    setValues(area: ModbusArea, address: number, values: number[]): void;
+    /**
+     * Возвращает значения начиная с адреса или undefined, если хотя бы одного адреса нет
+    */
+    getValues(area: ModbusArea, address: number, quantity: number): number[] | undefined;
+    /**
+     * Обрабатывает Modbus RTU пакет запроса
+     *
+     * Возвращает пакет ответа с CRC или null, если отвечать не нужно
+     * (ошибка CRC, чужой адрес или широковещательный запрос)
+    */
+    handleRTU(buffer: Buffer): Buffer | null;
+    /**
+     * Обрабатывает кадр запроса без контрольной суммы [slave][func][данные...]
+     *
+     * Возвращает кадр ответа без контрольной суммы или null, если отвечать не нужно
+    */
+    handleFrame(frame: Buffer): Buffer | null;
+    /**
+     * Выполняет запрос и формирует кадр ответа
+    */
+    protected process(frame: Buffer): Buffer;
+    /**
+     * Формирует кадр исключения [slave][func | 0x80][code]
+    */
+    makeException(frame: Buffer, exceptionCode: number): Buffer;
+}
@@ -0,0 +1,83 @@
+/**
+ * Счетчики обмена с устройством
+ *
+ * @property {number} requests - Отправлено запросов (включая повторы по исключениям)
+ * @property {number} success - Получено корректных ответов без исключения
+ * @property {number} timeouts - Запросы без ответа (ошибка провайдера)
+ * @property {number} crc - Ответы с ошибкой контрольной суммы или обрамления
+ * @property {number} invalid - Ответы, не соответствующие запросу (адрес, функция, количество, эхо)
+ * @property {Object} exceptions - Количество исключений по коду
+ * @property {number} retries - Повторы запроса по исключениям BUSY и чтения по ACKNOWLEDGE
+ * @property {number} broadcasts - Отправлено широковещательных запросов (без ответа)
+ * @property {number} successRate - Процент успешных запросов
+ * @property {Object} latency - Время ответа в мс (min/avg/max) по последним запросам
+ */
+export interface ModbusStatsData {
+    requests: number;
+    success: number;
+    timeouts: number;
+    crc: number;
+    invalid: number;
+    exceptions: {
+        [code: string]: number;
+    };
+    retries: number;
+    broadcasts: number;
+    successRate: number;
+    latency: {
+        min: number;
+        avg: number;
+        max: number;
+    };
+}
+/**
+ * Статистика обмена с устройством
+ *
+ * Поле `data` - простой объект, который можно отдавать в shares.
+ * Время ответа считается по скользящему окну последних успешных запросов
+ *
+ * @example
+ * const stats = new ModbusStats(100);
+ * stats.request();
+ * stats.success(35);
+ * stats.data.successRate; // 100
+*/
+export declare class ModbusStats {
+    protected size: number;
+    /**
+     * Текущие значения счетчиков
+    */
+    data: ModbusStatsData;
+    /**
+     * Время последних ответов
+    */
+    protected window: number[];
+    /**
+     * @param {number} size - Размер окна для расчета времени ответа
+    */
+    constructor(size?: number);
+    /**
+     * Пустые счетчики
+    */
+    static empty(): ModbusStatsData;
+    request(): void;
+    /**
+     * Успешный ответ
+     *
+     * @param {number} latency - Время ответа в мс
+    */
+    success(latency: number): void;
+    timeout(): void;
+    crc(): void;
+    invalid(): void;
+    retry(): void;
+    broadcast(): void;
+    exception(code: number): void;
+    /**
+     * Сбрасывает все счетчики
+     *
+     * Объект `data` сохраняется (обнуляется на месте), что бы ссылки на него оставались актуальными
+    */
+    reset(): void;
+    protected updateRate(): void;
+}
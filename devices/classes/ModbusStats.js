@@ -0,0 +1,91 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ModbusStats = void 0;
+/**
+ * Статистика обмена с устройством
+ *
+ * Поле `data` - простой объект, который можно отдавать в shares.
+ * Время ответа считается по скользящему окну последних успешных запросов
+ *
+ * @example
+ * const stats = new ModbusStats(100);
+ * stats.request();
+ * stats.success(35);
+ * stats.data.successRate; // 100
+*/
+class ModbusStats {
+    /**
+     * @param {number} size - Размер окна для расчета времени ответа
+    */
+    constructor(size = 100) {
+        this.size = size;
+        /**
+         * Текущие значения счетчиков
+        */
+        this.data = ModbusStats.empty();
+        /**
+         * Время последних ответов
+        */
+        this.window = [];
+    }
+    /**
+     * Пустые счетчики
+    */
+    static empty() {
+        return {
+            requests: 0,
+            success: 0,
+            timeouts: 0,
+            crc: 0,
+            invalid: 0,
+            exceptions: {},
+            retries: 0,
+            broadcasts: 0,
+            successRate: 0,
+            latency: { min: 0, avg: 0, max: 0 }
+        };
+    }
+    request() {
+        this.data.requests++;
+        this.updateRate();
+    }
+    /**
+     * Успешный ответ
+     *
+     * @param {number} latency - Время ответа в мс
+    */
+    success(latency) {
+        this.data.success++;
+        this.window.push(latency);
+        if (this.window.length > this.size)
+            this.window.shift();
+        this.data.latency = {
+            min: Math.min(...this.window),
+            avg: Math.round(this.window.reduce((a, b) => a + b, 0) / this.window.length),
+            max: Math.max(...this.window)
+        };
+        this.updateRate();
+    }
+    timeout() { this.data.timeouts++; }
+    crc() { this.data.crc++; }
+    invalid() { this.data.invalid++; }
+    retry() { this.data.retries++; }
+    broadcast() { this.data.broadcasts++; }
+    exception(code) {
+        var _a;
+        this.data.exceptions[code] = ((_a = this.data.exceptions[code]) !== null && _a !== void 0 ? _a : 0) + 1;
+    }
+    /**
+     * Сбрасывает все счетчики
+     *
+     * Объект `data` сохраняется (обнуляется на месте), что бы ссылки на него оставались актуальными
+    */
+    reset() {
+        Object.assign(this.data, ModbusStats.empty());
+        this.window = [];
+    }
+    updateRate() {
+        this.data.successRate = this.data.requests ? Math.round(this.data.success / this.data.requests * 1000) / 10 : 0;
+    }
+}
+exports.ModbusStats = ModbusStats;
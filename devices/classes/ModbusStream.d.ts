@@ -0,0 +1,111 @@
+/// <reference types="node" />
+/// <reference types="node" />
+import { ModbusRequest, ModbusResponse } from "./ModbusRTU";
+/**
+ * Кадр, выделенный из потока {@link ModbusStream}
+ *
+ * - `request` - запрос мастера, заполнено поле `request`
+ * - `response` - ответ ведомого (в том числе исключение), заполнено поле `response`
+ * - `garbage` - байты, которые не удалось разобрать и которые были пропущены
+ *
+ * @property {number} time - Время получения последнего байта кадра (мс)
+ */
+export interface ModbusStreamFrame {
+    type: 'request' | 'response' | 'garbage';
+    raw: Buffer;
+    time: number;
+    request?: ModbusRequest;
+    response?: ModbusResponse;
+}
+/**
+ * Параметры декодера
+ *
+ * @property {number} [maxFrame] - Максимальный размер кадра, по умолчанию 256 (RTU)
+ * @property {number} [silence] - Пауза в мс, после которой незавершенный кадр
+ *   отбрасывается как мусор. 0 - не учитывать паузы (по умолчанию)
+ */
+export interface ModbusStreamOptions {
+    maxFrame?: number;
+    silence?: number;
+}
+/**
+ * Потоковый декодер Modbus RTU трафика
+ *
+ * Принимает произвольные куски байт (как они приходят из сокета) и выделяет
+ * из них целые кадры запросов и ответов. Кадр признается только при совпадении CRC.
+ * Если в начале буфера кадр не найден - декодер сдвигается на один байт вперед,
+ * пропущенные байты отдаются кадром `garbage`. Незавершенный кадр в начале буфера
+ * тоже пропускается, если дальше в буфере уже есть целый кадр или заявленная длина
+ * больше `maxFrame`.
+ *
+ * Запрос от ответа отличается по контексту: после запроса ожидается ответ
+ * того же устройства с тем же кодом функции. Это позволяет различать
+ * одинаковые по виду запросы и ответы 0x05/0x06
+ *
+ * @example
+ * const stream = new ModbusStream();
+ * socket.on('data', (chunk) => {
+ *   for (const frame of stream.push(chunk)) console.log(frame.type, frame.raw);
+ * });
+*/
+export declare class ModbusStream {
+    /**
+     * Накопленные, но еще не разобранные байты
+    */
+    protected buffer: Buffer;
+    /**
+     * Пропущенные байты, которые будут отданы кадром garbage
+    */
+    protected garbage: Buffer[];
+    /**
+     * Последний запрос, на который еще не получен ответ
+    */
+    pending: ModbusRequest | null;
+    /**
+     * Время получения последнего куска
+    */
+    protected lastTime: number;
+    protected maxFrame: number;
+    protected silence: number;
+    constructor(options?: ModbusStreamOptions);
+    /**
+     * Добавляет кусок данных и возвращает все полностью полученные кадры
+     *
+     * @param {Buffer} chunk - Очередной кусок данных
+     * @param {number} time - Время получения куска (по умолчанию Date.now())
+    */
+    push(chunk: Buffer, time?: number): Array<ModbusStreamFrame>;
+    /**
+     * Отдает все накопленные байты как мусор и сбрасывает состояние
+    */
+    flush(time?: number): Array<ModbusStreamFrame>;
+    /**
+     * Пытается выделить кадр в начале буфера
+     *
+     * Возвращает кадр, null - если нужно дождаться данных,
+     * undefined - если в начале буфера кадра нет
+    */
+    protected extract(time: number): ModbusStreamFrame | null | undefined;
+    /**
+     * Проверяет, есть ли в буфере после первого байта целый кадр с верным CRC
+    */
+    protected hasFrameAhead(): boolean;
+    /**
+     * Пытается выделить запрос в начале буфера
+    */
+    protected tryRequest(time: number): ModbusStreamFrame | null | undefined;
+    /**
+     * Пытается выделить ответ в начале буфера
+     *
+     * @param {boolean} strict - Ответ должен соответствовать ожидаемому запросу
+    */
+    protected tryResponse(time: number, strict: boolean): ModbusStreamFrame | null | undefined;
+    /**
+     * Код функции поддерживается декодером
+    */
+    protected isKnownFunction(functionCode: number): boolean;
+    /**
+     * Добавляет накопленный мусор отдельным кадром
+    */
+    protected flushGarbage(frames: Array<ModbusStreamFrame>, time: number): void;
+}
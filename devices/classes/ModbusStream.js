@@ -0,0 +1,214 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ModbusStream = void 0;
+const ModbusRTU_1 = require("./ModbusRTU");
+/**
+ * Потоковый декодер Modbus RTU трафика
+ *
+ * Принимает произвольные куски байт (как они приходят из сокета) и выделяет
+ * из них целые кадры запросов и ответов. Кадр признается только при совпадении CRC.
+ * Если в начале буфера кадр не найден - декодер сдвигается на один байт вперед,
+ * пропущенные байты отдаются кадром `garbage`. Незавершенный кадр в начале буфера
+ * тоже пропускается, если дальше в буфере уже есть целый кадр или заявленная длина
+ * больше `maxFrame`.
+ *
+ * Запрос от ответа отличается по контексту: после запроса ожидается ответ
+ * того же устройства с тем же кодом функции. Это позволяет различать
+ * одинаковые по виду запросы и ответы 0x05/0x06
+ *
+ * @example
+ * const stream = new ModbusStream();
+ * socket.on('data', (chunk) => {
+ *   for (const frame of stream.push(chunk)) console.log(frame.type, frame.raw);
+ * });
+*/
+class ModbusStream {
+    constructor(options = {}) {
+        var _a, _b;
+        /**
+         * Накопленные, но еще не разобранные байты
+        */
+        this.buffer = Buffer.alloc(0);
+        /**
+         * Пропущенные байты, которые будут отданы кадром garbage
+        */
+        this.garbage = [];
+        /**
+         * Последний запрос, на который еще не получен ответ
+        */
+        this.pending = null;
+        /**
+         * Время получения последнего куска
+        */
+        this.lastTime = 0;
+        this.maxFrame = (_a = options.maxFrame) !== null && _a !== void 0 ? _a : 256;
+        this.silence = (_b = options.silence) !== null && _b !== void 0 ? _b : 0;
+    }
+    /**
+     * Добавляет кусок данных и возвращает все полностью полученные кадры
+     *
+     * @param {Buffer} chunk - Очередной кусок данных
+     * @param {number} time - Время получения куска (по умолчанию Date.now())
+    */
+    push(chunk, time = Date.now()) {
+        const frames = [];
+        if (this.silence && this.buffer.length && time - this.lastTime > this.silence) {
+            this.garbage.push(this.buffer);
+            this.buffer = Buffer.alloc(0);
+            this.pending = null;
+        }
+        this.lastTime = time;
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (this.buffer.length >= 4) {
+            const frame = this.extract(time);
+            if (frame === null)
+                break; // Ждем данных
+            if (frame === undefined) { // Кадра нет - сдвигаемся
+                this.garbage.push(this.buffer.subarray(0, 1));
+                this.buffer = this.buffer.subarray(1);
+                continue;
+            }
+            this.flushGarbage(frames, time);
+            frames.push(frame);
+        }
+        // Буфер не может содержать начало кадра длиннее максимального
+        if (this.buffer.length > this.maxFrame) {
+            this.garbage.push(this.buffer.subarray(0, this.buffer.length - this.maxFrame));
+            this.buffer = this.buffer.subarray(this.buffer.length - this.maxFrame);
+        }
+        return frames;
+    }
+    /**
+     * Отдает все накопленные байты как мусор и сбрасывает состояние
+    */
+    flush(time = Date.now()) {
+        const frames = [];
+        if (this.buffer.length)
+            this.garbage.push(this.buffer);
+        this.buffer = Buffer.alloc(0);
+        this.pending = null;
+        this.flushGarbage(frames, time);
+        return frames;
+    }
+    /**
+     * Пытается выделить кадр в начале буфера
+     *
+     * Возвращает кадр, null - если нужно дождаться данных,
+     * undefined - если в начале буфера кадра нет
+    */
+    extract(time) {
+        let waiting = false;
+        // После запроса в первую очередь ожидаем ответ на него
+        if (this.pending) {
+            const response = this.tryResponse(time, true);
+            if (response)
+                return response;
+            if (response === null)
+                waiting = true;
+        }
+        const request = this.tryRequest(time);
+        if (request)
+            return request;
+        if (request === null)
+            waiting = true;
+        // Ответ без известного запроса (например, начало прослушивания посередине обмена)
+        if (!this.pending) {
+            const response = this.tryResponse(time, false);
+            if (response)
+                return response;
+            if (response === null)
+                waiting = true;
+        }
+        // Длина ожидаемого кадра взята из непроверенных байт - если дальше в буфере
+        // уже есть целый кадр, значит в начале буфера помеха
+        if (waiting && this.hasFrameAhead())
+            return undefined;
+        return waiting ? null : undefined;
+    }
+    /**
+     * Проверяет, есть ли в буфере после первого байта целый кадр с верным CRC
+    */
+    hasFrameAhead() {
+        for (let offset = 1; offset <= this.buffer.length - 4; offset++) {
+            const data = this.buffer.subarray(offset);
+            for (const length of [ModbusRTU_1.ModbusRTU.requestLength(data), ModbusRTU_1.ModbusRTU.responseLength(data)]) {
+                if (length && length <= data.length && ModbusRTU_1.ModbusRTU.verifyCRC(data.subarray(0, length)))
+                    return true;
+            }
+        }
+        return false;
+    }
+    /**
+     * Пытается выделить запрос в начале буфера
+    */
+    tryRequest(time) {
+        const length = ModbusRTU_1.ModbusRTU.requestLength(this.buffer);
+        // Самый длинный заголовок до байта количества данных у 0x17 - 11 байт
+        if (!length)
+            return (this.buffer.length < 11 && this.isKnownFunction(this.buffer[1])) ? null : undefined;
+        if (length > this.maxFrame)
+            return undefined; // Такой кадр не поместится - это не начало кадра
+        if (this.buffer.length < length)
+            return null;
+        const raw = this.buffer.subarray(0, length);
+        if (!ModbusRTU_1.ModbusRTU.verifyCRC(raw))
+            return undefined;
+        try {
+            const request = ModbusRTU_1.ModbusRTU.parseRequest(raw);
+            this.buffer = this.buffer.subarray(length);
+            this.pending = request.slaveId === 0 ? null : request; // На широковещательные запросы не отвечают
+            return { type: 'request', raw, time, request };
+        }
+        catch (err) {
+            return undefined;
+        }
+    }
+    /**
+     * Пытается выделить ответ в начале буфера
+     *
+     * @param {boolean} strict - Ответ должен соответствовать ожидаемому запросу
+    */
+    tryResponse(time, strict) {
+        if (strict && this.pending) {
+            if (this.buffer[0] !== this.pending.slaveId)
+                return undefined;
+            if ((this.buffer[1] & 0x7F) !== this.pending.functionCode)
+                return undefined;
+        }
+        const length = ModbusRTU_1.ModbusRTU.responseLength(this.buffer);
+        if (!length)
+            return (this.buffer.length < 3 && this.isKnownFunction(this.buffer[1] & 0x7F)) ? null : undefined;
+        if (length > this.maxFrame)
+            return undefined;
+        if (this.buffer.length < length)
+            return null;
+        const raw = this.buffer.subarray(0, length);
+        if (!ModbusRTU_1.ModbusRTU.verifyCRC(raw))
+            return undefined;
+        try {
+            const response = ModbusRTU_1.ModbusRTU.parseResponse(raw);
+            this.buffer = this.buffer.subarray(length);
+            this.pending = null;
+            return { type: 'response', raw, time, response };
+        }
+        catch (err) {
+            return undefined;
+        }
+    }
+    /**
+     * Код функции поддерживается декодером
+    */
+    isKnownFunction(functionCode) {
+        return Object.values(ModbusRTU_1.ModbusRTU.FUNCTION_CODES).includes(functionCode);
+    }
+    /**
+     * Добавляет накопленный мусор отдельным кадром
+    */
+    flushGarbage(frames, time) {
+        if (!this.garbage.length)
+            return;
+        frames.push({ type: 'garbage', raw: Buffer.concat(this.garbage), time });
+        this.garbage = [];
+    }
+}
+exports.ModbusStream = ModbusStream;
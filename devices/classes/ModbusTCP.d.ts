@@ -0,0 +1,91 @@
+/// <reference types="node" />
+/// <reference types="node" />
+import { ModbusResponse } from "./ModbusRTU";
+/**
+ * Разобранный Modbus TCP ответ
+ *
+ * Дополняет {@link ModbusResponse} идентификатором транзакции из MBAP заголовка.
+ * Поле `slaveId` содержит Unit Identifier.
+ *
+ * @example
+ * const response: ModbusTCPResponse = {
+ *   transactionId: 12,
+ *   slaveId: 1,
+ *   functionCode: 0x03,
+ *   byteCount: 2,
+ *   data: Buffer.from([0x00, 0x0A])
+ * };
+ */
+export interface ModbusTCPResponse extends ModbusResponse {
+    transactionId: number;
+}
+/**
+ * Статический класс для работы с протоколом Modbus TCP.
+ *
+ * Пакет Modbus TCP состоит из MBAP заголовка и кадра [unit][func][данные...]
+ * без контрольной суммы:
+ *
+ * | Поле | Размер | Описание |
+ * | :--- | :--- | :--- |
+ * | Transaction ID | 2 | Номер транзакции, повторяется в ответе |
+ * | Protocol ID | 2 | Всегда 0 |
+ * | Length | 2 | Количество следующих байт (unit + PDU) |
+ * | Unit ID | 1 | Адрес устройства за шлюзом |
+ *
+ * Формирование и разбор самого кадра выполняет {@link ModbusRTU}
+*/
+export declare class ModbusTCP {
+    /**
+     * Размер MBAP заголовка без Unit ID
+    */
+    static readonly HEADER_SIZE = 6;
+    /**
+     * Последний выданный идентификатор транзакции
+    */
+    private static transactionId;
+    /**
+     * Возвращает следующий идентификатор транзакции (1-65535)
+    */
+    static nextTransactionId(): number;
+    /**
+     * Универсальный метод создания Modbus TCP запроса
+     *
+     * Параметры совпадают с {@link ModbusRTU.makeRequest}, последним параметром
+     * можно передать свой идентификатор транзакции
+     *
+     * @example
+     * const packet = ModbusTCP.makeRequest(1, 0x03, 0x0064, 3, undefined, 5);
+     * // packet: <Buffer 00 05 00 00 00 06 01 03 00 64 00 03>
+     */
+    static makeRequest(slaveId: number, functionCode: number, address: number, quantity: number, writeData?: number[], transactionId?: number): Buffer;
+    /**
+     * Добавляет MBAP заголовок к кадру [unit][func][данные...]
+     *
+    */
+    static addMBAP(frame: Buffer, transactionId: number): Buffer;
+    /**
+     * Возвращает идентификатор транзакции пакета (запроса или ответа)
+     *
+    */
+    static getTransactionId(buffer: Buffer): number;
+    /**
+     * Парсит входящий Modbus TCP пакет
+     *
+     * Байты после конца пакета (по полю Length) игнорируются
+     * @example
+     * const response = Buffer.from([0x00, 0x05, 0x00, 0x00, 0x00, 0x05, 0x01, 0x03, 0x02, 0x00, 0x0A]);
+     * const parsed = ModbusTCP.parseResponse(response);
+     * // { transactionId: 5, slaveId: 1, functionCode: 3, byteCount: 2, data: <Buffer 00 0a> }
+     */
+    static parseResponse(buffer: Buffer): ModbusTCPResponse;
+    /**
+     * Проверяет что буфер содержит полный Modbus TCP пакет
+     *
+     * Размер пакета определяется по полю Length MBAP заголовка
+     *
+     * @example
+     * const buffer = Buffer.from([0x00, 0x05, 0x00, 0x00, 0x00, 0x03, 0x01, 0x83, 0x02]);
+     * const isComplete = ModbusTCP.isCompletePacket(buffer); // true
+     */
+    static isCompletePacket(buffer: Buffer): boolean;
+}
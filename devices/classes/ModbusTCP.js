@@ -0,0 +1,107 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ModbusTCP = void 0;
+const vrack2_core_1 = require("vrack2-core");
+const ModbusRTU_1 = require("./ModbusRTU");
+vrack2_core_1.ErrorManager.register('ModbusTCP', 'Q7RMW2KD5', 'V2MODBUS_MBAP_PROTOCOL_INVALID', 'MBAP protocol identifier must be 0');
+vrack2_core_1.ErrorManager.register('ModbusTCP', 'HB4TZ8NXA', 'V2MODBUS_MBAP_LENGTH_INVALID', 'MBAP length field does not match packet size');
+/**
+ * Статический класс для работы с протоколом Modbus TCP.
+ *
+ * Пакет Modbus TCP состоит из MBAP заголовка и кадра [unit][func][данные...]
+ * без контрольной суммы:
+ *
+ * | Поле | Размер | Описание |
+ * | :--- | :--- | :--- |
+ * | Transaction ID | 2 | Номер транзакции, повторяется в ответе |
+ * | Protocol ID | 2 | Всегда 0 |
+ * | Length | 2 | Количество следующих байт (unit + PDU) |
+ * | Unit ID | 1 | Адрес устройства за шлюзом |
+ *
+ * Формирование и разбор самого кадра выполняет {@link ModbusRTU}
+*/
+class ModbusTCP {
+    /**
+     * Возвращает следующий идентификатор транзакции (1-65535)
+    */
+    static nextTransactionId() {
+        ModbusTCP.transactionId = (ModbusTCP.transactionId % 0xFFFF) + 1;
+        return ModbusTCP.transactionId;
+    }
+    /**
+     * Универсальный метод создания Modbus TCP запроса
+     *
+     * Параметры совпадают с {@link ModbusRTU.makeRequest}, последним параметром
+     * можно передать свой идентификатор транзакции
+     *
+     * @example
+     * const packet = ModbusTCP.makeRequest(1, 0x03, 0x0064, 3, undefined, 5);
+     * // packet: <Buffer 00 05 00 00 00 06 01 03 00 64 00 03>
+     */
+    static makeRequest(slaveId, functionCode, address, quantity, writeData, transactionId = ModbusTCP.nextTransactionId()) {
+        const frame = ModbusRTU_1.ModbusRTU.makeFrame(slaveId, functionCode, address, quantity, writeData);
+        return ModbusTCP.addMBAP(frame, transactionId);
+    }
+    /**
+     * Добавляет MBAP заголовок к кадру [unit][func][данные...]
+     *
+    */
+    static addMBAP(frame, transactionId) {
+        const header = Buffer.alloc(ModbusTCP.HEADER_SIZE);
+        header.writeUInt16BE(transactionId & 0xFFFF, 0);
+        header.writeUInt16BE(0, 2);
+        header.writeUInt16BE(frame.length, 4);
+        return Buffer.concat([header, frame]);
+    }
+    /**
+     * Возвращает идентификатор транзакции пакета (запроса или ответа)
+     *
+    */
+    static getTransactionId(buffer) {
+        if (buffer.length < 2)
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        return buffer.readUInt16BE(0);
+    }
+    /**
+     * Парсит входящий Modbus TCP пакет
+     *
+     * Байты после конца пакета (по полю Length) игнорируются
+     * @example
+     * const response = Buffer.from([0x00, 0x05, 0x00, 0x00, 0x00, 0x05, 0x01, 0x03, 0x02, 0x00, 0x0A]);
+     * const parsed = ModbusTCP.parseResponse(response);
+     * // { transactionId: 5, slaveId: 1, functionCode: 3, byteCount: 2, data: <Buffer 00 0a> }
+     */
+    static parseResponse(buffer) {
+        if (buffer.length < ModbusTCP.HEADER_SIZE + 2)
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        if (buffer.readUInt16BE(2) !== 0)
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_MBAP_PROTOCOL_INVALID');
+        const end = ModbusTCP.HEADER_SIZE + buffer.readUInt16BE(4);
+        if (buffer.length < end)
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_MBAP_LENGTH_INVALID');
+        return Object.assign({ transactionId: buffer.readUInt16BE(0) }, ModbusRTU_1.ModbusRTU.parseFrame(buffer.subarray(ModbusTCP.HEADER_SIZE, end)));
+    }
+    /**
+     * Проверяет что буфер содержит полный Modbus TCP пакет
+     *
+     * Размер пакета определяется по полю Length MBAP заголовка
+     *
+     * @example
+     * const buffer = Buffer.from([0x00, 0x05, 0x00, 0x00, 0x00, 0x03, 0x01, 0x83, 0x02]);
+     * const isComplete = ModbusTCP.isCompletePacket(buffer); // true
+     */
+    static isCompletePacket(buffer) {
+        if (buffer.length < ModbusTCP.HEADER_SIZE)
+            return false;
+        return buffer.length >= ModbusTCP.HEADER_SIZE + buffer.readUInt16BE(4);
+    }
+}
+exports.ModbusTCP = ModbusTCP;
+/**
+ * Размер MBAP заголовка без Unit ID
+*/
+ModbusTCP.HEADER_SIZE = 6;
+/**
+ * Последний выданный идентификатор транзакции
+*/
+ModbusTCP.transactionId = 0;
@@ -0,0 +1,149 @@
+/// <reference types="node" />
+/// <reference types="node" />
+/**
+ * Поддерживаемые типы данных регистров
+ *
+ * | Тип | Регистров | Описание |
+ * | :--- | :--- | :--- |
+ * | int16 / uint16 | 1 | Целое 16 бит |
+ * | int32 / uint32 | 2 | Целое 32 бит |
+ * | float32 | 2 | IEEE 754 одинарной точности |
+ * | int64 / uint64 | 4 | Целое 64 бит (возвращается как number, точность до 2^53) |
+ * | float64 | 4 | IEEE 754 двойной точности |
+ * | string | length | ASCII строка, 2 символа на регистр |
+ * | bcd16 | 1 | 4 десятичных разряда |
+ * | bcd32 | 2 | 8 десятичных разрядов |
+ * | bits | length | Битовое поле, биты от младшего к старшему |
+ */
+export type ModbusDataType = 'int16' | 'uint16' | 'int32' | 'uint32' | 'float32' | 'int64' | 'uint64' | 'float64' | 'string' | 'bcd16' | 'bcd32' | 'bits';
+/**
+ * Порядок байт для многобайтовых значений
+ *
+ * Буквы обозначают байты значения от старшего (A) к младшему (D)
+ * в порядке их следования в регистрах:
+ *
+ * - `ABCD` - big-endian, старшее слово первым (стандарт Modbus)
+ * - `CDAB` - младшее слово первым, байты в слове big-endian
+ * - `BADC` - старшее слово первым, байты в слове переставлены
+ * - `DCBA` - little-endian
+ *
+ * Для 64-битных значений порядок слов и байт применяется так же
+ */
+export type ModbusByteOrder = 'ABCD' | 'CDAB' | 'BADC' | 'DCBA';
+/**
+ * Дополнительные параметры кодирования
+ *
+ * @property {ModbusByteOrder} [order] - Порядок байт, по умолчанию `ABCD`
+ * @property {number} [length] - Количество регистров для `string` и `bits`, по умолчанию 1
+ * @property {number} [bit] - Номер бита для `bits` - будет возвращено одно значение 0/1
+ */
+export interface ModbusTypeOptions {
+    order?: ModbusByteOrder;
+    length?: number;
+    bit?: number;
+}
+export type ModbusValue = number | string | number[];
+/**
+ * Статический класс для преобразования значений в регистры Modbus и обратно
+ *
+ * Все методы работают с данными регистров в виде Buffer, как они приходят
+ * в поле `data` ответа на 0x03/0x04, или с массивом 16-битных регистров
+ * для `writeData` запроса 0x10
+ *
+ * @example
+ * const resp = await this.simpleRequest(0x03, 0x10, 2);
+ * const value = ModbusTypes.decode(resp.data, 'float32', { order: 'CDAB' });
+ *
+ * const regs = ModbusTypes.encode(12.5, 'float32', { order: 'CDAB' });
+ * await this.simpleRequest(0x10, 0x10, regs.length, regs);
+*/
+export declare class ModbusTypes {
+    /**
+     * Список поддерживаемых типов
+    */
+    static readonly DATA_TYPES: ModbusDataType[];
+    /**
+     * Список поддерживаемых порядков байт
+    */
+    static readonly BYTE_ORDERS: ModbusByteOrder[];
+    /**
+     * Возвращает количество регистров, которое занимает тип
+     *
+     * @example
+     * ModbusTypes.registerCount('float32'); // 2
+     * ModbusTypes.registerCount('string', { length: 8 }); // 8
+     */
+    static registerCount(type: ModbusDataType, options?: ModbusTypeOptions): number;
+    /**
+     * Переставляет байты регистров из порядка `order` в `ABCD` (и обратно -
+     * перестановка симметрична)
+     *
+     * @example
+     * ModbusTypes.reorder(Buffer.from([0x00, 0x00, 0x41, 0x48]), 'CDAB');
+     * // <Buffer 41 48 00 00>
+     */
+    static reorder(data: Buffer, order?: ModbusByteOrder): Buffer;
+    /**
+     * Собирает данные регистров из массива 16-битных значений
+     *
+     * Обратное преобразование для значений, полученных по адресам
+     * (например из {@link ReadPlanner.split})
+     *
+     * @example
+     * ModbusTypes.toBuffer([0x0000, 0x4148]); // <Buffer 00 00 41 48>
+     */
+    static toBuffer(registers: number[]): Buffer;
+    /**
+     * Разбирает значение из данных регистров
+     *
+     * @param {Buffer} data - Данные регистров (начиная с первого регистра значения)
+     * @param {ModbusDataType} type - Тип данных
+     * @param {ModbusTypeOptions} options - Порядок байт и длина
+     * @example
+     * ModbusTypes.decode(Buffer.from([0xFF, 0xFE]), 'int16'); // -2
+     * ModbusTypes.decode(Buffer.from([0x00, 0x00, 0x41, 0x48]), 'float32', { order: 'CDAB' }); // 12.5
+     */
+    static decode(data: Buffer, type: ModbusDataType, options?: ModbusTypeOptions): ModbusValue;
+    /**
+     * Преобразует значение в массив 16-битных регистров для записи (0x10)
+     *
+     * Для `bits` принимается массив битов (от младшего к старшему)
+     *
+     * @example
+     * ModbusTypes.encode(-2, 'int16'); // [0xFFFE]
+     * ModbusTypes.encode(12.5, 'float32', { order: 'CDAB' }); // [0x0000, 0x4148]
+     */
+    static encode(value: ModbusValue, type: ModbusDataType, options?: ModbusTypeOptions): number[];
+    /**
+     * Границы значений 64-битных целых типов
+    */
+    static readonly INT64_RANGES: {
+        int64: bigint[];
+        uint64: bigint[];
+    };
+    /**
+     * Преобразует число в BigInt для записи 64-битного целого типа
+     *
+     * Дробная часть отбрасывается. NaN, Infinity и значения вне диапазона типа
+     * приводят к ошибке `V2MODBUS_VALUE_OUT_OF_RANGE`
+     *
+     * @example
+     * ModbusTypes.toBigInt(-1.5, 'int64'); // -1n
+     * ModbusTypes.toBigInt(-1, 'uint64'); // V2MODBUS_VALUE_OUT_OF_RANGE
+     */
+    static toBigInt(value: number, type: 'int64' | 'uint64'): bigint;
+    /**
+     * Преобразует BCD число в десятичное
+     *
+     * @example
+     * ModbusTypes.decodeBCD(0x1234, 4); // 1234
+     */
+    static decodeBCD(raw: number, digits: number): number;
+    /**
+     * Преобразует десятичное число в BCD
+     *
+     * @example
+     * ModbusTypes.encodeBCD(1234, 4); // 0x1234
+     */
+    static encodeBCD(value: number, digits: number): number;
+}
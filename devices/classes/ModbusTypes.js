@@ -0,0 +1,273 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ModbusTypes = void 0;
+const vrack2_core_1 = require("vrack2-core");
+vrack2_core_1.ErrorManager.register('ModbusTypes', 'R8CJ3NWQ6', 'V2MODBUS_DATA_TYPE_UNKNOWN', 'Unknown register data type');
+vrack2_core_1.ErrorManager.register('ModbusTypes', 'F1ZUB7XH4', 'V2MODBUS_BYTE_ORDER_UNKNOWN', 'Unknown byte order, expected ABCD, CDAB, BADC or DCBA');
+vrack2_core_1.ErrorManager.register('ModbusTypes', 'L9EAT5KM2', 'V2MODBUS_DATA_TOO_SHORT', 'Not enough register data for data type');
+vrack2_core_1.ErrorManager.register('ModbusTypes', 'Y6PDS0VG8', 'V2MODBUS_BCD_INVALID', 'Invalid BCD value');
+vrack2_core_1.ErrorManager.register('ModbusTypes', 'H7WKC2MD5', 'V2MODBUS_VALUE_OUT_OF_RANGE', 'Value is not a finite number within the data type range');
+/**
+ * Статический класс для преобразования значений в регистры Modbus и обратно
+ *
+ * Все методы работают с данными регистров в виде Buffer, как они приходят
+ * в поле `data` ответа на 0x03/0x04, или с массивом 16-битных регистров
+ * для `writeData` запроса 0x10
+ *
+ * @example
+ * const resp = await this.simpleRequest(0x03, 0x10, 2);
+ * const value = ModbusTypes.decode(resp.data, 'float32', { order: 'CDAB' });
+ *
+ * const regs = ModbusTypes.encode(12.5, 'float32', { order: 'CDAB' });
+ * await this.simpleRequest(0x10, 0x10, regs.length, regs);
+*/
+class ModbusTypes {
+    /**
+     * Возвращает количество регистров, которое занимает тип
+     *
+     * @example
+     * ModbusTypes.registerCount('float32'); // 2
+     * ModbusTypes.registerCount('string', { length: 8 }); // 8
+     */
+    static registerCount(type, options = {}) {
+        var _a;
+        switch (type) {
+            case 'int16':
+            case 'uint16':
+            case 'bcd16':
+                return 1;
+            case 'int32':
+            case 'uint32':
+            case 'float32':
+            case 'bcd32':
+                return 2;
+            case 'int64':
+            case 'uint64':
+            case 'float64':
+                return 4;
+            case 'string':
+            case 'bits':
+                return Math.max(1, (_a = options.length) !== null && _a !== void 0 ? _a : 1);
+            default:
+                throw vrack2_core_1.ErrorManager.make('V2MODBUS_DATA_TYPE_UNKNOWN', { type });
+        }
+    }
+    /**
+     * Переставляет байты регистров из порядка `order` в `ABCD` (и обратно -
+     * перестановка симметрична)
+     *
+     * @example
+     * ModbusTypes.reorder(Buffer.from([0x00, 0x00, 0x41, 0x48]), 'CDAB');
+     * // <Buffer 41 48 00 00>
+     */
+    static reorder(data, order = 'ABCD') {
+        if (!this.BYTE_ORDERS.includes(order))
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_BYTE_ORDER_UNKNOWN', { order });
+        const words = Math.floor(data.length / 2);
+        const swapWords = (order === 'CDAB' || order === 'DCBA');
+        const swapBytes = (order === 'BADC' || order === 'DCBA');
+        const result = Buffer.alloc(words * 2);
+        for (let i = 0; i < words; i++) {
+            const src = swapWords ? (words - 1 - i) * 2 : i * 2;
+            result[i * 2] = swapBytes ? data[src + 1] : data[src];
+            result[i * 2 + 1] = swapBytes ? data[src] : data[src + 1];
+        }
+        return result;
+    }
+    /**
+     * Собирает данные регистров из массива 16-битных значений
+     *
+     * Обратное преобразование для значений, полученных по адресам
+     * (например из {@link ReadPlanner.split})
+     *
+     * @example
+     * ModbusTypes.toBuffer([0x0000, 0x4148]); // <Buffer 00 00 41 48>
+     */
+    static toBuffer(registers) {
+        const buf = Buffer.alloc(registers.length * 2);
+        registers.forEach((value, i) => buf.writeUInt16BE(value & 0xFFFF, i * 2));
+        return buf;
+    }
+    /**
+     * Разбирает значение из данных регистров
+     *
+     * @param {Buffer} data - Данные регистров (начиная с первого регистра значения)
+     * @param {ModbusDataType} type - Тип данных
+     * @param {ModbusTypeOptions} options - Порядок байт и длина
+     * @example
+     * ModbusTypes.decode(Buffer.from([0xFF, 0xFE]), 'int16'); // -2
+     * ModbusTypes.decode(Buffer.from([0x00, 0x00, 0x41, 0x48]), 'float32', { order: 'CDAB' }); // 12.5
+     */
+    static decode(data, type, options = {}) {
+        var _a;
+        const size = this.registerCount(type, options) * 2;
+        if (data.length < size)
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_DATA_TOO_SHORT', { type, need: size, length: data.length });
+        const buf = this.reorder(data.subarray(0, size), options.order);
+        switch (type) {
+            case 'int16': return buf.readInt16BE(0);
+            case 'uint16': return buf.readUInt16BE(0);
+            case 'int32': return buf.readInt32BE(0);
+            case 'uint32': return buf.readUInt32BE(0);
+            case 'float32': return buf.readFloatBE(0);
+            case 'int64': return Number(buf.readBigInt64BE(0));
+            case 'uint64': return Number(buf.readBigUInt64BE(0));
+            case 'float64': return buf.readDoubleBE(0);
+            case 'bcd16': return this.decodeBCD(buf.readUInt16BE(0), 4);
+            case 'bcd32': return this.decodeBCD(buf.readUInt32BE(0), 8);
+            case 'string': {
+                const end = buf.indexOf(0);
+                return buf.subarray(0, end === -1 ? buf.length : end).toString('ascii');
+            }
+            case 'bits': {
+                const bits = [];
+                for (let i = 0; i < buf.length; i += 2) {
+                    const word = buf.readUInt16BE(i);
+                    for (let b = 0; b < 16; b++)
+                        bits.push((word >> b) & 1);
+                }
+                if (options.bit !== undefined)
+                    return (_a = bits[options.bit]) !== null && _a !== void 0 ? _a : 0;
+                return bits;
+            }
+        }
+        throw vrack2_core_1.ErrorManager.make('V2MODBUS_DATA_TYPE_UNKNOWN', { type });
+    }
+    /**
+     * Преобразует значение в массив 16-битных регистров для записи (0x10)
+     *
+     * Для `bits` принимается массив битов (от младшего к старшему)
+     *
+     * @example
+     * ModbusTypes.encode(-2, 'int16'); // [0xFFFE]
+     * ModbusTypes.encode(12.5, 'float32', { order: 'CDAB' }); // [0x0000, 0x4148]
+     */
+    static encode(value, type, options = {}) {
+        const size = this.registerCount(type, options) * 2;
+        const buf = Buffer.alloc(size);
+        const num = Number(value);
+        switch (type) {
+            case 'int16':
+                buf.writeInt16BE(Math.trunc(num) << 16 >> 16, 0);
+                break;
+            case 'uint16':
+                buf.writeUInt16BE(Math.trunc(num) & 0xFFFF, 0);
+                break;
+            case 'int32':
+                buf.writeInt32BE(Math.trunc(num) | 0, 0);
+                break;
+            case 'uint32':
+                buf.writeUInt32BE(Math.trunc(num) >>> 0, 0);
+                break;
+            case 'float32':
+                buf.writeFloatBE(num, 0);
+                break;
+            case 'int64':
+                buf.writeBigInt64BE(this.toBigInt(num, type), 0);
+                break;
+            case 'uint64':
+                buf.writeBigUInt64BE(this.toBigInt(num, type), 0);
+                break;
+            case 'float64':
+                buf.writeDoubleBE(num, 0);
+                break;
+            case 'bcd16':
+                buf.writeUInt16BE(this.encodeBCD(num, 4), 0);
+                break;
+            case 'bcd32':
+                buf.writeUInt32BE(this.encodeBCD(num, 8), 0);
+                break;
+            case 'string':
+                buf.write(String(value), 0, size, 'ascii');
+                break;
+            case 'bits': {
+                const bits = Array.isArray(value) ? value : [];
+                for (let i = 0; i < bits.length && i < size * 8; i++) {
+                    if (!bits[i])
+                        continue;
+                    const word = Math.floor(i / 16) * 2;
+                    buf.writeUInt16BE(buf.readUInt16BE(word) | (1 << (i % 16)), word);
+                }
+                break;
+            }
+            default:
+                throw vrack2_core_1.ErrorManager.make('V2MODBUS_DATA_TYPE_UNKNOWN', { type });
+        }
+        const ordered = this.reorder(buf, options.order);
+        const registers = [];
+        for (let i = 0; i < ordered.length; i += 2)
+            registers.push(ordered.readUInt16BE(i));
+        return registers;
+    }
+    /**
+     * Преобразует число в BigInt для записи 64-битного целого типа
+     *
+     * Дробная часть отбрасывается. NaN, Infinity и значения вне диапазона типа
+     * приводят к ошибке `V2MODBUS_VALUE_OUT_OF_RANGE`
+     *
+     * @example
+     * ModbusTypes.toBigInt(-1.5, 'int64'); // -1n
+     * ModbusTypes.toBigInt(-1, 'uint64'); // V2MODBUS_VALUE_OUT_OF_RANGE
+     */
+    static toBigInt(value, type) {
+        const [min, max] = this.INT64_RANGES[type];
+        if (!Number.isFinite(value))
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_VALUE_OUT_OF_RANGE', { type, value });
+        const result = BigInt(Math.trunc(value));
+        if (result < min || result > max)
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_VALUE_OUT_OF_RANGE', { type, value });
+        return result;
+    }
+    /**
+     * Преобразует BCD число в десятичное
+     *
+     * @example
+     * ModbusTypes.decodeBCD(0x1234, 4); // 1234
+     */
+    static decodeBCD(raw, digits) {
+        let result = 0;
+        for (let i = digits - 1; i >= 0; i--) {
+            const nibble = Math.floor(raw / Math.pow(16, i)) % 16;
+            if (nibble > 9)
+                throw vrack2_core_1.ErrorManager.make('V2MODBUS_BCD_INVALID', { raw });
+            result = result * 10 + nibble;
+        }
+        return result;
+    }
+    /**
+     * Преобразует десятичное число в BCD
+     *
+     * @example
+     * ModbusTypes.encodeBCD(1234, 4); // 0x1234
+     */
+    static encodeBCD(value, digits) {
+        let dec = Math.trunc(value);
+        if (!Number.isFinite(dec) || dec < 0 || dec >= Math.pow(10, digits))
+            throw vrack2_core_1.ErrorManager.make('V2MODBUS_BCD_INVALID', { value });
+        let result = 0;
+        for (let i = 0; i < digits; i++) {
+            result += (dec % 10) * Math.pow(16, i);
+            dec = Math.floor(dec / 10);
+        }
+        return result;
+    }
+}
+exports.ModbusTypes = ModbusTypes;
+/**
+ * Список поддерживаемых типов
+*/
+ModbusTypes.DATA_TYPES = [
+    'int16', 'uint16', 'int32', 'uint32', 'float32',
+    'int64', 'uint64', 'float64', 'string', 'bcd16', 'bcd32', 'bits'
+];
+/**
+ * Список поддерживаемых порядков байт
+*/
+ModbusTypes.BYTE_ORDERS = ['ABCD', 'CDAB', 'BADC', 'DCBA'];
+/**
+ * Границы значений 64-битных целых типов
+*/
+ModbusTypes.INT64_RANGES = {
+    int64: [BigInt('-9223372036854775808'), BigInt('9223372036854775807')],
+    uint64: [BigInt(0), BigInt('18446744073709551615')]
+};
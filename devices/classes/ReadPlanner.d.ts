@@ -0,0 +1,123 @@
+/// <reference types="node" />
+/// <reference types="node" />
+import { ModbusArea } from "./ModbusRTU";
+import { ModbusDataType, ModbusTypeOptions, ModbusValue } from "./ModbusTypes";
+/**
+ * Один запрос чтения, сформированный планировщиком
+ *
+ * @property {ModbusArea} area - Область данных
+ * @property {number} address - Адрес первого элемента
+ * @property {number} quantity - Количество элементов (регистров или битов)
+ */
+export interface ReadBlock {
+    area: ModbusArea;
+    address: number;
+    quantity: number;
+}
+/**
+ * Запрещенный для чтения диапазон адресов (включительно)
+ *
+ * Если `area` не указана - диапазон запрещен во всех областях
+ */
+export interface ForbiddenRange {
+    area?: ModbusArea;
+    start: number;
+    end: number;
+}
+/**
+ * Параметры планирования
+ *
+ * @property {number} [maxGap] - Максимальное количество лишних адресов между
+ *   нужными, которые можно прочитать ради объединения запросов (по умолчанию 0)
+ * @property {Array<ForbiddenRange>} [forbidden] - Диапазоны, которые нельзя читать никогда
+ */
+export interface ReadPlanOptions {
+    maxGap?: number;
+    forbidden?: Array<ForbiddenRange>;
+}
+/**
+ * Значение, которое занимает один или несколько адресов области (регистр карты или профиля)
+ *
+ * Для coil/di значение занимает один адрес и равно 0 или 1, для holding/input - декодируется
+ * по типу (см. {@link ModbusTypes}) и приводится как `value * scale + offset`
+ */
+export interface ReadItem extends ModbusTypeOptions {
+    area: ModbusArea;
+    address: number;
+    type: ModbusDataType;
+    scale: number;
+    offset: number;
+}
+/**
+ * Статический класс для объединения чтений соседних адресов в минимальное
+ * количество Modbus запросов
+ *
+ * @example
+ * ReadPlanner.plan('holding', [0x00, 0x01, 0x02, 0x30, 0x31]);
+ * // [{ area: 'holding', address: 0, quantity: 3 }, { area: 'holding', address: 0x30, quantity: 2 }]
+*/
+export declare class ReadPlanner {
+    /**
+     * Максимальное количество регистров в одном запросе 0x03/0x04
+    */
+    static readonly MAX_REGISTERS = 125;
+    /**
+     * Максимальное количество битов в одном запросе 0x01/0x02
+    */
+    static readonly MAX_BITS = 2000;
+    /**
+     * Возвращает максимальное количество элементов в одном запросе для области
+    */
+    static maxQuantity(area: ModbusArea): number;
+    /**
+     * Группирует адреса в минимальное количество запросов
+     *
+     * Соседние адреса объединяются, если расстояние между ними не больше `maxGap`,
+     * запрос не превышает лимит области и не захватывает запрещенные адреса
+     *
+     * @param {ModbusArea} area - Область данных
+     * @param {Array<number>} addresses - Нужные адреса (порядок и повторы не важны)
+     * @param {ReadPlanOptions} options - Параметры планирования
+     */
+    static plan(area: ModbusArea, addresses: Array<number>, options?: ReadPlanOptions): Array<ReadBlock>;
+    /**
+     * Разбирает данные ответа на значения по адресам
+     *
+     * Для регистров значение - беззнаковое 16-битное число, для битов - 0 или 1
+     *
+     * @param {ReadBlock} block - Запрос, на который получен ответ
+     * @param {Buffer} data - Поле `data` ответа
+     * @param {Map<number, number>} result - Куда сложить значения
+     */
+    static split(block: ReadBlock, data: Buffer, result?: Map<number, number>): Map<number, number>;
+    /**
+     * Количество адресов, которое занимает значение
+    */
+    static itemCount(item: ReadItem): number;
+    /**
+     * Собирает адреса значений по областям (для {@link plan})
+     *
+     * @example
+     * const areas = ReadPlanner.itemAddresses(registers);
+     * for (const [area, addresses] of areas) values.set(area, await this.readAddresses(area, addresses));
+    */
+    static itemAddresses(items: Array<ReadItem>): Map<ModbusArea, Array<number>>;
+    /**
+     * Значение из прочитанных значений области по адресам (см. {@link split})
+     *
+     * Отсутствующие адреса считаются равными 0
+    */
+    static itemValue(item: ReadItem, values: Map<number, number>): ModbusValue;
+    /**
+     * Значение из сырых значений адресов с учетом типа, масштаба и смещения
+    */
+    static decodeItem(item: ReadItem, raw: Array<number>): ModbusValue;
+    /**
+     * Область содержит 16-битные регистры (holding/input), а не биты
+    */
+    static isRegisterArea(area: ModbusArea): boolean;
+    /**
+     * Проверяет пересечение диапазона адресов [from, to] с запрещенными
+    */
+    static isForbidden(from: number, to: number, forbidden: Array<ForbiddenRange>): boolean;
+}
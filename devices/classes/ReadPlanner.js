@@ -0,0 +1,156 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ReadPlanner = void 0;
+const vrack2_core_1 = require("vrack2-core");
+const ModbusTypes_1 = require("./ModbusTypes");
+vrack2_core_1.ErrorManager.register('ReadPlanner', 'M4QG8XWB1', 'V2MODBUS_READ_FORBIDDEN', 'Requested address is inside a forbidden range');
+/**
+ * Статический класс для объединения чтений соседних адресов в минимальное
+ * количество Modbus запросов
+ *
+ * @example
+ * ReadPlanner.plan('holding', [0x00, 0x01, 0x02, 0x30, 0x31]);
+ * // [{ area: 'holding', address: 0, quantity: 3 }, { area: 'holding', address: 0x30, quantity: 2 }]
+*/
+class ReadPlanner {
+    /**
+     * Возвращает максимальное количество элементов в одном запросе для области
+    */
+    static maxQuantity(area) {
+        return (area === 'coil' || area === 'di') ? this.MAX_BITS : this.MAX_REGISTERS;
+    }
+    /**
+     * Группирует адреса в минимальное количество запросов
+     *
+     * Соседние адреса объединяются, если расстояние между ними не больше `maxGap`,
+     * запрос не превышает лимит области и не захватывает запрещенные адреса
+     *
+     * @param {ModbusArea} area - Область данных
+     * @param {Array<number>} addresses - Нужные адреса (порядок и повторы не важны)
+     * @param {ReadPlanOptions} options - Параметры планирования
+     */
+    static plan(area, addresses, options = {}) {
+        var _a, _b;
+        const maxGap = (_a = options.maxGap) !== null && _a !== void 0 ? _a : 0;
+        const limit = this.maxQuantity(area);
+        const forbidden = ((_b = options.forbidden) !== null && _b !== void 0 ? _b : []).filter(range => range.area === undefined || range.area === area);
+        const sorted = [...new Set(addresses)].sort((a, b) => a - b);
+        const blocks = [];
+        for (const address of sorted) {
+            if (this.isForbidden(address, address, forbidden))
+                throw vrack2_core_1.ErrorManager.make('V2MODBUS_READ_FORBIDDEN', { area, address });
+            const last = blocks[blocks.length - 1];
+            if (last) {
+                const lastEnd = last.address + last.quantity - 1;
+                const gap = address - lastEnd - 1;
+                if (gap <= maxGap &&
+                    address - last.address + 1 <= limit &&
+                    !this.isForbidden(lastEnd + 1, address - 1, forbidden)) {
+                    last.quantity = address - last.address + 1;
+                    continue;
+                }
+            }
+            blocks.push({ area, address, quantity: 1 });
+        }
+        return blocks;
+    }
+    /**
+     * Разбирает данные ответа на значения по адресам
+     *
+     * Для регистров значение - беззнаковое 16-битное число, для битов - 0 или 1
+     *
+     * @param {ReadBlock} block - Запрос, на который получен ответ
+     * @param {Buffer} data - Поле `data` ответа
+     * @param {Map<number, number>} result - Куда сложить значения
+     */
+    static split(block, data, result = new Map()) {
+        const isBits = (block.area === 'coil' || block.area === 'di');
+        for (let i = 0; i < block.quantity; i++) {
+            if (isBits) {
+                const byte = data[i >> 3];
+                if (byte === undefined)
+                    break;
+                result.set(block.address + i, (byte >> (i & 7)) & 1);
+            }
+            else {
+                if (data.length < i * 2 + 2)
+                    break;
+                result.set(block.address + i, data.readUInt16BE(i * 2));
+            }
+        }
+        return result;
+    }
+    /**
+     * Количество адресов, которое занимает значение
+    */
+    static itemCount(item) {
+        if (!this.isRegisterArea(item.area))
+            return 1;
+        return ModbusTypes_1.ModbusTypes.registerCount(item.type, item);
+    }
+    /**
+     * Собирает адреса значений по областям (для {@link plan})
+     *
+     * @example
+     * const areas = ReadPlanner.itemAddresses(registers);
+     * for (const [area, addresses] of areas) values.set(area, await this.readAddresses(area, addresses));
+    */
+    static itemAddresses(items) {
+        var _a;
+        const areas = new Map();
+        for (const item of items) {
+            const list = (_a = areas.get(item.area)) !== null && _a !== void 0 ? _a : [];
+            for (let i = 0; i < this.itemCount(item); i++)
+                list.push(item.address + i);
+            areas.set(item.area, list);
+        }
+        return areas;
+    }
+    /**
+     * Значение из прочитанных значений области по адресам (см. {@link split})
+     *
+     * Отсутствующие адреса считаются равными 0
+    */
+    static itemValue(item, values) {
+        var _a;
+        const raw = [];
+        for (let i = 0; i < this.itemCount(item); i++)
+            raw.push((_a = values.get(item.address + i)) !== null && _a !== void 0 ? _a : 0);
+        return this.decodeItem(item, raw);
+    }
+    /**
+     * Значение из сырых значений адресов с учетом типа, масштаба и смещения
+    */
+    static decodeItem(item, raw) {
+        var _a;
+        if (!this.isRegisterArea(item.area))
+            return (_a = raw[0]) !== null && _a !== void 0 ? _a : 0;
+        const value = ModbusTypes_1.ModbusTypes.decode(ModbusTypes_1.ModbusTypes.toBuffer(raw), item.type, item);
+        if (typeof value !== 'number')
+            return value;
+        return value * item.scale + item.offset;
+    }
+    /**
+     * Область содержит 16-битные регистры (holding/input), а не биты
+    */
+    static isRegisterArea(area) {
+        return area === 'holding' || area === 'input';
+    }
+    /**
+     * Проверяет пересечение диапазона адресов [from, to] с запрещенными
+    */
+    static isForbidden(from, to, forbidden) {
+        if (to < from)
+            return false;
+        return forbidden.some(range => range.start <= to && range.end >= from);
+    }
+}
+exports.ReadPlanner = ReadPlanner;
+/**
+ * Максимальное количество регистров в одном запросе 0x03/0x04
+*/
+ReadPlanner.MAX_REGISTERS = 125;
+/**
+ * Максимальное количество битов в одном запросе 0x01/0x02
+*/
+ReadPlanner.MAX_BITS = 2000;
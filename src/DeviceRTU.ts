@@ -1,21 +1,259 @@
-import { Device, Port, Rule, BasicPort, BasicType } from "vrack2-core";
+import { Device, Port, Rule, Action, BasicPort, BasicType, BasicAction, ErrorManager } from "vrack2-core";
 
-import TCPProvider from "../../vrack2-net/devices/classes/TCPProvider"
-import { ModbusRTU } from "./classes/ModbusRTU";
+import { ModbusRTU, ModbusResponse, ModbusArea } from "./classes/ModbusRTU";
+import { ModbusException } from "./classes/ModbusException";
+import { ModbusStats } from "./classes/ModbusStats";
+import { ModbusTypes, ModbusDataType, ModbusTypeOptions, ModbusValue } from "./classes/ModbusTypes";
+import { ReadPlanner, ReadBlock } from "./classes/ReadPlanner";
+import { ModbusProvider } from "./classes/ModbusProvider";
+import { ModbusFramer, ModbusRTUFramer, ModbusTCPFramer, ModbusASCIIFramer } from "./classes/ModbusFramer";
+
+ErrorManager.register(
+  'DeviceRTU',
+  'P3WX9LCE7',
+  'V2MODBUS_FRAMING_UNKNOWN',
+  'Unknown Modbus framing, expected rtu, tcp or ascii',
+);
+
+ErrorManager.register(
+  'DeviceRTU',
+  'Q9KB4TZWH',
+  'V2MODBUS_BROADCAST_FUNCTION_INVALID',
+  'Only write functions 0x05, 0x06, 0x0F, 0x10 can be broadcast',
+);
+
+ErrorManager.register(
+  'DeviceRTU',
+  'L7EJ2NRXC',
+  'V2MODBUS_BROADCAST_NO_RESPONSE',
+  'Request to address 0 has no response, use broadcast instead',
+);
+
+ErrorManager.register(
+  'DeviceRTU',
+  'H2VRM8UKT',
+  'V2MODBUS_QUEUE_TIMEOUT',
+  'Queue task was not executed before its deadline',
+);
+
+ErrorManager.register(
+  'DeviceRTU',
+  'Y5CFA1ZQD',
+  'V2MODBUS_QUEUE_FULL',
+  'Queue is full',
+);
+
+ErrorManager.register(
+  'DeviceRTU',
+  'E0NTK6WLS',
+  'V2MODBUS_DEVICE_OFFLINE',
+  'Device is offline, queue task rejected',
+);
+
+ErrorManager.register(
+  'DeviceRTU',
+  'U3GPD7SNB',
+  'V2MODBUS_WRITE_VERIFY_FAILED',
+  'Value read back after write does not match the written value',
+);
+
+ErrorManager.register(
+  'DeviceRTU',
+  'A6ZJX4CEQ',
+  'V2MODBUS_WRITE_FUNCTION_INVALID',
+  'Write function must be 0x05, 0x06, 0x0F or 0x10',
+);
+
+ErrorManager.register(
+  'DeviceRTU',
+  'G4MSH9PVJ',
+  'V2MODBUS_FRAMER_UNKNOWN',
+  'Framer with this name is not registered by the device',
+);
+
+/**
+ * Параметры задачи очереди
+ * 
+ * @property {number} [priority] - Приоритет, задачи с большим приоритетом выполняются раньше (по умолчанию 0)
+ * @property {number} [timeout] - Время в мс, за которое задача должна начать выполняться,
+ *   иначе она отклоняется с ошибкой `V2MODBUS_QUEUE_TIMEOUT`. По умолчанию опция `queueTimeout`, 0 - без ограничения
+ * @property {string} [key] - Ключ задачи. Новая задача с тем же ключом заменяет ожидающую,
+ *   а промис замененной задачи завершается результатом новой
+ */
+export interface QueueTaskOptions {
+  priority?: number;
+  timeout?: number;
+  key?: string;
+}
+
+/**
+ * Параметры записи с проверкой
+ * 
+ * @property {number} [tolerance] - Допустимое отклонение прочитанного регистра от записанного (по умолчанию 0)
+ * @property {number} [mask] - Сравнивать только биты маски регистра (по умолчанию 0xFFFF)
+ * @property {number} [retries] - Количество повторов записи, по умолчанию опция `verifyRetries`
+ * @property {number} [delay] - Пауза в мс между записью и чтением, по умолчанию опция `verifyDelay`
+ */
+export interface WriteVerifyOptions {
+  tolerance?: number;
+  mask?: number;
+  retries?: number;
+  delay?: number;
+}
+
+/**
+ * Группа опроса
+ * 
+ * @property {number|string} interval - Интервал опроса группы в мс:
+ *   - `0` - при каждой передаче управления
+ *   - `'online'` - один раз после выхода устройства в онлайн
+ * @property {Function} method - Метод опроса группы, должен вернуть Promise
+ */
+export interface PollGroup {
+  interval: number | 'online';
+  method: () => Promise<unknown>;
+}
+
+/**
+ * Состояние связи с устройством
+ * 
+ * - `online` - последний опрос успешен
+ * - `degraded` - опросы завершаются ошибкой, но их меньше `offlineFailures` подряд
+ * - `offline` - нет связи с устройством
+ */
+export type DeviceState = 'online' | 'degraded' | 'offline'
+
+/**
+ * Опубликованное значение выхода
+ * 
+ * @property {unknown} value - Значение
+ * @property {number} time - Время публикации значения
+ * @property {string} quality - `good` - значение актуально, `stale` - устройство оффлайн, значение устарело
+ */
+export interface PublishedValue {
+  value: unknown;
+  time: number;
+  quality: 'good' | 'stale';
+}
+
+/**
+ * Настройки публикации значения выхода (опция `publishing`)
+ * 
+ * @property {number} [deadband] - Абсолютная зона нечувствительности: изменение меньше или равное не отправляется
+ * @property {number} [deadbandPercent] - Относительная зона нечувствительности в % от последнего отправленного значения
+ * @property {Array<number>} [thresholds] - Пороги: переход значения через порог отправляется сразу, без учета зоны и `minInterval`
+ * @property {number} [hysteresis] - Гистерезис порогов: порог считается пройденным вниз, когда значение меньше `порог - hysteresis`
+ * @property {number} [minInterval] - Минимальный интервал между отправками в мс, изменение внутри интервала
+ *   отправляется по его окончании
+ * @property {number} [maxInterval] - Максимальный интервал между отправками в мс, по его истечении
+ *   последнее значение отправляется повторно, даже если оно не изменилось
+ */
+export interface PublishSettings {
+  deadband?: number;
+  deadbandPercent?: number;
+  thresholds?: number[];
+  hysteresis?: number;
+  minInterval?: number;
+  maxInterval?: number;
+}
+
+/**
+ * Состояние публикации выхода
+ */
+interface PublishState {
+  value: unknown;
+  pending: boolean;
+  level?: number;
+  initial?: PublishedValue;
+}
+
+/**
+ * Задача очереди
+ */
+interface QueueTask {
+  resolve: (value: any) => void;
+  reject: (value: any) => void;
+  method: () => any;
+  priority: number;
+  key?: string;
+  timer?: NodeJS.Timeout;
+  running?: boolean;
+}
 
 export default class DeviceRTU extends Device {
 
+  /**
+   * Коды функций, которые можно отправлять широковещательно
+  */
+  static readonly BROADCAST_CODES = [0x05, 0x06, 0x0F, 0x10]
+
+  /**
+   * Имена выходов DeviceRTU, которые наследники не могут занимать своими портами
+  */
+  static readonly RESERVED_PORTS = ['online', 'offline', 'stats']
+
+  /**
+   * Фреймеры Modbus по значению опции `framing`
+  */
+  static readonly FRAMERS: { [framing: string]: ModbusRTUFramer } = {
+    rtu: new ModbusRTUFramer(),
+    tcp: new ModbusTCPFramer(),
+    ascii: new ModbusASCIIFramer()
+  }
+
   inputs(): { [key: string]: BasicPort; } {
     return {
       bus: Port.return().description('Порт для получения класса TCPProvider vrack2-net.ConverterClient')
     }
   }
 
+  outputs(): { [key: string]: BasicPort; } {
+    return {
+      online: Port.standart().description('Время перехода устройства в онлайн'),
+      offline: Port.standart().description('Время перехода устройства в оффлайн'),
+      ...(this.options.statsPort ? {
+        stats: Port.standart().description('Статистика обмена после каждого опроса')
+      } : {})
+    }
+  }
+
+  actions(): { [key: string]: BasicAction; } {
+    return {
+      'stats.reset': Action.global().requirements({}).description('Сброс статистики обмена'),
+    }
+  }
+
   checkOptions(): { [key: string]: BasicType; } {
     return {
       address: Rule.number().integer().default(1).min(0).max(254).description('Адрес устройства').example(0),
       timeout: Rule.number().integer().default(700).min(0).description('Таймаут запроса в мс').example(0),
-      offTimeout: Rule.number().integer().min(0).default(30000).description('Таймаут неприхода провайдера после которого считается что устройство оффлайн')
+      offTimeout: Rule.number().integer().min(0).default(30000).description('Таймаут неприхода провайдера после которого считается что устройство оффлайн'),
+      offlineFailures: Rule.number().integer().min(1).default(3).description('Количество неудачных опросов подряд, после которого устройство считается оффлайн'),
+      backoffMax: Rule.number().integer().min(0).default(32).description('Максимальное количество пропускаемых передач управления для устройства оффлайн (0 - не пропускать)'),
+      qualityPorts: Rule.boolean().default(false).description('Отправлять в выходы значения вида { value, time, quality }, при переходе в оффлайн повторно отправлять их с quality: stale'),
+      publishing: Rule.object().default({}).description('Настройки публикации по имени выхода ("*" - для всех выходов): { "ai1": { "deadband": 0.5, "minInterval": 1000, "maxInterval": 60000 } }'),
+      framing: Rule.string().default('rtu').description('Тип кадра Modbus: rtu - Modbus RTU (CRC16), tcp - Modbus TCP (MBAP заголовок), ascii - Modbus ASCII (LRC)').example('tcp'),
+      readMaxGap: Rule.number().integer().min(0).default(0).description('Максимальное количество лишних адресов, которые можно прочитать ради объединения запросов'),
+      forbidden: Rule.array().content(
+        Rule.object().fields({
+          area: Rule.string().description('Область: coil, di, holding, input. Если не указана - диапазон запрещен во всех областях'),
+          start: Rule.number().integer().min(0).max(0xFFFF).description('Первый запрещенный адрес'),
+          end: Rule.number().integer().min(0).max(0xFFFF).description('Последний запрещенный адрес'),
+        })
+      ).default([]).description('Диапазоны адресов, которые нельзя читать (при объединении запросов)'),
+      turnaroundDelay: Rule.number().integer().min(0).default(100).description('Пауза в мс после широковещательного запроса, перед следующим запросом'),
+      pollIntervals: Rule.object().default({}).description('Переопределение интервалов групп опроса в мс: { "settings": 300000 }'),
+      queueMax: Rule.number().integer().min(1).default(100).description('Максимальное количество задач в очереди'),
+      queueTimeout: Rule.number().integer().min(0).default(30000).description('Время в мс, за которое задача очереди должна начать выполняться (0 - без ограничения)'),
+      queueRejectOffline: Rule.boolean().default(false).description('Сразу отклонять новые задачи очереди, пока устройство в состоянии offline'),
+      verifyRetries: Rule.number().integer().min(0).default(2).description('Количество повторов записи, если прочитанное значение не совпало с записанным (writeVerify)'),
+      verifyDelay: Rule.number().integer().min(0).default(0).description('Пауза в мс между записью и проверочным чтением (writeVerify)'),
+      statsWindow: Rule.number().integer().min(1).default(100).description('Количество последних запросов для расчета времени ответа'),
+      statsPort: Rule.boolean().default(false).description('Отправлять статистику обмена в выход stats после каждого опроса'),
+      busyRetries: Rule.number().integer().min(0).default(3).description('Количество повторов запроса при исключении SLAVE DEVICE BUSY (0x06)'),
+      busyDelay: Rule.number().integer().min(0).default(200).description('Задержка в мс перед повтором запроса при исключении SLAVE DEVICE BUSY (0x06)'),
+      ackInterval: Rule.number().integer().min(1).default(500).description('Интервал в мс проверки завершения запроса после исключения ACKNOWLEDGE (0x05)'),
+      ackTimeout: Rule.number().integer().min(0).default(10000).description('Максимальное время в мс ожидания завершения после исключения ACKNOWLEDGE (0x05)')
     }
   }
 
@@ -25,44 +263,66 @@ export default class DeviceRTU extends Device {
   }
 
   /**
-   * Класс провайдера из vrack2-net
+   * Класс провайдера из vrack2-net (TCPProvider) или любой другой,
+   * реализующий {@link ModbusProvider}
    * 
   */
-  Provider!: TCPProvider
+  Provider!: ModbusProvider
 
   /**
    * Очередь 
    * 
   */
-  queue = new Map<number, {
-    resolve: (value: any) => void,
-    reject: (value: any) => void,
-    method: () => any
-  }>();
+  queue = new Map<number, QueueTask>();
   queueIndex = 1
 
   offlineTimer: NodeJS.Timeout | number = 0
 
+  /**
+   * Количество неудачных опросов подряд
+  */
+  protected failures = 0
+
+  /**
+   * Сколько передач управления еще пропустить (экспоненциальная задержка для устройства оффлайн)
+  */
+  protected skipTurns = 0
+
+  /**
+   * Статистика обмена, доступна в shares.stats
+   * 
+   * Хранится отдельно, потому что наследники переопределяют shares целиком
+  */
+  protected stats!: ModbusStats
+
   /**
    * Обработчик входа провайдера
    * 
    * При получении провайдера - мы получаем контроль
    * 
   */
-  async inputBus(provider: TCPProvider) {
+  async inputBus(provider: ModbusProvider) {
     if (this.shares.process) return // Такого по хорошему быть не должно
     this.Provider = provider
+    if (this.skipTurns > 0) { // Устройство оффлайн - не занимаем шину
+      this.skipTurns--
+      return
+    }
     this.Provider.canRequest()
     this.iGate()
     try {
       await this.runQueue()
       await this.update()
-      this.shares.online = true
     } catch (err) {
-      this.shares.online = false
+      this.failure()
       this.error('Update device error', err as Error)
+      this.shares.process = false
+      this.pushStats()
+      this.render()
       throw err
     }
+    this.failures = 0
+    this.setState('online')
     this.oGate()
   }
 
@@ -71,7 +331,9 @@ export default class DeviceRTU extends Device {
   */
   private iGate() {
     if (this.offlineTimer) clearTimeout(this.offlineTimer) // Очищаем таймер оффлайна
-    this.shares.progress = true
+    this.shares.stats = this.getStats().data
+    this.updateQueueDepth()
+    this.shares.process = true
     this.render()
   }
 
@@ -81,18 +343,291 @@ export default class DeviceRTU extends Device {
   private oGate() {
     this.offlineTimer = setTimeout(()=>{
       this.offlineTimer = 0
-      this.shares.online = false
+      this.setState('offline')
     }, this.options.offTimeout)
-    this.shares.progress = false
+    this.shares.process = false
+    this.flushPublishing()
+    this.pushStats()
+    this.render()
+  }
+
+  /**
+   * Учитывает неудачный опрос
+   * 
+   * Пока неудачных опросов подряд меньше `offlineFailures` - устройство в состоянии `degraded`,
+   * дальше - `offline`. Устройство оффлайн пропускает 1, 2, 4 ... (не более `backoffMax`)
+   * передач управления, что бы не занимать шину таймаутами
+  */
+  protected failure() {
+    this.failures++
+    const over = this.failures - this.options.offlineFailures
+    if (over < 0) {
+      if (this.shares.state === 'online' || this.shares.state === 'degraded') this.setState('degraded')
+      return
+    }
+    this.setState('offline')
+    if (this.options.backoffMax) this.skipTurns = Math.min(2 ** over, this.options.backoffMax)
+  }
+
+  /**
+   * Изменяет состояние связи с устройством
+   * 
+   * При переходе в оффлайн отправляется событие в выход `offline` и все опубликованные
+   * значения помечаются устаревшими. При выходе из оффлайна - событие в выход `online`,
+   * значения, которые не изменились за время оффлайна, снова помечаются актуальными
+   * 
+   * Наследник может не объявлять выходы `online` и `offline` (переопределить `outputs()` без
+   * `super.outputs()`) - тогда события не отправляются
+  */
+  protected setState(state: DeviceState) {
+    const prev = this.shares.state ?? 'offline'
+    this.shares.state = state
+    this.shares.online = state !== 'offline'
+    if (prev === state) return
+    this.shares.stateTime = Date.now()
+    if (state === 'offline') {
+      this.markQuality('stale')
+      this.ports.output.offline?.push(this.shares.stateTime)
+    } else if (prev === 'offline') {
+      this.markQuality('good')
+      this.ports.output.online?.push(this.shares.stateTime)
+    }
     this.render()
   }
 
+  /**
+   * Отправляет значение в выход и сохраняет его со временем и качеством в `shares.published`
+   * 
+   * Используйте вместо `this.ports.output[port].push(value)` для значений, полученных из устройства
+   * 
+   * @param {string} port - Имя выхода
+   * @param {unknown} value - Значение
+  */
+  publish(port: string, value: unknown) {
+    const item: PublishedValue = { value, time: Date.now(), quality: 'good' }
+    if (!this.shares.published) this.shares.published = {}
+    this.shares.published[port] = item
+    this.ports.output[port].push(this.options.qualityPorts ? { ...item } : value)
+  }
+
+  /**
+   * Состояние публикации выходов, значения которых передаются через {@link offer}
+  */
+  protected publishState = new Map<string, PublishState>()
+
+  /**
+   * Предлагает значение для отправки в выход
+   * 
+   * Значение отправляется (см. {@link publish}), если оно изменилось с учетом настроек
+   * публикации выхода (см. {@link PublishSettings}). Без настроек отправляется любое изменение.
+   * Вызывайте при каждом опросе - повторная отправка по `maxInterval` и отложенная
+   * по `minInterval` выполняются после опроса
+   * 
+   * @param {string} port - Имя выхода
+   * @param {unknown} value - Значение
+   * @param {boolean} force - Отправить без проверок (например для опции eachGate)
+  */
+  offer(port: string, value: unknown, force = false) {
+    const settings = this.publishSettings(port)
+    const state = this.publishState.get(port) ?? { value, pending: false }
+    this.publishState.set(port, state)
+    state.value = value
+    const crossed = this.updateLevel(state, value, settings)
+    const last: PublishedValue | undefined = this.shares.published?.[port] ?? state.initial
+    if (!last || force || crossed) return this.publishOffered(port, state)
+    if (!this.isSignificant(last.value, value, settings)) {
+      state.pending = false
+      return
+    }
+    if (settings.minInterval && Date.now() - last.time < settings.minInterval) {
+      state.pending = true
+      return
+    }
+    this.publishOffered(port, state)
+  }
+
+  /**
+   * Задает начальное значение выхода (например значение в shares до первого опроса)
+   * 
+   * Значение не отправляется - первое значение из {@link offer} сравнивается с ним,
+   * как с последним отправленным. Без начального значения первое значение отправляется всегда
+   * 
+   * @param {string} port - Имя выхода
+   * @param {unknown} value - Начальное значение
+  */
+  offerInitial(port: string, value: unknown) {
+    this.publishState.set(port, { value, pending: false, initial: { value, time: 0, quality: 'good' } })
+  }
+
+  /**
+   * Настройки публикации выхода из опции `publishing` (настройки "*" дополняются настройками выхода)
+   * 
+   * Наследник может переопределить метод, что бы задать свои значения по умолчанию
+  */
+  publishSettings(port: string): PublishSettings {
+    const publishing = this.options.publishing ?? {}
+    return { ...publishing['*'], ...publishing[port] }
+  }
+
+  /**
+   * Отправляет отложенные изменения (`minInterval`) и повторяет значения без изменений (`maxInterval`)
+   * 
+   * Выполняется после каждого успешного опроса
+  */
+  protected flushPublishing() {
+    const now = Date.now()
+    for (const [port, state] of this.publishState) {
+      const last: PublishedValue | undefined = this.shares.published?.[port] ?? state.initial
+      if (!last) continue
+      const settings = this.publishSettings(port)
+      const elapsed = now - last.time
+      if ((state.pending && elapsed >= (settings.minInterval ?? 0)) ||
+        (settings.maxInterval && elapsed >= settings.maxInterval)) this.publishOffered(port, state)
+    }
+  }
+
+  protected publishOffered(port: string, state: PublishState) {
+    state.pending = false
+    this.publish(port, state.value)
+  }
+
+  /**
+   * Проверяет, выходит ли изменение значения за зону нечувствительности
+  */
+  protected isSignificant(old: unknown, value: unknown, settings: PublishSettings): boolean {
+    if (typeof old !== 'number' || typeof value !== 'number') return JSON.stringify(old) !== JSON.stringify(value)
+    const delta = Math.abs(value - old)
+    if (delta <= (settings.deadband ?? 0)) return false
+    if (settings.deadbandPercent && delta <= Math.abs(old) * settings.deadbandPercent / 100) return false
+    return true
+  }
+
+  /**
+   * Обновляет количество пройденных порогов с учетом гистерезиса
+   * 
+   * Возвращает true, если значение перешло через порог
+  */
+  protected updateLevel(state: PublishState, value: unknown, settings: PublishSettings): boolean {
+    if (!settings.thresholds?.length || typeof value !== 'number') return false
+    const thresholds = [...settings.thresholds].sort((a, b) => a - b)
+    const hysteresis = settings.hysteresis ?? 0
+    const prev = state.level
+    let level = prev ?? thresholds.filter(threshold => value >= threshold).length
+    while (level < thresholds.length && value >= thresholds[level]) level++
+    while (level > 0 && value < thresholds[level - 1] - hysteresis) level--
+    state.level = level
+    return prev !== undefined && prev !== level
+  }
+
+  /**
+   * Изменяет качество опубликованных значений
+   * 
+   * При включенной опции `qualityPorts` измененные значения повторно отправляются в выходы
+  */
+  protected markQuality(quality: PublishedValue['quality']) {
+    const values: { [port: string]: PublishedValue } = this.shares.published ?? {}
+    for (const port of Object.keys(values)) {
+      if (values[port].quality === quality) continue
+      values[port].quality = quality
+      if (this.options.qualityPorts) this.ports.output[port].push({ ...values[port] })
+    }
+  }
+
+  /**
+   * Возвращает статистику обмена, создавая ее при первом обращении
+  */
+  protected getStats(): ModbusStats {
+    if (!this.stats) this.stats = new ModbusStats(this.options.statsWindow)
+    return this.stats
+  }
+
+  /**
+   * Отправляет статистику в выход stats, если он включен опцией statsPort
+  */
+  protected pushStats() {
+    if (this.options.statsPort) this.ports.output.stats?.push({ ...this.getStats().data })
+  }
+
+  async actionStatsReset() {
+    this.getStats().reset()
+    this.render()
+    return { result: 'success' }
+  }
+
+
+  /**
+   * Время последнего успешного опроса групп
+  */
+  protected pollLast = new Map<string, number>()
 
   /**
    * Основной метод для переопределния 
+   * 
+   * По умолчанию выполняет группы опроса из {@link pollGroups}, время которых подошло
   */
   async update() {
+    await this.runPollGroups()
+  }
+
+  /**
+   * Группы опроса устройства
+   * 
+   * Переопределите метод, что бы опрашивать разные данные с разной частотой.
+   * Интервал группы можно изменить опцией `pollIntervals`
+   * 
+   * @example
+   * pollGroups() {
+   *   return {
+   *     status: { interval: 0, method: () => this.getStatus() },
+   *     settings: { interval: 60000, method: () => this.getSettings() },
+   *     info: { interval: 'online', method: () => this.getInfo() }
+   *   }
+   * }
+  */
+  pollGroups(): { [name: string]: PollGroup } {
+    return {}
+  }
+
+  /**
+   * Выполняет группы опроса, время которых подошло
+   * 
+   * Между группами выполняется очередь. Время последнего успешного опроса
+   * каждой группы сохраняется в `shares.groups`. Ошибка группы прерывает опрос
+   * и пробрасывается выше - группа будет повторена при следующей передаче управления
+  */
+  async runPollGroups() {
+    const groups = this.pollGroups()
+    const intervals = this.options.pollIntervals ?? {}
+    if (!this.shares.groups) this.shares.groups = {}
+    for (const name of Object.keys(groups)) {
+      const interval = intervals[name] ?? groups[name].interval
+      if (!this.isGroupDue(name, interval)) continue
+      await this.runQueue()
+      await groups[name].method()
+      this.pollLast.set(name, Date.now())
+      this.shares.groups[name] = this.pollLast.get(name)
+    }
+  }
 
+  /**
+   * Опросить группу при следующей передаче управления, не дожидаясь ее интервала
+   * 
+   * @example
+   * // После записи настройки обновить группу настроек
+   * this.pollNow('settings')
+  */
+  pollNow(name: string) {
+    this.pollLast.delete(name)
+  }
+
+  /**
+   * Проверяет, подошло ли время опроса группы
+  */
+  protected isGroupDue(name: string, interval: number | 'online'): boolean {
+    const last = this.pollLast.get(name)
+    if (last === undefined) return true
+    if (interval === 'online') return !this.shares.online
+    return Date.now() - last >= interval
   }
 
   /**
@@ -100,7 +635,13 @@ export default class DeviceRTU extends Device {
    * как только появится возможно при наличии контроля
    * 
    * Используется в экшенах 
+   * 
+   * Задача отклоняется сразу, если очередь заполнена (опция `queueMax`) или
+   * устройство в состоянии `offline` (если включена опция `queueRejectOffline`). Пока состояние
+   * не известно (до первого успешного опроса или `offlineFailures` неудачных) задачи принимаются
    *  
+   * @param {Function} method - Метод задачи, должен вернуть Promise
+   * @param {QueueTaskOptions} options - Приоритет, время ожидания и ключ задачи
    * @example 
    * sync actionSetDown(data) {
    * if (data.value > 2) data.value = 2;
@@ -108,30 +649,80 @@ export default class DeviceRTU extends Device {
    *   await this.actionAddQueue(async () => {
    *     // Код изменения...
    *     this.render();
-   *    });
+   *    }, { key: 'down' }); // Повторное нажатие заменит еще не выполненную запись
    * }
    */
-  actionAddQueue(method: () => any) {
+  actionAddQueue(method: () => any, options: QueueTaskOptions = {}) {
     return new Promise((resolve, reject) => {
-      this.queue.set(this.getQueueIndex(), { resolve, reject, method });
+      if (this.options.queueRejectOffline && this.shares.state === 'offline') {
+        return reject(ErrorManager.make('V2MODBUS_DEVICE_OFFLINE'))
+      }
+      const task: QueueTask = { resolve, reject, method, priority: options.priority ?? 0, key: options.key }
+      const replaced = this.findQueueTask(options.key)
+      if (replaced !== undefined) {
+        const old = this.queue.get(replaced) as QueueTask
+        clearTimeout(old.timer)
+        this.queue.delete(replaced)
+        task.priority = Math.max(task.priority, old.priority)
+        task.resolve = (value) => { old.resolve(value); resolve(value) }
+        task.reject = (err) => { old.reject(err); reject(err) }
+      } else if (this.queue.size >= this.options.queueMax) {
+        return reject(ErrorManager.make('V2MODBUS_QUEUE_FULL', { size: this.queue.size }))
+      }
+
+      const index = this.getQueueIndex()
+      const timeout = options.timeout ?? this.options.queueTimeout
+      if (timeout) task.timer = setTimeout(() => {
+        this.queue.delete(index)
+        this.updateQueueDepth()
+        task.reject(ErrorManager.make('V2MODBUS_QUEUE_TIMEOUT', { timeout, key: task.key }))
+      }, timeout)
+      this.queue.set(index, task);
+      this.updateQueueDepth()
     });
   }
 
   /**
    * Проверка наличия заданий и выполнения их если они имеются 
+   * 
+   * Задачи выполняются по убыванию приоритета, при равном приоритете - в порядке добавления
    */
   async runQueue() {
     if (!this.queue.size) return;
-    const keys = [...this.queue.keys()]; // Создаем новый список - это важно
+    // Создаем новый список - это важно
+    const keys = [...this.queue.keys()].sort((a, b) => {
+      const pa = (this.queue.get(a) as QueueTask).priority
+      const pb = (this.queue.get(b) as QueueTask).priority
+      return (pb - pa) || (a - b)
+    });
 
     for (const key of keys) {
       const value = this.queue.get(key);
-      if (value === undefined) continue
+      if (value === undefined) continue // Задача заменена или истекла
+      clearTimeout(value.timer)
+      value.running = true
       try { value.resolve(await value.method()); } catch (err) { value.reject(err); }
       this.queue.delete(key);
+      this.updateQueueDepth()
     }
   }
 
+  /**
+   * Возвращает индекс ожидающей (еще не выполняемой) задачи с ключом
+  */
+  protected findQueueTask(key?: string): number | undefined {
+    if (key === undefined) return undefined
+    for (const [index, task] of this.queue) if (task.key === key && !task.running) return index
+    return undefined
+  }
+
+  /**
+   * Обновляет размер очереди в shares
+  */
+  protected updateQueueDepth() {
+    this.shares.queue = this.queue.size
+  }
+
   /**
    * Выполняет упрощённый Modbus RTU-запрос через встроенный провайдер.
    * 
@@ -147,18 +738,469 @@ export default class DeviceRTU extends Device {
    *   - Для 0x05/0x06: один элемент (число или булево).
    *   - Для 0x0F/0x10: массив значений (битов или 16-битных регистров).
    * @returns {Promise<{ data: Buffer; }>} Объект с полезной нагрузкой ответа (`data` — буфер без заголовков Modbus).
-   * @throws {Error} Если провайдер не подключён или запрос завершился неудачей.
+   * @throws {Error} Если провайдер не подключён, запрос завершился неудачей или устройство ответило исключением.
    */
   simpleRequest(cmd: number, addr: number, quantity: number, writeData?: number[]) {
-    const req = ModbusRTU.makeRequest(this.options.address, cmd, addr, quantity, writeData);
+    const req = this.makeRequest(cmd, addr, quantity, writeData);
     return this.request(req)
   }
 
-  async request(buffer: Buffer, maxRetries = 3) {
-    this.Provider.setPkgCheck(ModbusRTU.isCompletePacket)
-    await this.Provider.autoRequest(buffer, this.options.timeout, maxRetries)
-    const resp = this.Provider.getBuffer()
-    return ModbusRTU.parseResponse(resp)
+  /**
+   * Отправляет широковещательный запрос записи (адрес 0)
+   * 
+   * На широковещательные запросы устройства не отвечают, поэтому ответ не ожидается.
+   * Промис завершается после отправки и паузы `turnaroundDelay`, которая
+   * нужна устройствам для выполнения команды перед следующим запросом.
+   * 
+   * Допускаются только функции записи 0x05, 0x06, 0x0F, 0x10
+   * 
+   * @param {number} cmd - Код функции записи
+   * @param {number} addr - Начальный адрес
+   * @param {number} quantity - Значение (0x05/0x06) или количество (0x0F/0x10)
+   * @param {Array<number>} [writeData] - Данные для 0x0F/0x10
+   * @example
+   * // Сброс счетчиков всех устройств линии
+   * await this.broadcast(0x06, 0x0100, 1)
+  */
+  async broadcast(cmd: number, addr: number, quantity: number, writeData?: number[]) {
+    if (!DeviceRTU.BROADCAST_CODES.includes(cmd)) throw ErrorManager.make('V2MODBUS_BROADCAST_FUNCTION_INVALID', { cmd })
+    await this.sendBroadcast(this.makeRequest(cmd, addr, quantity, writeData, 0))
+  }
+
+  /**
+   * Отправляет готовый пакет без ожидания ответа и выдерживает паузу `turnaroundDelay`
+   * 
+   * Ответ провайдера по таймауту в этом случае является нормальным завершением
+  */
+  async sendBroadcast(buffer: Buffer) {
+    this.Provider.setPkgCheck(() => false)
+    this.getStats().broadcast()
+    try {
+      await this.Provider.autoRequest(buffer, this.options.turnaroundDelay, 1)
+    } catch (err) {
+      // Ответа на широковещательный запрос нет - таймаут ожидаем, остальные ошибки пробрасываются
+      if (!this.isProviderTimeout(err)) throw err
+    }
+  }
+
+  /**
+   * Проверяет, что ошибка провайдера - таймаут ожидания ответа
+   * 
+   * Если провайдер не определяет таймаут сам (см. {@link ModbusProvider.isTimeout}),
+   * таймаутом считается ошибка, имя (`name`), код (`code`) или `vShort` которой
+   * содержит `timeout` или `ETIMEDOUT`. Остальные ошибки - например, нет соединения - таймаутом не являются
+   * 
+   * @param {unknown} err - Ошибка провайдера
+  */
+  protected isProviderTimeout(err: unknown): boolean {
+    if (this.Provider.isTimeout) return this.Provider.isTimeout(err)
+    const { name, code, vShort } = (err ?? {}) as { name?: unknown, code?: unknown, vShort?: unknown }
+    return [name, code, vShort].some(id => typeof id === 'string' && /time[_-]?out|timedout/i.test(id))
+  }
+
+  /**
+   * Формирует запрос для адреса устройства с учетом опции `framing`
+   * 
+   * Параметры совпадают с {@link simpleRequest}
+   * 
+   * @param {number} slaveId - Адрес устройства, по умолчанию опция `address`
+  */
+  makeRequest(cmd: number, addr: number, quantity: number, writeData?: number[], slaveId: number = this.options.address): Buffer {
+    return this.modbusFramer().encode({ slaveId, functionCode: cmd, address: addr, quantity, writeData })
+  }
+
+  /**
+   * Фреймер Modbus, выбранный опцией `framing`
+  */
+  modbusFramer(): ModbusRTUFramer {
+    const framer = DeviceRTU.FRAMERS[this.options.framing]
+    if (!framer) throw ErrorManager.make('V2MODBUS_FRAMING_UNKNOWN', { framing: this.options.framing })
+    return framer
+  }
+
+  /**
+   * Фреймеры устройства по имени
+   * 
+   * Наследник может добавить фреймеры служебных протоколов производителя,
+   * которые работают на той же линии (см. {@link frameRequest}):
+   * 
+   * @example
+   * framers() {
+   *   return { ...super.framers(), service: new ServiceFramer() }
+   * }
+  */
+  framers(): { [name: string]: ModbusFramer } {
+    return { modbus: this.modbusFramer() }
+  }
+
+  /**
+   * Фреймеры, полученные из {@link framers} при первом обращении
+  */
+  protected framerList?: { [name: string]: ModbusFramer }
+
+  /**
+   * Возвращает фреймер по имени
+  */
+  getFramer(name: string): ModbusFramer {
+    if (!this.framerList) this.framerList = this.framers()
+    const framer = this.framerList[name]
+    if (!framer) throw ErrorManager.make('V2MODBUS_FRAMER_UNKNOWN', { framer: name })
+    return framer
+  }
+
+  /**
+   * Отправляет запрос фреймером `name` и возвращает разобранный ответ
+   * 
+   * Обмен выполняется так же как для Modbus запросов: с повторами и учетом в статистике.
+   * Исключения Modbus не обрабатываются - это задача фреймера
+   * 
+   * @param {string} name - Имя фреймера (см. {@link framers})
+   * @param {unknown} request - Запрос, который формирует фреймер
+   * @param {number} maxRetries - Количество попыток
+  */
+  async frameRequest<Response = unknown>(name: string, request: unknown, maxRetries = 3): Promise<Response> {
+    const framer = this.getFramer(name) as ModbusFramer<unknown, Response>
+    const stats = this.getStats()
+    const start = Date.now()
+    stats.request()
+    const resp = await this.exchange(framer, framer.encode(request), maxRetries)
+    stats.success(Date.now() - start)
+    return resp
+  }
+
+  /**
+   * Отправляет запрос фреймером `name` без ожидания ответа (см. {@link sendBroadcast})
+  */
+  async frameBroadcast(name: string, request: unknown) {
+    await this.sendBroadcast(this.getFramer(name).encode(request))
+  }
+
+  /**
+   * Читает типизированное значение из holding (0x03) или input (0x04) регистров
+   * 
+   * Количество регистров определяется типом данных
+   * 
+   * @param {number} cmd - Код функции 0x03 или 0x04
+   * @param {number} addr - Адрес первого регистра значения
+   * @param {ModbusDataType} type - Тип данных (int16, uint32, float32, string ...)
+   * @param {ModbusTypeOptions} options - Порядок байт (`order`) и длина для string/bits
+   * @example
+   * const power = await this.readTyped(0x04, 0x0C, 'float32', { order: 'CDAB' })
+  */
+  async readTyped(cmd: number, addr: number, type: ModbusDataType, options: ModbusTypeOptions = {}): Promise<ModbusValue> {
+    const resp = await this.simpleRequest(cmd, addr, ModbusTypes.registerCount(type, options));
+    return ModbusTypes.decode(resp.data, type, options);
+  }
+
+  /**
+   * Записывает типизированное значение в holding регистры командой 0x10
+   * 
+   * @param {number} addr - Адрес первого регистра значения
+   * @param {ModbusDataType} type - Тип данных
+   * @param {ModbusValue} value - Значение
+   * @param {ModbusTypeOptions} options - Порядок байт (`order`) и длина для string/bits
+   * @example
+   * await this.writeTyped(0x20, 'uint32', 100000, { order: 'CDAB' })
+  */
+  writeTyped(addr: number, type: ModbusDataType, value: ModbusValue, options: ModbusTypeOptions = {}) {
+    const registers = ModbusTypes.encode(value, type, options);
+    return this.simpleRequest(0x10, addr, registers.length, registers);
+  }
+
+  /**
+   * Записывает значения и проверяет их обратным чтением
+   * 
+   * После записи 0x05/0x0F значения читаются функцией 0x01, после 0x06/0x10 - функцией 0x03.
+   * Если прочитанные значения не совпали с записанными (с учетом `tolerance` и `mask`),
+   * запись повторяется. Если после всех повторов значения не совпали -
+   * выбрасывается ошибка `V2MODBUS_WRITE_VERIFY_FAILED`
+   * 
+   * Возвращает значения, которые устройство фактически приняло (результат чтения)
+   * 
+   * @param {number} cmd - Код функции записи 0x05, 0x06, 0x0F, 0x10
+   * @param {number} addr - Начальный адрес
+   * @param {Array<number>} values - Записываемые значения (для 0x05/0x06 - один элемент)
+   * @param {WriteVerifyOptions} options - Допуск, маска и количество повторов
+   * @example
+   * // Устройство округляет значение до 5
+   * const [accepted] = await this.writeVerify(0x06, 0x30, [352], { tolerance: 5 })
+  */
+  async writeVerify(cmd: number, addr: number, values: number[], options: WriteVerifyOptions = {}): Promise<number[]> {
+    if (![0x05, 0x06, 0x0F, 0x10].includes(cmd)) throw ErrorManager.make('V2MODBUS_WRITE_FUNCTION_INVALID', { cmd })
+    const isBits = (cmd === 0x05 || cmd === 0x0F)
+    const single = (cmd === 0x05 || cmd === 0x06)
+    const quantity = single ? 1 : values.length
+    const mask = options.mask ?? 0xFFFF
+    const tolerance = options.tolerance ?? 0
+    const retries = options.retries ?? this.options.verifyRetries
+    const delay = options.delay ?? this.options.verifyDelay
+    const expected = values.slice(0, quantity).map(value => isBits ? (value ? 1 : 0) : value & 0xFFFF)
+
+    const area: ModbusArea = isBits ? 'coil' : 'holding'
+    let actual: number[] = []
+    const verify = async () => {
+      const resp = await this.simpleRequest(ModbusRTU.AREA_READ_CODES[area], addr, quantity)
+      const read = ReadPlanner.split({ area, address: addr, quantity }, resp.data)
+      actual = expected.map((value, i) => read.get(addr + i) ?? 0)
+      return expected.every((value, i) => {
+        if (isBits) return value === actual[i]
+        return Math.abs((value & mask) - (actual[i] & mask)) <= tolerance
+      })
+    }
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      // После ACKNOWLEDGE запись завершена, когда значения читаются обратно
+      const write = single ? this.makeRequest(cmd, addr, expected[0]) : this.makeRequest(cmd, addr, quantity, expected)
+      await this.request(write, 3, verify)
+      if (delay) await new Promise((resolve) => setTimeout(resolve, delay))
+      if (await verify()) return actual
+    }
+    throw ErrorManager.make('V2MODBUS_WRITE_VERIFY_FAILED', { cmd, address: addr, expected, actual })
+  }
+
+  /**
+   * Планирует чтение адресов области минимальным количеством запросов
+   * с учетом опций `readMaxGap` и `forbidden`
+   * 
+   * @see ReadPlanner.plan
+  */
+  planRead(area: ModbusArea, addresses: Array<number>): Array<ReadBlock> {
+    return ReadPlanner.plan(area, addresses, {
+      maxGap: this.options.readMaxGap,
+      forbidden: this.options.forbidden
+    })
+  }
+
+  /**
+   * Читает набор адресов области объединяя соседние адреса в общие запросы
+   * 
+   * Возвращает значения по адресам: для регистров - беззнаковое 16-битное число,
+   * для coil/di - 0 или 1
+   * 
+   * @param {ModbusArea} area - Область данных (coil, di, holding, input)
+   * @param {Array<number>} addresses - Нужные адреса
+   * @param {boolean} queue - Выполнять очередь перед каждым запросом
+   * @example
+   * const values = await this.readAddresses('holding', [0x00, 0x03, 0x30, 0x31, 0x32])
+   * const up = values.get(0x30)
+  */
+  async readAddresses(area: ModbusArea, addresses: Array<number>, queue = false): Promise<Map<number, number>> {
+    const result = new Map<number, number>()
+    for (const block of this.planRead(area, addresses)) {
+      if (queue) await this.runQueue()
+      const resp = await this.simpleRequest(ModbusRTU.AREA_READ_CODES[area], block.address, block.quantity)
+      ReadPlanner.split(block, resp.data, result)
+    }
+    return result
+  }
+
+  /**
+   * Отправляет готовый пакет и возвращает разобранный ответ
+   * 
+   * Пакет должен быть сформирован в соответствии с опцией `framing`.
+   * Для Modbus TCP дополнительно проверяется совпадение идентификатора транзакции
+   * 
+   * Если устройство ответило исключением ACKNOWLEDGE (0x05), завершение ожидается
+   * {@link waitAcknowledged} с проверкой `complete`. Для остальных исключений решение
+   * о повторе принимает {@link exceptionPolicy}. Если повтор не нужен - выбрасывается ошибка
+   * исключения (см. {@link ModbusException}) с адресом устройства, кодом функции и адресом
+   * 
+   * @param {Buffer} buffer - Пакет запроса
+   * @param {number} maxRetries - Количество попыток
+   * @param {Function} [complete] - Проверка завершения запроса после ACKNOWLEDGE
+  */
+  async request(buffer: Buffer, maxRetries = 3, complete?: () => Promise<boolean>): Promise<ModbusResponse> {
+    const counts = new Map<number, number>() // Количество полученных исключений по коду
+    for (;;) {
+      const resp = await this.transfer(buffer, maxRetries)
+      if (resp.exceptionCode === undefined) return resp
+      this.getStats().exception(resp.exceptionCode)
+      if (resp.exceptionCode === ModbusRTU.EXCEPTION_CODES.ACKNOWLEDGE) {
+        return this.waitAcknowledged(buffer, resp, maxRetries, complete)
+      }
+      const count = (counts.get(resp.exceptionCode) ?? 0) + 1
+      counts.set(resp.exceptionCode, count)
+      const delay = this.exceptionPolicy(resp.exceptionCode, count)
+      if (delay < 0) throw this.makeException(buffer, resp)
+      this.getStats().retry()
+      await new Promise((resolve) => setTimeout(resolve, delay))
+    }
+  }
+
+  /**
+   * Ожидает завершения запроса, на который устройство ответило ACKNOWLEDGE (0x05)
+   * 
+   * Устройство приняло запрос и выполняет его долго, поэтому запрос записи повторно
+   * не отправляется. Каждые `ackInterval` мс вызывается проверка завершения `complete`,
+   * пока она не вернет true. Без проверки завершения:
+   *  - запрос чтения (0x01 - 0x04) повторяется каждые `ackInterval` мс, пока устройство
+   *    не ответит без исключения - повтор чтения безопасен
+   *  - для остальных запросов сразу выбрасывается ошибка исключения ACKNOWLEDGE
+   * 
+   * Если за `ackTimeout` мс запрос не завершился - выбрасывается ошибка исключения ACKNOWLEDGE.
+   * После завершения по проверке `complete` возвращается ответ ACKNOWLEDGE
+   * 
+   * @param {Buffer} buffer - Пакет запроса
+   * @param {ModbusResponse} ack - Ответ ACKNOWLEDGE
+   * @param {number} maxRetries - Количество попыток
+   * @param {Function} [complete] - Проверка завершения запроса
+  */
+  protected async waitAcknowledged(buffer: Buffer, ack: ModbusResponse, maxRetries: number, complete?: () => Promise<boolean>): Promise<ModbusResponse> {
+    const isRead = Object.values(ModbusRTU.AREA_READ_CODES).includes(ack.functionCode)
+    if (!complete && !isRead) throw this.makeException(buffer, ack)
+    const start = Date.now()
+    while (Date.now() - start + this.options.ackInterval <= this.options.ackTimeout) {
+      await new Promise((resolve) => setTimeout(resolve, this.options.ackInterval))
+      if (complete) {
+        if (await complete()) return ack
+        continue
+      }
+      this.getStats().retry()
+      const resp = await this.transfer(buffer, maxRetries)
+      if (resp.exceptionCode === undefined) return resp
+      this.getStats().exception(resp.exceptionCode)
+      if (resp.exceptionCode !== ModbusRTU.EXCEPTION_CODES.ACKNOWLEDGE) throw this.makeException(buffer, resp)
+    }
+    throw this.makeException(buffer, ack)
+  }
+
+  /**
+   * Формирует ошибку исключения из ответа устройства
+  */
+  protected makeException(buffer: Buffer, resp: ModbusResponse) {
+    return ModbusException.make(resp.exceptionCode as number, {
+      slaveId: resp.slaveId,
+      functionCode: resp.functionCode,
+      address: this.requestAddress(buffer)
+    })
+  }
+
+  /**
+   * Политика обработки исключения в ответе устройства
+   * 
+   * Возвращает задержку в мс перед повторной отправкой того же запроса
+   * или -1, если нужно выбросить ошибку исключения.
+   * 
+   * По умолчанию:
+   *  - SLAVE DEVICE BUSY (0x06) - устройство не начало выполнять запрос, повтор
+   *    через `busyDelay` мс, не более `busyRetries` раз
+   *  - Остальные исключения выбрасываются сразу
+   * 
+   * ACKNOWLEDGE (0x05) сюда не передается - запрос уже принят устройством, см. {@link waitAcknowledged}
+   * 
+   * Метод можно переопределить для устройств с особым поведением
+   * 
+   * @param {number} exceptionCode - Код исключения
+   * @param {number} count - Сколько раз это исключение получено на запрос (начиная с 1)
+  */
+  exceptionPolicy(exceptionCode: number, count: number): number {
+    const EX = ModbusRTU.EXCEPTION_CODES
+    switch (exceptionCode) {
+      case EX.SLAVE_DEVICE_BUSY:
+        return (count <= this.options.busyRetries) ? this.options.busyDelay : -1
+      default:
+        return -1
+    }
+  }
+
+  /**
+   * Отправляет пакет и разбирает ответ без обработки исключений
+   * 
+   * Ответ проверяется на соответствие запросу (см. {@link ModbusRTUFramer.validate}):
+   * ответ другого устройства, на другую функцию, с неверным количеством данных
+   * или неверным эхом записи считается ошибкой
+   * 
+   * @param {Buffer} buffer - Пакет запроса
+   * @param {number} maxRetries - Количество попыток
+  */
+  protected async transfer(buffer: Buffer, maxRetries: number): Promise<ModbusResponse> {
+    if (this.isBroadcast(buffer)) throw ErrorManager.make('V2MODBUS_BROADCAST_NO_RESPONSE')
+    const stats = this.getStats()
+    const start = Date.now()
+    stats.request()
+    const resp = await this.exchange(this.modbusFramer(), buffer, maxRetries)
+    if (resp.exceptionCode === undefined) stats.success(Date.now() - start)
+    return resp
+  }
+
+  /**
+   * Отправляет пакет через провайдер, разбирает и проверяет ответ фреймером
+   * 
+   * Ошибка разбора учитывается в статистике как ошибка CRC, ошибка проверки - как неверный ответ
+  */
+  protected async exchange<Response>(framer: ModbusFramer<unknown, Response>, buffer: Buffer, maxRetries: number): Promise<Response> {
+    const raw = await this.send(buffer, maxRetries, (data) => framer.isComplete(data, buffer),
+      framer.timeoutError && ((data) => framer.timeoutError?.(data, buffer)))
+    const resp = this.parse(() => framer.decode(raw, buffer))
+    if (!framer.validate) return resp
+    try {
+      framer.validate(resp, buffer)
+    } catch (err) {
+      this.getStats().invalid()
+      throw err
+    }
+    return resp
+  }
+
+  /**
+   * Отправляет пакет через провайдер и возвращает полученный пакет ответа
+   * 
+   * Ошибка провайдера (нет ответа) учитывается в статистике как таймаут. Если `timeoutError`
+   * возвращает ошибку для принятых данных - выбрасывается она и учитывается как неверный ответ
+  */
+  protected async send(buffer: Buffer, maxRetries: number, check: (data: Buffer) => boolean,
+    timeoutError?: (data: Buffer) => Error | undefined): Promise<Buffer> {
+    this.Provider.setPkgCheck(check)
+    try {
+      await this.Provider.autoRequest(buffer, this.options.timeout, maxRetries)
+    } catch (err) {
+      const invalid = timeoutError?.(this.Provider.getBuffer())
+      if (invalid) {
+        this.getStats().invalid()
+        throw invalid
+      }
+      this.getStats().timeout()
+      throw err
+    }
+    return this.Provider.getBuffer()
+  }
+
+  /**
+   * Разбирает пакет ответа, ошибка разбора учитывается в статистике как ошибка CRC
+  */
+  protected parse<T>(parser: () => T): T {
+    try {
+      return parser()
+    } catch (err) {
+      this.getStats().crc()
+      throw err
+    }
+  }
+
+  /**
+   * Возвращает кадр запроса [slave][func][данные...] без обрамления и контрольной суммы
+  */
+  protected requestFrame(buffer: Buffer): Buffer {
+    return this.modbusFramer().frame(buffer)
+  }
+
+  /**
+   * Проверяет, что пакет запроса широковещательный (адрес 0)
+   * 
+   * В Modbus TCP адрес 0 (unit id) - обычный адрес устройства за шлюзом, такие запросы ждут ответ
+  */
+  protected isBroadcast(buffer: Buffer): boolean {
+    if (this.options.framing === 'tcp') return false
+    const frame = this.requestFrame(buffer)
+    return frame.length > 0 && frame.readUInt8(0) === 0
+  }
+
+  /**
+   * Возвращает начальный адрес из пакета запроса (если он есть у функции)
+  */
+  protected requestAddress(buffer: Buffer): number | undefined {
+    const frame = this.requestFrame(buffer)
+    return (frame.length >= 4) ? frame.readUInt16BE(2) : undefined
   }
 
   /**
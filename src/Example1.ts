@@ -1,7 +1,63 @@
-import { Action, BasicAction, Rule } from "vrack2-core";
+import { Action, BasicAction, Rule, ErrorManager } from "vrack2-core";
 import { ModbusRTU } from "./classes/ModbusRTU";
 // Наследуем класс для упращения работы с устройствами ModbusRTU
-import DeviceRTU from "./DeviceRTU"
+import DeviceRTU, { PollGroup } from "./DeviceRTU"
+import { ModbusFramer } from "./classes/ModbusFramer";
+
+ErrorManager.register(
+  'Example1',
+  'KD3VQ8WRA',
+  'V2MODBUS_SPEC_PACKET_INVALID',
+  'Sensor service packet must be 7 bytes starting with FD FD FD',
+);
+
+ErrorManager.register(
+  'Example1',
+  'H7TQ2LX4P',
+  'V2MODBUS_SETTING_OUT_OF_RANGE',
+  'Setting value is outside the sensor range',
+);
+
+ErrorManager.register(
+  'Example1',
+  'ZP6CW1NYE',
+  'V2MODBUS_SPEC_NOT_CONFIRMED',
+  'Sensor confirmation does not match the requested speed or address',
+);
+
+/**
+ * Пакет служебного протокола датчика
+ * 
+ * @property {number} speed - Байт скорости (0 - не менять)
+ * @property {number} address - Адрес MODBUS (0 - не менять)
+ */
+export interface SpecPackage {
+  speed: number;
+  address: number;
+}
+
+/**
+ * Фреймер служебного протокола датчика: FD FD FD [скорость] [адрес] [CRC_L CRC_H]
+ * 
+ * Датчик подтверждает команду пакетом той же структуры
+*/
+export class SpecFramer implements ModbusFramer<SpecPackage, SpecPackage> {
+  static readonly PREAMBLE = Buffer.from([0xfd, 0xfd, 0xfd])
+
+  encode(request: SpecPackage): Buffer {
+    return ModbusRTU.addCRC(Buffer.concat([SpecFramer.PREAMBLE, Buffer.from([request.speed, request.address])]))
+  }
+
+  isComplete(data: Buffer): boolean {
+    return data.length >= 7
+  }
+
+  decode(data: Buffer): SpecPackage {
+    if (data.length !== 7 || !data.subarray(0, 3).equals(SpecFramer.PREAMBLE)) throw ErrorManager.make('V2MODBUS_SPEC_PACKET_INVALID', { packet: data.toString('hex') })
+    if (!ModbusRTU.verifyCRC(data)) throw ErrorManager.make('V2MODBUS_CRC_CHECK_FAILED')
+    return { speed: data.readUInt8(3), address: data.readUInt8(4) }
+  }
+}
 
 /**
  * Пример реального устройства - Датчика Дождя и Снега (Rain and Snow Sensor) версии 2.0.
@@ -27,20 +83,32 @@ import DeviceRTU from "./DeviceRTU"
  * 
  * Для управления датчиком используются очереди, что бы можно было оперативно реагировать на экшены
  * 
- * @see makeSpecPkg
+ * Для него устройство регистрирует отдельный фреймер `spec` (см. {@link SpecFramer}),
+ * пакеты отправляются через DeviceRTU без изменения настроек провайдера для Modbus запросов
 */
 export default class Example1 extends DeviceRTU {
 
+  /**
+   * Диапазоны настроек (температура/10) из таблицы регистров датчика
+  */
+  static readonly SETTING_RANGES: { [name: string]: [number, number] } = {
+    up: [0, 700],
+    down: [-300, 700],
+    gist: [0, 700]
+  }
+
   actions(): { [key: string]: BasicAction; } {
+    const range = Example1.SETTING_RANGES
     return {
+      ...super.actions(),
       'set.up': Action.global().requirements({
-        value: Rule.number().integer().default(350).min(0).max(700).description('Температура/10')
+        value: Rule.number().integer().default(350).min(range.up[0]).max(range.up[1]).description('Температура/10')
       }).description('Верхний предел темп. подогрева'),
       'set.down': Action.global().requirements({
-        value: Rule.number().integer().default(150).min(-30).max(700).description('Температура/10')
+        value: Rule.number().integer().default(150).min(range.down[0]).max(range.down[1]).description('Температура/10')
       }).description('Нижний предел темп. подогрева/10'),
       'set.gist': Action.global().requirements({
-        value: Rule.number().integer().default(50).min(0).max(700).description('Температура/10')
+        value: Rule.number().integer().default(50).min(range.gist[0]).max(range.gist[1]).description('Температура/10')
       }).description('Гистерезис темп. подогрева'),
       'set.address': Action.global().requirements({
         value: Rule.number().integer().default(1).min(0).max(254).description('Новый адрес')
@@ -66,14 +134,15 @@ export default class Example1 extends DeviceRTU {
    * 0030H	40049	Верхний предел темп. подогрева	Чтение/Запись	03/06	35°C	0~70°C
   */
   async actionSetUp(data: { value: number }) {
+    this.checkSetting('up', data.value)
     // Метод который мы передаем в actionAddQueue должен вернуть Promise!
     // Что бы мы дождались результата
-    await this.actionAddQueue(() => {
-      if (data.value > 400) data.value = 400
-      if (data.value < 0) data.value = 0
-      return this.simpleRequest(0x06, 0x30 , data.value);
-    })
-    return { result: 'success' }
+    const accepted = await this.actionAddQueue(() => {
+      // Запись с проверкой - датчик может ограничить значение
+      return this.writeVerify(0x06, 0x30, [data.value]);
+    }, { key: 'up' }) as number[] // Новое значение заменяет еще не записанное
+    this.pollNow('settings')
+    return { result: 'success', value: accepted[0] }
   }
 
   /**
@@ -81,13 +150,13 @@ export default class Example1 extends DeviceRTU {
    * 0031H	40050	Нижний предел темп. подогрева	Чтение/Запись	03/06	15°C	-30~70°C
   */
   async actionSetDown(data: { value: number }) {
-    await this.actionAddQueue(() => {
-      if (data.value > 700) data.value = 400
-      if (data.value < -300) data.value = -300
+    this.checkSetting('down', data.value)
+    const accepted = await this.actionAddQueue(() => {
       const unsignedValue = data.value & 0xFFFF;
-      return this.simpleRequest(0x06, 0x31 , unsignedValue);
-    })
-    return { result: 'success' }
+      return this.writeVerify(0x06, 0x31, [unsignedValue]);
+    }, { key: 'down' }) as number[]
+    this.pollNow('settings')
+    return { result: 'success', value: (accepted[0] << 16) >> 16 }
   }
 
   /**
@@ -95,53 +164,79 @@ export default class Example1 extends DeviceRTU {
    * 0032H	40051	Гистерезис темп. подогрева	Чтение/Запись	03/06	5°C	0~70°C
   */
   async actionSetGist(data: { value: number }) {
-    await this.actionAddQueue(() => {
-      if (data.value > 300) data.value = 300
-      if (data.value < 0) data.value = 0
-      return this.simpleRequest(0x06, 0x32 , data.value);
-    })
-    return { result: 'success' }
+    this.checkSetting('gist', data.value)
+    const accepted = await this.actionAddQueue(() => {
+      return this.writeVerify(0x06, 0x32, [data.value]);
+    }, { key: 'gist' }) as number[]
+    this.pollNow('settings')
+    return { result: 'success', value: accepted[0] }
+  }
+
+  /**
+   * Проверяет, что значение настройки входит в диапазон датчика (см. {@link SETTING_RANGES}), иначе - ошибка
+  */
+  checkSetting(name: string, value: number) {
+    const [min, max] = Example1.SETTING_RANGES[name]
+    if (value < min || value > max) throw ErrorManager.make('V2MODBUS_SETTING_OUT_OF_RANGE', { name, value, min, max })
   }
 
   /**
    * Установка адреса своим отдельным протоколом
-   * 
   */
   async actionSetAddress(data: { value: number }) {
     if (this.Provider === undefined) return { result: 'error' }
-     await this.actionAddQueue(() => {
-      if (this.Provider === undefined) return
-      this.Provider.setPkgCheck((data)=>{ return (data.length === 7) })
-      return this.Provider.autoRequest(this.makeSpecPkg(0, data.value), this.options.timeout, 1)
-    })
-    return { result: 'success' }
+    return { result: 'success', value: await this.sendSpec({ speed: 0, address: data.value }) }
   }
 
   /**
    * Установка скорости отдельным протоколом 
-   * 
   */
   async actionSetSpeed(data: { value: number }) {
     if (this.Provider === undefined) return { result: 'error' }
-     await this.actionAddQueue(() => {
-      if (this.Provider === undefined) return
-      this.Provider.setPkgCheck((data)=>{ return (data.length === 7) })
-      return this.Provider.autoRequest(this.makeSpecPkg(data.value, 0), this.options.timeout, 1)
-    })
-    return { result: 'success' }
+    return { result: 'success', value: await this.sendSpec({ speed: data.value, address: 0 }) }
   }
 
-  async update(): Promise<void> {
-    await this.getSettings()
+  /**
+   * Отправляет пакет служебного протокола через очередь и проверяет подтверждение датчика
+   * 
+   * Нет ответа - ошибка провайдера, измененное поле в ответе должно совпасть с запрошенным
+  */
+  async sendSpec(request: SpecPackage): Promise<SpecPackage> {
+    const reply = await this.actionAddQueue(() => this.frameRequest<SpecPackage>('spec', request)) as SpecPackage
+    if ((request.speed && reply.speed !== request.speed) || (request.address && reply.address !== request.address)) {
+      throw ErrorManager.make('V2MODBUS_SPEC_NOT_CONFIRMED', { request, reply })
+    }
+    return reply
   }
 
-  async getSettings() {
+  /**
+   * Фреймер служебного протокола добавляется к фреймеру Modbus
+  */
+  framers(): { [name: string]: ModbusFramer } {
+    return { ...super.framers(), spec: new SpecFramer() }
+  }
+
+  /**
+   * Статус опрашивается при каждой передаче управления,
+   * настройки меняются редко - раз в минуту (интервал можно изменить опцией pollIntervals)
+  */
+  pollGroups(): { [name: string]: PollGroup } {
+    return {
+      status: { interval: 0, method: () => this.getStatus() },
+      settings: { interval: 60000, method: () => this.getSettings() }
+    }
+  }
+
+  async getStatus() {
     await this.updateArray([
       { name: 'snow', address: 0x00 },
       { name: 'interC', address: 0x03 }, // Внутренняя температура
       { name: 'sense', address: 0x05 }, // Уровень ацп
     ], 0x03, this.shares);
+    this.render();
+  }
 
+  async getSettings() {
     // Обновляет базовые флаги
     await this.updateArray([
       { name: 'up', address: 0x30 },
@@ -153,21 +248,31 @@ export default class Example1 extends DeviceRTU {
   }
 
 
+  /**
+   * Читает список регистров и записывает знаковые значения в obj по имени
+   * 
+   * Соседние регистры читаются одним запросом (см. readAddresses)
+  */
   async updateArray(
     regs: Array<{ name: string, address: number }>,
     command: number,
     obj: { [key: string]: any },
     queue = true
   ) {
+    const area = (command === 0x04) ? 'input' : 'holding'
+    const values = await this.readAddresses(area, regs.map(reg => reg.address), queue)
     for (const reg of regs) {
-      if (queue) await this.runQueue();
-      const resp = await this.simpleRequest(command, reg.address, 0x01);
-      obj[reg.name] = resp.data.readInt16BE();
+      const value = values.get(reg.address)
+      if (value !== undefined) obj[reg.name] = (value << 16) >> 16; // int16
     }
   }
 
-  makeSpecPkg(nSpeed = 0, nAddress = 0): Buffer{
-    let pkg = Buffer.from([0xfd, 0xfd, 0xfd, nSpeed, nAddress])
-    return ModbusRTU.addCRC(pkg)
+  /**
+   * Пакет служебного протокола установки скорости и адреса
+   * 
+   * Пакет собирает {@link SpecFramer}, для отправки с проверкой ответа используйте {@link sendSpec}
+  */
+  makeSpecPkg(nSpeed = 0, nAddress = 0): Buffer {
+    return new SpecFramer().encode({ speed: nSpeed, address: nAddress })
   }
 }
\ No newline at end of file
@@ -0,0 +1,194 @@
+import { Device, Port, Rule, BasicPort, BasicType, Action, BasicAction } from "vrack2-core";
+import { ModbusRequest } from "./classes/ModbusRTU";
+import { ModbusStream, ModbusStreamFrame } from "./classes/ModbusStream";
+import fs from 'fs';
+import path from "path";
+
+/**
+ * Запись журнала монитора
+ *
+ * - `request` - запрос мастера
+ * - `response` - ответ ведомого, содержит `latency` если запрос был виден
+ * - `exception` - ответ с исключением, содержит `exceptionCode`
+ * - `noresponse` - запрос, на который не пришел ответ до следующего запроса
+ * - `garbage` - байты, которые не удалось разобрать
+ */
+export interface MonitorRecord {
+  type: 'request' | 'response' | 'exception' | 'noresponse' | 'garbage';
+  time: number;
+  raw: string;
+  slaveId?: number;
+  functionCode?: number;
+  address?: number;
+  quantity?: number;
+  values?: number[];
+  data?: string;
+  exceptionCode?: number;
+  latency?: number;
+}
+
+/**
+ * Пассивный монитор Modbus RTU трафика
+ *
+ * Получает сырые байты линии во входящий порт, выделяет из них запросы и ответы,
+ * сопоставляет ответы с запросами и считает время ответа
+*/
+export default class ModbusMonitor extends Device {
+
+  description(): string {
+      return fs.readFileSync(path.join(path.dirname(__dirname), 'docs','ModbusMonitor.md')).toString('utf-8')
+  }
+
+  checkOptions(): { [key: string]: BasicType; } {
+    return {
+      history: Rule.number().integer().default(100).min(1).max(10000).description('Количество последних записей в shares.history'),
+      silence: Rule.number().integer().default(0).min(0).description('Пауза в мс, после которой незавершенный кадр считается мусором (0 - не учитывать)'),
+      slaveIds: Rule.array().content(Rule.number().integer().min(0).max(255)).default([]).description('Показывать только эти адреса устройств (пусто - все)'),
+      functionCodes: Rule.array().content(Rule.number().integer().min(1).max(127)).default([]).description('Показывать только эти коды функций (пусто - все)'),
+      garbage: Rule.boolean().default(true).description('Показывать неразобранные байты')
+    }
+  }
+
+  inputs(): { [key: string]: BasicPort; } {
+    return {
+      data: Port.standart().description('Сырые байты линии (Buffer)')
+    }
+  }
+
+  outputs(): { [key: string]: BasicPort; } {
+    return {
+      record: Port.standart().description('Разобранная запись журнала')
+    }
+  }
+
+  actions(): { [key: string]: BasicAction; } {
+    return {
+      'history.clear': Action.global().requirements({}).description('Очистка журнала и счетчиков'),
+    }
+  }
+
+  shares: any = {
+    counters: {
+      requests: 0,
+      responses: 0,
+      exceptions: 0,
+      noresponse: 0,
+      garbage: 0
+    },
+    history: []
+  }
+
+  /**
+   * Декодер потока
+  */
+  stream!: ModbusStream
+
+  /**
+   * Последний запрос и время его получения
+  */
+  lastRequest: { request: ModbusRequest, time: number } | null = null
+
+  preProcess(): void {
+    this.stream = new ModbusStream({ silence: this.options.silence })
+  }
+
+  /**
+   * Обработка очередного куска данных линии
+  */
+  inputData(data: Buffer) {
+    const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data)
+    for (const frame of this.stream.push(chunk)) this.processFrame(frame)
+    this.render()
+  }
+
+  /**
+   * Преобразует кадр декодера в записи журнала
+  */
+  processFrame(frame: ModbusStreamFrame) {
+    const raw = frame.raw.toString('hex')
+    if (frame.type === 'garbage') {
+      this.shares.counters.garbage++
+      this.addRecord({ type: 'garbage', time: frame.time, raw })
+      return
+    }
+
+    if (frame.request) {
+      const req = frame.request
+      if (this.lastRequest) this.addNoResponse(this.lastRequest.request, this.lastRequest.time)
+      this.lastRequest = (req.slaveId === 0) ? null : { request: req, time: frame.time }
+      this.shares.counters.requests++
+      this.addRecord({
+        type: 'request', time: frame.time, raw,
+        slaveId: req.slaveId, functionCode: req.functionCode,
+        address: req.address, quantity: req.quantity, values: req.values
+      })
+      return
+    }
+
+    if (frame.response) {
+      const resp = frame.response
+      const record: MonitorRecord = {
+        type: (resp.exceptionCode !== undefined) ? 'exception' : 'response',
+        time: frame.time, raw,
+        slaveId: resp.slaveId, functionCode: resp.functionCode
+      }
+      if (resp.exceptionCode !== undefined) {
+        record.exceptionCode = resp.exceptionCode
+        this.shares.counters.exceptions++
+      } else {
+        record.data = resp.data.toString('hex')
+        this.shares.counters.responses++
+      }
+      if (this.lastRequest &&
+        this.lastRequest.request.slaveId === resp.slaveId &&
+        this.lastRequest.request.functionCode === resp.functionCode) {
+        record.address = this.lastRequest.request.address
+        record.quantity = this.lastRequest.request.quantity
+        record.latency = frame.time - this.lastRequest.time
+      }
+      this.lastRequest = null
+      this.addRecord(record)
+    }
+  }
+
+  /**
+   * Добавляет запись о запросе без ответа
+  */
+  addNoResponse(req: ModbusRequest, time: number) {
+    this.shares.counters.noresponse++
+    this.addRecord({
+      type: 'noresponse', time, raw: '',
+      slaveId: req.slaveId, functionCode: req.functionCode,
+      address: req.address, quantity: req.quantity
+    })
+  }
+
+  /**
+   * Добавляет запись в журнал и отправляет в порт, если она проходит фильтры
+  */
+  addRecord(record: MonitorRecord) {
+    if (!this.filter(record)) return
+    this.shares.history.push(record)
+    if (this.shares.history.length > this.options.history) this.shares.history.shift()
+    this.ports.output.record.push(record)
+  }
+
+  /**
+   * Проверка записи по фильтрам опций
+  */
+  filter(record: MonitorRecord): boolean {
+    if (record.type === 'garbage') return this.options.garbage
+    const slaveIds: number[] = this.options.slaveIds
+    const functionCodes: number[] = this.options.functionCodes
+    if (slaveIds.length && !slaveIds.includes(record.slaveId as number)) return false
+    if (functionCodes.length && !functionCodes.includes(record.functionCode as number)) return false
+    return true
+  }
+
+  async actionHistoryClear() {
+    this.shares.history = []
+    for (const key of Object.keys(this.shares.counters)) this.shares.counters[key] = 0
+    this.render()
+    return { result: 'success' }
+  }
+}
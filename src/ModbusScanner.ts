@@ -0,0 +1,182 @@
+import { Rule, BasicType, BasicPort, Port, Action, BasicAction } from "vrack2-core";
+import DeviceRTU from "./DeviceRTU"
+import { ModbusResponse } from "./classes/ModbusRTU";
+import fs from 'fs';
+import path from "path";
+
+/**
+ * Найденное при сканировании устройство
+ *
+ * @property {number} address - Адрес устройства
+ * @property {number} latency - Время ответа на пробный запрос в мс
+ * @property {number} [exceptionCode] - Код исключения, если устройство ответило исключением
+ * @property {number} [serverId] - Идентификатор из ответа Report Slave ID (0x11)
+ * @property {boolean} [runIndicator] - Признак работы из ответа 0x11
+ * @property {string} [slaveData] - Данные ответа 0x11 (hex)
+ * @property {Object} [deviceId] - Объекты Read Device Identification (0x2B / 0x0E): 0 - производитель, 1 - код продукта, 2 - версия
+ */
+export interface ScanResult {
+  address: number;
+  latency: number;
+  exceptionCode?: number;
+  serverId?: number;
+  runIndicator?: boolean;
+  slaveData?: string;
+  deviceId?: { [objectId: number]: string };
+}
+
+/**
+ * Сканер шины Modbus
+ *
+ * Получает провайдер так же как {@link DeviceRTU} и по экшену опрашивает диапазон адресов
+ * дешевым запросом чтения. Устройство считается найденным, если оно ответило
+ * корректным ответом или исключением. За одну передачу управления проверяется
+ * не больше `slice` адресов, что бы остальные устройства шины продолжали опрашиваться
+*/
+export default class ModbusScanner extends DeviceRTU {
+
+  description(): string {
+      return fs.readFileSync(path.join(path.dirname(__dirname), 'docs','ModbusScanner.md')).toString('utf-8')
+  }
+
+  checkOptions(): { [key: string]: BasicType; } {
+    const parent = super.checkOptions()
+    return {
+      ...parent,
+      timeout: Rule.number().integer().default(200).min(0).description('Таймаут пробного запроса в мс').example(0),
+      from: Rule.number().integer().default(1).min(1).max(247).description('Первый адрес сканирования по умолчанию'),
+      to: Rule.number().integer().default(247).min(1).max(247).description('Последний адрес сканирования по умолчанию'),
+      slice: Rule.number().integer().default(4).min(1).description('Количество адресов, проверяемых за одну передачу управления'),
+      probeFunction: Rule.number().integer().default(0x03).min(0x01).max(0x04).description('Функция пробного запроса (0x01-0x04)'),
+      probeAddress: Rule.number().integer().default(0).min(0).max(0xFFFF).description('Адрес пробного запроса'),
+      probeRetries: Rule.number().integer().default(1).min(1).description('Количество попыток пробного запроса'),
+      identify: Rule.boolean().default(true).description('Запрашивать у найденных устройств Report Slave ID (0x11) и Read Device Identification (0x2B)'),
+    }
+  }
+
+  outputs(): { [key: string]: BasicPort; } {
+    return {
+      ...super.outputs(),
+      found: Port.standart().description('Найденное устройство (ScanResult)'),
+      done: Port.standart().description('Сканирование завершено - список найденных устройств')
+    }
+  }
+
+  actions(): { [key: string]: BasicAction; } {
+    return {
+      ...super.actions(),
+      'scan.start': Action.global().requirements({
+        from: Rule.number().integer().min(1).max(247).description('Первый адрес (по умолчанию опция from)'),
+        to: Rule.number().integer().min(1).max(247).description('Последний адрес (по умолчанию опция to)')
+      }).description('Запуск сканирования'),
+      'scan.stop': Action.global().requirements({}).description('Остановка сканирования'),
+    }
+  }
+
+  shares: any = {
+    online: false,
+    process: false,
+    scan: {
+      running: false,
+      from: 0,
+      to: 0,
+      current: 0, // Следующий проверяемый адрес
+      progress: 0, // Процент выполнения
+      started: 0,
+      finished: 0
+    },
+    found: [], // Найденные устройства (ScanResult)
+    timing: {} // Время ответа по адресу в мс, null - нет ответа
+  }
+
+  async actionScanStart(data: { from?: number, to?: number }) {
+    const from = data.from ?? this.options.from
+    const to = data.to ?? this.options.to
+    if (from > to) return { result: 'error' }
+    this.shares.scan = { running: true, from, to, current: from, progress: 0, started: Date.now(), finished: 0 }
+    this.shares.found = []
+    this.shares.timing = {}
+    this.render()
+    return { result: 'success' }
+  }
+
+  async actionScanStop() {
+    this.shares.scan.running = false
+    this.render()
+    return { result: 'success' }
+  }
+
+  /**
+   * Проверяет очередную порцию адресов
+  */
+  async update() {
+    const scan = this.shares.scan
+    for (let i = 0; i < this.options.slice && scan.running; i++) {
+      await this.probe(scan.current)
+      scan.progress = Math.round((scan.current - scan.from + 1) / (scan.to - scan.from + 1) * 100)
+      scan.current++
+      if (scan.current > scan.to) this.finish()
+    }
+    this.render()
+  }
+
+  /**
+   * Проверяет один адрес
+   *
+   * Любой разобранный ответ (в том числе исключение) означает, что устройство есть
+  */
+  async probe(address: number) {
+    const start = Date.now()
+    const resp = await this.tryRequest(this.makeRequest(this.options.probeFunction, this.options.probeAddress, 1, undefined, address), this.options.probeRetries)
+    if (!resp) {
+      this.shares.timing[address] = null
+      return
+    }
+    const result: ScanResult = { address, latency: Date.now() - start }
+    this.shares.timing[address] = result.latency
+    if (resp.exceptionCode !== undefined) result.exceptionCode = resp.exceptionCode
+    if (this.options.identify) await this.identify(result)
+    this.shares.found.push(result)
+    this.ports.output.found.push(result)
+  }
+
+  /**
+   * Запрашивает идентификацию найденного устройства
+   *
+   * Функции 0x11 и 0x2B поддерживаются не всеми устройствами,
+   * исключение или отсутствие ответа просто пропускаются
+  */
+  async identify(result: ScanResult) {
+    const slave = await this.tryRequest(this.makeRequest(0x11, 0, 0, undefined, result.address), 1)
+    if (slave && slave.exceptionCode === undefined) {
+      result.serverId = slave.serverId
+      result.runIndicator = slave.runIndicator
+      result.slaveData = slave.data.toString('hex')
+    }
+    // Базовая идентификация (1): производитель, код продукта, версия
+    const device = await this.tryRequest(this.makeRequest(0x2B, 1, 0, undefined, result.address), 1)
+    if (device && device.deviceId) result.deviceId = device.deviceId.objects
+  }
+
+  /**
+   * Отправляет запрос и возвращает ответ (в том числе с исключением) или null, если ответа нет
+   * или он не разобран
+  */
+  protected async tryRequest(buffer: Buffer, maxRetries: number): Promise<ModbusResponse | null> {
+    try {
+      return await this.transfer(buffer, maxRetries)
+    } catch (err) {
+      return null
+    }
+  }
+
+  /**
+   * Завершает сканирование
+  */
+  protected finish() {
+    const scan = this.shares.scan
+    scan.running = false
+    scan.finished = Date.now()
+    this.ports.output.done.push([...this.shares.found])
+  }
+}
@@ -0,0 +1,173 @@
+import { Device, Action, BasicAction, Rule, BasicType, ErrorManager } from "vrack2-core";
+import { ModbusArea, ModbusRTU } from "./classes/ModbusRTU";
+import { ModbusSlave } from "./classes/ModbusSlave";
+import net from 'net';
+import fs from 'fs';
+import path from "path";
+
+ErrorManager.register(
+  'ModbusSimulator',
+  'G3VJX7PL5',
+  'V2MODBUS_SIMULATOR_ADDRESS_UNKNOWN',
+  'Address is not present in the simulator table',
+);
+
+/**
+ * Симулятор ведомого Modbus RTU устройства
+ *
+ * Слушает локальный TCP порт и отвечает на RTU запросы, как реальное устройство
+ * за преобразователем. Позволяет проверять наследников DeviceRTU без оборудования,
+ * подключив к нему vrack2-net.ConverterBus
+*/
+export default class ModbusSimulator extends Device {
+
+  description(): string {
+      return fs.readFileSync(path.join(path.dirname(__dirname), 'docs','ModbusSimulator.md')).toString('utf-8')
+  }
+
+  checkOptions(): { [key: string]: BasicType; } {
+    return {
+      host: Rule.string().default('127.0.0.1').description('Адрес для прослушивания'),
+      port: Rule.number().integer().default(5020).min(1).max(65535).description('TCP порт для прослушивания'),
+      slaveId: Rule.number().integer().default(1).min(1).max(247).description('Адрес симулируемого устройства'),
+      delay: Rule.number().integer().default(0).min(0).description('Задержка ответа в мс'),
+      tables: Rule.object().default({}).description('Начальные значения таблиц: { "holding": { "0": [10, 20] }, "coil": { "0": 1 } }'),
+      file: Rule.string().default('').description('JSON файл с начальными значениями таблиц (в формате опции tables)')
+    }
+  }
+
+  actions(): { [key: string]: BasicAction; } {
+    return {
+      'set.value': Action.global().requirements({
+        area: Rule.string().default('holding').description('Область: coil, di, holding, input'),
+        address: Rule.number().integer().min(0).max(0xFFFF).description('Адрес'),
+        value: Rule.number().integer().description('Значение')
+      }).description('Изменение одного значения таблицы'),
+      'set.values': Action.global().requirements({
+        area: Rule.string().default('holding').description('Область: coil, di, holding, input'),
+        address: Rule.number().integer().min(0).max(0xFFFF).description('Адрес первого значения'),
+        values: Rule.array().content(Rule.number().integer()).description('Значения')
+      }).description('Изменение нескольких последовательных значений таблицы'),
+      'get.values': Action.global().requirements({
+        area: Rule.string().default('holding').description('Область: coil, di, holding, input'),
+        address: Rule.number().integer().min(0).max(0xFFFF).description('Адрес первого значения'),
+        quantity: Rule.number().integer().default(1).min(1).max(2000).description('Количество значений')
+      }).description('Чтение значений таблицы'),
+    }
+  }
+
+  shares: any = {
+    listen: false,
+    clients: 0,
+    requests: 0,
+    exceptions: 0
+  }
+
+  /**
+   * Модель ведомого устройства
+  */
+  slave!: ModbusSlave
+
+  /**
+   * TCP сервер симулятора
+  */
+  server!: net.Server
+
+  preProcess(): void {
+    this.slave = new ModbusSlave(this.options.slaveId)
+    if (this.options.file) {
+      const content = fs.readFileSync(path.resolve(this.options.file)).toString('utf-8')
+      this.slave.load(JSON.parse(content))
+    }
+    this.slave.load(this.options.tables)
+  }
+
+  process(): void {
+    this.server = net.createServer((socket) => this.onConnection(socket))
+    this.server.on('error', (err) => this.error('Simulator server error', err))
+    this.server.listen(this.options.port, this.options.host, () => {
+      this.shares.listen = true
+      this.render()
+    })
+  }
+
+  /**
+   * Обработка нового подключения
+   *
+   * Байты накапливаются до получения полного запроса. При ошибке CRC
+   * накопленный буфер сбрасывается
+  */
+  onConnection(socket: net.Socket) {
+    let buffer = Buffer.alloc(0)
+    this.shares.clients++
+    this.render()
+
+    socket.on('data', (chunk: Buffer) => {
+      buffer = Buffer.concat([buffer, chunk])
+      while (buffer.length >= 4) { // Минимальный размер запроса (0x07, 0x11)
+        const size = this.requestSize(buffer)
+        if (!size || buffer.length < size) break
+        const request = buffer.subarray(0, size)
+        buffer = buffer.subarray(size)
+        if (!ModbusRTU.verifyCRC(request)) { buffer = Buffer.alloc(0); break }
+        this.answer(socket, request)
+      }
+    })
+    socket.on('error', (err) => this.error('Simulator socket error', err))
+    socket.on('close', () => {
+      this.shares.clients--
+      this.render()
+    })
+  }
+
+  /**
+   * Размер запроса в начале буфера по коду функции (см. {@link ModbusRTU.requestLength})
+   *
+   * Неизвестные функции считаются 8 байтными, что бы ответить ILLEGAL FUNCTION.
+   * 0 - для определения размера известной функции нужно больше данных
+  */
+  requestSize(buffer: Buffer): number {
+    const size = ModbusRTU.requestLength(buffer)
+    if (size) return size
+    const known = Object.values(ModbusRTU.FUNCTION_CODES).includes(buffer.readUInt8(1))
+    return known ? 0 : 8
+  }
+
+  /**
+   * Формирует ответ на запрос и отправляет его с учетом опции delay
+  */
+  answer(socket: net.Socket, request: Buffer) {
+    const response = this.slave.handleRTU(request)
+    this.shares.requests++
+    if (response && (response.readUInt8(1) & 0x80)) this.shares.exceptions++
+    this.render()
+    if (!response) return
+    setTimeout(() => { if (!socket.destroyed) socket.write(response) }, this.options.delay)
+  }
+
+  async actionSetValue(data: { area: ModbusArea, address: number, value: number }) {
+    this.checkAddress(data.area, data.address, 1)
+    this.slave.setValues(data.area, data.address, [data.value])
+    return { result: 'success' }
+  }
+
+  async actionSetValues(data: { area: ModbusArea, address: number, values: number[] }) {
+    this.checkAddress(data.area, data.address, data.values.length)
+    this.slave.setValues(data.area, data.address, data.values)
+    return { result: 'success' }
+  }
+
+  async actionGetValues(data: { area: ModbusArea, address: number, quantity: number }) {
+    this.checkAddress(data.area, data.address, data.quantity)
+    return { result: 'success', values: this.slave.getValues(data.area, data.address, data.quantity) }
+  }
+
+  /**
+   * Проверяет что все адреса диапазона есть в таблице области
+  */
+  protected checkAddress(area: ModbusArea, address: number, quantity: number) {
+    if (!(area in this.slave.tables) || !this.slave.getValues(area, address, quantity)) {
+      throw ErrorManager.make('V2MODBUS_SIMULATOR_ADDRESS_UNKNOWN', { area, address, quantity })
+    }
+  }
+}
@@ -0,0 +1,174 @@
+import { Rule, BasicType, BasicPort, Port, Action, BasicAction, ErrorManager } from "vrack2-core";
+import DeviceRTU, { PollGroup } from "./DeviceRTU"
+import { ModbusArea } from "./classes/ModbusRTU";
+import { ModbusTypes, ModbusValue } from "./classes/ModbusTypes";
+import { ModbusProfile, ModbusProfileData, ProfileRegister } from "./classes/ModbusProfile";
+import { ReadPlanner } from "./classes/ReadPlanner";
+import fs from 'fs';
+import path from "path";
+
+/**
+ * Устройство, полностью описанное JSON профилем
+ *
+ * Профиль (см. {@link ModbusProfile}) задает регистры, группы опроса и настройки.
+ * Для каждого читаемого регистра создается выходной порт, для каждого
+ * записываемого - экшен `set.<name>` с проверкой min/max
+*/
+export default class ProfileDevice extends DeviceRTU {
+
+  description(): string {
+      return fs.readFileSync(path.join(path.dirname(__dirname), 'docs','ProfileDevice.md')).toString('utf-8')
+  }
+
+  checkOptions(): { [key: string]: BasicType; } {
+    const parent = super.checkOptions()
+    return {
+      ...parent,
+      profile: Rule.string().description('Имя профиля из каталога profiles или путь к JSON файлу профиля').example('RainSnowSensor'),
+      eachGate: Rule.boolean().default(false).description('Отправлять результат при каждом опросе (true) если false будет отправлять только изменения')
+    }
+  }
+
+  outputs(): { [key: string]: BasicPort; } {
+    const result: { [key: string]: BasicPort; } = { ...super.outputs() }
+    for (const reg of this.getProfile().registers) {
+      if (!ModbusProfile.isReadable(reg)) continue
+      const unit = reg.unit ? ` (${reg.unit})` : ''
+      result[reg.name] = Port.standart().description((reg.description || reg.name) + unit)
+    }
+    return result
+  }
+
+  actions(): { [key: string]: BasicAction; } {
+    const result: { [key: string]: BasicAction; } = { ...super.actions() }
+    for (const reg of this.getProfile().registers) {
+      if (!ModbusProfile.isWritable(reg)) continue
+      let value = Rule.number()
+      if (reg.area === 'coil') value = value.integer().min(0).max(1)
+      if (reg.min !== undefined) value = value.min(reg.min)
+      if (reg.max !== undefined) value = value.max(reg.max)
+      const unit = reg.unit ? ` (${reg.unit})` : ''
+      result['set.' + reg.name] = Action.global().requirements({
+        value: value.description('Значение' + unit)
+      }).description('Запись: ' + (reg.description || reg.name))
+    }
+    return result
+  }
+
+  shares: any = {
+    online: false,
+    process: false,
+    profile: '', // Название профиля
+    values: {}, // Значения по имени регистра
+    units: {} // Единицы измерения по имени регистра
+  }
+
+  /**
+   * Загруженный профиль
+  */
+  protected profile?: ModbusProfileData
+
+  preProcess(): void {
+    const profile = this.getProfile()
+    this.shares.profile = profile.name
+    profile.registers.forEach((reg, index) => {
+      if (!DeviceRTU.RESERVED_PORTS.includes(reg.name)) return
+      throw ErrorManager.make('V2MODBUS_PROFILE_INVALID', { profile: this.options.profile, field: `registers[${index}].name`, reason: `name "${reg.name}" is reserved` })
+    })
+    for (const reg of profile.registers) {
+      if (ModbusProfile.isReadable(reg)) {
+        this.shares.values[reg.name] = null
+        this.shares.units[reg.name] = reg.unit
+      }
+      if (!ModbusProfile.isWritable(reg)) continue
+      // Обработчик экшена set.<name>
+      Object.assign(this, {
+        ['actionSet' + reg.name[0].toUpperCase() + reg.name.slice(1)]: (data: { value: number }) => this.setRegister(reg, data.value)
+      })
+    }
+  }
+
+  /**
+   * Возвращает профиль, загружая и проверяя его при первом обращении
+  */
+  getProfile(): ModbusProfileData {
+    if (!this.profile) this.profile = ModbusProfile.load(this.options.profile)
+    return this.profile
+  }
+
+  /**
+   * Группы опроса из профиля
+  */
+  pollGroups(): { [name: string]: PollGroup } {
+    const result: { [name: string]: PollGroup } = {}
+    for (const [name, interval] of Object.entries(this.getProfile().groups)) {
+      result[name] = { interval, method: () => this.readGroup(name) }
+    }
+    return result
+  }
+
+  /**
+   * Читает регистры группы (адреса каждой области объединяются в общие запросы)
+  */
+  async readGroup(group: string) {
+    const registers = this.getProfile().registers.filter(reg => reg.group === group && ModbusProfile.isReadable(reg))
+    const values = new Map<ModbusArea, Map<number, number>>()
+    for (const [area, addresses] of ReadPlanner.itemAddresses(registers)) {
+      values.set(area, await this.readAddresses(area, addresses, true))
+    }
+
+    for (const reg of registers) {
+      this.fillValue(reg, ReadPlanner.itemValue(reg, values.get(reg.area) as Map<number, number>))
+    }
+    this.render()
+  }
+
+  /**
+   * Сохраняет значение в shares и отправляет в порт при изменении
+   * (или всегда, если включена опция eachGate), см. {@link offer}
+  */
+  fillValue(reg: ProfileRegister, value: ModbusValue) {
+    this.shares.values[reg.name] = value
+    this.offer(reg.name, value, this.options.eachGate)
+  }
+
+  /**
+   * Обработчик экшена `set.<name>` - ставит запись в очередь
+   *
+   * Повторная запись того же регистра заменяет еще не выполненную.
+   * После записи группа регистра будет опрошена при следующей передаче управления
+  */
+  async setRegister(reg: ProfileRegister, value: number) {
+    const accepted = await this.actionAddQueue(() => this.writeRegister(reg, value), { key: reg.name })
+    if (ModbusProfile.isReadable(reg)) this.pollNow(reg.group)
+    return { result: 'success', value: accepted }
+  }
+
+  /**
+   * Записывает значение регистра
+   *
+   * Значение переводится в сырое (`(value - offset) / scale`) и записывается командой
+   * 0x05 для coil, 0x06 для одного регистра или 0x10 для нескольких.
+   * Если у регистра включено `verify` - запись выполняется с проверкой (см. {@link writeVerify})
+   *
+   * @returns Значение, которое принято устройством
+  */
+  async writeRegister(reg: ProfileRegister, value: number): Promise<ModbusValue> {
+    if (reg.area === 'coil') {
+      const bit = value ? 1 : 0
+      if (reg.verify) return (await this.writeVerify(0x05, reg.address, [bit]))[0]
+      await this.simpleRequest(0x05, reg.address, bit)
+      return bit
+    }
+
+    let raw = (value - reg.offset) / reg.scale
+    if (!reg.type.startsWith('float')) raw = Math.round(raw)
+    const registers = ModbusTypes.encode(raw, reg.type, reg)
+    const cmd = (registers.length === 1) ? 0x06 : 0x10
+    let actual = registers
+    if (reg.verify) actual = await this.writeVerify(cmd, reg.address, registers)
+    else if (cmd === 0x06) await this.simpleRequest(cmd, reg.address, registers[0])
+    else await this.simpleRequest(cmd, reg.address, registers.length, registers)
+    return ReadPlanner.decodeItem(reg, actual)
+  }
+}
\ No newline at end of file
@@ -0,0 +1,152 @@
+import { Rule, BasicType, BasicPort, Port, ErrorManager } from "vrack2-core";
+import DeviceRTU, { PublishSettings } from "./DeviceRTU"
+import { ModbusTypes, ModbusDataType, ModbusByteOrder } from "./classes/ModbusTypes";
+import { ReadItem, ReadPlanner } from "./classes/ReadPlanner";
+import fs from 'fs';
+import path from "path";
+
+ErrorManager.register(
+  'UniversalAI',
+  'M9RWT5EHK',
+  'V2MODBUS_AI_AREA_INVALID',
+  'Analog input area must be input or holding',
+);
+
+ErrorManager.register(
+  'UniversalAI',
+  'J3VXB7NQ2',
+  'V2MODBUS_AI_TYPE_INVALID',
+  'Analog input channel type must be a numeric data type',
+);
+
+/**
+ * Настройки канала аналогового входа
+*/
+export interface AIChannel {
+  type: ModbusDataType;
+  order: ModbusByteOrder;
+  scale: number;
+  offset: number;
+  deadband: number;
+}
+
+/**
+ * Универсальное устройство аналоговых входов до 64 портов
+ *
+ * Читает подряд идущие input (0x04) или holding (0x03) регистры,
+ * для каждого канала задается тип данных, масштаб, смещение и зона нечувствительности
+*/
+export default class UniversalAI extends DeviceRTU {
+
+  /**
+   * Типы данных каналов - только числовые (string и bits не являются аналоговым значением)
+  */
+  static readonly CHANNEL_TYPES: ModbusDataType[] = ModbusTypes.DATA_TYPES.filter(type => type !== 'string' && type !== 'bits')
+
+  description(): string {
+      return fs.readFileSync(path.join(path.dirname(__dirname), 'docs','UniversalAI.md')).toString('utf-8')
+  }
+
+  checkOptions(): { [key: string]: BasicType; } {
+    const parent = super.checkOptions()
+    return {
+      ...parent,
+      countAI: Rule.number().integer().default(8).min(1).max(64).description('Количество аналоговых входов'),
+      area: Rule.string().default('input').description('Область регистров: input (0x04) или holding (0x03)'),
+      start: Rule.number().integer().default(0).min(0).max(0xFFFF).description('Адрес первого регистра'),
+      channels: Rule.array().content(
+        Rule.object().fields({
+          type: Rule.string().default('uint16').description('Тип данных: int16, uint16, int32, uint32, float32 ...'),
+          order: Rule.string().default('ABCD').description('Порядок байт: ABCD, CDAB, BADC, DCBA'),
+          scale: Rule.number().default(1).description('Множитель значения'),
+          offset: Rule.number().default(0).description('Смещение значения (после умножения)'),
+          deadband: Rule.number().default(0).min(0).description('Зона нечувствительности - изменение меньше или равное не отправляется'),
+        })
+      ).default([]).description('Настройки каналов по порядку (ai1, ai2 ...), для остальных - uint16 без масштаба'),
+      eachGate: Rule.boolean().default(false).description('Отправлять результат при каждом опросе (true) если false будет отправлять только изменения')
+    }
+  }
+
+  outputs(): { [key: string]: BasicPort; } {
+    const parent = super.outputs()
+    return {
+      ...parent,
+      'ai%d': Port.standart().dynamic(this.options.countAI).description('Порт для получения значения аналогового входа')
+    }
+  }
+
+  shares: any = {
+    online: false,
+    process: false,
+    ai: [] // Значения аналоговых входов (0 индекс = 1 порт)
+  }
+
+  /**
+   * Каналы с адресами первых регистров (0 индекс = 1 порт)
+  */
+  items: Array<AIChannel & ReadItem> = []
+
+  preProcess(): void {
+    if (this.options.area !== 'input' && this.options.area !== 'holding') {
+      throw ErrorManager.make('V2MODBUS_AI_AREA_INVALID', { area: this.options.area })
+    }
+    let address = this.options.start
+    for (let i = 0; i < this.options.countAI; i++) {
+      const channel = this.getChannel(i)
+      if (!UniversalAI.CHANNEL_TYPES.includes(channel.type)) throw ErrorManager.make('V2MODBUS_AI_TYPE_INVALID', { port: 'ai' + (i + 1), type: channel.type })
+      const item = { ...channel, area: this.options.area, address }
+      this.items.push(item)
+      this.shares.ai.push(null)
+      address += ReadPlanner.itemCount(item)
+    }
+  }
+
+  async update() {
+    await this.updateAI()
+  }
+
+  /**
+   * Читает регистры всех каналов (соседние регистры объединяются в общие запросы)
+  */
+  async updateAI() {
+    const addresses = ReadPlanner.itemAddresses(this.items).get(this.options.area) ?? []
+    const values = await this.readAddresses(this.options.area, addresses)
+    this.items.forEach((item, index) => this.fillAI(index, ReadPlanner.itemValue(item, values) as number))
+    this.render()
+  }
+
+  /**
+   * Обновляет значение канала и предлагает его для отправки в порт (см. {@link offer})
+   * 
+   * Значение отправляется, если изменение больше зоны нечувствительности
+   * (или всегда, если включена опция eachGate)
+  */
+  fillAI(index: number, value: number) {
+    this.shares.ai[index] = value
+    this.offer('ai' + (index + 1), value, this.options.eachGate)
+  }
+
+  /**
+   * Зона нечувствительности канала используется, если она не задана опцией publishing
+  */
+  publishSettings(port: string): PublishSettings {
+    const settings = super.publishSettings(port)
+    const match = /^ai(\d+)$/.exec(port)
+    if (!match) return settings
+    return { deadband: this.getChannel(parseInt(match[1]) - 1).deadband, ...settings }
+  }
+
+  /**
+   * Настройки канала с учетом значений по умолчанию
+  */
+  getChannel(index: number): AIChannel {
+    const channel = this.options.channels[index] ?? {}
+    return {
+      type: channel.type ?? 'uint16',
+      order: channel.order ?? 'ABCD',
+      scale: channel.scale ?? 1,
+      offset: channel.offset ?? 0,
+      deadband: channel.deadband ?? 0
+    }
+  }
+}
@@ -1,11 +1,21 @@
-import { Rule, BasicType, BasicPort, Port } from "vrack2-core";
+import { Rule, BasicType, BasicPort, Port, ErrorManager, Action, BasicAction } from "vrack2-core";
 import DeviceRTU from "./DeviceRTU"
+import { ModbusRTU, ModbusArea } from "./classes/ModbusRTU";
 import fs from 'fs';
 import path from "path";
 
+ErrorManager.register(
+  'UniversalDI',
+  'QH4ZB7LWD',
+  'V2MODBUS_DI_AREA_INVALID',
+  'Discrete input area must be di or coil',
+);
+
 /**
- * Пример устройствоа для чтения дискретных входов READ_DISCRETE_INPUTS 0x02
- * Универсальное устроство до 64 входящих портов
+ * Пример устройствоа для чтения дискретных входов READ_DISCRETE_INPUTS 0x02 (или coils READ_COILS 0x01)
+ * Универсальное устроство до 2000 входящих портов
+ * 
+ * Поддерживает инверсию каналов, подавление дребезга и счетчики импульсов
 */
 export default class UniversalDI extends DeviceRTU {
 
@@ -17,7 +27,13 @@ export default class UniversalDI extends DeviceRTU {
     const parent = super.checkOptions()
     return {
       ...parent,
-      сountDI: Rule.number().integer().default(8).min(1).max(64).description('Количество входящих DI портов'),
+      сountDI: Rule.number().integer().default(8).min(1).max(2000).description('Количество входящих DI портов'),
+      area: Rule.string().default('di').description('Область: di - READ_DISCRETE_INPUTS (0x02), coil - READ_COILS (0x01)'),
+      start: Rule.number().integer().default(0).min(0).max(0xFFFF).description('Адрес первого входа'),
+      blockSize: Rule.number().integer().default(2000).min(1).max(2000).description('Максимальное количество входов в одном запросе'),
+      invert: Rule.array().content(Rule.number().integer().min(1).max(2000)).default([]).description('Номера инвертируемых входов (начиная с 1)'),
+      debounce: Rule.number().integer().default(1).min(1).description('Количество одинаковых опросов подряд, после которых новое значение входа принимается'),
+      counters: Rule.boolean().default(false).description('Считать импульсы (передние фронты) входов и отправлять их в порты count%d'),
       eachGate: Rule.boolean().default(false).description('Отправлять результат при каждом опросе (true) если false будет отправлять только изменения')
     }
   }
@@ -26,18 +42,55 @@ export default class UniversalDI extends DeviceRTU {
     const parent = super.outputs()
     return {
       ...parent,
-      'di%d': Port.standart().dynamic(this.options.сountDI).description('Порт для получения значения DI устройства')
+      'di%d': Port.standart().dynamic(this.options.сountDI).description('Порт для получения значения DI устройства'),
+      ...(this.options.counters ? {
+        'count%d': Port.standart().dynamic(this.options.сountDI).description('Порт для получения количества импульсов входа')
+      } : {})
+    }
+  }
+
+  actions(): { [key: string]: BasicAction; } {
+    return {
+      ...super.actions(),
+      'counter.reset': Action.global().requirements({
+        index: Rule.number().integer().min(0).max(2000).default(0).description('Номер входа (начиная с 1), 0 - все счетчики')
+      }).description('Сброс счетчиков импульсов'),
     }
   }
 
   shares: any = {
     online: false,
     process: false,
-    di: [] // Значение наших дискретных входов (0 индекс = 1 порт)
+    di: [], // Значение наших дискретных входов (0 индекс = 1 порт)
+    counters: [] // Количество импульсов входов (0 индекс = 1 порт)
   }
 
+  /**
+   * Индексы инвертируемых входов (с 0)
+  */
+  inverted = new Set<number>()
+
+  /**
+   * Значение-кандидат каждого входа и количество опросов подряд, в которых оно получено
+  */
+  bounce: Array<{ value: number, count: number }> = []
+
+  /**
+   * Был ли выполнен первый опрос (первое значение принимается без подавления дребезга и без подсчета фронта)
+  */
+  polled = false
+
   preProcess(): void {
-    for (let i = 1; i <= this.options.сountDI; i++) this.shares.di.push(0)
+    if (this.options.area !== 'di' && this.options.area !== 'coil') {
+      throw ErrorManager.make('V2MODBUS_DI_AREA_INVALID', { area: this.options.area })
+    }
+    for (let i = 1; i <= this.options.сountDI; i++) {
+      this.shares.di.push(0)
+      this.shares.counters.push(0)
+      this.bounce.push({ value: 0, count: 0 })
+      this.offerInitial('di' + i, 0)
+    }
+    for (const index of this.options.invert) this.inverted.add(index - 1)
   }
 
   /**
@@ -51,24 +104,31 @@ export default class UniversalDI extends DeviceRTU {
   }
 
   /**
-   * Обновляет состояния дискретных входов (DI) устройства через Modbus-команду READ_DISCRETE_INPUTS (0x02).
+   * Обновляет состояния дискретных входов (DI) устройства через Modbus-команду READ_DISCRETE_INPUTS (0x02)
+   * или READ_COILS (0x01) в зависимости от опции area.
    * 
-   * Запрашивает {@link options.сountDI} битов, получает ответ в виде буфера байтов,
-   * и последовательно разбирает каждый байт на отдельные биты, начиная с DI1 (младший бит первого байта).
+   * Запрашивает {@link options.сountDI} битов начиная с адреса {@link options.start}, блоками
+   * не более {@link options.blockSize} битов. Каждый ответ последовательно разбирается
+   * на отдельные биты, начиная с младшего бита первого байта.
    * 
    * Последний байт может содержать меньше 8 значимых битов — обрабатывается корректно.
    * После обновления вызывается {@link render} для отображения изменений.
    */
   async updateDI() {
-    // Команда READ_DISCRETE_INPUTS 0x02
-    const resp = await this.simpleRequest(0x02, 0x00, this.options.сountDI);
-    const byteCount = Math.ceil(this.options.сountDI / 8)
-    for (let i = 0; i < byteCount; i++) {
-      const byteValue = resp.data.readUInt8(i);
-      const offset = i * 8;
-      const bitsInThisByte = Math.min(8, this.options.сountDI - offset);
-      this.fillDI(offset, byteValue, bitsInThisByte);
+    const cmd = ModbusRTU.AREA_READ_CODES[this.options.area as ModbusArea]
+    for (let from = 0; from < this.options.сountDI; from += this.options.blockSize) {
+      const count = Math.min(this.options.blockSize, this.options.сountDI - from)
+      const resp = await this.simpleRequest(cmd, this.options.start + from, count);
+      const byteCount = Math.ceil(count / 8)
+      for (let i = 0; i < byteCount; i++) {
+        const byteValue = resp.data.readUInt8(i);
+        const offset = i * 8;
+        const bitsInThisByte = Math.min(8, count - offset);
+        this.fillDI(from + offset, byteValue, bitsInThisByte);
+      }
     }
+    this.polled = true
+    this.render()
   }
 
 /**
@@ -77,20 +137,60 @@ export default class UniversalDI extends DeviceRTU {
  * Биты читаются от младшего (bit 0) к старшему (bit 7), что соответствует
  * стандартному представлению DI в Modbus: бит 0 → DI1, бит 1 → DI2, и т.д.
  * 
- * Обновление порта происходит только если значение изменилось,
- * либо если включена опция options.eachGate.
+ * Каждый бит передается в {@link setDI} для инверсии, подавления дребезга и подсчета импульсов.
  * 
  * @param {number} offset - Базовый индекс в массиве DI (в битах), с которого начинается запись.
  * @param {number} mask - Байт (0–255), содержащий 8 битовых значений.
  * @param {number} bitCount - Количество значимых битов в маске (1–8), используется для последнего неполного байта.
  */
   fillDI(offset: number, mask: number, bitCount = 8) {
-    for (let i = 0; i < bitCount; i++) {
-      const bit = (mask >> i) & 1; // Чтение бита
-      if (this.shares.di[offset + i] !== bit || this.options.eachGate){
-        this.shares.di[offset + i] = bit;
-        this.ports.output['di' + (offset + i + 1)].push(bit);
-      }
+    for (let i = 0; i < bitCount; i++) this.setDI(offset + i, (mask >> i) & 1);
+  }
+
+  /**
+   * Обрабатывает прочитанное значение входа
+   * 
+   * Значение инвертируется (опция invert) и принимается только после {@link options.debounce}
+   * одинаковых опросов подряд. При переходе 0 → 1 увеличивается счетчик импульсов.
+   * 
+   * Значение отправляется в порт если оно изменилось, либо если включена опция options.eachGate
+   * (с учетом настроек публикации, см. {@link offer}).
+   * 
+   * @param {number} index - Индекс входа (с 0)
+   * @param {number} raw - Прочитанное значение 0/1
+   */
+  setDI(index: number, raw: number) {
+    const bit = this.inverted.has(index) ? raw ^ 1 : raw
+    const bounce = this.bounce[index]
+    if (this.polled && bit !== this.shares.di[index]) {
+      bounce.count = (bounce.value === bit) ? bounce.count + 1 : 1
+      bounce.value = bit
+      if (bounce.count < this.options.debounce) return
+    }
+    bounce.count = 0
+
+    const changed = this.shares.di[index] !== bit
+    this.shares.di[index] = bit;
+    this.offer('di' + (index + 1), bit, this.options.eachGate);
+    if (changed && bit && this.polled && this.options.counters) this.countPulse(index)
+  }
+
+  /**
+   * Увеличивает счетчик импульсов входа
+   */
+  countPulse(index: number) {
+    this.shares.counters[index]++
+    this.offer('count' + (index + 1), this.shares.counters[index])
+  }
+
+  async actionCounterReset(data: { index: number }) {
+    if (data.index > this.options.сountDI) return { result: 'error' }
+    for (let i = 0; i < this.options.сountDI; i++) {
+      if (data.index && data.index !== i + 1) continue
+      this.shares.counters[i] = 0
+      if (this.options.counters) this.offer('count' + (i + 1), 0, true)
     }
+    this.render()
+    return { result: 'success' }
   }
 }
\ No newline at end of file
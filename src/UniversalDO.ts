@@ -0,0 +1,168 @@
+import { Rule, BasicType, BasicPort, Port, Action, BasicAction } from "vrack2-core";
+import DeviceRTU from "./DeviceRTU"
+import fs from 'fs';
+import path from "path";
+
+/**
+ * Универсальное устройство дискретных выходов (coils) до 64 портов
+ *
+ * Значения выходов задаются входящими портами `do%d` или экшенами и записываются
+ * через очередь (0x0F одним запросом или 0x05 по одному). Состояние выходов
+ * читается функцией READ_COILS 0x01 при каждом опросе
+*/
+export default class UniversalDO extends DeviceRTU {
+
+  description(): string {
+      return fs.readFileSync(path.join(path.dirname(__dirname), 'docs','UniversalDO.md')).toString('utf-8')
+  }
+
+  checkOptions(): { [key: string]: BasicType; } {
+    const parent = super.checkOptions()
+    return {
+      ...parent,
+      countDO: Rule.number().integer().default(8).min(1).max(64).description('Количество дискретных выходов'),
+      start: Rule.number().integer().default(0).min(0).max(0xFFFF).description('Адрес первого выхода (coil)'),
+      multiple: Rule.boolean().default(true).description('Записывать изменения одним запросом 0x0F (true) или по одному запросом 0x05 (false)'),
+      eachGate: Rule.boolean().default(false).description('Отправлять результат при каждом опросе (true) если false будет отправлять только изменения')
+    }
+  }
+
+  inputs(): { [key: string]: BasicPort; } {
+    const parent = super.inputs()
+    return {
+      ...parent,
+      'do%d': Port.standart().dynamic(this.options.countDO).description('Порт для установки значения выхода (0/1)')
+    }
+  }
+
+  outputs(): { [key: string]: BasicPort; } {
+    const parent = super.outputs()
+    return {
+      ...parent,
+      'state%d': Port.standart().dynamic(this.options.countDO).description('Порт для получения состояния выхода, прочитанного из устройства')
+    }
+  }
+
+  actions(): { [key: string]: BasicAction; } {
+    return {
+      ...super.actions(),
+      'set.do': Action.global().requirements({
+        index: Rule.number().integer().min(1).max(64).description('Номер выхода (начиная с 1)'),
+        value: Rule.number().integer().min(0).max(1).description('Значение')
+      }).description('Установка одного выхода'),
+      'set.all': Action.global().requirements({
+        values: Rule.array().content(Rule.number().integer().min(0).max(1)).description('Значения выходов начиная с первого')
+      }).description('Установка нескольких выходов'),
+    }
+  }
+
+  shares: any = {
+    online: false,
+    process: false,
+    do: [] // Прочитанное состояние выходов (0 индекс = 1 выход)
+  }
+
+  /**
+   * Значения, которые нужно записать (индекс выхода с 0 => значение)
+  */
+  pending = new Map<number, number>()
+
+  preProcess(): void {
+    for (let i = 1; i <= this.options.countDO; i++) {
+      this.shares.do.push(0)
+      this.offerInitial('state' + i, 0)
+      // Обработчики динамических входов do1...doN
+      Object.assign(this, {
+        ['inputDo' + i]: (value: number) => {
+          this.setDO(i - 1, value ? 1 : 0).catch((err) => this.error('Set DO error', err as Error))
+        }
+      })
+    }
+  }
+
+  async update() {
+    await this.updateDO()
+  }
+
+  /**
+   * Читает состояние выходов командой READ_COILS (0x01) начиная с адреса {@link options.start}
+  */
+  async updateDO() {
+    const resp = await this.simpleRequest(0x01, this.options.start, this.options.countDO)
+    for (let i = 0; i < this.options.countDO; i++) this.fillDO(i, (resp.data.readUInt8(i >> 3) >> (i & 7)) & 1)
+  }
+
+  /**
+   * Обновляет состояние выхода в shares и отправляет его в порт при изменении
+   * (или всегда, если включена опция eachGate), см. {@link offer}
+  */
+  fillDO(index: number, value: number) {
+    this.shares.do[index] = value
+    this.offer('state' + (index + 1), value, this.options.eachGate)
+  }
+
+  async actionSetDo(data: { index: number, value: number }) {
+    if (data.index > this.options.countDO) return { result: 'error' }
+    await this.setDO(data.index - 1, data.value)
+    return { result: 'success' }
+  }
+
+  async actionSetAll(data: { values: number[] }) {
+    const values = data.values.slice(0, this.options.countDO)
+    await Promise.all(values.map((value, i) => this.setDO(i, value)))
+    return { result: 'success' }
+  }
+
+  /**
+   * Запоминает новое значение выхода и ставит запись в очередь
+   *
+   * Все изменения, накопленные до выполнения очереди, записываются одной задачей
+  */
+  setDO(index: number, value: number) {
+    this.pending.set(index, value)
+    return this.actionAddQueue(() => this.writePending(), { key: 'do' })
+  }
+
+  /**
+   * Записывает накопленные значения, которые отличаются от прочитанного состояния
+   *
+   * Значение удаляется из {@link pending} только после успешной записи - при ошибке
+   * оно будет записано следующей задачей вместе с новыми изменениями
+  */
+  async writePending() {
+    const changes = [...this.pending].filter(([index, value]) => {
+      if (this.shares.do[index] !== value) return true
+      this.pending.delete(index)
+      return false
+    })
+    if (!changes.length) return
+
+    if (!this.options.multiple) {
+      for (const [index, value] of changes) {
+        await this.simpleRequest(0x05, this.options.start + index, value)
+        this.fillDO(index, value)
+        this.clearPending(index, value)
+      }
+    } else {
+      // Один запрос 0x0F от первого до последнего измененного выхода,
+      // неизмененные выходы внутри диапазона записываются текущими значениями
+      const indexes = changes.map(([index]) => index)
+      const from = Math.min(...indexes)
+      const to = Math.max(...indexes)
+      const values: number[] = this.shares.do.slice(from, to + 1)
+      for (const [index, value] of changes) values[index - from] = value
+      await this.simpleRequest(0x0F, this.options.start + from, values.length, values)
+      values.forEach((value, i) => this.fillDO(from + i, value))
+      for (const [index, value] of changes) this.clearPending(index, value)
+    }
+    this.render()
+  }
+
+  /**
+   * Удаляет записанное значение из {@link pending}, если за время записи для выхода
+   * не было задано новое значение
+  */
+  protected clearPending(index: number, value: number) {
+    if (this.pending.get(index) === value) this.pending.delete(index)
+  }
+}
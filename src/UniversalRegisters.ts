@@ -0,0 +1,133 @@
+import { Rule, BasicType, BasicPort, Port, ErrorManager } from "vrack2-core";
+import DeviceRTU from "./DeviceRTU"
+import { ModbusArea, ModbusRTU } from "./classes/ModbusRTU";
+import { ModbusDataType, ModbusByteOrder, ModbusValue } from "./classes/ModbusTypes";
+import { ReadPlanner } from "./classes/ReadPlanner";
+import fs from 'fs';
+import path from "path";
+
+ErrorManager.register(
+  'UniversalRegisters',
+  'K2HQV6RZ0',
+  'V2MODBUS_REGISTER_AREA_UNKNOWN',
+  'Unknown register area, expected coil, di, holding or input',
+);
+
+ErrorManager.register(
+  'UniversalRegisters',
+  'T5NMC1XJ9',
+  'V2MODBUS_REGISTER_PORT_DUPLICATE',
+  'Register output port name is already used',
+);
+
+ErrorManager.register(
+  'UniversalRegisters',
+  'W8DLP3FQ6',
+  'V2MODBUS_REGISTER_PORT_RESERVED',
+  'Register output port name is reserved by DeviceRTU outputs',
+);
+
+/**
+ * Описание одного регистра карты из опции `registers`
+*/
+export interface RegisterMapItem {
+  area: ModbusArea;
+  address: number;
+  type: ModbusDataType;
+  order: ModbusByteOrder;
+  length: number;
+  scale: number;
+  offset: number;
+  unit: string;
+  port: string;
+}
+
+/**
+ * Универсальное устройство для чтения карты регистров
+ *
+ * Карта регистров полностью задается опцией `registers`, для каждого регистра
+ * создается свой выходной порт
+*/
+export default class UniversalRegisters extends DeviceRTU {
+
+  description(): string {
+      return fs.readFileSync(path.join(path.dirname(__dirname), 'docs','UniversalRegisters.md')).toString('utf-8')
+  }
+
+  checkOptions(): { [key: string]: BasicType; } {
+    const parent = super.checkOptions()
+    return {
+      ...parent,
+      registers: Rule.array().content(
+        Rule.object().fields({
+          area: Rule.string().default('holding').description('Область: coil, di, holding, input'),
+          address: Rule.number().integer().min(0).max(0xFFFF).description('Адрес регистра'),
+          type: Rule.string().default('uint16').description('Тип данных (для holding/input): int16, uint16, int32, uint32, float32, int64, uint64, float64, string, bcd16, bcd32, bits'),
+          order: Rule.string().default('ABCD').description('Порядок байт: ABCD, CDAB, BADC, DCBA'),
+          length: Rule.number().integer().default(1).min(1).max(125).description('Количество регистров для string и bits'),
+          scale: Rule.number().default(1).description('Множитель значения'),
+          offset: Rule.number().default(0).description('Смещение значения (после умножения)'),
+          unit: Rule.string().default('').description('Единица измерения'),
+          port: Rule.string().description('Имя выходного порта').example('temp'),
+        })
+      ).default([]).description('Карта регистров'),
+      eachGate: Rule.boolean().default(false).description('Отправлять результат при каждом опросе (true) если false будет отправлять только изменения')
+    }
+  }
+
+  outputs(): { [key: string]: BasicPort; } {
+    const parent = super.outputs()
+    const result: { [key: string]: BasicPort; } = { ...parent }
+    for (const reg of this.options.registers as Array<RegisterMapItem>) {
+      const unit = reg.unit ? ` (${reg.unit})` : ''
+      result[reg.port] = Port.standart().description(`Значение ${reg.area} 0x${reg.address.toString(16)}${unit}`)
+    }
+    return result
+  }
+
+  shares: any = {
+    online: false,
+    process: false,
+    values: {}, // Значения по имени порта
+    units: {} // Единицы измерения по имени порта
+  }
+
+  preProcess(): void {
+    for (const reg of this.options.registers as Array<RegisterMapItem>) {
+      if (!(reg.area in ModbusRTU.AREA_READ_CODES)) throw ErrorManager.make('V2MODBUS_REGISTER_AREA_UNKNOWN', { area: reg.area, port: reg.port })
+      if (DeviceRTU.RESERVED_PORTS.includes(reg.port)) throw ErrorManager.make('V2MODBUS_REGISTER_PORT_RESERVED', { port: reg.port })
+      if (reg.port in this.shares.values) throw ErrorManager.make('V2MODBUS_REGISTER_PORT_DUPLICATE', { port: reg.port })
+      ReadPlanner.itemCount(reg) // Проверка типа данных
+      this.shares.values[reg.port] = null
+      this.shares.units[reg.port] = reg.unit
+    }
+  }
+
+  /**
+   * Опрос всей карты регистров
+   *
+   * Адреса каждой области читаются объединенными запросами (см. {@link readAddresses}),
+   * между запросами выполняется очередь, что бы экшены не ждали весь опрос
+  */
+  async update() {
+    const registers = this.options.registers as Array<RegisterMapItem>
+    const values = new Map<ModbusArea, Map<number, number>>()
+    for (const [area, addresses] of ReadPlanner.itemAddresses(registers)) {
+      values.set(area, await this.readAddresses(area, addresses, true))
+    }
+
+    for (const reg of registers) {
+      this.fillValue(reg, ReadPlanner.itemValue(reg, values.get(reg.area) as Map<number, number>))
+    }
+    this.render()
+  }
+
+  /**
+   * Сохраняет значение в shares и отправляет в порт при изменении
+   * (или всегда, если включена опция eachGate), см. {@link offer}
+  */
+  fillValue(reg: RegisterMapItem, value: ModbusValue) {
+    this.shares.values[reg.port] = value
+    this.offer(reg.port, value, this.options.eachGate)
+  }
+}
\ No newline at end of file
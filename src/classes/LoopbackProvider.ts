@@ -0,0 +1,190 @@
+import { ErrorManager } from "vrack2-core";
+import { ModbusRTU } from "./ModbusRTU";
+import { ModbusTCP } from "./ModbusTCP";
+import { ModbusASCII } from "./ModbusASCII";
+import { ModbusProvider } from "./ModbusProvider";
+
+ErrorManager.register(
+  'LoopbackProvider',
+  'W6DKR1TJM',
+  'V2MODBUS_LOOPBACK_TIMEOUT',
+  'Loopback provider did not receive a complete response before timeout',
+);
+
+/**
+ * Ведомое устройство на линии провайдера
+ *
+ * Получает кадр запроса [slave][func][данные...] и возвращает кадр ответа
+ * без контрольной суммы или null, если отвечать не нужно. Реализуется {@link ModbusSlave}
+ */
+export interface LoopbackSlave {
+  handleFrame(frame: Buffer): Buffer | null;
+}
+
+/**
+ * Неисправность линии, применяется к очередному запросу
+ *
+ * - `timeout` - ответа нет
+ * - `crc` - ответ с неверной контрольной суммой (rtu - CRC, ascii - LRC, tcp - идентификатор транзакции)
+ * - `exception` - вместо ответа исключение с кодом `code`
+ * - `delay` - ответ приходит через `ms` мс (если `ms` не меньше таймаута запроса - ответа нет)
+ */
+export type LoopbackFault =
+  { type: 'timeout' } |
+  { type: 'crc' } |
+  { type: 'exception', code: number } |
+  { type: 'delay', ms: number };
+
+/**
+ * Провайдер, который отвечает из памяти от имени моделей ведомых устройств
+ *
+ * Реализует {@link ModbusProvider} и позволяет проверять устройства на базе DeviceRTU
+ * без оборудования: запросы передаются моделям ведомых устройств (например {@link ModbusSlave}),
+ * а неисправности линии задаются методом {@link inject}
+ *
+ * @example
+ * const slave = new ModbusSlave(1, { holding: { "0": [10, 20] } });
+ * const provider = new LoopbackProvider([slave]);
+ * provider.inject({ type: 'timeout' }); // Первый запрос останется без ответа
+ * await device.inputBus(provider);
+*/
+export class LoopbackProvider implements ModbusProvider {
+
+  /**
+   * Все отправленные пакеты (включая повторы)
+  */
+  requests: Buffer[] = [];
+
+  /**
+   * Неисправности для следующих запросов
+  */
+  protected faults: LoopbackFault[] = [];
+
+  protected check: (data: Buffer) => boolean = () => true;
+
+  protected buffer: Buffer = Buffer.alloc(0);
+
+  /**
+   * @param {Array<LoopbackSlave>} slaves - Ведомые устройства на линии
+   * @param {string} framing - Тип кадра: rtu, tcp или ascii
+  */
+  constructor(public slaves: LoopbackSlave[], public framing: 'rtu' | 'tcp' | 'ascii' = 'rtu') {}
+
+  /**
+   * Добавляет неисправность для следующих `count` запросов
+   *
+   * Неисправности применяются по очереди, каждая попытка запроса (в том числе повтор) забирает одну
+  */
+  inject(fault: LoopbackFault, count = 1) {
+    for (let i = 0; i < count; i++) this.faults.push(fault);
+  }
+
+  /**
+   * Удаляет еще не примененные неисправности
+  */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  canRequest() {
+    // Линия всегда свободна
+  }
+
+  setPkgCheck(check: (data: Buffer) => boolean) {
+    this.check = check;
+  }
+
+  getBuffer(): Buffer {
+    return this.buffer;
+  }
+
+  isTimeout(err: unknown): boolean {
+    return (err as { vShort?: string })?.vShort === 'V2MODBUS_LOOPBACK_TIMEOUT';
+  }
+
+  async autoRequest(buffer: Buffer, timeout: number, retries = 1) {
+    for (let attempt = 0; attempt < Math.max(1, retries); attempt++) {
+      this.requests.push(buffer);
+      const response = await this.exchange(buffer, timeout);
+      this.buffer = response ?? Buffer.alloc(0);
+      if (response && this.check(response)) return;
+    }
+    throw ErrorManager.make('V2MODBUS_LOOPBACK_TIMEOUT', { timeout, retries });
+  }
+
+  /**
+   * Выполняет одну попытку запроса с учетом очередной неисправности
+   *
+   * Возвращает пакет ответа или null, если ответа нет (после ожидания таймаута)
+  */
+  protected async exchange(buffer: Buffer, timeout: number): Promise<Buffer | null> {
+    const fault = this.faults.shift();
+    const frame = this.decode(buffer);
+    let response = frame ? this.answer(frame) : null;
+    if (frame && fault?.type === 'exception') response = Buffer.from([frame[0], frame[1] | 0x80, fault.code]);
+    if (!response || fault?.type === 'timeout' || (fault?.type === 'delay' && fault.ms >= timeout)) {
+      await this.sleep(timeout);
+      return null;
+    }
+    if (fault?.type === 'delay') await this.sleep(fault.ms);
+    return this.encode(response, buffer, fault?.type === 'crc');
+  }
+
+  /**
+   * Возвращает ответ первого ведомого, который ответил на кадр
+  */
+  protected answer(frame: Buffer): Buffer | null {
+    for (const slave of this.slaves) {
+      const response = slave.handleFrame(frame);
+      if (response) return response;
+    }
+    return null;
+  }
+
+  /**
+   * Извлекает кадр [slave][func][данные...] из пакета запроса, null - пакет поврежден
+  */
+  protected decode(buffer: Buffer): Buffer | null {
+    switch (this.framing) {
+      case 'tcp':
+        return (buffer.length > ModbusTCP.HEADER_SIZE) ? buffer.subarray(ModbusTCP.HEADER_SIZE) : null;
+      case 'ascii': {
+        try {
+          const frame = ModbusASCII.decode(buffer);
+          return ModbusASCII.verifyLRC(frame) ? frame.subarray(0, -1) : null;
+        } catch (err) {
+          return null;
+        }
+      }
+      default:
+        return (buffer.length >= 4 && ModbusRTU.verifyCRC(buffer)) ? buffer.subarray(0, -2) : null;
+    }
+  }
+
+  /**
+   * Формирует пакет ответа в обрамлении запроса
+   *
+   * @param {boolean} corrupt - Испортить контрольную сумму
+  */
+  protected encode(frame: Buffer, request: Buffer, corrupt: boolean): Buffer {
+    switch (this.framing) {
+      case 'tcp': {
+        const transactionId = ModbusTCP.getTransactionId(request);
+        return ModbusTCP.addMBAP(frame, corrupt ? transactionId ^ 0xFFFF : transactionId);
+      }
+      case 'ascii': {
+        const lrc = ModbusASCII.calculateLRC(frame) ^ (corrupt ? 0xFF : 0);
+        return Buffer.from(':' + Buffer.concat([frame, Buffer.from([lrc])]).toString('hex').toUpperCase() + '\r\n', 'ascii');
+      }
+      default: {
+        const packet = ModbusRTU.addCRC(frame);
+        if (corrupt) packet[packet.length - 1] ^= 0xFF;
+        return packet;
+      }
+    }
+  }
+
+  protected sleep(ms: number) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
@@ -0,0 +1,182 @@
+import { ErrorManager } from "vrack2-core";
+import { ModbusRTU, ModbusResponse } from "./ModbusRTU";
+import { ModbusTCP, ModbusTCPResponse } from "./ModbusTCP";
+import { ModbusASCII } from "./ModbusASCII";
+
+ErrorManager.register(
+  'ModbusFramer',
+  'NF6Y2SUQ4',
+  'V2MODBUS_TRANSACTION_MISMATCH',
+  'Response transaction id does not match the request',
+);
+
+/**
+ * Фреймер - описание протокола обмена для {@link DeviceRTU}
+ *
+ * Формирует пакет запроса, определяет, что ответ принят полностью, разбирает и проверяет его.
+ * Кроме Modbus, через фреймеры на той же линии можно отправлять служебные команды
+ * производителя (например смена адреса и скорости, см. Example1)
+ *
+ * @example
+ * const framer: ModbusFramer<{ address: number }, number> = {
+ *   encode: (request) => ModbusRTU.addCRC(Buffer.from([0xFD, request.address])),
+ *   isComplete: (data) => data.length >= 4,
+ *   decode: (data) => data.readUInt8(1)
+ * };
+ */
+export interface ModbusFramer<Request = unknown, Response = unknown> {
+
+  /**
+   * Формирует пакет запроса
+  */
+  encode(request: Request): Buffer;
+
+  /**
+   * Возвращает true, если буфер содержит полный пакет ответа на запрос `request`
+   *
+   * Передается провайдеру как проверка пакета, поэтому вызывается без контекста
+  */
+  isComplete(data: Buffer, request: Buffer): boolean;
+
+  /**
+   * Разбирает пакет ответа. Поврежденный пакет (контрольная сумма, формат) - ошибка
+  */
+  decode(data: Buffer, request: Buffer): Response;
+
+  /**
+   * Проверяет, что разобранный ответ соответствует запросу, иначе - ошибка
+  */
+  validate?(response: Response, request: Buffer): void;
+
+  /**
+   * Возвращает ошибку для данных, которые были приняты, но не стали полным ответом до таймаута
+   *
+   * Вызывается после таймаута провайдера. Если ошибки нет - запрос считается запросом без ответа
+  */
+  timeoutError?(data: Buffer, request: Buffer): Error | undefined;
+}
+
+/**
+ * Параметры Modbus запроса для {@link ModbusRTUFramer.encode}
+ *
+ * Поля совпадают с аргументами {@link ModbusRTU.makeRequest}
+ */
+export interface ModbusFrameRequest {
+  slaveId: number;
+  functionCode: number;
+  address: number;
+  quantity: number;
+  writeData?: number[];
+}
+
+/**
+ * Фреймер Modbus RTU (CRC16)
+ *
+ * Фреймер по умолчанию для {@link DeviceRTU}. Ответ проверяется на соответствие
+ * запросу (см. {@link ModbusRTU.validateResponse})
+*/
+export class ModbusRTUFramer implements ModbusFramer<ModbusFrameRequest, ModbusResponse> {
+
+  encode(request: ModbusFrameRequest): Buffer {
+    return ModbusRTU.makeRequest(request.slaveId, request.functionCode, request.address, request.quantity, request.writeData);
+  }
+
+  isComplete(data: Buffer): boolean {
+    return ModbusRTU.isCompletePacket(data);
+  }
+
+  decode(data: Buffer): ModbusResponse {
+    return ModbusRTU.parseResponse(data);
+  }
+
+  validate(response: ModbusResponse, request: Buffer) {
+    ModbusRTU.validateResponse(this.frame(request), response);
+  }
+
+  /**
+   * Возвращает кадр запроса [slave][func][данные...] без обрамления и контрольной суммы
+  */
+  frame(request: Buffer): Buffer {
+    return request.subarray(0, -2);
+  }
+}
+
+/**
+ * Фреймер Modbus TCP (MBAP заголовок)
+ *
+ * Ответом считается только пакет с идентификатором транзакции запроса. Пакеты с другим
+ * идентификатором (опоздавшие ответы на прошлые запросы) пропускаются, и ожидание продолжается.
+ * Если до таймаута пришли только такие пакеты - ошибка `V2MODBUS_TRANSACTION_MISMATCH`.
+ * Без пакета запроса (`request`) проверяется только, что пакет полный
+*/
+export class ModbusTCPFramer extends ModbusRTUFramer {
+
+  encode(request: ModbusFrameRequest): Buffer {
+    return ModbusTCP.makeRequest(request.slaveId, request.functionCode, request.address, request.quantity, request.writeData);
+  }
+
+  isComplete(data: Buffer, request?: Buffer): boolean {
+    if (!request) return ModbusTCP.isCompletePacket(data);
+    return this.findResponse(data, request) !== undefined;
+  }
+
+  decode(data: Buffer, request?: Buffer): ModbusTCPResponse {
+    return ModbusTCP.parseResponse((request && this.findResponse(data, request)) || data);
+  }
+
+  timeoutError(data: Buffer, request: Buffer): Error | undefined {
+    if (!ModbusTCP.isCompletePacket(data)) return undefined;
+    return ErrorManager.make('V2MODBUS_TRANSACTION_MISMATCH', { request: ModbusTCP.getTransactionId(request), response: ModbusTCP.getTransactionId(data) });
+  }
+
+  /**
+   * Возвращает из принятых данных пакет с идентификатором транзакции запроса
+   *
+   * Полные пакеты с другим идентификатором пропускаются
+  */
+  findResponse(data: Buffer, request: Buffer): Buffer | undefined {
+    const transactionId = ModbusTCP.getTransactionId(request);
+    let offset = 0;
+    while (ModbusTCP.isCompletePacket(data.subarray(offset))) {
+      const end = offset + ModbusTCP.HEADER_SIZE + data.readUInt16BE(offset + 4);
+      if (data.readUInt16BE(offset) === transactionId) return data.subarray(offset, end);
+      offset = end;
+    }
+    return undefined;
+  }
+
+  validate(response: ModbusResponse, request: Buffer) {
+    const transactionId = ModbusTCP.getTransactionId(request);
+    const responseId = (response as ModbusTCPResponse).transactionId;
+    if (responseId !== transactionId) {
+      throw ErrorManager.make('V2MODBUS_TRANSACTION_MISMATCH', { request: transactionId, response: responseId });
+    }
+    super.validate(response, request);
+  }
+
+  frame(request: Buffer): Buffer {
+    return request.subarray(ModbusTCP.HEADER_SIZE);
+  }
+}
+
+/**
+ * Фреймер Modbus ASCII (LRC)
+*/
+export class ModbusASCIIFramer extends ModbusRTUFramer {
+
+  encode(request: ModbusFrameRequest): Buffer {
+    return ModbusASCII.makeRequest(request.slaveId, request.functionCode, request.address, request.quantity, request.writeData);
+  }
+
+  isComplete(data: Buffer): boolean {
+    return ModbusASCII.isCompletePacket(data);
+  }
+
+  decode(data: Buffer): ModbusResponse {
+    return ModbusASCII.parseResponse(data);
+  }
+
+  frame(request: Buffer): Buffer {
+    return ModbusASCII.decode(request).subarray(0, -1);
+  }
+}
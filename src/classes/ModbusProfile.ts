@@ -0,0 +1,206 @@
+import { ErrorManager } from "vrack2-core";
+import { ModbusArea, ModbusRTU } from "./ModbusRTU";
+import { ModbusTypes, ModbusDataType, ModbusByteOrder } from "./ModbusTypes";
+import fs from 'fs';
+import path from "path";
+
+ErrorManager.register(
+  'ModbusProfile',
+  'B8TLW3KQX',
+  'V2MODBUS_PROFILE_NOT_FOUND',
+  'Device profile file not found or is not valid JSON',
+);
+
+ErrorManager.register(
+  'ModbusProfile',
+  'F1RZE9HNC',
+  'V2MODBUS_PROFILE_INVALID',
+  'Device profile is invalid',
+);
+
+/**
+ * Доступ к регистру профиля
+ *
+ * - `r` - только чтение, создается выходной порт
+ * - `rw` - чтение и запись, создается выходной порт и экшен `set.<name>`
+ * - `w` - только запись, создается только экшен
+ */
+export type ProfileAccess = 'r' | 'rw' | 'w';
+
+/**
+ * Регистр профиля (после заполнения значений по умолчанию)
+ */
+export interface ProfileRegister {
+  name: string;
+  description: string;
+  area: ModbusArea;
+  address: number;
+  type: ModbusDataType;
+  order: ModbusByteOrder;
+  length: number;
+  scale: number;
+  offset: number;
+  unit: string;
+  access: ProfileAccess;
+  group: string;
+  min?: number;
+  max?: number;
+  verify: boolean;
+}
+
+/**
+ * Профиль устройства
+ *
+ * @property {string} name - Название профиля
+ * @property {string} description - Описание устройства
+ * @property {Object} groups - Группы опроса: имя => интервал в мс или `'online'`
+ * @property {Array<ProfileRegister>} registers - Регистры устройства
+ */
+export interface ModbusProfileData {
+  name: string;
+  description: string;
+  groups: { [name: string]: number | 'online' };
+  registers: Array<ProfileRegister>;
+}
+
+/**
+ * Статический класс для загрузки и проверки JSON профилей устройств
+ *
+ * Профили хранятся в каталоге `profiles` пакета. Профиль проверяется целиком при загрузке,
+ * ошибка `V2MODBUS_PROFILE_INVALID` содержит путь к неверному полю (`field`) и причину (`reason`)
+ *
+ * @example
+ * const profile = ModbusProfile.load('RainSnowSensor');
+ * profile.registers[0].group; // 'status'
+*/
+export class ModbusProfile {
+
+  /**
+   * Каталог профилей пакета
+  */
+  public static readonly DIR = path.join(path.dirname(path.dirname(__dirname)), 'profiles');
+
+  /**
+   * Имя группы опроса, если в профиле группы не заданы
+  */
+  public static readonly DEFAULT_GROUP = 'default';
+
+  /**
+   * Загружает и проверяет профиль
+   *
+   * @param {string} name - Имя профиля из каталога `profiles` (без .json) или путь к файлу профиля
+  */
+  public static load(name: string): ModbusProfileData {
+    const file = this.resolve(name);
+    let data: unknown;
+    try {
+      data = JSON.parse(fs.readFileSync(file).toString('utf-8'));
+    } catch (err) {
+      throw ErrorManager.make('V2MODBUS_PROFILE_NOT_FOUND', { profile: name, file, reason: (err as Error).message });
+    }
+    return this.validate(data, name);
+  }
+
+  /**
+   * Возвращает путь к файлу профиля
+  */
+  public static resolve(name: string): string {
+    if (name.endsWith('.json') || name.includes('/') || name.includes(path.sep)) return path.resolve(name);
+    return path.join(this.DIR, name + '.json');
+  }
+
+  /**
+   * Проверяет профиль и заполняет значения по умолчанию
+   *
+   * @param {unknown} data - Содержимое файла профиля
+   * @param {string} profile - Имя профиля для сообщений об ошибках
+  */
+  public static validate(data: unknown, profile = ''): ModbusProfileData {
+    const fail = (field: string, reason: string) => ErrorManager.make('V2MODBUS_PROFILE_INVALID', { profile, field, reason });
+    if (!this.isObject(data)) throw fail('', 'profile must be an object');
+
+    const groups: { [name: string]: number | 'online' } = {};
+    const rawGroups = data.groups ?? { [this.DEFAULT_GROUP]: 0 };
+    if (!this.isObject(rawGroups)) throw fail('groups', 'must be an object');
+    for (const name of Object.keys(rawGroups)) {
+      const interval = rawGroups[name];
+      if (interval !== 'online' && !(Number.isInteger(interval) && (interval as number) >= 0)) {
+        throw fail(`groups.${name}`, 'interval must be a non-negative integer or "online"');
+      }
+      groups[name] = interval as number | 'online';
+    }
+    const groupNames = Object.keys(groups);
+    if (!groupNames.length) throw fail('groups', 'at least one group is required');
+
+    if (!Array.isArray(data.registers) || !data.registers.length) throw fail('registers', 'must be a non-empty array');
+    const registers: Array<ProfileRegister> = [];
+    const names = new Set<string>();
+    data.registers.forEach((raw: unknown, index: number) => {
+      const field = (name: string) => `registers[${index}].${name}`;
+      if (!this.isObject(raw)) throw fail(`registers[${index}]`, 'must be an object');
+      const reg: ProfileRegister = {
+        name: raw.name as string,
+        description: (raw.description ?? '') as string,
+        area: (raw.area ?? 'holding') as ModbusArea,
+        address: raw.address as number,
+        type: (raw.type ?? 'uint16') as ModbusDataType,
+        order: (raw.order ?? 'ABCD') as ModbusByteOrder,
+        length: (raw.length ?? 1) as number,
+        scale: (raw.scale ?? 1) as number,
+        offset: (raw.offset ?? 0) as number,
+        unit: (raw.unit ?? '') as string,
+        access: (raw.access ?? 'r') as ProfileAccess,
+        group: (raw.group ?? groupNames[0]) as string,
+        min: raw.min as number | undefined,
+        max: raw.max as number | undefined,
+        verify: (raw.verify ?? false) as boolean
+      };
+
+      if (typeof reg.name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9]*$/.test(reg.name)) throw fail(field('name'), 'must be a latin identifier (letters and digits)');
+      if (names.has(reg.name)) throw fail(field('name'), `duplicate name "${reg.name}"`);
+      names.add(reg.name);
+      if (!(reg.area in ModbusRTU.AREA_READ_CODES)) throw fail(field('area'), 'must be coil, di, holding or input');
+      if (!Number.isInteger(reg.address) || reg.address < 0 || reg.address > 0xFFFF) throw fail(field('address'), 'must be an integer 0-65535');
+      if (!ModbusTypes.DATA_TYPES.includes(reg.type)) throw fail(field('type'), `unknown type "${reg.type}"`);
+      if (!ModbusTypes.BYTE_ORDERS.includes(reg.order)) throw fail(field('order'), `unknown byte order "${reg.order}"`);
+      if (!Number.isInteger(reg.length) || reg.length < 1 || reg.length > 125) throw fail(field('length'), 'must be an integer 1-125');
+      if (typeof reg.scale !== 'number' || reg.scale === 0) throw fail(field('scale'), 'must be a non-zero number');
+      if (typeof reg.offset !== 'number') throw fail(field('offset'), 'must be a number');
+      if (!['r', 'rw', 'w'].includes(reg.access)) throw fail(field('access'), 'must be r, rw or w');
+      if (!(reg.group in groups)) throw fail(field('group'), `unknown group "${reg.group}"`);
+      if (reg.min !== undefined && typeof reg.min !== 'number') throw fail(field('min'), 'must be a number');
+      if (reg.max !== undefined && typeof reg.max !== 'number') throw fail(field('max'), 'must be a number');
+      if (reg.min !== undefined && reg.max !== undefined && reg.min > reg.max) throw fail(field('min'), 'must not be greater than max');
+      if (reg.access !== 'r') {
+        if (reg.area !== 'coil' && reg.area !== 'holding') throw fail(field('access'), `area ${reg.area} is read only`);
+        if (reg.type === 'string' || reg.type === 'bits') throw fail(field('access'), `type ${reg.type} can not be written`);
+      }
+      registers.push(reg);
+    });
+
+    return {
+      name: (data.name ?? profile) as string,
+      description: (data.description ?? '') as string,
+      groups,
+      registers
+    };
+  }
+
+  /**
+   * Регистр доступен для чтения
+  */
+  public static isReadable(reg: ProfileRegister) {
+    return reg.access !== 'w';
+  }
+
+  /**
+   * Регистр доступен для записи
+  */
+  public static isWritable(reg: ProfileRegister) {
+    return reg.access !== 'r';
+  }
+
+  private static isObject(value: unknown): value is { [key: string]: unknown } {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+}
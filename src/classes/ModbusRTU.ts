@@ -4,11 +4,25 @@ import { ErrorManager } from "vrack2-core";
  * Интерфейс для представления разобранного Modbus RTU ответа
  * 
  * @property {number} slaveId - Идентификатор ведомого устройства (0-255)
- * @property {number} functionCode - Код функции Modbus (0x01-0x10)
+ * @property {number} functionCode - Код функции Modbus
  * @property {number} byteCount - Количество байт в поле данных
  * @property {Buffer} data - Буфер с полезными данными ответа
  * @property {number} [exceptionCode] - Код исключения (присутствует только в ответах с ошибкой)
  * 
+ * Ответы дополнительных функций разбираются в отдельные поля:
+ * 
+ * @property {number} [exceptionStatus] - Байт статуса (0x07)
+ * @property {number} [subFunction] - Подфункция (0x08)
+ * @property {number} [diagnosticData] - Данные подфункции (0x08)
+ * @property {number} [serverId] - Первый байт идентификатора устройства (0x11)
+ * @property {boolean} [runIndicator] - Устройство в работе, байт 0xFF после идентификатора (0x11)
+ * @property {number} [address] - Адрес регистра (0x16)
+ * @property {number} [andMask] - AND маска (0x16)
+ * @property {number} [orMask] - OR маска (0x16)
+ * @property {Array<number>} [values] - Прочитанные регистры (0x17) или значения очереди FIFO (0x18)
+ * @property {Array<ModbusFileRecord>} [fileRecords] - Файловые записи (0x14, 0x15)
+ * @property {ModbusDeviceId} [deviceId] - Идентификация устройства (0x2B/0x0E)
+ * 
  * @example
  * // Успешный ответ на чтение holding registers
  * const successResponse: ModbusResponse = {
@@ -39,8 +53,99 @@ export interface ModbusResponse {
   byteCount: number;
   data: Buffer;
   exceptionCode?: number;
+  exceptionStatus?: number;
+  subFunction?: number;
+  diagnosticData?: number;
+  serverId?: number;
+  runIndicator?: boolean;
+  address?: number;
+  andMask?: number;
+  orMask?: number;
+  values?: number[];
+  fileRecords?: ModbusFileRecord[];
+  deviceId?: ModbusDeviceId;
+}
+
+/**
+ * Файловая запись функций 0x14/0x15
+ * 
+ * В ответе на 0x14 номер файла и записи не передаются, поэтому
+ * поля `file` и `record` заполняются только для 0x15 и разобранных запросов
+ * 
+ * @property {number} [file] - Номер файла
+ * @property {number} [record] - Номер записи
+ * @property {Array<number>} values - Значения регистров записи
+ */
+export interface ModbusFileRecord {
+  file?: number;
+  record?: number;
+  values: number[];
+}
+
+/**
+ * Ответ функции 0x2B/0x0E (Read Device Identification)
+ * 
+ * @property {number} readDeviceIdCode - Код чтения из запроса (1-4)
+ * @property {number} conformity - Уровень соответствия устройства
+ * @property {boolean} moreFollows - Объекты не поместились в ответ, нужен повторный запрос с nextObjectId
+ * @property {number} nextObjectId - Идентификатор объекта для следующего запроса
+ * @property {Object} objects - Объекты по идентификатору (0x00 - производитель, 0x01 - код продукта, 0x02 - версия...)
+ */
+export interface ModbusDeviceId {
+  readDeviceIdCode: number;
+  conformity: number;
+  moreFollows: boolean;
+  nextObjectId: number;
+  objects: { [objectId: number]: string };
 }
 
+/**
+ * Интерфейс для представления разобранного Modbus RTU запроса
+ * 
+ * @property {number} slaveId - Адрес ведомого устройства (0 - широковещательный)
+ * @property {number} functionCode - Код функции Modbus
+ * @property {number} address - Начальный адрес
+ * @property {number} quantity - Количество элементов (для 0x05/0x06 всегда 1)
+ * @property {Array<number>} values - Записываемые значения (биты или регистры), для чтения пустой массив
+ * @property {Buffer} data - Данные запроса после кода функции
+ * @property {number} [writeAddress] - Адрес записи (0x17)
+ * @property {Array<ModbusFileRecord>} [fileRecords] - Подзапросы файловых записей (0x14, 0x15)
+ * 
+ * Поля address/quantity/values для дополнительных функций заполняются так же,
+ * как параметры {@link ModbusRTU.makeRequest}
+ * 
+ * @example
+ * // Запрос записи нескольких регистров
+ * const request: ModbusRequest = {
+ *   slaveId: 1,
+ *   functionCode: 0x10,
+ *   address: 0x0200,
+ *   quantity: 2,
+ *   values: [0x1234, 0x5678],
+ *   data: Buffer.from([0x02, 0x00, 0x00, 0x02, 0x04, 0x12, 0x34, 0x56, 0x78])
+ * };
+ */
+export interface ModbusRequest {
+  slaveId: number;
+  functionCode: number;
+  address: number;
+  quantity: number;
+  values: number[];
+  data: Buffer;
+  writeAddress?: number;
+  fileRecords?: ModbusFileRecord[];
+}
+
+/**
+ * Область данных Modbus устройства
+ * 
+ * - `coil` - coils, чтение 0x01
+ * - `di` - discrete inputs, чтение 0x02
+ * - `holding` - holding registers, чтение 0x03
+ * - `input` - input registers, чтение 0x04
+ */
+export type ModbusArea = 'coil' | 'di' | 'holding' | 'input';
+
 ErrorManager.register(
   'ModbusRTU',
   'UVIAK29C3',
@@ -90,6 +195,48 @@ ErrorManager.register(
   'Unsupported function code',
 );
 
+ErrorManager.register(
+  'ModbusRTU',
+  'VS7PC2LQ0',
+  'V2MODBUS_READ_WRITE_COUNT_INVALID',
+  'Read count must be between 1 and 125, write count between 1 and 121',
+);
+
+ErrorManager.register(
+  'ModbusRTU',
+  'R8DLW3YQM',
+  'V2MODBUS_RESPONSE_SLAVE_MISMATCH',
+  'Response slave id does not match the request',
+);
+
+ErrorManager.register(
+  'ModbusRTU',
+  'F1TGZ7KNE',
+  'V2MODBUS_RESPONSE_FUNCTION_MISMATCH',
+  'Response function code does not match the request',
+);
+
+ErrorManager.register(
+  'ModbusRTU',
+  'B6QXS0VHA',
+  'V2MODBUS_RESPONSE_BYTE_COUNT_MISMATCH',
+  'Response byte count does not match the requested quantity',
+);
+
+ErrorManager.register(
+  'ModbusRTU',
+  'W4MCE9PJU',
+  'V2MODBUS_RESPONSE_ECHO_MISMATCH',
+  'Write response echo does not match the request',
+);
+
+ErrorManager.register(
+  'ModbusRTU',
+  'JX3AE9HW6',
+  'V2MODBUS_FILE_RECORD_INVALID',
+  'File record request requires file, record and length or values',
+);
+
 /**
  * Cтатический класс для работы с протоколом Modbus RTU,
  * предоставляющий методы для создания, проверки и парсинга Modbus-пакетов.
@@ -108,11 +255,67 @@ export class ModbusRTU {
     WRITE_SINGLE_COIL: 0x05,
     WRITE_SINGLE_REGISTER: 0x06,
     WRITE_MULTIPLE_COILS: 0x0F,
-    WRITE_MULTIPLE_REGISTERS: 0x10
+    WRITE_MULTIPLE_REGISTERS: 0x10,
+    READ_EXCEPTION_STATUS: 0x07,
+    DIAGNOSTICS: 0x08,
+    REPORT_SLAVE_ID: 0x11,
+    READ_FILE_RECORD: 0x14,
+    WRITE_FILE_RECORD: 0x15,
+    MASK_WRITE_REGISTER: 0x16,
+    READ_WRITE_MULTIPLE_REGISTERS: 0x17,
+    READ_FIFO_QUEUE: 0x18,
+    READ_DEVICE_IDENTIFICATION: 0x2B
+  };
+
+  /**
+   * MEI тип функции 0x2B для чтения идентификации устройства
+  */
+  public static readonly MEI_READ_DEVICE_ID = 0x0E;
+
+  /**
+   * Именованные коды исключений
+  */
+  public static readonly EXCEPTION_CODES = {
+    ILLEGAL_FUNCTION: 0x01,
+    ILLEGAL_DATA_ADDRESS: 0x02,
+    ILLEGAL_DATA_VALUE: 0x03,
+    SLAVE_DEVICE_FAILURE: 0x04,
+    ACKNOWLEDGE: 0x05,
+    SLAVE_DEVICE_BUSY: 0x06,
+    NEGATIVE_ACKNOWLEDGE: 0x07,
+    MEMORY_PARITY_ERROR: 0x08,
+    GATEWAY_PATH_UNAVAILABLE: 0x0A,
+    GATEWAY_TARGET_FAILED: 0x0B
+  };
+
+  /**
+   * Коды функций чтения для областей данных
+  */
+  public static readonly AREA_READ_CODES: { [key in ModbusArea]: number } = {
+    coil: 0x01,
+    di: 0x02,
+    holding: 0x03,
+    input: 0x04
   };
 
   /**
    * Универсальный метод создания Modbus RTU запроса
+   * 
+   * Для функций, которые не укладываются в схему адрес/количество,
+   * параметры используются так:
+   * 
+   * | Функция | address | quantity | writeData |
+   * | :--- | :--- | :--- | :--- |
+   * | 0x07, 0x11 | - | - | - |
+   * | 0x08 | Подфункция | Данные | - |
+   * | 0x14 | Номер файла | Количество регистров | [номер записи] |
+   * | 0x15 | Номер файла | - | [номер записи, ...значения] |
+   * | 0x16 | Адрес | AND маска | [OR маска] |
+   * | 0x17 | Адрес чтения | Количество чтения | [адрес записи, ...значения] |
+   * | 0x18 | Адрес указателя FIFO | - | - |
+   * | 0x2B | Код чтения (1-4) | Идентификатор объекта | - |
+   * 
+   * Для удобства используйте именованные методы `create...Request`
    */
   public static makeRequest(
     slaveId: number,
@@ -121,7 +324,26 @@ export class ModbusRTU {
     quantity: number,
     writeData?: number[]
   ): Buffer {
-    // Реализация метода
+    return this.addCRC(this.makeFrame(slaveId, functionCode, address, quantity, writeData));
+  }
+
+  /**
+   * Создает кадр запроса без контрольной суммы: [slave][func][данные...]
+   * 
+   * Общая часть для всех вариантов транспорта (RTU, TCP, ASCII) -
+   * они отличаются только обрамлением этого кадра
+   * 
+   * @example
+   * const frame = ModbusRTU.makeFrame(1, 0x03, 0x0064, 3);
+   * // frame: <Buffer 01 03 00 64 00 03>
+   */
+  public static makeFrame(
+    slaveId: number,
+    functionCode: number,
+    address: number,
+    quantity: number,
+    writeData?: number[]
+  ): Buffer {
     // Базовая валидация
     slaveId = slaveId & 0xFF
     address = address & 0xFFFF
@@ -197,6 +419,54 @@ export class ModbusRTU {
         }
         break;
 
+      case 0x07: // Read Exception Status
+      case 0x11: // Report Slave ID
+        return Buffer.from([slaveId, functionCode]);
+
+      case 0x08: // Diagnostics
+        buffer = Buffer.alloc(6);
+        buffer.writeUInt16BE(quantity & 0xFFFF, 4);
+        break;
+
+      case 0x14: // Read File Record
+        if (!writeData || writeData.length < 1) throw ErrorManager.make('V2MODBUS_FILE_RECORD_INVALID')
+        return this.makeFileRecordFrame(slaveId, functionCode, [{ file: address, record: writeData[0], length: quantity }]);
+
+      case 0x15: // Write File Record
+        if (!writeData || writeData.length < 2) throw ErrorManager.make('V2MODBUS_FILE_RECORD_INVALID')
+        return this.makeFileRecordFrame(slaveId, functionCode, [{ file: address, record: writeData[0], values: writeData.slice(1) }]);
+
+      case 0x16: // Mask Write Register
+        if (!writeData || writeData.length < 1)
+          throw ErrorManager.make('V2MODBUS_WRITE_DATA_REQUIRED_REGISTERS')
+        buffer = Buffer.alloc(8);
+        buffer.writeUInt16BE(quantity & 0xFFFF, 4);
+        buffer.writeUInt16BE(writeData[0] & 0xFFFF, 6);
+        break;
+
+      case 0x17: { // Read/Write Multiple Registers
+        if (!writeData || !Array.isArray(writeData))
+          throw ErrorManager.make('V2MODBUS_WRITE_DATA_REQUIRED_REGISTERS')
+        const writeValues = writeData.slice(1);
+        if (quantity < 1 || quantity > 125 || writeValues.length < 1 || writeValues.length > 121)
+          throw ErrorManager.make('V2MODBUS_READ_WRITE_COUNT_INVALID')
+        // Структура: [slave][func][readAddr][readQty][writeAddr][writeQty][byteCount][values...]
+        buffer = Buffer.alloc(11 + writeValues.length * 2);
+        buffer.writeUInt16BE(quantity, 4);
+        buffer.writeUInt16BE(writeData[0] & 0xFFFF, 6);
+        buffer.writeUInt16BE(writeValues.length, 8);
+        buffer.writeUInt8(writeValues.length * 2, 10);
+        writeValues.forEach((value, i) => buffer.writeUInt16BE(value & 0xFFFF, 11 + i * 2));
+        break;
+      }
+
+      case 0x18: // Read FIFO Queue
+        buffer = Buffer.alloc(4);
+        break;
+
+      case 0x2B: // Read Device Identification (MEI 0x0E)
+        return Buffer.from([slaveId, functionCode, this.MEI_READ_DEVICE_ID, address & 0xFF, quantity & 0xFF]);
+
       default:
         throw ErrorManager.make('V2MODBUS_UNSUPPORTED_FUNCTION_CODE')
     }
@@ -206,7 +476,7 @@ export class ModbusRTU {
     buffer.writeUInt8(functionCode, 1);
     buffer.writeUInt16BE(address, 2);
 
-    return this.addCRC(buffer);
+    return buffer;
   }
 
   /**
@@ -289,6 +559,143 @@ export class ModbusRTU {
     return this.makeRequest(slaveId, 0x10, address, values.length, values);
   }
 
+  /**
+   * Создает запрос чтения статуса исключения (0x07)
+   * @example
+   * const packet = ModbusRTU.createReadExceptionStatusRequest(1);
+   * // packet: <Buffer 01 07 41 e2>
+   */
+  public static createReadExceptionStatusRequest(slaveId: number): Buffer {
+    return this.makeRequest(slaveId, 0x07, 0, 0);
+  }
+
+  /**
+   * Создает диагностический запрос (0x08)
+   * @example
+   * // Подфункция 0x0000 - Return Query Data (эхо)
+   * const packet = ModbusRTU.createDiagnosticsRequest(1, 0x0000, 0x1234);
+   * // packet: <Buffer 01 08 00 00 12 34 ed 7c>
+   */
+  public static createDiagnosticsRequest(slaveId: number, subFunction: number, data = 0): Buffer {
+    return this.makeRequest(slaveId, 0x08, subFunction, data);
+  }
+
+  /**
+   * Создает запрос идентификатора устройства (0x11)
+   * @example
+   * const packet = ModbusRTU.createReportSlaveIdRequest(1);
+   * // packet: <Buffer 01 11 c0 2c>
+   */
+  public static createReportSlaveIdRequest(slaveId: number): Buffer {
+    return this.makeRequest(slaveId, 0x11, 0, 0);
+  }
+
+  /**
+   * Создает запрос чтения файловых записей (0x14)
+   * @example
+   * const packet = ModbusRTU.createReadFileRecordRequest(1, [{ file: 4, record: 1, length: 2 }]);
+   * // packet: <Buffer 01 14 07 06 00 04 00 01 00 02 ...crc>
+   */
+  public static createReadFileRecordRequest(
+    slaveId: number,
+    records: Array<{ file: number, record: number, length: number }>
+  ): Buffer {
+    return this.addCRC(this.makeFileRecordFrame(slaveId, 0x14, records));
+  }
+
+  /**
+   * Создает запрос записи файловых записей (0x15)
+   * @example
+   * const packet = ModbusRTU.createWriteFileRecordRequest(1, [{ file: 4, record: 7, values: [0x06AF, 0x04BE] }]);
+   * // packet: <Buffer 01 15 0b 06 00 04 00 07 00 02 06 af 04 be ...crc>
+   */
+  public static createWriteFileRecordRequest(
+    slaveId: number,
+    records: Array<{ file: number, record: number, values: number[] }>
+  ): Buffer {
+    return this.addCRC(this.makeFileRecordFrame(slaveId, 0x15, records));
+  }
+
+  /**
+   * Создает запрос записи регистра по маске (0x16)
+   * 
+   * Результат = (текущее AND andMask) OR (orMask AND (NOT andMask))
+   * @example
+   * const packet = ModbusRTU.createMaskWriteRegisterRequest(1, 0x0004, 0x00F2, 0x0025);
+   * // packet: <Buffer 01 16 00 04 00 f2 00 25 ...crc>
+   */
+  public static createMaskWriteRegisterRequest(slaveId: number, address: number, andMask: number, orMask: number): Buffer {
+    return this.makeRequest(slaveId, 0x16, address, andMask, [orMask]);
+  }
+
+  /**
+   * Создает запрос записи и чтения нескольких регистров (0x17)
+   * 
+   * Запись выполняется до чтения
+   * @example
+   * const packet = ModbusRTU.createReadWriteMultipleRegistersRequest(1, 0x0003, 6, 0x000E, [0x00FF, 0x00FF, 0x00FF]);
+   * // packet: <Buffer 01 17 00 03 00 06 00 0e 00 03 06 00 ff 00 ff 00 ff ...crc>
+   */
+  public static createReadWriteMultipleRegistersRequest(
+    slaveId: number,
+    readAddress: number,
+    readQuantity: number,
+    writeAddress: number,
+    values: number[]
+  ): Buffer {
+    return this.makeRequest(slaveId, 0x17, readAddress, readQuantity, [writeAddress, ...values]);
+  }
+
+  /**
+   * Создает запрос чтения очереди FIFO (0x18)
+   * @example
+   * const packet = ModbusRTU.createReadFifoQueueRequest(1, 0x04DE);
+   * // packet: <Buffer 01 18 04 de ...crc>
+   */
+  public static createReadFifoQueueRequest(slaveId: number, address: number): Buffer {
+    return this.makeRequest(slaveId, 0x18, address, 0);
+  }
+
+  /**
+   * Создает запрос чтения идентификации устройства (0x2B / MEI 0x0E)
+   * 
+   * @param {number} readDeviceIdCode - 1 базовая, 2 обычная, 3 расширенная, 4 один объект
+   * @param {number} objectId - Идентификатор первого (или единственного) объекта
+   * @example
+   * const packet = ModbusRTU.createReadDeviceIdentificationRequest(1, 0x01, 0x00);
+   * // packet: <Buffer 01 2b 0e 01 00 ...crc>
+   */
+  public static createReadDeviceIdentificationRequest(slaveId: number, readDeviceIdCode = 1, objectId = 0): Buffer {
+    return this.makeRequest(slaveId, 0x2B, readDeviceIdCode, objectId);
+  }
+
+  /**
+   * Создает кадр запроса файловых записей 0x14/0x15 без контрольной суммы
+   * 
+   * Для 0x14 в подзапросе указывается length, для 0x15 - values
+  */
+  public static makeFileRecordFrame(
+    slaveId: number,
+    functionCode: number,
+    records: Array<{ file: number, record: number, length?: number, values?: number[] }>
+  ): Buffer {
+    if (!records.length) throw ErrorManager.make('V2MODBUS_FILE_RECORD_INVALID');
+    const parts: Buffer[] = [];
+    for (const item of records) {
+      const values = item.values ?? [];
+      if (functionCode === 0x15 && !values.length) throw ErrorManager.make('V2MODBUS_FILE_RECORD_INVALID');
+      const part = Buffer.alloc(7 + values.length * 2);
+      part.writeUInt8(0x06, 0); // Тип ссылки всегда 6
+      part.writeUInt16BE(item.file & 0xFFFF, 1);
+      part.writeUInt16BE(item.record & 0xFFFF, 3);
+      part.writeUInt16BE(functionCode === 0x15 ? values.length : (item.length ?? 0) & 0xFFFF, 5);
+      values.forEach((value, i) => part.writeUInt16BE(value & 0xFFFF, 7 + i * 2));
+      parts.push(part);
+    }
+    const data = Buffer.concat(parts);
+    return Buffer.concat([Buffer.from([slaveId & 0xFF, functionCode, data.length]), data]);
+  }
+
   /**
    * Вычисляет CRC16 для Modbus RTU пакета
    * @example
@@ -330,52 +737,385 @@ export class ModbusRTU {
 public static parseResponse(buffer: Buffer): ModbusResponse {
   if (buffer.length < 4) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT') ;
   if (!this.verifyCRC(buffer)) throw ErrorManager.make('V2MODBUS_CRC_CHECK_FAILED');
+  return this.parseFrame(buffer.subarray(0, -2));
+}
+
+  /**
+   * Разбирает кадр ответа без контрольной суммы: [slave][func][данные...]
+   * 
+   * Используется для разбора ответов любого транспорта (RTU, TCP, ASCII)
+   * после снятия обрамления и проверки контрольной суммы
+   * 
+   * @example
+   * const frame = Buffer.from([0x01, 0x03, 0x04, 0x00, 0x0A, 0x00, 0x14]);
+   * const parsed = ModbusRTU.parseFrame(frame);
+   * // { slaveId: 1, functionCode: 3, byteCount: 4, data: <Buffer 00 0a 00 14> }
+   */
+  public static parseFrame(frame: Buffer): ModbusResponse {
+    if (frame.length < 2) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+
+    const slaveId = frame.readUInt8(0);
+    const functionCode = frame.readUInt8(1);
 
-  const slaveId = buffer.readUInt8(0);
-  let functionCode = buffer.readUInt8(1);
+    // Если исключение 
+    if ((functionCode & 0x80) !== 0) {
+      if (frame.length < 3) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+      return { 
+        slaveId, 
+        functionCode: functionCode & 0x7F,  // Убираем потенциально лишние биты
+        byteCount: 0, 
+        data: Buffer.alloc(0), 
+        exceptionCode: frame.readUInt8(2) // Получаем код исключения
+      };
+    }
+    // По умолчанию считаем что данные это все что между addr cmd | данные
+    let byteCount: number = frame.length - 2;
+    let data: Buffer = frame.subarray(2);
+
+    // Определяем структуру по коду функции
+    switch (functionCode) {
+      case 0x01: // Read Coils
+      case 0x02: // Read Discrete Inputs
+      case 0x03: // Read Holding Registers
+      case 0x04: // Read Input Registers
+        // Структура: [slave][func][byteCount][data...]
+        if (frame.length < 3) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        byteCount = frame.readUInt8(2);
+        data = frame.subarray(3);
+        break;
+
+      case 0x07: // Read Exception Status
+        if (frame.length < 3) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        return { slaveId, functionCode, byteCount, data, exceptionStatus: frame.readUInt8(2) };
+
+      case 0x08: // Diagnostics
+        if (frame.length < 6) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        return { slaveId, functionCode, byteCount, data, subFunction: frame.readUInt16BE(2), diagnosticData: frame.readUInt16BE(4) };
+
+      case 0x11: // Report Slave ID
+        // Структура: [slave][func][byteCount][serverId...][runIndicator][дополнительные данные...]
+        // Длина идентификатора зависит от устройства, разбираем распространенный вариант с 1 байтом
+        if (frame.length < 3) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        byteCount = frame.readUInt8(2);
+        data = frame.subarray(3);
+        return {
+          slaveId, functionCode, byteCount, data,
+          serverId: data.length ? data.readUInt8(0) : undefined,
+          runIndicator: data.length > 1 ? data.readUInt8(1) === 0xFF : undefined
+        };
+
+      case 0x14: // Read File Record
+      case 0x15: // Write File Record
+        if (frame.length < 3) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        byteCount = frame.readUInt8(2);
+        data = frame.subarray(3);
+        return { slaveId, functionCode, byteCount, data, fileRecords: this.parseFileRecords(functionCode, data, false) };
+
+      case 0x16: // Mask Write Register
+        if (frame.length < 8) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        return {
+          slaveId, functionCode, byteCount, data,
+          address: frame.readUInt16BE(2), andMask: frame.readUInt16BE(4), orMask: frame.readUInt16BE(6)
+        };
+
+      case 0x17: { // Read/Write Multiple Registers
+        if (frame.length < 3) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        byteCount = frame.readUInt8(2);
+        data = frame.subarray(3);
+        const values: number[] = [];
+        for (let i = 0; i + 1 < data.length; i += 2) values.push(data.readUInt16BE(i));
+        return { slaveId, functionCode, byteCount, data, values };
+      }
+
+      case 0x18: { // Read FIFO Queue
+        // Структура: [slave][func][byteCount 2 байта][fifoCount 2 байта][values...]
+        if (frame.length < 6) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        byteCount = frame.readUInt16BE(2);
+        const count = frame.readUInt16BE(4);
+        if (frame.length < 6 + count * 2) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        data = frame.subarray(4);
+        const values: number[] = [];
+        for (let i = 0; i < count; i++) values.push(frame.readUInt16BE(6 + i * 2));
+        return { slaveId, functionCode, byteCount, data, values };
+      }
+
+      case 0x2B: // Read Device Identification
+        return { slaveId, functionCode, byteCount, data, deviceId: this.parseDeviceId(frame) };
+    }
 
-  // Если исключение 
-  if ((functionCode & 0x80) !== 0) {
     return { 
       slaveId, 
-      functionCode: functionCode & 0x7F,  // Убираем потенциально лишние биты
-      byteCount: 0, 
-      data: Buffer.alloc(0), 
-      exceptionCode: buffer.readUInt8(2) // Получаем код исключения
+      functionCode, 
+      byteCount, 
+      data 
     };
   }
-  // По умолчанию считаем что данные это все что между addr cmd | данные | CRC
-  let byteCount: number = buffer.length - 4;
-  let data: Buffer = buffer.subarray(2, -2);
-
-  // Определяем структуру по коду функции
-  switch (functionCode) {
-    case 0x01: // Read Coils
-    case 0x02: // Read Discrete Inputs
-    case 0x03: // Read Holding Registers
-    case 0x04: // Read Input Registers
-      // Структура: [slave][func][byteCount][data...][crc]
-      byteCount = buffer.readUInt8(2);
-      data = buffer.subarray(3, -2);
-      break;
-  }
-
-  return { 
-    slaveId, 
-    functionCode, 
-    byteCount, 
-    data 
-  };
-}
+
+  /**
+   * Разбирает данные файловых записей 0x14/0x15 (после байта количества данных)
+   * 
+   * - Ответ 0x14: [длина][тип 6][значения...] для каждой записи
+   * - Запрос 0x14: [тип 6][файл][запись][длина] для каждой записи
+   * - Запрос и ответ 0x15: [тип 6][файл][запись][длина][значения...] для каждой записи
+   * 
+   * @param {boolean} isRequest - Данные относятся к запросу
+   */
+  public static parseFileRecords(functionCode: number, data: Buffer, isRequest: boolean): ModbusFileRecord[] {
+    const records: ModbusFileRecord[] = [];
+    let pos = 0;
+    while (pos < data.length) {
+      if (functionCode === 0x14 && !isRequest) {
+        // Длина включает байт типа ссылки
+        if (pos + 2 > data.length) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        const length = data.readUInt8(pos);
+        if (length < 1 || pos + 1 + length > data.length) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        const values: number[] = [];
+        for (let i = pos + 2; i + 1 < pos + 1 + length; i += 2) values.push(data.readUInt16BE(i));
+        records.push({ values });
+        pos += 1 + length;
+        continue;
+      }
+      if (pos + 7 > data.length) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+      const file = data.readUInt16BE(pos + 1);
+      const record = data.readUInt16BE(pos + 3);
+      const length = data.readUInt16BE(pos + 5);
+      pos += 7;
+      // В запросе 0x14 значений нет, только их количество
+      const count = (functionCode === 0x15) ? length : 0;
+      if (pos + count * 2 > data.length) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+      const values: number[] = [];
+      for (let i = 0; i < count; i++) values.push(data.readUInt16BE(pos + i * 2));
+      pos += count * 2;
+      records.push({ file, record, values });
+    }
+    return records;
+  }
+
+  /**
+   * Разбирает кадр ответа 0x2B/0x0E без контрольной суммы
+   * 
+   * Структура: [slave][2B][0E][code][conformity][moreFollows][nextObjectId][count]
+   * и далее для каждого объекта [id][length][value...]
+   */
+  public static parseDeviceId(frame: Buffer): ModbusDeviceId {
+    if (frame.length < 8) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+    if (frame.readUInt8(2) !== this.MEI_READ_DEVICE_ID) throw ErrorManager.make('V2MODBUS_UNSUPPORTED_FUNCTION_CODE');
+    const result: ModbusDeviceId = {
+      readDeviceIdCode: frame.readUInt8(3),
+      conformity: frame.readUInt8(4),
+      moreFollows: frame.readUInt8(5) === 0xFF,
+      nextObjectId: frame.readUInt8(6),
+      objects: {}
+    };
+    let pos = 8;
+    for (let i = 0; i < frame.readUInt8(7); i++) {
+      if (pos + 2 > frame.length) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+      const id = frame.readUInt8(pos);
+      const length = frame.readUInt8(pos + 1);
+      if (pos + 2 + length > frame.length) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+      result.objects[id] = frame.subarray(pos + 2, pos + 2 + length).toString('latin1');
+      pos += 2 + length;
+    }
+    return result;
+  }
+
+  /**
+   * Парсит Modbus RTU пакет запроса
+   * @example
+   * const request = ModbusRTU.makeRequest(1, 0x06, 0x0100, 0x1234);
+   * const parsed = ModbusRTU.parseRequest(request);
+   * // { slaveId: 1, functionCode: 6, address: 256, quantity: 1, values: [4660], data: <Buffer 01 00 12 34> }
+   */
+  public static parseRequest(buffer: Buffer): ModbusRequest {
+    if (buffer.length < 4) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+    if (!this.verifyCRC(buffer)) throw ErrorManager.make('V2MODBUS_CRC_CHECK_FAILED');
+    return this.parseRequestFrame(buffer.subarray(0, -2));
+  }
+
+  /**
+   * Разбирает кадр запроса без контрольной суммы: [slave][func][данные...]
+   * 
+   * @example
+   * const frame = Buffer.from([0x01, 0x03, 0x00, 0x64, 0x00, 0x03]);
+   * const parsed = ModbusRTU.parseRequestFrame(frame);
+   * // { slaveId: 1, functionCode: 3, address: 100, quantity: 3, values: [], data: <Buffer 00 64 00 03> }
+   */
+  public static parseRequestFrame(frame: Buffer): ModbusRequest {
+    if (frame.length < 2) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+    const slaveId = frame.readUInt8(0);
+    const functionCode = frame.readUInt8(1);
+    const data = frame.subarray(2);
+    const values: number[] = [];
+
+    switch (functionCode) {
+      case 0x01: // Read Coils
+      case 0x02: // Read Discrete Inputs
+      case 0x03: // Read Holding Registers
+      case 0x04: // Read Input Registers
+        if (frame.length < 6) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        return { slaveId, functionCode, address: frame.readUInt16BE(2), quantity: frame.readUInt16BE(4), values, data };
+
+      case 0x05: // Write Single Coil
+      case 0x06: // Write Single Register
+        if (frame.length < 6) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        if (functionCode === 0x05) values.push(frame.readUInt16BE(4) === 0xFF00 ? 1 : 0);
+        else values.push(frame.readUInt16BE(4));
+        return { slaveId, functionCode, address: frame.readUInt16BE(2), quantity: 1, values, data };
+
+      case 0x0F: { // Write Multiple Coils
+        // Структура: [slave][func][addr][quantity][byteCount][data...]
+        if (frame.length < 7) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        const quantity = frame.readUInt16BE(4);
+        if (frame.length < 7 + Math.ceil(quantity / 8)) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        for (let i = 0; i < quantity; i++) values.push((frame.readUInt8(7 + (i >> 3)) >> (i & 7)) & 1);
+        return { slaveId, functionCode, address: frame.readUInt16BE(2), quantity, values, data };
+      }
+
+      case 0x10: { // Write Multiple Registers
+        // Структура: [slave][func][addr][quantity][byteCount][data...]
+        if (frame.length < 7) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        const quantity = frame.readUInt16BE(4);
+        if (frame.length < 7 + quantity * 2) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        for (let i = 0; i < quantity; i++) values.push(frame.readUInt16BE(7 + i * 2));
+        return { slaveId, functionCode, address: frame.readUInt16BE(2), quantity, values, data };
+      }
+
+      case 0x07: // Read Exception Status
+      case 0x11: // Report Slave ID
+        return { slaveId, functionCode, address: 0, quantity: 0, values, data };
+
+      case 0x08: // Diagnostics
+        if (frame.length < 6) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        return { slaveId, functionCode, address: frame.readUInt16BE(2), quantity: frame.readUInt16BE(4), values, data };
+
+      case 0x14: // Read File Record
+      case 0x15: { // Write File Record
+        if (frame.length < 3) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        const byteCount = frame.readUInt8(2);
+        if (frame.length < 3 + byteCount) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        const fileRecords = this.parseFileRecords(functionCode, frame.subarray(3, 3 + byteCount), true);
+        if (!fileRecords.length) throw ErrorManager.make('V2MODBUS_FILE_RECORD_INVALID');
+        const first = fileRecords[0];
+        const quantity = (functionCode === 0x14) ? frame.readUInt16BE(8) : first.values.length;
+        return {
+          slaveId, functionCode, address: first.file as number, quantity,
+          values: [first.record as number, ...first.values], data, fileRecords
+        };
+      }
+
+      case 0x16: // Mask Write Register
+        if (frame.length < 8) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        values.push(frame.readUInt16BE(6));
+        return { slaveId, functionCode, address: frame.readUInt16BE(2), quantity: frame.readUInt16BE(4), values, data };
+
+      case 0x17: { // Read/Write Multiple Registers
+        // Структура: [slave][func][readAddr][readQty][writeAddr][writeQty][byteCount][data...]
+        if (frame.length < 11) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        const writeQuantity = frame.readUInt16BE(8);
+        if (frame.length < 11 + writeQuantity * 2) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        for (let i = 0; i < writeQuantity; i++) values.push(frame.readUInt16BE(11 + i * 2));
+        return {
+          slaveId, functionCode, address: frame.readUInt16BE(2), quantity: frame.readUInt16BE(4),
+          values, data, writeAddress: frame.readUInt16BE(6)
+        };
+      }
+
+      case 0x18: // Read FIFO Queue
+        if (frame.length < 4) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        return { slaveId, functionCode, address: frame.readUInt16BE(2), quantity: 0, values, data };
+
+      case 0x2B: // Read Device Identification
+        if (frame.length < 5) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+        if (frame.readUInt8(2) !== this.MEI_READ_DEVICE_ID) throw ErrorManager.make('V2MODBUS_UNSUPPORTED_FUNCTION_CODE');
+        return { slaveId, functionCode, address: frame.readUInt8(3), quantity: frame.readUInt8(4), values, data };
+
+      default:
+        throw ErrorManager.make('V2MODBUS_UNSUPPORTED_FUNCTION_CODE');
+    }
+  }
+
+  /**
+   * Проверяет что разобранный ответ соответствует кадру запроса (без контрольной суммы)
+   * 
+   * - Адрес устройства и код функции (без бита исключения) должны совпадать
+   * - Для чтения 0x01-0x04 и 0x17 количество байт должно соответствовать запрошенному количеству
+   * - Ответ на запись 0x05/0x06/0x0F/0x10/0x16 должен повторять адрес и значение/количество запроса
+   * 
+   * Для ответа с исключением проверяются только адрес и код функции.
+   * При несовпадении выбрасывается ошибка
+   * 
+   * @example
+   * const req = ModbusRTU.makeFrame(1, 0x03, 0x10, 2);
+   * ModbusRTU.validateResponse(req, ModbusRTU.parseResponse(incomingBuffer));
+   */
+  public static validateResponse(request: Buffer, response: ModbusResponse) {
+    if (request.length < 2) throw ErrorManager.make('V2MODBUS_PACKET_TOO_SHORT');
+    const slaveId = request.readUInt8(0);
+    const functionCode = request.readUInt8(1);
+    if (response.slaveId !== slaveId) throw ErrorManager.make('V2MODBUS_RESPONSE_SLAVE_MISMATCH', {
+      request: slaveId, response: response.slaveId
+    });
+    if (response.functionCode !== functionCode) throw ErrorManager.make('V2MODBUS_RESPONSE_FUNCTION_MISMATCH', {
+      request: functionCode, response: response.functionCode
+    });
+    if (response.exceptionCode !== undefined) return;
+
+    let byteCount = -1;
+    switch (functionCode) {
+      case 0x01: // Read Coils
+      case 0x02: // Read Discrete Inputs
+        if (request.length >= 6) byteCount = Math.ceil(request.readUInt16BE(4) / 8);
+        break;
+      case 0x03: // Read Holding Registers
+      case 0x04: // Read Input Registers
+      case 0x17: // Read/Write Multiple Registers
+        if (request.length >= 6) byteCount = request.readUInt16BE(4) * 2;
+        break;
+      case 0x05: // Write Single Coil
+      case 0x06: // Write Single Register
+      case 0x0F: // Write Multiple Coils
+      case 0x10: // Write Multiple Registers
+      case 0x16: { // Mask Write Register
+        // Эхо: адрес и значение/количество (для 0x16 - адрес и обе маски)
+        const size = (functionCode === 0x16) ? 6 : 4;
+        const expected = request.subarray(2, 2 + size);
+        if (expected.length !== size || !response.data.subarray(0, size).equals(expected)) {
+          throw ErrorManager.make('V2MODBUS_RESPONSE_ECHO_MISMATCH', {
+            request: expected.toString('hex'), response: response.data.subarray(0, size).toString('hex')
+          });
+        }
+        return;
+      }
+    }
+    if (byteCount >= 0 && (response.byteCount !== byteCount || response.data.length !== byteCount)) {
+      throw ErrorManager.make('V2MODBUS_RESPONSE_BYTE_COUNT_MISMATCH', {
+        expected: byteCount, byteCount: response.byteCount, received: response.data.length
+      });
+    }
+  }
+
   /**
    * Проверяет что буфер содержит полный Modbus RTU пакет
+   * 
+   * Ответ с исключением [slave][func | 0x80][code][crc] имеет размер 5 байт
    * @example
    * const buffer = Buffer.from([0x01, 0x05, 0x00, 0x20, 0xFF, 0x00, 0x8C, 0x18]);
    * const isComplete = ModbusRTU.isCompletePacket(buffer); // true
    */
   public static isCompletePacket(buffer: Buffer): boolean {
     if (buffer.length < 4) return false;
+    if (buffer.readUInt8(1) & 0x80) return buffer.length === 5; // Исключение
     switch (buffer.readUInt8(1)) {        
+      case 0x07: // Read Exception Status
+      case 0x08: // Diagnostics
+      case 0x11: // Report Slave ID
+      case 0x14: // Read File Record
+      case 0x15: // Write File Record
+      case 0x16: // Mask Write Register
+      case 0x17: // Read/Write Multiple Registers
+      case 0x18: // Read FIFO Queue
+      case 0x2B: // Read Device Identification
+        return buffer.length === ModbusRTU.responseLength(buffer);
       case 0x01: // Read Coils
       case 0x02: // Read Discrete Inputs
       case 0x03: // Read Holding Registers
@@ -387,6 +1127,119 @@ public static parseResponse(buffer: Buffer): ModbusResponse {
     }
   }
 
+  /**
+   * Проверяет что буфер содержит полный Modbus RTU запрос
+   * @example
+   * const buffer = Buffer.from([0x01, 0x03, 0x00, 0x00, 0x00, 0x02, 0xC4, 0x0B]);
+   * const isComplete = ModbusRTU.isCompleteRequest(buffer); // true
+   */
+  public static isCompleteRequest(buffer: Buffer): boolean {
+    const length = ModbusRTU.requestLength(buffer);
+    return length > 0 && buffer.length === length;
+  }
+
+  /**
+   * Возвращает ожидаемый размер Modbus RTU запроса по его началу
+   * 
+   * Размер запросов 0x0F/0x10/0x17/0x14/0x15 определяется байтом количества данных,
+   * остальные запросы имеют фиксированный размер.
+   * Если данных для определения размера недостаточно или код функции
+   * неизвестен - возвращает 0
+   * @example
+   * ModbusRTU.requestLength(Buffer.from([0x01, 0x10, 0x02, 0x00, 0x00, 0x03, 0x06])); // 15
+   */
+  public static requestLength(buffer: Buffer): number {
+    if (buffer.length < 2) return 0;
+    switch (buffer.readUInt8(1)) {
+      case 0x0F: // Write Multiple Coils
+      case 0x10: // Write Multiple Registers
+        if (buffer.length < 7) return 0;
+        return buffer.readUInt8(6) + 9;
+      case 0x17: // Read/Write Multiple Registers
+        if (buffer.length < 11) return 0;
+        return buffer.readUInt8(10) + 13;
+      case 0x14: // Read File Record
+      case 0x15: // Write File Record
+        if (buffer.length < 3) return 0;
+        return buffer.readUInt8(2) + 5;
+      case 0x07: // Read Exception Status
+      case 0x11: // Report Slave ID
+        return 4;
+      case 0x18: // Read FIFO Queue
+        return 6;
+      case 0x2B: // Read Device Identification
+        return 7;
+      case 0x16: // Mask Write Register
+        return 10;
+      case 0x08: // Diagnostics
+      case 0x01: // Read Coils
+      case 0x02: // Read Discrete Inputs
+      case 0x03: // Read Holding Registers
+      case 0x04: // Read Input Registers
+      case 0x05: // Write Single Coil
+      case 0x06: // Write Single Register
+        return 8;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Возвращает ожидаемый размер Modbus RTU ответа по его началу
+   * 
+   * Учитывает ответы с исключением (5 байт) и ответы чтения, размер которых
+   * определяется байтом количества данных. Если данных для определения размера
+   * недостаточно или код функции неизвестен - возвращает 0
+   * 
+   * Размер ответа 0x2B/0x0E определяется перебором объектов. Пока объекты
+   * получены не полностью, возвращается минимальный размер с учетом
+   * уже полученных данных
+   * @example
+   * ModbusRTU.responseLength(Buffer.from([0x01, 0x03, 0x04])); // 9
+   * ModbusRTU.responseLength(Buffer.from([0x01, 0x83])); // 5
+   */
+  public static responseLength(buffer: Buffer): number {
+    if (buffer.length < 2) return 0;
+    const functionCode = buffer.readUInt8(1);
+    if (functionCode & 0x80) return 5;
+    switch (functionCode) {
+      case 0x01: // Read Coils
+      case 0x02: // Read Discrete Inputs
+      case 0x03: // Read Holding Registers
+      case 0x04: // Read Input Registers
+      case 0x11: // Report Slave ID
+      case 0x14: // Read File Record
+      case 0x15: // Write File Record
+      case 0x17: // Read/Write Multiple Registers
+        if (buffer.length < 3) return 0;
+        return buffer.readUInt8(2) + 5;
+      case 0x18: // Read FIFO Queue
+        if (buffer.length < 4) return 0;
+        return buffer.readUInt16BE(2) + 6;
+      case 0x07: // Read Exception Status
+        return 5;
+      case 0x05: // Write Single Coil
+      case 0x06: // Write Single Register
+      case 0x08: // Diagnostics
+      case 0x0F: // Write Multiple Coils
+      case 0x10: // Write Multiple Registers
+        return 8;
+      case 0x16: // Mask Write Register
+        return 10;
+      case 0x2B: { // Read Device Identification
+        // [slave][2B][0E][code][conformity][moreFollows][nextObjectId][count] + объекты + CRC
+        if (buffer.length < 8) return 10;
+        let length = 8;
+        for (let i = 0; i < buffer.readUInt8(7); i++) {
+          if (buffer.length < length + 2) return length + 4;
+          length += 2 + buffer.readUInt8(length + 1);
+        }
+        return length + 2;
+      }
+      default:
+        return 0;
+    }
+  }
 
   /**
    * Вычисляет CRC для переданного Buffer, 
@@ -0,0 +1,199 @@
+import { ModbusArea, ModbusRTU } from "./ModbusRTU";
+
+/**
+ * Начальные значения таблиц ведомого устройства
+ *
+ * Для каждой области - объект "адрес: значение". Если значение - массив,
+ * то значения записываются в последовательные адреса начиная с указанного
+ *
+ * @example
+ * const tables: ModbusSlaveTables = {
+ *   holding: { "0": [10, 20, 30], "48": 350 },
+ *   coil: { "0": [1, 0, 1] }
+ * }
+ */
+export type ModbusSlaveTables = {
+  [key in ModbusArea]?: { [address: string]: number | number[] }
+};
+
+/**
+ * Модель ведомого Modbus устройства (slave)
+ *
+ * Хранит таблицы coil, di, holding и input и отвечает на кадры запросов.
+ * Адреса, которых нет в таблицах, считаются несуществующими - на них
+ * возвращается исключение ILLEGAL DATA ADDRESS (0x02)
+ *
+ * @example
+ * const slave = new ModbusSlave(1, { holding: { "0": [10, 20] } });
+ * const resp = slave.handleRTU(ModbusRTU.makeRequest(1, 0x03, 0, 2));
+ * // resp: <Buffer 01 03 04 00 0a 00 14 ...crc>
+*/
+export class ModbusSlave {
+
+  /**
+   * Коды функций, которые обрабатывает модель
+  */
+  static readonly SUPPORTED_CODES = [0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x0F, 0x10];
+
+  /**
+   * Адрес ведомого устройства
+  */
+  slaveId: number;
+
+  /**
+   * Таблицы значений по областям
+  */
+  tables: { [key in ModbusArea]: Map<number, number> } = {
+    coil: new Map(),
+    di: new Map(),
+    holding: new Map(),
+    input: new Map()
+  };
+
+  constructor(slaveId = 1, tables: ModbusSlaveTables = {}) {
+    this.slaveId = slaveId;
+    this.load(tables);
+  }
+
+  /**
+   * Загружает значения в таблицы (существующие значения не очищаются)
+  */
+  load(tables: ModbusSlaveTables) {
+    for (const area of Object.keys(this.tables) as ModbusArea[]) {
+      const items = tables[area];
+      if (!items) continue;
+      for (const key of Object.keys(items)) {
+        const value = items[key];
+        const values = Array.isArray(value) ? value : [value];
+        this.setValues(area, parseInt(key), values);
+      }
+    }
+  }
+
+  /**
+   * Устанавливает значения начиная с адреса
+   *
+   * Для coil/di значение приводится к 0/1, для регистров - к 16 битам
+  */
+  setValues(area: ModbusArea, address: number, values: number[]) {
+    const isBits = (area === 'coil' || area === 'di');
+    values.forEach((value, i) => {
+      this.tables[area].set((address + i) & 0xFFFF, isBits ? (value ? 1 : 0) : value & 0xFFFF);
+    });
+  }
+
+  /**
+   * Возвращает значения начиная с адреса или undefined, если хотя бы одного адреса нет
+  */
+  getValues(area: ModbusArea, address: number, quantity: number): number[] | undefined {
+    const result: number[] = [];
+    for (let i = 0; i < quantity; i++) {
+      const value = this.tables[area].get(address + i);
+      if (value === undefined) return undefined;
+      result.push(value);
+    }
+    return result;
+  }
+
+  /**
+   * Обрабатывает Modbus RTU пакет запроса
+   *
+   * Возвращает пакет ответа с CRC или null, если отвечать не нужно
+   * (ошибка CRC, чужой адрес или широковещательный запрос)
+  */
+  handleRTU(buffer: Buffer): Buffer | null {
+    if (buffer.length < 4 || !ModbusRTU.verifyCRC(buffer)) return null;
+    const resp = this.handleFrame(buffer.subarray(0, -2));
+    return resp ? ModbusRTU.addCRC(resp) : null;
+  }
+
+  /**
+   * Обрабатывает кадр запроса без контрольной суммы [slave][func][данные...]
+   *
+   * Возвращает кадр ответа без контрольной суммы или null, если отвечать не нужно
+  */
+  handleFrame(frame: Buffer): Buffer | null {
+    if (frame.length < 2) return null;
+    const slaveId = frame.readUInt8(0);
+    if (slaveId !== this.slaveId && slaveId !== 0) return null;
+    const resp = this.process(frame);
+    return (slaveId === 0) ? null : resp;
+  }
+
+  /**
+   * Выполняет запрос и формирует кадр ответа
+  */
+  protected process(frame: Buffer): Buffer {
+    const functionCode = frame.readUInt8(1);
+    const EX = ModbusRTU.EXCEPTION_CODES;
+    if (!ModbusSlave.SUPPORTED_CODES.includes(functionCode)) return this.makeException(frame, EX.ILLEGAL_FUNCTION);
+    if (frame.length < 6) return this.makeException(frame, EX.ILLEGAL_DATA_VALUE);
+    const address = frame.readUInt16BE(2);
+    const quantity = frame.readUInt16BE(4);
+
+    switch (functionCode) {
+      case 0x01: // Read Coils
+      case 0x02: { // Read Discrete Inputs
+        if (quantity < 1 || quantity > 2000) return this.makeException(frame, EX.ILLEGAL_DATA_VALUE);
+        const values = this.getValues(functionCode === 0x01 ? 'coil' : 'di', address, quantity);
+        if (!values) return this.makeException(frame, EX.ILLEGAL_DATA_ADDRESS);
+        const bytes = Buffer.alloc(Math.ceil(quantity / 8));
+        values.forEach((bit, i) => { if (bit) bytes[i >> 3] |= (1 << (i & 7)); });
+        return Buffer.concat([frame.subarray(0, 2), Buffer.from([bytes.length]), bytes]);
+      }
+
+      case 0x03: // Read Holding Registers
+      case 0x04: { // Read Input Registers
+        if (quantity < 1 || quantity > 125) return this.makeException(frame, EX.ILLEGAL_DATA_VALUE);
+        const values = this.getValues(functionCode === 0x03 ? 'holding' : 'input', address, quantity);
+        if (!values) return this.makeException(frame, EX.ILLEGAL_DATA_ADDRESS);
+        const bytes = Buffer.alloc(quantity * 2);
+        values.forEach((value, i) => bytes.writeUInt16BE(value, i * 2));
+        return Buffer.concat([frame.subarray(0, 2), Buffer.from([bytes.length]), bytes]);
+      }
+
+      case 0x05: // Write Single Coil
+        if (quantity !== 0xFF00 && quantity !== 0x0000) return this.makeException(frame, EX.ILLEGAL_DATA_VALUE);
+        if (!this.tables.coil.has(address)) return this.makeException(frame, EX.ILLEGAL_DATA_ADDRESS);
+        this.setValues('coil', address, [quantity ? 1 : 0]);
+        return frame.subarray(0, 6);
+
+      case 0x06: // Write Single Register
+        if (!this.tables.holding.has(address)) return this.makeException(frame, EX.ILLEGAL_DATA_ADDRESS);
+        this.setValues('holding', address, [quantity]);
+        return frame.subarray(0, 6);
+
+      case 0x0F: { // Write Multiple Coils
+        if (quantity < 1 || quantity > 1968 || frame.length < 7 + Math.ceil(quantity / 8)) {
+          return this.makeException(frame, EX.ILLEGAL_DATA_VALUE);
+        }
+        if (!this.getValues('coil', address, quantity)) return this.makeException(frame, EX.ILLEGAL_DATA_ADDRESS);
+        const values: number[] = [];
+        for (let i = 0; i < quantity; i++) values.push((frame[7 + (i >> 3)] >> (i & 7)) & 1);
+        this.setValues('coil', address, values);
+        return frame.subarray(0, 6);
+      }
+
+      case 0x10: { // Write Multiple Registers
+        if (quantity < 1 || quantity > 123 || frame.length < 7 + quantity * 2) {
+          return this.makeException(frame, EX.ILLEGAL_DATA_VALUE);
+        }
+        if (!this.getValues('holding', address, quantity)) return this.makeException(frame, EX.ILLEGAL_DATA_ADDRESS);
+        const values: number[] = [];
+        for (let i = 0; i < quantity; i++) values.push(frame.readUInt16BE(7 + i * 2));
+        this.setValues('holding', address, values);
+        return frame.subarray(0, 6);
+      }
+
+      default:
+        return this.makeException(frame, EX.ILLEGAL_FUNCTION);
+    }
+  }
+
+  /**
+   * Формирует кадр исключения [slave][func | 0x80][code]
+  */
+  makeException(frame: Buffer, exceptionCode: number): Buffer {
+    return Buffer.from([frame.readUInt8(0), frame.readUInt8(1) | 0x80, exceptionCode]);
+  }
+}
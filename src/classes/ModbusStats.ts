@@ -0,0 +1,124 @@
+/**
+ * Счетчики обмена с устройством
+ *
+ * @property {number} requests - Отправлено запросов (включая повторы по исключениям)
+ * @property {number} success - Получено корректных ответов без исключения
+ * @property {number} timeouts - Запросы без ответа (ошибка провайдера)
+ * @property {number} crc - Ответы с ошибкой контрольной суммы или обрамления
+ * @property {number} invalid - Ответы, не соответствующие запросу (адрес, функция, количество, эхо)
+ * @property {Object} exceptions - Количество исключений по коду
+ * @property {number} retries - Повторы запроса по исключениям BUSY и чтения по ACKNOWLEDGE
+ * @property {number} broadcasts - Отправлено широковещательных запросов (без ответа)
+ * @property {number} successRate - Процент успешных запросов
+ * @property {Object} latency - Время ответа в мс (min/avg/max) по последним запросам
+ */
+export interface ModbusStatsData {
+  requests: number;
+  success: number;
+  timeouts: number;
+  crc: number;
+  invalid: number;
+  exceptions: { [code: string]: number };
+  retries: number;
+  broadcasts: number;
+  successRate: number;
+  latency: { min: number, avg: number, max: number };
+}
+
+/**
+ * Статистика обмена с устройством
+ *
+ * Поле `data` - простой объект, который можно отдавать в shares.
+ * Время ответа считается по скользящему окну последних успешных запросов
+ *
+ * @example
+ * const stats = new ModbusStats(100);
+ * stats.request();
+ * stats.success(35);
+ * stats.data.successRate; // 100
+*/
+export class ModbusStats {
+
+  /**
+   * Текущие значения счетчиков
+  */
+  data: ModbusStatsData = ModbusStats.empty();
+
+  /**
+   * Время последних ответов
+  */
+  protected window: number[] = [];
+
+  /**
+   * @param {number} size - Размер окна для расчета времени ответа
+  */
+  constructor(protected size = 100) {}
+
+  /**
+   * Пустые счетчики
+  */
+  static empty(): ModbusStatsData {
+    return {
+      requests: 0,
+      success: 0,
+      timeouts: 0,
+      crc: 0,
+      invalid: 0,
+      exceptions: {},
+      retries: 0,
+      broadcasts: 0,
+      successRate: 0,
+      latency: { min: 0, avg: 0, max: 0 }
+    };
+  }
+
+  request() {
+    this.data.requests++;
+    this.updateRate();
+  }
+
+  /**
+   * Успешный ответ
+   *
+   * @param {number} latency - Время ответа в мс
+  */
+  success(latency: number) {
+    this.data.success++;
+    this.window.push(latency);
+    if (this.window.length > this.size) this.window.shift();
+    this.data.latency = {
+      min: Math.min(...this.window),
+      avg: Math.round(this.window.reduce((a, b) => a + b, 0) / this.window.length),
+      max: Math.max(...this.window)
+    };
+    this.updateRate();
+  }
+
+  timeout() { this.data.timeouts++; }
+
+  crc() { this.data.crc++; }
+
+  invalid() { this.data.invalid++; }
+
+  retry() { this.data.retries++; }
+
+  broadcast() { this.data.broadcasts++; }
+
+  exception(code: number) {
+    this.data.exceptions[code] = (this.data.exceptions[code] ?? 0) + 1;
+  }
+
+  /**
+   * Сбрасывает все счетчики
+   *
+   * Объект `data` сохраняется (обнуляется на месте), что бы ссылки на него оставались актуальными
+  */
+  reset() {
+    Object.assign(this.data, ModbusStats.empty());
+    this.window = [];
+  }
+
+  protected updateRate() {
+    this.data.successRate = this.data.requests ? Math.round(this.data.success / this.data.requests * 1000) / 10 : 0;
+  }
+}
@@ -0,0 +1,208 @@
+import { ErrorManager } from "vrack2-core";
+import { ModbusArea } from "./ModbusRTU";
+import { ModbusTypes, ModbusDataType, ModbusTypeOptions, ModbusValue } from "./ModbusTypes";
+
+/**
+ * Один запрос чтения, сформированный планировщиком
+ *
+ * @property {ModbusArea} area - Область данных
+ * @property {number} address - Адрес первого элемента
+ * @property {number} quantity - Количество элементов (регистров или битов)
+ */
+export interface ReadBlock {
+  area: ModbusArea;
+  address: number;
+  quantity: number;
+}
+
+/**
+ * Запрещенный для чтения диапазон адресов (включительно)
+ *
+ * Если `area` не указана - диапазон запрещен во всех областях
+ */
+export interface ForbiddenRange {
+  area?: ModbusArea;
+  start: number;
+  end: number;
+}
+
+/**
+ * Параметры планирования
+ *
+ * @property {number} [maxGap] - Максимальное количество лишних адресов между
+ *   нужными, которые можно прочитать ради объединения запросов (по умолчанию 0)
+ * @property {Array<ForbiddenRange>} [forbidden] - Диапазоны, которые нельзя читать никогда
+ */
+export interface ReadPlanOptions {
+  maxGap?: number;
+  forbidden?: Array<ForbiddenRange>;
+}
+
+/**
+ * Значение, которое занимает один или несколько адресов области (регистр карты или профиля)
+ *
+ * Для coil/di значение занимает один адрес и равно 0 или 1, для holding/input - декодируется
+ * по типу (см. {@link ModbusTypes}) и приводится как `value * scale + offset`
+ */
+export interface ReadItem extends ModbusTypeOptions {
+  area: ModbusArea;
+  address: number;
+  type: ModbusDataType;
+  scale: number;
+  offset: number;
+}
+
+ErrorManager.register(
+  'ReadPlanner',
+  'M4QG8XWB1',
+  'V2MODBUS_READ_FORBIDDEN',
+  'Requested address is inside a forbidden range',
+);
+
+/**
+ * Статический класс для объединения чтений соседних адресов в минимальное
+ * количество Modbus запросов
+ *
+ * @example
+ * ReadPlanner.plan('holding', [0x00, 0x01, 0x02, 0x30, 0x31]);
+ * // [{ area: 'holding', address: 0, quantity: 3 }, { area: 'holding', address: 0x30, quantity: 2 }]
+*/
+export class ReadPlanner {
+
+  /**
+   * Максимальное количество регистров в одном запросе 0x03/0x04
+  */
+  public static readonly MAX_REGISTERS = 125;
+
+  /**
+   * Максимальное количество битов в одном запросе 0x01/0x02
+  */
+  public static readonly MAX_BITS = 2000;
+
+  /**
+   * Возвращает максимальное количество элементов в одном запросе для области
+  */
+  public static maxQuantity(area: ModbusArea): number {
+    return (area === 'coil' || area === 'di') ? this.MAX_BITS : this.MAX_REGISTERS;
+  }
+
+  /**
+   * Группирует адреса в минимальное количество запросов
+   *
+   * Соседние адреса объединяются, если расстояние между ними не больше `maxGap`,
+   * запрос не превышает лимит области и не захватывает запрещенные адреса
+   *
+   * @param {ModbusArea} area - Область данных
+   * @param {Array<number>} addresses - Нужные адреса (порядок и повторы не важны)
+   * @param {ReadPlanOptions} options - Параметры планирования
+   */
+  public static plan(area: ModbusArea, addresses: Array<number>, options: ReadPlanOptions = {}): Array<ReadBlock> {
+    const maxGap = options.maxGap ?? 0;
+    const limit = this.maxQuantity(area);
+    const forbidden = (options.forbidden ?? []).filter(range => range.area === undefined || range.area === area);
+    const sorted = [...new Set(addresses)].sort((a, b) => a - b);
+    const blocks: Array<ReadBlock> = [];
+
+    for (const address of sorted) {
+      if (this.isForbidden(address, address, forbidden)) throw ErrorManager.make('V2MODBUS_READ_FORBIDDEN', { area, address });
+      const last = blocks[blocks.length - 1];
+      if (last) {
+        const lastEnd = last.address + last.quantity - 1;
+        const gap = address - lastEnd - 1;
+        if (gap <= maxGap &&
+          address - last.address + 1 <= limit &&
+          !this.isForbidden(lastEnd + 1, address - 1, forbidden)) {
+          last.quantity = address - last.address + 1;
+          continue;
+        }
+      }
+      blocks.push({ area, address, quantity: 1 });
+    }
+    return blocks;
+  }
+
+  /**
+   * Разбирает данные ответа на значения по адресам
+   *
+   * Для регистров значение - беззнаковое 16-битное число, для битов - 0 или 1
+   *
+   * @param {ReadBlock} block - Запрос, на который получен ответ
+   * @param {Buffer} data - Поле `data` ответа
+   * @param {Map<number, number>} result - Куда сложить значения
+   */
+  public static split(block: ReadBlock, data: Buffer, result = new Map<number, number>()): Map<number, number> {
+    const isBits = (block.area === 'coil' || block.area === 'di');
+    for (let i = 0; i < block.quantity; i++) {
+      if (isBits) {
+        const byte = data[i >> 3];
+        if (byte === undefined) break;
+        result.set(block.address + i, (byte >> (i & 7)) & 1);
+      } else {
+        if (data.length < i * 2 + 2) break;
+        result.set(block.address + i, data.readUInt16BE(i * 2));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Количество адресов, которое занимает значение
+  */
+  public static itemCount(item: ReadItem): number {
+    if (!this.isRegisterArea(item.area)) return 1;
+    return ModbusTypes.registerCount(item.type, item);
+  }
+
+  /**
+   * Собирает адреса значений по областям (для {@link plan})
+   *
+   * @example
+   * const areas = ReadPlanner.itemAddresses(registers);
+   * for (const [area, addresses] of areas) values.set(area, await this.readAddresses(area, addresses));
+  */
+  public static itemAddresses(items: Array<ReadItem>): Map<ModbusArea, Array<number>> {
+    const areas = new Map<ModbusArea, Array<number>>();
+    for (const item of items) {
+      const list = areas.get(item.area) ?? [];
+      for (let i = 0; i < this.itemCount(item); i++) list.push(item.address + i);
+      areas.set(item.area, list);
+    }
+    return areas;
+  }
+
+  /**
+   * Значение из прочитанных значений области по адресам (см. {@link split})
+   *
+   * Отсутствующие адреса считаются равными 0
+  */
+  public static itemValue(item: ReadItem, values: Map<number, number>): ModbusValue {
+    const raw: Array<number> = [];
+    for (let i = 0; i < this.itemCount(item); i++) raw.push(values.get(item.address + i) ?? 0);
+    return this.decodeItem(item, raw);
+  }
+
+  /**
+   * Значение из сырых значений адресов с учетом типа, масштаба и смещения
+  */
+  public static decodeItem(item: ReadItem, raw: Array<number>): ModbusValue {
+    if (!this.isRegisterArea(item.area)) return raw[0] ?? 0;
+    const value = ModbusTypes.decode(ModbusTypes.toBuffer(raw), item.type, item);
+    if (typeof value !== 'number') return value;
+    return value * item.scale + item.offset;
+  }
+
+  /**
+   * Область содержит 16-битные регистры (holding/input), а не биты
+  */
+  public static isRegisterArea(area: ModbusArea): boolean {
+    return area === 'holding' || area === 'input';
+  }
+
+  /**
+   * Проверяет пересечение диапазона адресов [from, to] с запрещенными
+  */
+  public static isForbidden(from: number, to: number, forbidden: Array<ForbiddenRange>): boolean {
+    if (to < from) return false;
+    return forbidden.some(range => range.start <= to && range.end >= from);
+  }
+}
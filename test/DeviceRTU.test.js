@@ -0,0 +1,156 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusTCP } = require('../devices/classes/ModbusTCP')
+const { ModbusSlave } = require('../devices/classes/ModbusSlave')
+const UniversalDI = require('../devices/UniversalDI').default
+const { createDevice } = require('./harness')
+
+const DI_OPTIONS = { сountDI: 2, area: 'di', start: 0, blockSize: 2000, invert: [], debounce: 1, counters: false, eachGate: false }
+
+test('broadcast is sent without response and counted', async (t) => {
+  const slave = new ModbusSlave(1, { di: { '0': [0, 0] }, holding: { '256': [0] } })
+  const dev = createDevice(UniversalDI, DI_OPTIONS, [slave])
+  t.after(() => dev.close())
+  await dev.poll()
+  const requests = dev.device.shares.stats.requests
+
+  await dev.device.broadcast(0x06, 0x0100, 1)
+  assert.strictEqual(slave.getValues('holding', 0x0100, 1)[0], 1)
+  assert.strictEqual(dev.device.shares.stats.broadcasts, 1)
+  assert.strictEqual(dev.device.shares.stats.requests, requests)
+  assert.strictEqual(dev.device.shares.stats.timeouts, 0)
+})
+
+test('broadcast rethrows provider errors other than timeout', async (t) => {
+  const dev = createDevice(UniversalDI, DI_OPTIONS, [new ModbusSlave(1)])
+  t.after(() => dev.close())
+  await dev.poll()
+
+  dev.provider.autoRequest = async () => { throw new Error('Not connected') }
+  await assert.rejects(dev.device.broadcast(0x06, 0x0100, 1), /Not connected/)
+
+  // Провайдер без isTimeout - таймаут определяется по имени или коду ошибки
+  dev.provider.isTimeout = undefined
+  await assert.rejects(dev.device.broadcast(0x06, 0x0100, 1), /Not connected/)
+  const failures = [
+    Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' }),
+    Object.assign(new Error('Timeout'), { code: 'ETIMEDOUT' }),
+    Object.assign(new Error('No response'), { name: 'TimeoutError' })
+  ]
+  dev.provider.autoRequest = async () => { throw failures.shift() }
+  await assert.rejects(dev.device.broadcast(0x06, 0x0100, 1), /Connection reset/)
+  await dev.device.broadcast(0x06, 0x0100, 1)
+  await dev.device.broadcast(0x06, 0x0100, 1)
+  assert.strictEqual(dev.device.shares.stats.broadcasts, 5)
+})
+
+test('state changes do not require online and offline ports', async (t) => {
+  // Наследник объявляет только свои выходы, без super.outputs()
+  class OwnPortsDI extends UniversalDI {
+    outputs() {
+      return { di1: {}, di2: {} }
+    }
+  }
+  const slave = new ModbusSlave(1, { di: { '0': [1, 0] } })
+  const dev = createDevice(OwnPortsDI, { ...DI_OPTIONS, offlineFailures: 1 }, [slave])
+  t.after(() => dev.close())
+  const output = {}
+  for (const port of Object.keys(dev.device.outputs())) output[port] = { push: () => {} }
+  dev.device.ports.output = output
+
+  assert.strictEqual(await dev.poll(), null)
+  assert.strictEqual(dev.device.shares.state, 'online')
+  dev.provider.slaves.length = 0
+  assert.strictEqual((await dev.poll()).vShort, 'V2MODBUS_LOOPBACK_TIMEOUT')
+  assert.strictEqual(dev.device.shares.state, 'offline')
+})
+
+test('tcp requests to unit id 0 wait for the response', async (t) => {
+  const slave = new ModbusSlave(1, { di: { '0': [1, 0] } })
+  // Устройство за шлюзом, которое отвечает на unit id 0
+  const gateway = {
+    handleFrame(frame) {
+      const resp = slave.handleFrame(Buffer.from([1, ...frame.subarray(1)]))
+      if (resp) resp[0] = 0
+      return resp
+    }
+  }
+  const dev = createDevice(UniversalDI, { ...DI_OPTIONS, framing: 'tcp', address: 0 }, [gateway])
+  t.after(() => dev.close())
+
+  assert.strictEqual(await dev.poll(), null)
+  assert.deepStrictEqual(dev.device.shares.di, [1, 0])
+})
+
+test('tcp skips a stale reply and waits for its own transaction', async (t) => {
+  const slave = new ModbusSlave(1, { di: { '0': [1, 1] } })
+  const dev = createDevice(UniversalDI, { ...DI_OPTIONS, framing: 'tcp' }, [slave])
+  t.after(() => dev.close())
+  // Перед ответом приходит опоздавший ответ на прошлый запрос
+  const exchange = dev.provider.exchange.bind(dev.provider)
+  dev.provider.exchange = async (buffer, timeout) => {
+    const response = await exchange(buffer, timeout)
+    const stale = ModbusTCP.addMBAP(Buffer.from([1, 0x02, 0x01, 0x00]), ModbusTCP.getTransactionId(buffer) ^ 0xFFFF)
+    return Buffer.concat([stale, response])
+  }
+
+  assert.strictEqual(await dev.poll(), null)
+  assert.deepStrictEqual(dev.device.shares.di, [1, 1])
+  assert.strictEqual(dev.device.shares.stats.invalid, 0)
+})
+
+test('tcp reports a transaction mismatch when only stale replies arrive', async (t) => {
+  const slave = new ModbusSlave(1, { di: { '0': [1, 1] } })
+  const dev = createDevice(UniversalDI, { ...DI_OPTIONS, framing: 'tcp' }, [slave])
+  t.after(() => dev.close())
+  for (let i = 0; i < 3; i++) dev.provider.inject({ type: 'crc' })
+
+  const err = await dev.poll()
+  assert.strictEqual(err.vShort, 'V2MODBUS_TRANSACTION_MISMATCH')
+  assert.strictEqual(dev.device.shares.stats.invalid, 1)
+  assert.strictEqual(dev.device.shares.stats.timeouts, 0)
+})
+
+test('queueRejectOffline rejects tasks only in the offline state', async (t) => {
+  const dev = createDevice(UniversalDI, { ...DI_OPTIONS, queueRejectOffline: true, offlineFailures: 1 }, [])
+  t.after(() => dev.close())
+
+  // Состояние после запуска еще не известно - задача принимается
+  const task = dev.device.actionAddQueue(async () => 'done')
+  assert.ok(await dev.poll())
+  assert.strictEqual(await task, 'done')
+  assert.strictEqual(dev.device.shares.state, 'offline')
+  await assert.rejects(dev.device.actionAddQueue(async () => 'done'), (err) => err.vShort === 'V2MODBUS_DEVICE_OFFLINE')
+})
+
+test('ACKNOWLEDGE does not resend a write', async (t) => {
+  const slave = new ModbusSlave(1, { di: { '0': [0, 0] }, holding: { '16': [0, 0] } })
+  const dev = createDevice(UniversalDI, DI_OPTIONS, [slave])
+  t.after(() => dev.close())
+  await dev.poll()
+  const writes = () => dev.provider.requests.filter(req => req[1] === 0x06).length
+
+  // Без проверки завершения - ошибка исключения
+  dev.provider.inject({ type: 'exception', code: 5 })
+  await assert.rejects(dev.device.simpleRequest(0x06, 16, 7), (err) => err.vShort === 'V2MODBUS_EXCEPTION_ACKNOWLEDGE')
+  assert.strictEqual(writes(), 1)
+
+  // writeVerify проверяет завершение обратным чтением
+  dev.provider.inject({ type: 'exception', code: 5 })
+  assert.deepStrictEqual(await dev.device.writeVerify(0x06, 17, [9]), [9])
+  assert.strictEqual(writes(), 2)
+  assert.strictEqual(dev.device.shares.stats.retries, 0)
+})
+
+test('ACKNOWLEDGE repeats a read until the data is ready', async (t) => {
+  const slave = new ModbusSlave(1, { di: { '0': [0, 0] }, holding: { '16': [5] } })
+  const dev = createDevice(UniversalDI, DI_OPTIONS, [slave])
+  t.after(() => dev.close())
+  await dev.poll()
+
+  dev.provider.inject({ type: 'exception', code: 5 })
+  dev.provider.inject({ type: 'exception', code: 5 })
+  const resp = await dev.device.simpleRequest(0x03, 16, 1)
+  assert.strictEqual(resp.data.readUInt16BE(0), 5)
+  assert.strictEqual(dev.device.shares.stats.retries, 2)
+})
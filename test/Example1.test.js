@@ -0,0 +1,136 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusRTU } = require('../devices/classes/ModbusRTU')
+const { ModbusSlave } = require('../devices/classes/ModbusSlave')
+const Example1 = require('../devices/Example1').default
+const { createDevice } = require('./harness')
+
+function sensor() {
+  return new ModbusSlave(1, {
+    holding: {
+      '0': [1, 0, 0, 215, 0, 800], // 0x00 статус, 0x03 температура, 0x05 АЦП
+      '48': [350, 0xFFF6, 50] // 0x30 up, 0x31 down (-10), 0x32 gist
+    }
+  })
+}
+
+test('polls status and settings groups', async (t) => {
+  const slave = sensor()
+  const dev = createDevice(Example1, {}, [slave])
+  t.after(() => dev.close())
+
+  assert.strictEqual(await dev.poll(), null)
+  assert.strictEqual(dev.device.shares.snow, 1)
+  assert.strictEqual(dev.device.shares.interC, 215)
+  assert.strictEqual(dev.device.shares.sense, 800)
+  assert.deepStrictEqual(dev.device.shares.settings, { up: 350, down: -10, gist: 50 })
+
+  // Настройки опрашиваются раз в минуту - второй опрос читает только статус (3 регистра без объединения)
+  const count = dev.provider.requests.length
+  await dev.poll()
+  assert.strictEqual(dev.provider.requests.length - count, 3)
+})
+
+test('set.up writes through the queue with read back', async (t) => {
+  const slave = sensor()
+  const dev = createDevice(Example1, {}, [slave])
+  t.after(() => dev.close())
+
+  await dev.poll()
+  const result = dev.device.actionSetUp({ value: 300 })
+  await dev.poll()
+  assert.deepStrictEqual(await result, { result: 'success', value: 300 })
+  assert.deepStrictEqual(slave.getValues('holding', 0x30, 1), [300])
+  assert.strictEqual(dev.device.shares.settings.up, 300)
+})
+
+test('set.up fails when the sensor keeps another value', async (t) => {
+  const slave = sensor()
+  // Датчик принимает запись, но оставляет старое значение
+  const handle = slave.handleFrame.bind(slave)
+  slave.handleFrame = (frame) => (frame[1] === 0x06) ? Buffer.from(frame) : handle(frame)
+  const dev = createDevice(Example1, { verifyRetries: 1 }, [slave])
+  t.after(() => dev.close())
+
+  const result = dev.device.actionSetUp({ value: 300 })
+  await dev.poll()
+  await assert.rejects(result)
+  assert.deepStrictEqual(slave.getValues('holding', 0x30, 1), [350])
+})
+
+test('settings out of the sensor range are rejected without writing', async (t) => {
+  const slave = sensor()
+  const dev = createDevice(Example1, {}, [slave])
+  t.after(() => dev.close())
+  await dev.poll()
+  const count = dev.provider.requests.length
+
+  for (const [action, value] of [['actionSetUp', 701], ['actionSetDown', -301], ['actionSetGist', -1]]) {
+    await assert.rejects(dev.device[action]({ value }), (err) => err.vShort === 'V2MODBUS_SETTING_OUT_OF_RANGE')
+  }
+  await dev.poll()
+  assert.strictEqual(dev.provider.requests.filter(req => req[1] === 0x06).length, 0)
+  assert.ok(dev.provider.requests.length > count)
+})
+
+// Датчик отвечает на служебные пакеты FD эхом
+const service = () => ({ handleFrame: (frame) => (frame[0] === 0xFD) ? Buffer.from(frame) : null })
+
+test('set.address sends the FD frame and waits for the confirmation', async (t) => {
+  const dev = createDevice(Example1, {}, [sensor(), service()])
+  t.after(() => dev.close())
+
+  await dev.poll()
+  const result = dev.device.actionSetAddress({ value: 7 })
+  await dev.poll()
+  assert.deepStrictEqual(await result, { result: 'success', value: { speed: 0, address: 7 } })
+  const frame = dev.provider.requests.find(req => req[0] === 0xFD)
+  assert.deepStrictEqual([...frame.subarray(0, 5)], [0xFD, 0xFD, 0xFD, 0, 7])
+  assert.strictEqual(ModbusRTU.verifyCRC(frame), true)
+})
+
+test('set.speed fails without the confirmation', async (t) => {
+  const dev = createDevice(Example1, {}, [sensor()])
+  t.after(() => dev.close())
+
+  await dev.poll()
+  const result = dev.device.actionSetSpeed({ value: 3 })
+  await dev.poll()
+  await assert.rejects(result)
+  assert.strictEqual(dev.device.shares.stats.timeouts, 1)
+})
+
+test('spec framer request goes through retries and statistics', async (t) => {
+  const dev = createDevice(Example1, {}, [sensor(), service()])
+  t.after(() => dev.close())
+
+  dev.provider.inject({ type: 'timeout' })
+  const reply = dev.device.actionAddQueue(() => dev.device.frameRequest('spec', { speed: 3, address: 9 }, 2))
+  assert.strictEqual(await dev.poll(), null)
+  assert.deepStrictEqual(await reply, { speed: 3, address: 9 })
+  assert.strictEqual(dev.provider.requests.filter(req => req[0] === 0xFD).length, 2)
+  assert.strictEqual(dev.device.shares.stats.timeouts, 0)
+  assert.strictEqual(dev.device.shares.stats.success, dev.device.shares.stats.requests)
+
+  // После служебного запроса Modbus опрос продолжает работать
+  assert.strictEqual(dev.device.shares.snow, 1)
+  assert.throws(() => dev.device.getFramer('vendor'), /V2MODBUS_FRAMER_UNKNOWN|not registered/)
+})
+
+test('exception reply fails the poll', async (t) => {
+  const dev = createDevice(Example1, {}, [sensor()])
+  t.after(() => dev.close())
+
+  dev.provider.inject({ type: 'exception', code: 2 })
+  assert.notStrictEqual(await dev.poll(), null)
+  assert.strictEqual(dev.device.shares.stats.exceptions[2], 1)
+  assert.strictEqual(dev.device.shares.online, false)
+})
+
+test('makeSpecPkg builds the service packet', (t) => {
+  const dev = createDevice(Example1)
+  t.after(() => dev.close())
+  assert.deepStrictEqual(dev.device.makeSpecPkg(3, 0), ModbusRTU.addCRC(Buffer.from([0xFD, 0xFD, 0xFD, 3, 0])))
+  assert.deepStrictEqual(dev.device.makeSpecPkg(0, 17), ModbusRTU.addCRC(Buffer.from([0xFD, 0xFD, 0xFD, 0, 17])))
+  assert.strictEqual(dev.device.makeSpecPkg().length, 7)
+})
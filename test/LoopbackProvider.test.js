@@ -0,0 +1,79 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusRTU } = require('../devices/classes/ModbusRTU')
+const { ModbusTCP } = require('../devices/classes/ModbusTCP')
+const { ModbusASCII } = require('../devices/classes/ModbusASCII')
+const { ModbusSlave } = require('../devices/classes/ModbusSlave')
+const { LoopbackProvider } = require('../devices/classes/LoopbackProvider')
+
+function setup(framing = 'rtu') {
+  const slave = new ModbusSlave(1, { holding: { '0': [10, 20] } })
+  const provider = new LoopbackProvider([slave], framing)
+  return { slave, provider }
+}
+
+test('answers from the slave model', async () => {
+  const { provider } = setup()
+  provider.setPkgCheck(ModbusRTU.isCompletePacket)
+  await provider.autoRequest(ModbusRTU.makeRequest(1, 0x03, 0, 2), 20, 1)
+  const resp = ModbusRTU.parseResponse(provider.getBuffer())
+  assert.deepStrictEqual([...resp.data], [0, 10, 0, 20])
+  assert.strictEqual(provider.requests.length, 1)
+})
+
+test('does not answer for another slave address', async () => {
+  const { provider } = setup()
+  await assert.rejects(provider.autoRequest(ModbusRTU.makeRequest(2, 0x03, 0, 2), 10, 2))
+  assert.strictEqual(provider.requests.length, 2)
+})
+
+test('timeout fault is applied to one attempt', async () => {
+  const { provider } = setup()
+  provider.inject({ type: 'timeout' })
+  await assert.rejects(provider.autoRequest(ModbusRTU.makeRequest(1, 0x03, 0, 1), 10, 1))
+  await provider.autoRequest(ModbusRTU.makeRequest(1, 0x03, 0, 1), 10, 1)
+  provider.inject({ type: 'timeout' })
+  await provider.autoRequest(ModbusRTU.makeRequest(1, 0x03, 0, 1), 10, 2)
+  assert.strictEqual(provider.requests.length, 4)
+})
+
+test('crc fault corrupts the checksum', async () => {
+  const { provider } = setup()
+  provider.inject({ type: 'crc' })
+  await provider.autoRequest(ModbusRTU.makeRequest(1, 0x03, 0, 1), 10, 1)
+  assert.strictEqual(ModbusRTU.verifyCRC(provider.getBuffer()), false)
+})
+
+test('exception fault replaces the response', async () => {
+  const { provider } = setup()
+  provider.inject({ type: 'exception', code: 6 })
+  await provider.autoRequest(ModbusRTU.makeRequest(1, 0x03, 0, 1), 10, 1)
+  assert.strictEqual(ModbusRTU.parseResponse(provider.getBuffer()).exceptionCode, 6)
+})
+
+test('delay fault delays or drops the response', async () => {
+  const { provider } = setup()
+  provider.inject({ type: 'delay', ms: 15 })
+  const start = Date.now()
+  await provider.autoRequest(ModbusRTU.makeRequest(1, 0x03, 0, 1), 50, 1)
+  assert.ok(Date.now() - start >= 14)
+  provider.inject({ type: 'delay', ms: 50 })
+  await assert.rejects(provider.autoRequest(ModbusRTU.makeRequest(1, 0x03, 0, 1), 20, 1))
+})
+
+test('tcp framing echoes the transaction id', async () => {
+  const { provider } = setup('tcp')
+  await provider.autoRequest(ModbusTCP.makeRequest(1, 0x03, 1, 1, undefined, 77), 10, 1)
+  const resp = ModbusTCP.parseResponse(provider.getBuffer())
+  assert.strictEqual(resp.transactionId, 77)
+  assert.deepStrictEqual([...resp.data], [0, 20])
+})
+
+test('ascii framing answers with LRC', async () => {
+  const { provider } = setup('ascii')
+  await provider.autoRequest(ModbusASCII.makeRequest(1, 0x03, 0, 1), 10, 1)
+  assert.deepStrictEqual([...ModbusASCII.parseResponse(provider.getBuffer()).data], [0, 10])
+  provider.inject({ type: 'crc' })
+  await provider.autoRequest(ModbusASCII.makeRequest(1, 0x03, 0, 1), 10, 1)
+  assert.throws(() => ModbusASCII.parseResponse(provider.getBuffer()))
+})
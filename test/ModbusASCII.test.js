@@ -0,0 +1,51 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusASCII } = require('../devices/classes/ModbusASCII')
+
+test('requests are encoded with LRC and framing', () => {
+  assert.strictEqual(ModbusASCII.makeRequest(1, 0x03, 0x0064, 3).toString('ascii'), ':01030064000395\r\n')
+  assert.strictEqual(ModbusASCII.encode(Buffer.from([0x01, 0x03, 0x00, 0x00, 0x00, 0x02])).toString('ascii'), ':010300000002FA\r\n')
+  assert.strictEqual(ModbusASCII.calculateLRC(Buffer.from([0x01, 0x03, 0x00, 0x00, 0x00, 0x02])), 0xFA)
+})
+
+test('packets are decoded back to the frame with LRC', () => {
+  const frame = Buffer.from([0x11, 0x06, 0x00, 0x01, 0x00, 0x03])
+  const decoded = ModbusASCII.decode(ModbusASCII.encode(frame))
+  assert.deepStrictEqual(decoded.subarray(0, -1), frame)
+  assert.ok(ModbusASCII.verifyLRC(decoded))
+  // Шестнадцатеричные символы принимаются в любом регистре
+  assert.deepStrictEqual(ModbusASCII.decode(Buffer.from(':010300000002fa\r\n', 'ascii')), ModbusASCII.decode(Buffer.from(':010300000002FA\r\n', 'ascii')))
+})
+
+test('responses are parsed', () => {
+  const resp = ModbusASCII.parseResponse(Buffer.from(':0103020014E6\r\n', 'ascii'))
+  assert.strictEqual(resp.slaveId, 1)
+  assert.strictEqual(resp.functionCode, 0x03)
+  assert.strictEqual(resp.byteCount, 2)
+  assert.deepStrictEqual(resp.data, Buffer.from([0x00, 0x14]))
+})
+
+test('exception responses are parsed', () => {
+  const resp = ModbusASCII.parseResponse(ModbusASCII.encode(Buffer.from([0x01, 0x83, 0x02])))
+  assert.strictEqual(resp.slaveId, 1)
+  assert.strictEqual(resp.functionCode, 0x03)
+  assert.strictEqual(resp.exceptionCode, 0x02)
+})
+
+test('bad LRC and broken framing are rejected', () => {
+  assert.throws(() => ModbusASCII.parseResponse(Buffer.from(':0103020014E7\r\n', 'ascii')), (err) => err.vShort === 'V2MODBUS_LRC_CHECK_FAILED')
+  assert.ok(!ModbusASCII.verifyLRC(Buffer.from([0x01, 0x03, 0x02, 0x00, 0x14, 0xE7])))
+  for (const packet of ['0103020014E6\r\n', ':0103020014E6', ':0103020014E\r\n', ':01030200G4E6\r\n']) {
+    assert.throws(() => ModbusASCII.parseResponse(Buffer.from(packet, 'ascii')), (err) => err.vShort === 'V2MODBUS_ASCII_FRAME_INVALID', JSON.stringify(packet))
+  }
+  assert.throws(() => ModbusASCII.parseResponse(Buffer.from(':0100\r\n', 'ascii')), (err) => err.vShort === 'V2MODBUS_PACKET_TOO_SHORT')
+})
+
+test('isCompletePacket waits for the whole frame', () => {
+  const packet = Buffer.from(':0103020014E6\r\n', 'ascii')
+  assert.ok(ModbusASCII.isCompletePacket(packet))
+  for (let length = 0; length < packet.length; length++) {
+    assert.ok(!ModbusASCII.isCompletePacket(packet.subarray(0, length)), `length ${length}`)
+  }
+  assert.ok(!ModbusASCII.isCompletePacket(packet.subarray(1)))
+})
@@ -0,0 +1,120 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const net = require('net')
+const { ModbusTCP } = require('../devices/classes/ModbusTCP')
+const { ModbusTypes } = require('../devices/classes/ModbusTypes')
+const ModbusGateway = require('../devices/ModbusGateway').default
+
+const MAP = [
+  { name: 'voltage', area: 'input', address: 0, type: 'float32', order: 'CDAB' },
+  { name: 'temp', area: 'holding', address: 10, type: 'int16', scale: 0.1, path: 'ai.0' },
+  { name: 'setpoint', area: 'holding', address: 11, type: 'uint16', access: 'rw', max: 1000 },
+  { name: 'limit', area: 'holding', address: 12, type: 'float32', access: 'rw', min: 0, max: 100 },
+  { name: 'relay', area: 'coil', address: 0, access: 'rw' }
+]
+
+function createGateway(options = {}) {
+  const device = new ModbusGateway('gw', 'ModbusGateway', {})
+  const pushed = []
+  device.options = { host: '127.0.0.1', port: 0, unitId: 0, map: MAP, ...options }
+  device.ports = { input: {}, output: {} }
+  for (const port of Object.keys(device.outputs())) device.ports.output[port] = { push: (value) => pushed.push({ port, value }) }
+  device.preProcess()
+  return { device, pushed }
+}
+
+function request(cmd, addr, quantity, writeData, unitId = 1) {
+  return ModbusTCP.makeRequest(unitId, cmd, addr, quantity, writeData, 7)
+}
+
+test('serves values from input ports with map types', () => {
+  const { device } = createGateway()
+  device.inputVoltage({ value: 230.5, time: 0, quality: 'good' })
+  device.inputTemp({ ai: [21.7] })
+
+  const voltage = ModbusTCP.parseResponse(device.handleRequest(request(0x04, 0, 2)))
+  assert.strictEqual(voltage.transactionId, 7)
+  assert.strictEqual(ModbusTypes.decode(voltage.data, 'float32', { order: 'CDAB' }), 230.5)
+  const temp = ModbusTCP.parseResponse(device.handleRequest(request(0x03, 10, 1)))
+  assert.strictEqual(temp.data.readInt16BE(0), 217)
+
+  // Адреса вне карты
+  assert.strictEqual(ModbusTCP.parseResponse(device.handleRequest(request(0x03, 20, 1))).exceptionCode, 0x02)
+})
+
+test('writes to mapped points are pushed to outputs', () => {
+  const { device, pushed } = createGateway()
+  assert.strictEqual(ModbusTCP.parseResponse(device.handleRequest(request(0x06, 11, 500))).exceptionCode, undefined)
+  assert.strictEqual(ModbusTCP.parseResponse(device.handleRequest(request(0x05, 0, 1))).exceptionCode, undefined)
+  assert.deepStrictEqual(pushed, [{ port: 'writeSetpoint', value: 500 }, { port: 'writeRelay', value: 1 }])
+
+  // Точка только для чтения
+  assert.strictEqual(ModbusTCP.parseResponse(device.handleRequest(request(0x10, 10, 2, [1, 2]))).exceptionCode, 0x02)
+  assert.strictEqual(pushed.length, 2)
+  assert.strictEqual(device.shares.writes, 2)
+})
+
+test('unit id filter and overlapping map', () => {
+  const { device } = createGateway({ unitId: 5 })
+  assert.strictEqual(ModbusTCP.parseResponse(device.handleRequest(request(0x03, 11, 1, undefined, 4))).exceptionCode, 0x0B)
+  assert.strictEqual(ModbusTCP.parseResponse(device.handleRequest(request(0x03, 11, 1, undefined, 5))).slaveId, 5)
+
+  assert.throws(() => createGateway({ map: [...MAP, { name: 'dup', area: 'input', address: 1 }] }), /V2MODBUS_GATEWAY_MAP_OVERLAP|same address/)
+})
+
+test('answers over TCP', async (t) => {
+  const { device } = createGateway()
+  device.inputSetpoint(42)
+  device.process()
+  t.after(() => device.close())
+  await new Promise((resolve) => device.server.once('listening', resolve))
+
+  const socket = net.connect(device.server.address().port, '127.0.0.1')
+  t.after(() => socket.destroy())
+  const packet = request(0x03, 11, 1)
+  // Пакет приходит по частям
+  socket.write(packet.subarray(0, 4))
+  socket.write(packet.subarray(4))
+  const data = await new Promise((resolve) => socket.once('data', resolve))
+  assert.strictEqual(ModbusTCP.parseResponse(data).data.readUInt16BE(0), 42)
+})
+
+test('multi-register writes are applied all or nothing', () => {
+  const { device, pushed } = createGateway()
+  const registers = () => ModbusTCP.parseResponse(device.handleRequest(request(0x03, 11, 3))).data.toString('hex')
+  const limit = (value) => ModbusTypes.encode(value, 'float32')
+
+  // Значение limit вне границ - не меняется и setpoint из того же запроса
+  assert.strictEqual(ModbusTCP.parseResponse(device.handleRequest(request(0x10, 11, 3, [500, ...limit(150)]))).exceptionCode, 0x03)
+  // Граница setpoint
+  assert.strictEqual(ModbusTCP.parseResponse(device.handleRequest(request(0x06, 11, 1001))).exceptionCode, 0x03)
+  // Запись только одного регистра float32
+  assert.strictEqual(ModbusTCP.parseResponse(device.handleRequest(request(0x06, 12, 0x4148))).exceptionCode, 0x02)
+  assert.strictEqual(ModbusTCP.parseResponse(device.handleRequest(request(0x10, 11, 2, [500, 0x4148]))).exceptionCode, 0x02)
+  assert.strictEqual(registers(), '000000000000')
+  assert.deepStrictEqual(pushed, [])
+  assert.strictEqual(device.shares.writes, 0)
+
+  assert.strictEqual(ModbusTCP.parseResponse(device.handleRequest(request(0x10, 11, 3, [500, ...limit(12.5)]))).exceptionCode, undefined)
+  assert.strictEqual(registers(), '01f441480000')
+  assert.deepStrictEqual(pushed, [{ port: 'writeSetpoint', value: 500 }, { port: 'writeLimit', value: 12.5 }])
+})
+
+test('close stops the server and drops clients', async () => {
+  const { device } = createGateway()
+  device.process()
+  await new Promise((resolve) => device.server.once('listening', resolve))
+  const server = device.server
+  const socket = net.connect(server.address().port, '127.0.0.1')
+  await new Promise((resolve) => socket.once('connect', resolve))
+  while (device.shares.clients === 0) await new Promise((resolve) => setImmediate(resolve))
+
+  const closed = new Promise((resolve) => socket.once('close', resolve))
+  await device.close()
+  await closed
+  assert.strictEqual(server.listening, false)
+  assert.strictEqual(device.server, undefined)
+  assert.strictEqual(device.shares.listen, false)
+  assert.strictEqual(device.shares.clients, 0)
+  await device.close() // Повторная остановка ничего не делает
+})
@@ -0,0 +1,21 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusRTU } = require('../devices/classes/ModbusRTU')
+const ModbusMonitor = require('../devices/ModbusMonitor').default
+
+test('shows valid traffic right after a noise burst', () => {
+  const monitor = new ModbusMonitor('mon', 'ModbusMonitor', {})
+  const records = []
+  monitor.options = { history: 100, silence: 0, slaveIds: [], functionCodes: [], garbage: true }
+  monitor.ports = { input: {}, output: { record: { push: (record) => records.push(record) } } }
+  monitor.preProcess()
+
+  monitor.inputData(Buffer.from([0x05, 0x03, 0xF0]))
+  monitor.inputData(ModbusRTU.makeRequest(1, 0x03, 0x10, 2))
+  monitor.inputData(ModbusRTU.addCRC(Buffer.from('010304000a0014', 'hex')))
+
+  assert.deepStrictEqual(records.map(record => record.type), ['garbage', 'request', 'response'])
+  assert.strictEqual(records[0].raw, '0503f0')
+  assert.strictEqual(records[2].address, 0x10)
+  assert.strictEqual(records[2].data, '000a0014')
+})
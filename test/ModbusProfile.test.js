@@ -0,0 +1,10 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusProfile } = require('../devices/classes/ModbusProfile')
+
+test('register names are not checked against device outputs', () => {
+  // Профиль используется и шлюзом, у которого нет выходов DeviceRTU
+  for (const name of ['online', 'offline', 'stats', 'status']) {
+    assert.strictEqual(ModbusProfile.validate({ registers: [{ name, address: 0 }] }, 'test').registers[0].name, name)
+  }
+})
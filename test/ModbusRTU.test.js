@@ -0,0 +1,155 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusRTU } = require('../devices/classes/ModbusRTU')
+const { ModbusStream } = require('../devices/classes/ModbusStream')
+
+test('makeRequest builds read and write frames with CRC', () => {
+  assert.strictEqual(ModbusRTU.makeRequest(1, 0x03, 0x0000, 2).toString('hex'), '010300000002c40b')
+  assert.strictEqual(ModbusRTU.makeRequest(1, 0x06, 0x0030, 350).toString('hex'), '01060030015e09ad')
+  assert.strictEqual(ModbusRTU.makeRequest(1, 0x05, 0x0003, 1).toString('hex'), '01050003ff007c3a')
+  assert.strictEqual(ModbusRTU.makeRequest(1, 0x10, 0x0001, 2, [10, 20]).toString('hex'), '01100001000204000a0014126e')
+})
+
+test('addCRC and verifyCRC', () => {
+  const packet = ModbusRTU.addCRC(Buffer.from('010304000a0014', 'hex'))
+  assert.strictEqual(packet.toString('hex'), '010304000a0014da3e')
+  assert.strictEqual(ModbusRTU.verifyCRC(packet), true)
+  packet[3] ^= 0x01
+  assert.strictEqual(ModbusRTU.verifyCRC(packet), false)
+})
+
+test('parseResponse returns data of a read response', () => {
+  const resp = ModbusRTU.parseResponse(ModbusRTU.addCRC(Buffer.from('010304000a0014', 'hex')))
+  assert.strictEqual(resp.slaveId, 1)
+  assert.strictEqual(resp.functionCode, 3)
+  assert.strictEqual(resp.byteCount, 4)
+  assert.deepStrictEqual([...resp.data], [0x00, 0x0a, 0x00, 0x14])
+  assert.strictEqual(resp.exceptionCode, undefined)
+})
+
+test('parseResponse returns exception code', () => {
+  const resp = ModbusRTU.parseResponse(ModbusRTU.addCRC(Buffer.from('018302', 'hex')))
+  assert.strictEqual(resp.functionCode, 3)
+  assert.strictEqual(resp.exceptionCode, 2)
+})
+
+test('parseResponse rejects a packet with wrong CRC', () => {
+  const packet = ModbusRTU.addCRC(Buffer.from('010304000a0014', 'hex'))
+  packet[packet.length - 1] ^= 0xFF
+  assert.throws(() => ModbusRTU.parseResponse(packet))
+})
+
+test('isCompletePacket waits for the whole response', () => {
+  const packet = ModbusRTU.addCRC(Buffer.from('010304000a0014', 'hex'))
+  assert.strictEqual(ModbusRTU.isCompletePacket(packet.subarray(0, 5)), false)
+  assert.strictEqual(ModbusRTU.isCompletePacket(packet), true)
+  assert.strictEqual(ModbusRTU.isCompletePacket(ModbusRTU.addCRC(Buffer.from('018302', 'hex'))), true)
+})
+
+test('parseRequest reads address, quantity and values', () => {
+  const req = ModbusRTU.parseRequest(ModbusRTU.makeRequest(2, 0x10, 0x0001, 2, [10, 20]))
+  assert.strictEqual(req.slaveId, 2)
+  assert.strictEqual(req.functionCode, 0x10)
+  assert.strictEqual(req.address, 1)
+  assert.strictEqual(req.quantity, 2)
+  assert.deepStrictEqual(req.values, [10, 20])
+})
+
+test('validateResponse checks slave, function and byte count', () => {
+  const request = ModbusRTU.makeRequest(1, 0x03, 0, 2).subarray(0, -2)
+  const ok = ModbusRTU.parseResponse(ModbusRTU.addCRC(Buffer.from('010304000a0014', 'hex')))
+  assert.doesNotThrow(() => ModbusRTU.validateResponse(request, ok))
+  const otherSlave = ModbusRTU.parseResponse(ModbusRTU.addCRC(Buffer.from('020304000a0014', 'hex')))
+  assert.throws(() => ModbusRTU.validateResponse(request, otherSlave))
+  const shortData = ModbusRTU.parseResponse(ModbusRTU.addCRC(Buffer.from('010302000a', 'hex')))
+  assert.throws(() => ModbusRTU.validateResponse(request, shortData))
+})
+
+test('makeFrame builds frames of the extended function codes', () => {
+  const hex = (...args) => ModbusRTU.makeFrame(...args).toString('hex')
+  assert.strictEqual(hex(1, 0x07, 0, 0), '0107')
+  assert.strictEqual(hex(1, 0x11, 0, 0), '0111')
+  assert.strictEqual(hex(1, 0x08, 0x0000, 0xA537), '01080000a537')
+  assert.strictEqual(hex(1, 0x14, 4, 2, [1]), '01140706000400010002')
+  assert.strictEqual(hex(1, 0x15, 4, 0, [7, 0x06AF, 0x04BE]), '01150b06000400070002' + '06af04be')
+  assert.strictEqual(hex(1, 0x16, 0x0004, 0x00F2, [0x0025]), '0116000400f20025')
+  assert.strictEqual(hex(1, 0x17, 0x0003, 6, [0x000E, 0x00FF, 0x00FF, 0x00FF]), '011700030006000e000306' + '00ff00ff00ff')
+  assert.strictEqual(hex(1, 0x18, 0x04DE, 0), '011804de')
+  assert.strictEqual(hex(1, 0x2B, 1, 0), '012b0e0100')
+
+  assert.throws(() => ModbusRTU.makeFrame(1, 0x14, 4, 2), (err) => err.vShort === 'V2MODBUS_FILE_RECORD_INVALID')
+  assert.throws(() => ModbusRTU.makeFrame(1, 0x15, 4, 0, [7]), (err) => err.vShort === 'V2MODBUS_FILE_RECORD_INVALID')
+  assert.throws(() => ModbusRTU.makeFrame(1, 0x17, 0, 0, [0, 1]), (err) => err.vShort === 'V2MODBUS_READ_WRITE_COUNT_INVALID')
+  assert.throws(() => ModbusRTU.makeFrame(1, 0x16, 0, 0), (err) => err.vShort === 'V2MODBUS_WRITE_DATA_REQUIRED_REGISTERS')
+  assert.throws(() => ModbusRTU.makeFrame(1, 0x42, 0, 0), (err) => err.vShort === 'V2MODBUS_UNSUPPORTED_FUNCTION_CODE')
+})
+
+test('responseLength of the extended function codes', () => {
+  const length = (hex) => ModbusRTU.responseLength(Buffer.from(hex, 'hex'))
+  assert.strictEqual(length('0107'), 5)
+  assert.strictEqual(length('0108'), 8)
+  assert.strictEqual(length('0116'), 10)
+  assert.strictEqual(length('0111'), 0)
+  assert.strictEqual(length('011103'), 8)
+  assert.strictEqual(length('01140c'), 17)
+  assert.strictEqual(length('01150d'), 18)
+  assert.strictEqual(length('01170c'), 17)
+  assert.strictEqual(length('011800'), 0)
+  assert.strictEqual(length('01180006'), 12)
+  assert.strictEqual(length('0142'), 0)
+})
+
+test('responseLength of 0x2B grows with the received objects', () => {
+  // Два объекта: 0x00 "AB", 0x01 "XYZ"
+  const frame = Buffer.from('012b0e0101000002' + '00024142' + '010358595a', 'hex')
+  const full = ModbusRTU.addCRC(frame)
+  assert.strictEqual(ModbusRTU.responseLength(full.subarray(0, 2)), 10)
+  assert.strictEqual(ModbusRTU.responseLength(full.subarray(0, 7)), 10)
+  assert.strictEqual(ModbusRTU.responseLength(full.subarray(0, 8)), 12) // Заголовок первого объекта еще не получен
+  assert.strictEqual(ModbusRTU.responseLength(full.subarray(0, 10)), 16) // Известна длина первого объекта
+  assert.strictEqual(ModbusRTU.responseLength(full.subarray(0, 13)), 16) // Заголовок второго объекта получен не полностью
+  for (let i = 14; i <= full.length; i++) assert.strictEqual(ModbusRTU.responseLength(full.subarray(0, i)), full.length, `length ${i}`)
+  assert.ok(ModbusRTU.isCompletePacket(full))
+  assert.ok(!ModbusRTU.isCompletePacket(full.subarray(0, -1)))
+})
+
+test('parseFrame reads responses of the extended function codes', () => {
+  const parse = (hex) => ModbusRTU.parseFrame(Buffer.from(hex, 'hex'))
+  assert.strictEqual(parse('01076d').exceptionStatus, 0x6D)
+
+  const diag = parse('01080000a537')
+  assert.strictEqual(diag.subFunction, 0)
+  assert.strictEqual(diag.diagnosticData, 0xA537)
+
+  const id = parse('011102abff')
+  assert.strictEqual(id.serverId, 0xAB)
+  assert.strictEqual(id.runIndicator, true)
+
+  const read = parse('01140c' + '0506' + '0dfe0020' + '0506' + '33cd0040')
+  assert.deepStrictEqual(read.fileRecords, [{ values: [0x0DFE, 0x0020] }, { values: [0x33CD, 0x0040] }])
+  const write = parse('01150d' + '06000400070003' + '06af04be100d')
+  assert.deepStrictEqual(write.fileRecords, [{ file: 4, record: 7, values: [0x06AF, 0x04BE, 0x100D] }])
+
+  const mask = parse('0116000400f20025')
+  assert.deepStrictEqual([mask.address, mask.andMask, mask.orMask], [4, 0xF2, 0x25])
+
+  assert.deepStrictEqual(parse('01170c00fe0acd00010003000d00ff').values, [0x00FE, 0x0ACD, 0x0001, 0x0003, 0x000D, 0x00FF])
+
+  const fifo = parse('011800060002' + '01b81284')
+  assert.deepStrictEqual(fifo.values, [0x01B8, 0x1284])
+  assert.throws(() => parse('011800060003' + '01b81284'), (err) => err.vShort === 'V2MODBUS_PACKET_TOO_SHORT')
+
+  const device = parse('012b0e0101000002' + '00024142' + '010358595a')
+  assert.deepStrictEqual(device.deviceId, { readDeviceIdCode: 1, conformity: 1, moreFollows: false, nextObjectId: 0, objects: { 0: 'AB', 1: 'XYZ' } })
+  assert.throws(() => parse('012b0e0101000002' + '00024142' + '010358'), (err) => err.vShort === 'V2MODBUS_PACKET_TOO_SHORT')
+})
+
+test('ModbusStream resyncs after a corrupted prefix', () => {
+  const stream = new ModbusStream()
+  const request = ModbusRTU.makeRequest(1, 0x03, 0, 2)
+  const response = ModbusRTU.addCRC(Buffer.from('010304000a0014', 'hex'))
+  const frames = stream.push(Buffer.concat([Buffer.from([0x05, 0x03, 0xF0]), request, response]))
+  assert.deepStrictEqual(frames.map(frame => frame.type), ['garbage', 'request', 'response'])
+  assert.deepStrictEqual([...frames[0].raw], [0x05, 0x03, 0xF0])
+  assert.deepStrictEqual(frames[2].response.data, Buffer.from('000a0014', 'hex'))
+})
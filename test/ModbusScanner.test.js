@@ -0,0 +1,90 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusSlave } = require('../devices/classes/ModbusSlave')
+const ModbusScanner = require('../devices/ModbusScanner').default
+const { createDevice } = require('./harness')
+
+const SCAN_OPTIONS = { from: 1, to: 247, slice: 4, probeFunction: 0x03, probeAddress: 0, probeRetries: 1, identify: false }
+
+/**
+ * Модель устройства, которое отвечает на Report Slave ID (0x11) и Read Device Identification (0x2B)
+ */
+class IdentifiedSlave extends ModbusSlave {
+  process(frame) {
+    const slave = frame.readUInt8(0)
+    if (frame[1] === 0x11) return Buffer.from([slave, 0x11, 0x02, 0xAB, 0xFF])
+    if (frame[1] === 0x2B) return Buffer.from([slave, 0x2B, 0x0E, 0x01, 0x01, 0x00, 0x00, 0x02, 0x00, 0x02, 0x41, 0x42, 0x01, 0x03, 0x58, 0x59, 0x5A])
+    return super.process(frame)
+  }
+}
+
+test('scans the address range in slices', async (t) => {
+  const slaves = [
+    new ModbusSlave(2, { holding: { '0': [1] } }),
+    new ModbusSlave(4, { holding: { '0': [1] } }),
+    new ModbusSlave(5) // Адреса 0 нет - ответ исключением
+  ]
+  const dev = createDevice(ModbusScanner, { ...SCAN_OPTIONS, slice: 2 }, slaves)
+  t.after(() => dev.close())
+
+  // До запуска сканирования шина не занимается
+  await dev.poll()
+  assert.strictEqual(dev.provider.requests.length, 0)
+
+  await dev.device.actionScanStart({ from: 1, to: 5 })
+  for (const current of [3, 5, 6]) {
+    const sent = dev.provider.requests.length
+    assert.strictEqual(await dev.poll(), null)
+    assert.ok(dev.provider.requests.length - sent <= 2)
+    assert.strictEqual(dev.device.shares.scan.current, current)
+  }
+
+  const scan = dev.device.shares.scan
+  assert.strictEqual(scan.running, false)
+  assert.strictEqual(scan.progress, 100)
+  assert.ok(scan.finished >= scan.started)
+  assert.deepStrictEqual(dev.provider.requests.map(req => req[0]), [1, 2, 3, 4, 5])
+  assert.deepStrictEqual(dev.device.shares.found.map(item => [item.address, item.exceptionCode]), [[2, undefined], [4, undefined], [5, 2]])
+  assert.deepStrictEqual(dev.values('found').map(item => item.address), [2, 4, 5])
+  assert.strictEqual(dev.values('done').length, 1)
+  assert.deepStrictEqual(dev.values('done')[0].map(item => item.address), [2, 4, 5])
+
+  // Нет ответа или ответ не разобран - адрес без устройства
+  assert.strictEqual(dev.device.shares.timing[1], null)
+  assert.strictEqual(dev.device.shares.timing[3], null)
+  assert.strictEqual(typeof dev.device.shares.timing[2], 'number')
+})
+
+test('a corrupted reply counts as no device and the scan can be stopped', async (t) => {
+  const dev = createDevice(ModbusScanner, { ...SCAN_OPTIONS, slice: 1 }, [new ModbusSlave(1, { holding: { '0': [1] } })])
+  t.after(() => dev.close())
+
+  await dev.device.actionScanStart({ from: 1, to: 3 })
+  dev.provider.inject({ type: 'crc' })
+  await dev.poll()
+  assert.deepStrictEqual(dev.device.shares.found, [])
+  assert.strictEqual(dev.device.shares.timing[1], null)
+
+  await dev.device.actionScanStop()
+  await dev.poll()
+  assert.strictEqual(dev.provider.requests.length, 1)
+  assert.strictEqual(dev.values('done').length, 0)
+  assert.strictEqual((await dev.device.actionScanStart({ from: 5, to: 4 })).result, 'error')
+})
+
+test('found devices are identified with 0x11 and 0x2B', async (t) => {
+  const slaves = [new IdentifiedSlave(1, { holding: { '0': [1] } }), new ModbusSlave(2, { holding: { '0': [1] } })]
+  const dev = createDevice(ModbusScanner, { ...SCAN_OPTIONS, identify: true }, slaves)
+  t.after(() => dev.close())
+
+  await dev.device.actionScanStart({ from: 1, to: 2 })
+  assert.strictEqual(await dev.poll(), null)
+  const [identified, plain] = dev.device.shares.found
+  assert.deepStrictEqual(dev.provider.requests.map(req => [req[0], req[1]]), [[1, 0x03], [1, 0x11], [1, 0x2B], [2, 0x03], [2, 0x11], [2, 0x2B]])
+  assert.strictEqual(identified.serverId, 0xAB)
+  assert.strictEqual(identified.runIndicator, true)
+  assert.strictEqual(identified.slaveData, 'abff')
+  assert.deepStrictEqual(identified.deviceId, { 0: 'AB', 1: 'XYZ' })
+  // Устройство без поддержки идентификации отвечает исключениями - поля не заполняются
+  assert.deepStrictEqual(Object.keys(plain).sort(), ['address', 'latency'])
+})
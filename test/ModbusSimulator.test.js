@@ -0,0 +1,46 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { EventEmitter } = require('node:events')
+const { ModbusRTU } = require('../devices/classes/ModbusRTU')
+const ModbusSimulator = require('../devices/ModbusSimulator').default
+
+/**
+ * Симулятор без TCP сервера и сокет, который запоминает отправленные ответы
+ */
+function setup() {
+  const sim = new ModbusSimulator('sim', 'ModbusSimulator', {})
+  sim.options = { slaveId: 1, delay: 0, tables: { holding: { '0': [10] } }, file: '' }
+  sim.render = () => {}
+  sim.preProcess()
+  const socket = new EventEmitter()
+  socket.written = []
+  socket.write = (data) => socket.written.push(data)
+  sim.onConnection(socket)
+  return { sim, socket }
+}
+
+test('short requests are answered by function code size', async () => {
+  const { sim, socket } = setup()
+  // 0x07 и 0x11 - 4 байта, каждый запрос приходит отдельным пакетом
+  socket.emit('data', ModbusRTU.addCRC(Buffer.from([1, 0x07])))
+  assert.strictEqual(sim.shares.requests, 1)
+  socket.emit('data', ModbusRTU.addCRC(Buffer.from([1, 0x11])))
+  assert.strictEqual(sim.shares.requests, 2)
+  socket.emit('data', ModbusRTU.makeRequest(1, 0x03, 0, 1))
+  assert.strictEqual(sim.shares.requests, 3)
+  await new Promise(resolve => setTimeout(resolve, 5))
+
+  const responses = socket.written.map(data => ModbusRTU.parseResponse(data))
+  assert.deepStrictEqual(responses.map(resp => resp.exceptionCode), [1, 1, undefined])
+  assert.deepStrictEqual([...responses[2].data], [0, 10])
+})
+
+test('a split request waits for the rest of the packet', async () => {
+  const { sim, socket } = setup()
+  const request = ModbusRTU.makeRequest(1, 0x10, 0, 1, [7])
+  socket.emit('data', request.subarray(0, 5))
+  socket.emit('data', request.subarray(5))
+  await new Promise(resolve => setTimeout(resolve, 5))
+  assert.strictEqual(sim.shares.requests, 1)
+  assert.deepStrictEqual(sim.slave.getValues('holding', 0, 1), [7])
+})
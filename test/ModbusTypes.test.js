@@ -0,0 +1,58 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusTypes } = require('../devices/classes/ModbusTypes')
+
+// Значение для проверки каждого типа (для string и bits - с длиной в регистрах)
+const SAMPLES = {
+  int16: [-1234],
+  uint16: [54321],
+  int32: [-123456789],
+  uint32: [3000000000],
+  float32: [12.5],
+  int64: [-Number.MAX_SAFE_INTEGER],
+  uint64: [Number.MAX_SAFE_INTEGER],
+  float64: [Math.PI],
+  string: ['ABCDE', { length: 3 }],
+  bcd16: [1234],
+  bcd32: [12345678],
+  bits: [[1, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 1], { length: 2 }]
+}
+
+test('every type round-trips in every byte order', () => {
+  assert.deepStrictEqual(Object.keys(SAMPLES).sort(), [...ModbusTypes.DATA_TYPES].sort())
+  for (const type of ModbusTypes.DATA_TYPES) {
+    const [value, options = {}] = SAMPLES[type]
+    const expected = type === 'bits' ? [...value, ...new Array(32 - value.length).fill(0)] : value
+    for (const order of ModbusTypes.BYTE_ORDERS) {
+      const registers = ModbusTypes.encode(value, type, { ...options, order })
+      assert.strictEqual(registers.length, ModbusTypes.registerCount(type, options), `${type} ${order}`)
+      assert.deepStrictEqual(ModbusTypes.decode(ModbusTypes.toBuffer(registers), type, { ...options, order }), expected, `${type} ${order}`)
+    }
+  }
+})
+
+test('byte orders place float32 bytes as documented', () => {
+  assert.deepStrictEqual(ModbusTypes.encode(12.5, 'float32', { order: 'ABCD' }), [0x4148, 0x0000])
+  assert.deepStrictEqual(ModbusTypes.encode(12.5, 'float32', { order: 'CDAB' }), [0x0000, 0x4148])
+  assert.deepStrictEqual(ModbusTypes.encode(12.5, 'float32', { order: 'BADC' }), [0x4841, 0x0000])
+  assert.deepStrictEqual(ModbusTypes.encode(12.5, 'float32', { order: 'DCBA' }), [0x0000, 0x4841])
+})
+
+test('64-bit integers reject values that cannot be encoded', () => {
+  const cases = [
+    ['int64', NaN], ['int64', Infinity], ['int64', -Infinity], ['int64', 2 ** 63], ['int64', -(2 ** 64)],
+    ['uint64', NaN], ['uint64', Infinity], ['uint64', -1], ['uint64', 2 ** 64], ['uint64', 'abc']
+  ]
+  for (const [type, value] of cases) {
+    assert.throws(() => ModbusTypes.encode(value, type),
+      (err) => err.vShort === 'V2MODBUS_VALUE_OUT_OF_RANGE' && err.type === type, `${type} ${value}`)
+  }
+  assert.deepStrictEqual(ModbusTypes.encode(-1.9, 'int64'), [0xFFFF, 0xFFFF, 0xFFFF, 0xFFFF])
+  assert.deepStrictEqual(ModbusTypes.encode(2 ** 63, 'uint64'), [0x8000, 0, 0, 0])
+})
+
+test('BCD rejects values that cannot be encoded', () => {
+  for (const value of [NaN, Infinity, -1, 10000]) {
+    assert.throws(() => ModbusTypes.encode(value, 'bcd16'), (err) => err.vShort === 'V2MODBUS_BCD_INVALID', String(value))
+  }
+})
@@ -0,0 +1,28 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const ProfileDevice = require('../devices/ProfileDevice').default
+const { createDevice } = require('./harness')
+
+/**
+ * Записывает профиль во временный файл и возвращает путь к нему
+ */
+function writeProfile(t, registers) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'test.json')
+  fs.writeFileSync(file, JSON.stringify({ name: 'test', registers }))
+  return file
+}
+
+test('register names of DeviceRTU outputs are rejected', (t) => {
+  for (const name of ['online', 'offline', 'stats']) {
+    const profile = writeProfile(t, [{ name: 'status', address: 0 }, { name, address: 1 }])
+    assert.throws(() => createDevice(ProfileDevice, { profile, eachGate: false }),
+      (err) => err.vShort === 'V2MODBUS_PROFILE_INVALID' && err.field === 'registers[1].name' && err.reason === `name "${name}" is reserved`)
+  }
+  const profile = writeProfile(t, [{ name: 'status', address: 0 }])
+  assert.deepStrictEqual(createDevice(ProfileDevice, { profile, eachGate: false }).device.shares.values, { status: null })
+})
@@ -0,0 +1,41 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusSlave } = require('../devices/classes/ModbusSlave')
+const UniversalAI = require('../devices/UniversalAI').default
+const { createDevice } = require('./harness')
+
+const AI_OPTIONS = { countAI: 1, area: 'input', start: 0, channels: [], eachGate: false }
+
+test('deadband and thresholds with hysteresis', async (t) => {
+  const slave = new ModbusSlave(1, { input: { '0': [100] } })
+  const publishing = { ai1: { deadband: 5, thresholds: [110], hysteresis: 2 } }
+  const dev = createDevice(UniversalAI, { ...AI_OPTIONS, publishing }, [slave])
+  t.after(() => dev.close())
+
+  for (const value of [100, 104, 106, 109, 111, 109, 107]) {
+    slave.setValues('input', 0, [value])
+    await dev.poll()
+  }
+  // 104 - в зоне, 109 - в зоне от 106, 111 - переход порога, 109 - выше порога с учетом гистерезиса
+  assert.deepStrictEqual(dev.values('ai1'), [100, 106, 111, 107])
+})
+
+test('minInterval delays and maxInterval repeats values', async (t) => {
+  const slave = new ModbusSlave(1, { input: { '0': [1] } })
+  const publishing = { '*': { maxInterval: 60 }, ai1: { minInterval: 30 } }
+  const dev = createDevice(UniversalAI, { ...AI_OPTIONS, publishing }, [slave])
+  t.after(() => dev.close())
+
+  await dev.poll()
+  slave.setValues('input', 0, [2])
+  await dev.poll()
+  assert.deepStrictEqual(dev.values('ai1'), [1])
+
+  await new Promise((resolve) => setTimeout(resolve, 35))
+  await dev.poll()
+  assert.deepStrictEqual(dev.values('ai1'), [1, 2])
+
+  await new Promise((resolve) => setTimeout(resolve, 65))
+  await dev.poll()
+  assert.deepStrictEqual(dev.values('ai1'), [1, 2, 2])
+})
@@ -0,0 +1,34 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ReadPlanner } = require('../devices/classes/ReadPlanner')
+
+test('forbidden range without area applies to every area', () => {
+  const forbidden = [{ start: 2, end: 3 }]
+  for (const area of ['coil', 'di', 'holding', 'input']) {
+    const blocks = ReadPlanner.plan(area, [0, 1, 4, 5], { maxGap: 4, forbidden })
+    assert.deepStrictEqual(blocks.map(block => [block.address, block.quantity]), [[0, 2], [4, 2]])
+  }
+})
+
+test('forbidden range with area applies only to that area', () => {
+  const forbidden = [{ area: 'holding', start: 2, end: 3 }]
+  assert.strictEqual(ReadPlanner.plan('holding', [0, 4], { maxGap: 4, forbidden }).length, 2)
+  assert.strictEqual(ReadPlanner.plan('input', [0, 4], { maxGap: 4, forbidden }).length, 1)
+  assert.throws(() => ReadPlanner.plan('holding', [2], { forbidden }), (err) => err.vShort === 'V2MODBUS_READ_FORBIDDEN')
+})
+
+test('items are grouped by area and decoded with scale and offset', () => {
+  const items = [
+    { area: 'holding', address: 10, type: 'int32', order: 'ABCD', scale: 0.1, offset: 0 },
+    { area: 'holding', address: 12, type: 'uint16', scale: 1, offset: -40 },
+    { area: 'coil', address: 3, type: 'uint16', scale: 1, offset: 0 }
+  ]
+  const areas = ReadPlanner.itemAddresses(items)
+  assert.deepStrictEqual(areas.get('holding'), [10, 11, 12])
+  assert.deepStrictEqual(areas.get('coil'), [3])
+
+  const holding = new Map([[10, 0xFFFF], [11, 0xFFF6], [12, 65]])
+  assert.strictEqual(ReadPlanner.itemValue(items[0], holding), -1)
+  assert.strictEqual(ReadPlanner.itemValue(items[1], holding), 25)
+  assert.strictEqual(ReadPlanner.itemValue(items[2], new Map([[3, 1]])), 1)
+})
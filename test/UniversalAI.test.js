@@ -0,0 +1,31 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusSlave } = require('../devices/classes/ModbusSlave')
+const UniversalAI = require('../devices/UniversalAI').default
+const { createDevice } = require('./harness')
+
+const AI_OPTIONS = { countAI: 3, area: 'input', start: 10, channels: [], eachGate: false }
+
+test('channels are decoded by type with scale and offset', async (t) => {
+  const channels = [
+    { type: 'int16', scale: 0.1 },
+    { type: 'float32', order: 'CDAB' },
+    { type: 'uint16', scale: 2, offset: 1 }
+  ]
+  // int16 -25, float32 1.5 (CDAB), uint16 7
+  const slave = new ModbusSlave(1, { input: { '10': [0xFFE7, 0x0000, 0x3FC0, 7] } })
+  const dev = createDevice(UniversalAI, { ...AI_OPTIONS, channels }, [slave])
+  t.after(() => dev.close())
+
+  assert.strictEqual(await dev.poll(), null)
+  assert.strictEqual(dev.device.shares.ai[0].toFixed(1), '-2.5')
+  assert.deepStrictEqual(dev.device.shares.ai.slice(1), [1.5, 15])
+  assert.strictEqual(dev.provider.requests.length, 1)
+})
+
+test('non-numeric channel types are rejected', () => {
+  for (const type of ['string', 'bits', 'unknown']) {
+    assert.throws(() => createDevice(UniversalAI, { ...AI_OPTIONS, channels: [{ type }] }),
+      (err) => err.vShort === 'V2MODBUS_AI_TYPE_INVALID' && err.port === 'ai1' && err.type === type)
+  }
+})
@@ -0,0 +1,82 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusSlave } = require('../devices/classes/ModbusSlave')
+const UniversalDI = require('../devices/UniversalDI').default
+const { createDevice } = require('./harness')
+
+const DI_OPTIONS = { сountDI: 4, area: 'di', start: 0, blockSize: 2000, invert: [], debounce: 1, counters: false, eachGate: false }
+
+test('reads discrete inputs and pushes changes', async (t) => {
+  const slave = new ModbusSlave(1, { di: { '0': [1, 0, 1, 1] } })
+  const dev = createDevice(UniversalDI, DI_OPTIONS, [slave])
+  t.after(() => dev.close())
+
+  assert.strictEqual(await dev.poll(), null)
+  assert.deepStrictEqual(dev.device.shares.di, [1, 0, 1, 1])
+  assert.deepStrictEqual(dev.values('di1'), [1])
+  assert.deepStrictEqual(dev.values('di2'), [])
+  assert.strictEqual(dev.device.shares.state, 'online')
+
+  slave.setValues('di', 1, [1])
+  await dev.poll()
+  assert.deepStrictEqual(dev.values('di2'), [1])
+  assert.deepStrictEqual(dev.values('di1'), [1])
+})
+
+test('reads coils from start address in blocks', async (t) => {
+  const slave = new ModbusSlave(1, { coil: { '100': [0, 1, 0, 1] } })
+  const dev = createDevice(UniversalDI, { ...DI_OPTIONS, area: 'coil', start: 100, blockSize: 3, invert: [1] }, [slave])
+  t.after(() => dev.close())
+
+  await dev.poll()
+  assert.strictEqual(dev.provider.requests.length, 2)
+  assert.deepStrictEqual(dev.device.shares.di, [1, 1, 0, 1])
+})
+
+test('debounce and pulse counters', async (t) => {
+  const slave = new ModbusSlave(1, { di: { '0': [0, 0, 0, 0] } })
+  const dev = createDevice(UniversalDI, { ...DI_OPTIONS, debounce: 2, counters: true }, [slave])
+  t.after(() => dev.close())
+
+  await dev.poll()
+  slave.setValues('di', 0, [1])
+  await dev.poll()
+  assert.strictEqual(dev.device.shares.di[0], 0)
+  await dev.poll()
+  assert.strictEqual(dev.device.shares.di[0], 1)
+  assert.deepStrictEqual(dev.values('count1'), [1])
+
+  await dev.device.actionCounterReset({ index: 1 })
+  assert.strictEqual(dev.device.shares.counters[0], 0)
+})
+
+test('timeouts move the device to degraded and offline', async (t) => {
+  const slave = new ModbusSlave(1, { di: { '0': [1, 1, 1, 1] } })
+  const dev = createDevice(UniversalDI, { ...DI_OPTIONS, offlineFailures: 2, backoffMax: 0 }, [slave])
+  t.after(() => dev.close())
+
+  await dev.poll()
+  dev.provider.inject({ type: 'timeout' }, 6)
+  assert.notStrictEqual(await dev.poll(), null)
+  assert.strictEqual(dev.device.shares.state, 'degraded')
+  assert.notStrictEqual(await dev.poll(), null)
+  assert.strictEqual(dev.device.shares.state, 'offline')
+  assert.strictEqual(dev.values('offline').length, 1)
+  assert.strictEqual(dev.device.shares.stats.timeouts, 2) // Провайдер повторил каждый запрос 3 раза
+  assert.strictEqual(dev.device.shares.process, false)
+
+  await dev.poll()
+  assert.strictEqual(dev.device.shares.state, 'online')
+  assert.strictEqual(dev.values('online').length, 2)
+})
+
+test('CRC errors are counted in stats', async (t) => {
+  const slave = new ModbusSlave(1, { di: { '0': [1, 1, 1, 1] } })
+  const dev = createDevice(UniversalDI, DI_OPTIONS, [slave])
+  t.after(() => dev.close())
+
+  dev.provider.inject({ type: 'crc' })
+  assert.notStrictEqual(await dev.poll(), null)
+  assert.strictEqual(dev.device.shares.stats.crc, 1)
+  assert.strictEqual(dev.errors.length, 1)
+})
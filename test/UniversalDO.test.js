@@ -0,0 +1,53 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusSlave } = require('../devices/classes/ModbusSlave')
+const UniversalDO = require('../devices/UniversalDO').default
+const { createDevice } = require('./harness')
+
+const DO_OPTIONS = { countDO: 3, start: 0, multiple: true, eachGate: false }
+
+test('outputs are read and written from the start address', async (t) => {
+  for (const multiple of [true, false]) {
+    const slave = new ModbusSlave(1, { coil: { '16': [1, 0, 0] } })
+    const dev = createDevice(UniversalDO, { ...DO_OPTIONS, start: 16, multiple }, [slave])
+    t.after(() => dev.close())
+
+    assert.strictEqual(await dev.poll(), null)
+    assert.deepStrictEqual(dev.device.shares.do, [1, 0, 0])
+    const task = Promise.all([dev.device.setDO(1, 1), dev.device.setDO(2, 1)])
+    assert.strictEqual(await dev.poll(), null)
+    await task
+    assert.deepStrictEqual(slave.getValues('coil', 16, 3), [1, 1, 1])
+    assert.deepStrictEqual(dev.device.shares.do, [1, 1, 1])
+    assert.ok(dev.provider.requests.every(req => req.readUInt16BE(2) >= 16))
+  }
+})
+
+test('values are kept when the write fails', async (t) => {
+  const slave = new ModbusSlave(1, { coil: { '0': [0, 0, 0] } })
+  // Первая запись отклоняется устройством без изменения выходов
+  let reject = true
+  const line = {
+    handleFrame(frame) {
+      if (!reject || frame[1] !== 0x0F) return slave.handleFrame(frame)
+      reject = false
+      return Buffer.from([frame[0], 0x8F, 4])
+    }
+  }
+  const dev = createDevice(UniversalDO, DO_OPTIONS, [line])
+  t.after(() => dev.close())
+  assert.strictEqual(await dev.poll(), null)
+
+  const failed = dev.device.setDO(0, 1)
+  await dev.poll()
+  await assert.rejects(failed, (err) => err.vShort === 'V2MODBUS_EXCEPTION_SLAVE_DEVICE_FAILURE')
+  assert.deepStrictEqual(dev.device.shares.do, [0, 0, 0])
+  assert.strictEqual(dev.device.pending.get(0), 1)
+
+  // Незаписанное значение записывается вместе со следующим изменением
+  const task = dev.device.setDO(2, 1)
+  assert.strictEqual(await dev.poll(), null)
+  await task
+  assert.deepStrictEqual(slave.getValues('coil', 0, 3), [1, 0, 1])
+  assert.strictEqual(dev.device.pending.size, 0)
+})
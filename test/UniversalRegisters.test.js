@@ -0,0 +1,72 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ModbusSlave } = require('../devices/classes/ModbusSlave')
+const UniversalRegisters = require('../devices/UniversalRegisters').default
+const { createDevice } = require('./harness')
+
+const REG_OPTIONS = { eachGate: false }
+
+/**
+ * Регистр карты со значениями по умолчанию
+ */
+function reg(port, area, address, fields = {}) {
+  return { area, address, type: 'uint16', order: 'ABCD', length: 1, scale: 1, offset: 0, unit: '', port, ...fields }
+}
+
+test('preProcess rejects ports of DeviceRTU outputs', () => {
+  for (const port of ['online', 'offline', 'stats']) {
+    assert.throws(() => createDevice(UniversalRegisters, { ...REG_OPTIONS, registers: [reg(port, 'holding', 0)] }),
+      (err) => err.vShort === 'V2MODBUS_REGISTER_PORT_RESERVED' && err.port === port)
+  }
+})
+
+test('preProcess rejects an unknown area and a duplicate port', () => {
+  assert.throws(() => createDevice(UniversalRegisters, { ...REG_OPTIONS, registers: [reg('value', 'eeprom', 0)] }),
+    (err) => err.vShort === 'V2MODBUS_REGISTER_AREA_UNKNOWN' && err.area === 'eeprom' && err.port === 'value')
+  assert.throws(() => createDevice(UniversalRegisters, { ...REG_OPTIONS, registers: [reg('value', 'holding', 0), reg('value', 'input', 1)] }),
+    (err) => err.vShort === 'V2MODBUS_REGISTER_PORT_DUPLICATE' && err.port === 'value')
+  assert.throws(() => createDevice(UniversalRegisters, { ...REG_OPTIONS, registers: [reg('value', 'holding', 0, { type: 'int8' })] }),
+    (err) => err.vShort === 'V2MODBUS_DATA_TYPE_UNKNOWN')
+})
+
+test('neighbouring registers are read with one request per area', async (t) => {
+  const slave = new ModbusSlave(1, {
+    holding: { '0': [0x4148, 0x0000, 215] },
+    input: { '10': [0x4142, 0x4300, 0xFFFF] },
+    coil: { '0': [0, 1] }
+  })
+  const registers = [
+    reg('voltage', 'holding', 0, { type: 'float32' }),
+    reg('temp', 'holding', 2, { type: 'int16', scale: 0.1, unit: '°C' }),
+    reg('name', 'input', 10, { type: 'string', length: 2 }),
+    reg('flags', 'input', 12, { type: 'bits', length: 1, scale: 2 }),
+    reg('relay', 'coil', 1, { scale: 10, offset: 5 })
+  ]
+  const dev = createDevice(UniversalRegisters, { ...REG_OPTIONS, registers }, [slave])
+  t.after(() => dev.close())
+
+  assert.strictEqual(await dev.poll(), null)
+  assert.deepStrictEqual(dev.provider.requests.map(req => [req[1], req.readUInt16BE(2), req.readUInt16BE(4)]), [[0x03, 0, 3], [0x04, 10, 3], [0x01, 1, 1]])
+  const values = dev.device.shares.values
+  assert.strictEqual(values.voltage, 12.5)
+  assert.strictEqual(values.temp.toFixed(1), '21.5')
+  assert.strictEqual(values.name, 'ABC')
+  assert.deepStrictEqual(values.flags, new Array(16).fill(1))
+  assert.strictEqual(values.relay, 1) // Для coil/di масштаб не применяется
+  assert.strictEqual(dev.device.shares.units.temp, '°C')
+})
+
+test('values are published on change or on each poll with eachGate', async (t) => {
+  for (const eachGate of [false, true]) {
+    const slave = new ModbusSlave(1, { holding: { '0': [5, 7] } })
+    const registers = [reg('first', 'holding', 0), reg('second', 'holding', 1)]
+    const dev = createDevice(UniversalRegisters, { ...REG_OPTIONS, eachGate, registers }, [slave])
+    t.after(() => dev.close())
+
+    await dev.poll()
+    slave.setValues('holding', 1, [8])
+    await dev.poll()
+    assert.deepStrictEqual(dev.values('first'), eachGate ? [5, 5] : [5])
+    assert.deepStrictEqual(dev.values('second'), [7, 8])
+  }
+})
@@ -0,0 +1,105 @@
+/**
+ * Обвязка для проверки устройств на базе DeviceRTU без оборудования
+ *
+ * Создает устройство с опциями по умолчанию, записывает все отправки в выходы и ошибки,
+ * а вместо TCPProvider использует LoopbackProvider с моделями ведомых устройств
+ *
+ * @example
+ * const slave = new ModbusSlave(1, { di: { "0": [1, 0, 1] } })
+ * const { device, provider, pushed } = createDevice(UniversalDI, { сountDI: 3 }, [slave])
+ * await device.inputBus(provider)
+ */
+const { LoopbackProvider } = require('../devices/classes/LoopbackProvider')
+
+/**
+ * Опции DeviceRTU по умолчанию с короткими таймаутами и без пауз
+ */
+const RTU_OPTIONS = {
+  address: 1,
+  timeout: 20,
+  offTimeout: 30000,
+  offlineFailures: 3,
+  backoffMax: 32,
+  qualityPorts: false,
+  framing: 'rtu',
+  readMaxGap: 0,
+  forbidden: [],
+  turnaroundDelay: 0,
+  pollIntervals: {},
+  queueMax: 100,
+  queueTimeout: 0,
+  queueRejectOffline: false,
+  verifyRetries: 2,
+  verifyDelay: 0,
+  statsWindow: 100,
+  statsPort: false,
+  busyRetries: 3,
+  busyDelay: 0,
+  ackInterval: 1,
+  ackTimeout: 100
+}
+
+/**
+ * Создает устройство для проверки
+ *
+ * @param {Function} DeviceClass - Класс устройства
+ * @param {Object} options - Опции устройства (дополняют RTU_OPTIONS)
+ * @param {Array} slaves - Модели ведомых устройств на линии
+ */
+function createDevice(DeviceClass, options = {}, slaves = []) {
+  const device = new DeviceClass('test', DeviceClass.name, {})
+  const pushed = []
+  const errors = []
+  const output = {}
+  device.options = { ...RTU_OPTIONS, ...options }
+  device.ports = {
+    input: {},
+    output: new Proxy(output, {
+      get(target, port) {
+        if (!(port in target)) target[port] = { push: (value) => pushed.push({ port, value }) }
+        return target[port]
+      }
+    })
+  }
+  device.render = () => {}
+  device.error = (message, err) => errors.push({ message, err })
+  if (device.preProcess) device.preProcess()
+
+  const provider = new LoopbackProvider(slaves, device.options.framing)
+
+  return {
+    device,
+    provider,
+    pushed,
+    errors,
+
+    /**
+     * Значения, отправленные в выход
+     */
+    values(port) {
+      return pushed.filter(item => item.port === port).map(item => item.value)
+    },
+
+    /**
+     * Передает управление устройству, ошибка опроса возвращается, а не выбрасывается
+     */
+    async poll() {
+      try {
+        await device.inputBus(provider)
+        return null
+      } catch (err) {
+        return err
+      }
+    },
+
+    /**
+     * Останавливает таймеры устройства
+     */
+    close() {
+      clearTimeout(device.offlineTimer)
+      for (const task of device.queue.values()) clearTimeout(task.timer)
+    }
+  }
+}
+
+module.exports = { createDevice, RTU_OPTIONS }
@@ -0,0 +1,17 @@
+/**
+ * Подготовка окружения тестов
+ *
+ * Собранные устройства подключают `vrack2-core` как peer-зависимость. Если он установлен
+ * (рядом с пакетом или через NODE_PATH сервиса), тесты используют его, иначе подключается
+ * заглушка из `test/stub` - так тесты запускаются без сети и без сервиса
+ */
+const path = require('node:path')
+const Module = require('node:module')
+
+try {
+  require.resolve('vrack2-core')
+} catch {
+  const stub = path.join(__dirname, 'stub')
+  process.env.NODE_PATH = process.env.NODE_PATH ? `${stub}${path.delimiter}${process.env.NODE_PATH}` : stub
+  Module._initPaths()
+}
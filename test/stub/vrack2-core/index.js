@@ -0,0 +1,56 @@
+/**
+ * Заглушка vrack2-core для запуска тестов без сервиса
+ *
+ * Подключается из `test/setup.js`, только если настоящий `vrack2-core` не установлен.
+ * Содержит лишь то, что используют собранные устройства: регистрацию и создание ошибок,
+ * базовый класс Device и цепочки описаний опций, портов и экшенов
+ */
+
+/**
+ * Цепочка описания (Rule, Port, Action) - любой вызов возвращает новую цепочку
+ */
+const chain = () => new Proxy({}, { get: (target, key) => key === 'then' ? undefined : () => chain() })
+
+const registered = {}
+
+class ErrorManager {
+  static register(group, code, short, description) {
+    if (registered[short]) throw new Error(`Error ${short} already registered`)
+    registered[short] = { group, code, description }
+  }
+
+  static make(short, add = {}) {
+    if (!registered[short]) throw new Error(`Error ${short} not registered`)
+    const err = new Error(registered[short].description)
+    err.vShort = short
+    err.vCode = registered[short].code
+    err.vAdd = add
+    Object.assign(err, add)
+    return err
+  }
+}
+
+class Device {
+  constructor() {
+    this.options = {}
+    this.ports = { input: {}, output: {} }
+    this.shares = {}
+  }
+
+  render() { }
+  error() { }
+  event() { }
+  terminal() { }
+  checkOptions() { return {} }
+  inputs() { return {} }
+  outputs() { return {} }
+  actions() { return {} }
+}
+
+module.exports = {
+  ErrorManager,
+  Device,
+  Rule: { number: chain, string: chain, boolean: chain, array: chain, object: chain },
+  Port: { standart: chain, return: chain },
+  Action: { global: chain }
+}